@@ -8,6 +8,8 @@ class App {
         this.folderHandle = null;
         this.semanticModelHandle = null;
         this.reportHandle = null;
+        this.reportHandles = []; // all selected reports; reportHandle is the one loaded
+        this.allReports = false; // load every selected report at once, so usage adds up across them
         this.parsedModel = null;
         this.visualData = null;
         this.measureRefs = null;
@@ -17,6 +19,7 @@ class App {
         this.lineageDiagramRenderer = null;
         this._diagramRendered = false;
         this._detailedERDRendered = false;
+        this._queryDiagramRendered = false;
         this._lineageRendered = false;
         this._fieldDiagramRendered = false;
 
@@ -27,6 +30,21 @@ class App {
 
         this.parseErrors = [];
 
+        // Custom BPA rule sets: { source, rules, errors }
+        this.projectBPARules = null;
+        this.pickedBPARules = null;
+
+        // Perspective the sidebar, diagrams and downloads are limited to (null = whole model)
+        this.activePerspective = null;
+        this.perspectiveModel = null;
+
+        // DAX in the measure catalog and downloads: 'formatted' by DAXFormatter or 'original' as written
+        this.daxFormat = 'formatted';
+        try { if (localStorage.getItem('pbip-doc-dax-format') === 'original') this.daxFormat = 'original'; } catch {}
+
+        // Culture the Markdown/HTML downloads are written in (null = the model's own culture)
+        this.docCulture = null;
+
         this.init();
     }
 
@@ -51,6 +69,7 @@ class App {
         // Bind events
         document.getElementById('openFolderBtn').addEventListener('click', () => this.openFolder());
         document.getElementById('changeFolderBtn').addEventListener('click', () => this.openFolder());
+        document.getElementById('reportSelect').addEventListener('change', e => this.switchReport(e.target.value));
         const sampleBtn = document.getElementById('btnSampleData');
         if (sampleBtn) sampleBtn.addEventListener('click', () => this.loadSampleData());
         const exportSampleBtn = document.getElementById('btnExportSampleData');
@@ -68,6 +87,59 @@ class App {
         document.getElementById('downloadMDModel').addEventListener('click', (e) => this.downloadMarkdown('model', e.currentTarget));
         document.getElementById('downloadMDVisual').addEventListener('click', (e) => this.downloadMarkdown('visuals', e.currentTarget));
 
+        // Model diff (Changes view)
+        document.getElementById('changesCompareFolderBtn').addEventListener('click', () => this.compareWithFolder());
+        const changesJsonInput = document.getElementById('changesJsonInput');
+        document.getElementById('changesCompareJsonBtn').addEventListener('click', () => changesJsonInput.click());
+        changesJsonInput.addEventListener('change', () => {
+            if (changesJsonInput.files[0]) this.compareWithJSONFile(changesJsonInput.files[0]);
+            changesJsonInput.value = '';
+        });
+        document.getElementById('changesDownloadBtn').addEventListener('click', () => this.downloadChangeLog());
+
+        // Custom best-practice rules
+        const bpaRulesInput = document.getElementById('bpaRulesInput');
+        document.getElementById('bpaRulesFileBtn').addEventListener('click', () => bpaRulesInput.click());
+        bpaRulesInput.addEventListener('change', () => {
+            if (bpaRulesInput.files[0]) this.loadBPARulesFile(bpaRulesInput.files[0]);
+            bpaRulesInput.value = '';
+        });
+        document.getElementById('bpaRulesClearBtn').addEventListener('click', () => this.clearBPARulesFile());
+        document.getElementById('unusedDownloadBtn').addEventListener('click', () => this.downloadUnusedObjects());
+
+        // Formatted vs as-written DAX
+        document.querySelectorAll('#daxFormatToggle .view-toggle-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.format === this.daxFormat);
+            btn.addEventListener('click', () => this.setDaxFormat(btn.dataset.format));
+        });
+
+        // Perspective filter
+        document.getElementById('perspectiveSelect').addEventListener('change', (e) => this.setPerspective(e.target.value || null));
+        document.getElementById('perspectivesContent').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-perspective]');
+            if (btn) {
+                this.setPerspective(btn.dataset.perspective || null);
+                return;
+            }
+            const link = e.target.closest('.perspective-table-link');
+            if (link) {
+                e.preventDefault();
+                this.showTableDetail(link.dataset.table);
+            }
+        });
+
+        // Documentation culture
+        document.getElementById('translationsContent').addEventListener('change', (e) => {
+            if (e.target.id === 'docCultureSelect') this.setDocCulture(e.target.value || null);
+        });
+        document.getElementById('translationsContent').addEventListener('click', (e) => {
+            const link = e.target.closest('.perspective-table-link');
+            if (link) {
+                e.preventDefault();
+                this.showTableDetail(link.dataset.table);
+            }
+        });
+
         // Sidebar navigation
         document.querySelectorAll('.sidebar-header').forEach(header => {
             header.addEventListener('click', () => {
@@ -217,6 +289,13 @@ class App {
             });
         }
 
+        // Role simulation on the relationship diagram
+        document.getElementById('relSimulateRoleSelect')?.addEventListener('change', () => {
+            if (!this.parsedModel) return;
+            toggleOverview?.click();
+            this.renderRelationshipDiagram();
+        });
+
         // Dark mode toggle
         const themeBtn = document.getElementById('btnThemeToggle');
         if (themeBtn) {
@@ -393,6 +472,8 @@ class App {
     async findPBIPStructure() {
         this.semanticModelHandle = null;
         this.reportHandle = null;
+        this.reportHandles = [];
+        this.allReports = false;
 
         // Check if selected folder IS a .SemanticModel folder
         if (this.folderHandle.name.endsWith('.SemanticModel')) {
@@ -420,7 +501,7 @@ class App {
                 if (entry.name.endsWith('.SemanticModel')) {
                     allModels.push(entry);
                 } else if (entry.name.endsWith('.Report')) {
-                    allReports.push(entry);
+                    allReports.push({ handle: entry, name: entry.name, binding: await this._readReportBinding(entry) });
                 }
             }
         }
@@ -436,15 +517,17 @@ class App {
         // If exactly one model, auto-select it
         if (allModels.length === 1) {
             this.semanticModelHandle = allModels[0];
-            const modelPrefix = allModels[0].name.replace('.SemanticModel', '');
-            const matchingReports = allReports.filter(r => r.name.startsWith(modelPrefix));
+            const relations = allReports.map(r => ReportBinding.relation(r.binding, allModels[0].name, r.name));
+            const matchingReports = allReports.filter((r, i) => relations[i] && relations[i] !== 'thin');
+            const thinReports = allReports.filter((r, i) => relations[i] === 'thin');
 
-            if (matchingReports.length <= 1) {
+            if (matchingReports.length <= 1 && thinReports.length === 0) {
                 // 0 or 1 matching report — auto-proceed without discovery
-                this.reportHandle = matchingReports[0] || null;
+                this.reportHandles = matchingReports.map(r => r.handle);
+                this.reportHandle = this.reportHandles[0] || null;
                 return { needsDiscovery: false };
             }
-            // Multiple matching reports — show discovery so user can pick
+            // Several reports, or thin reports connected elsewhere — show discovery so user can pick
         }
 
         // Multiple models or multiple matching reports — show discovery
@@ -495,14 +578,12 @@ class App {
             }
             this.semanticModelHandle = models[parseInt(selectedModelIdx)];
 
-            // Get selected report(s)
+            // Get selected report(s); all are loaded together, and single reports can be picked from the folder bar
             const reportList = document.getElementById('discoveryReportList');
             const checkedReports = reportList.querySelectorAll('input:checked');
-            if (checkedReports.length > 0) {
-                this.reportHandle = reports[parseInt(checkedReports[0].value)];
-            } else {
-                this.reportHandle = null;
-            }
+            this.reportHandles = Array.from(checkedReports).map(input => reports[parseInt(input.value)].handle);
+            this.reportHandle = this.reportHandles[0] || null;
+            this.allReports = this.reportHandles.length > 1;
 
             document.getElementById('discoveryPanel').classList.add('hidden');
             this._proceedAfterSelection();
@@ -521,7 +602,6 @@ class App {
 
         const selectedModelIdx = parseInt(modelList.querySelector('input:checked')?.value || '0');
         const selectedModel = models[selectedModelIdx];
-        const modelPrefix = selectedModel.name.replace('.SemanticModel', '');
 
         reportList.innerHTML = '';
 
@@ -530,13 +610,14 @@ class App {
             return;
         }
 
-        // Filter to only show reports related to the selected model
+        // Reports bound to the selected model by definition.pbir come first and are pre-selected.
+        // Thin reports connected to another published model are listed unchecked with their target.
         const matchingReports = [];
         for (let i = 0; i < reports.length; i++) {
-            if (reports[i].name.startsWith(modelPrefix)) {
-                matchingReports.push({ report: reports[i], originalIndex: i });
-            }
+            const relation = ReportBinding.relation(reports[i].binding, selectedModel.name, reports[i].name);
+            if (relation) matchingReports.push({ report: reports[i], originalIndex: i, relation });
         }
+        matchingReports.sort((a, b) => (a.relation === 'thin') - (b.relation === 'thin'));
 
         if (matchingReports.length === 0) {
             reportHint.textContent = 'No related report folders found for this semantic model.';
@@ -545,14 +626,15 @@ class App {
 
         reportHint.textContent = matchingReports.length === 1
             ? 'Related report folder will be included.'
-            : 'Select which related report folders to include.';
+            : 'Select which report folders to include. Several reports can be loaded and switched between without reopening the folder.';
 
-        for (const { report, originalIndex } of matchingReports) {
+        for (const { report, originalIndex, relation } of matchingReports) {
+            const checked = relation !== 'thin';
             const item = document.createElement('label');
-            item.className = 'discovery-item selected';
-            item.innerHTML = `<input type="checkbox" name="discovery-report" value="${originalIndex}" checked>
+            item.className = 'discovery-item' + (checked ? ' selected' : '');
+            item.innerHTML = `<input type="checkbox" name="discovery-report" value="${originalIndex}" ${checked ? 'checked' : ''}>
                 <span class="discovery-item-name">${this._esc(report.name.replace('.Report', ''))}</span>
-                <span class="discovery-item-type">.Report</span>`;
+                <span class="discovery-item-type" title="${this._esc(report.binding?.dataSource || '')}">${this._esc(ReportBinding.describe(report.binding))}</span>`;
             item.querySelector('input').addEventListener('change', (e) => {
                 item.classList.toggle('selected', e.target.checked);
             });
@@ -565,6 +647,49 @@ class App {
         document.getElementById('discoveryPanel').classList.add('hidden');
         document.getElementById('folderInfo').classList.remove('hidden');
         document.getElementById('folderName').textContent = this.folderHandle.name;
+        this._renderReportSwitcher();
+        this.parseModel();
+    }
+
+    /**
+     * @returns {Object|null} ReportBinding.parse() of the report's definition.pbir, or null when missing
+     */
+    async _readReportBinding(reportHandle) {
+        try {
+            const pbirHandle = await reportHandle.getFileHandle('definition.pbir');
+            return ReportBinding.parse(await this.readFile(pbirHandle));
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Report picker in the folder bar, shown when several reports were selected
+     */
+    _renderReportSwitcher() {
+        const select = document.getElementById('reportSelect');
+        if (!select) return;
+        select.classList.toggle('hidden', this.reportHandles.length < 2);
+        select.innerHTML = `<option value="all" ${this.allReports ? 'selected' : ''}>All reports (${this.reportHandles.length})</option>` +
+            this.reportHandles.map((h, i) =>
+                `<option value="${i}" ${!this.allReports && h === this.reportHandle ? 'selected' : ''}>${this._esc(h.name.replace('.Report', ''))}</option>`
+            ).join('');
+    }
+
+    /**
+     * Load another of the selected reports against the same semantic model, or all of them
+     * @param {string} value - Index into reportHandles, or 'all'
+     */
+    switchReport(value) {
+        if (value === 'all') {
+            if (this.allReports) return;
+            this.allReports = true;
+        } else {
+            const handle = this.reportHandles[parseInt(value)];
+            if (!handle || (handle === this.reportHandle && !this.allReports)) return;
+            this.reportHandle = handle;
+            this.allReports = false;
+        }
         this.parseModel();
     }
 
@@ -576,6 +701,7 @@ class App {
         // Lazy-render flags
         this._diagramRendered = false;
         this._detailedERDRendered = false;
+        this._queryDiagramRendered = false;
         this._lineageRendered = false;
         this._fieldDiagramRendered = false;
 
@@ -587,10 +713,10 @@ class App {
         // Clear all diagram containers so previous dataset SVGs don't linger,
         // but preserve the static .diagram-controls toolbar that lives inside.
         const DIAGRAM_CONTAINERS = [
-            'relationshipsDiagram', 'detailedERDContainer',
+            'relationshipsDiagram', 'detailedERDContainer', 'queryDependenciesDiagram',
             'lineageDiagramContainer', 'lineageTraceDiagram',
             'lineageImpactDiagram', 'lineageColumnImpactDiagram',
-            'lineageSourceTraceDiagram', 'visualUsageByField',
+            'lineageMeasureTreeDiagram', 'lineageSecurityDiagram', 'lineageSourceTraceDiagram', 'visualUsageByField',
             'visualUsageByVisual'
         ];
         for (const id of DIAGRAM_CONTAINERS) {
@@ -602,7 +728,13 @@ class App {
         }
 
         // Clear lineage select options so they repopulate for the new dataset
-        for (const id of ['lineageVisualSelect', 'lineageMeasureSelect', 'lineageTableSelect', 'lineageColumnSelect', 'lineagePhysicalTableSelect']) {
+        for (const id of ['lineageVisualSelect', 'lineageMeasureSelect', 'lineageTableSelect', 'lineageColumnSelect', 'lineagePhysicalTableSelect', 'lineageTreeMeasureSelect', 'lineageRoleSelect', 'relSimulateRoleSelect',
+            'lineageTraceReportSelect', 'lineageImpactReportSelect', 'lineageColumnReportSelect']) {
+            const el = document.getElementById(id);
+            if (el) el.innerHTML = '';
+        }
+
+        for (const id of ['lineageMeasureTreeOutline', 'lineageSecuritySummary', 'relSecurityCoverage', 'lineageColumnImpactSummary']) {
             const el = document.getElementById(id);
             if (el) el.innerHTML = '';
         }
@@ -618,6 +750,23 @@ class App {
         const searchInput = document.getElementById('sidebarSearch');
         if (searchInput) searchInput.value = '';
 
+        // Rules found in the previous project folder; a file picked in the UI is kept
+        this.bpaResults = null;
+        this.projectBPARules = null;
+        this.unusedObjects = null;
+        this.measureHealth = null;
+        this.activePerspective = null;
+        this.perspectiveModel = null;
+        this.docCulture = null;
+
+        // Drop any baseline comparison — it was computed against the previous model
+        this.baselineModel = null;
+        this.modelDiff = null;
+        this.impactDiff = null;
+        document.getElementById('sidebarChangesCount')?.classList.add('hidden');
+        const changesDownload = document.getElementById('changesDownloadBtn');
+        if (changesDownload) changesDownload.disabled = true;
+
         // Null out static M-parser cache so it doesn't bleed across datasets
         if (typeof MExpressionParser !== 'undefined') MExpressionParser._declaredParams = null;
     }
@@ -648,9 +797,16 @@ class App {
             this.visualData = null;
             if (this.reportHandle) {
                 try {
-                    const reportPages = await this.readReportFiles();
+                    const reports = [];
+                    for (const handle of (this.allReports ? this.reportHandles : [this.reportHandle])) {
+                        reports.push({
+                            reportName: handle.name.replace('.Report', ''),
+                            pages: await this.readReportFiles(handle),
+                            definition: await this.readReportDefinition(handle)
+                        });
+                    }
                     const visualParser = new VisualParser();
-                    this.visualData = visualParser.parseReport(reportPages);
+                    this.visualData = visualParser.parseReports(reports);
                 } catch (err) {
                     console.warn('Could not parse report visuals:', err);
                 }
@@ -664,6 +820,10 @@ class App {
             );
             this.lineageEngine.buildGraph();
             this._bindTraceButtonDelegation();
+            this.unusedObjects = new UnusedObjects(this.parsedModel, this.lineageEngine, this.visualData?.fieldUsageMap);
+            this.unusedObjects.analyze();
+            this.measureHealth = new MeasureHealth(this.parsedModel, this.lineageEngine);
+            this.measureHealth.analyze();
 
             // Create doc generator
             this.docGenerator = new DocGenerator(
@@ -672,6 +832,10 @@ class App {
                 this.measureRefs,
                 this.lineageEngine
             );
+            this.docGenerator.measureHealth = this.measureHealth;
+            this.docGenerator.daxFormat = this.daxFormat;
+            await this._loadProjectBPARules();
+            this._runBestPractices();
 
             // Update UI
             this.updateStats();
@@ -797,6 +961,9 @@ class App {
             this.folderHandle = null;
             this.semanticModelHandle = null;
             this.reportHandle = null;
+            this.reportHandles = [];
+            this.allReports = false;
+            this._renderReportSwitcher();
 
             const resp = await fetch('samples/contoso.json');
             if (!resp.ok) {
@@ -822,6 +989,10 @@ class App {
             );
             this.lineageEngine.buildGraph();
             this._bindTraceButtonDelegation();
+            this.unusedObjects = new UnusedObjects(this.parsedModel, this.lineageEngine, this.visualData?.fieldUsageMap || data.fieldUsageMap);
+            this.unusedObjects.analyze();
+            this.measureHealth = new MeasureHealth(this.parsedModel, this.lineageEngine);
+            this.measureHealth.analyze();
 
             // Create doc generator
             this.docGenerator = new DocGenerator(
@@ -830,6 +1001,9 @@ class App {
                 this.measureRefs,
                 this.lineageEngine
             );
+            this.docGenerator.measureHealth = this.measureHealth;
+            this.docGenerator.daxFormat = this.daxFormat;
+            this._runBestPractices();
 
             // Update UI
             this.updateStats();
@@ -893,9 +1067,9 @@ class App {
         }
     }
 
-    async readAllTMDLFiles() {
+    async readAllTMDLFiles(modelHandle = this.semanticModelHandle) {
         const files = {};
-        const defHandle = await this.semanticModelHandle.getDirectoryHandle('definition');
+        const defHandle = await modelHandle.getDirectoryHandle('definition');
 
         // Read top-level files
         for await (const entry of defHandle.values()) {
@@ -916,36 +1090,38 @@ class App {
             console.warn('No tables folder found');
         }
 
-        // Read roles/*.tmdl
-        try {
-            const rolesHandle = await defHandle.getDirectoryHandle('roles');
-            for await (const entry of rolesHandle.values()) {
-                if (entry.kind === 'file' && entry.name.endsWith('.tmdl')) {
-                    files[`roles/${entry.name}`] = await this.readFile(entry);
+        // Read roles/*.tmdl and perspectives/*.tmdl
+        for (const folder of ['roles', 'perspectives', 'cultures']) {
+            try {
+                const folderHandle = await defHandle.getDirectoryHandle(folder);
+                for await (const entry of folderHandle.values()) {
+                    if (entry.kind === 'file' && entry.name.endsWith('.tmdl')) {
+                        files[`${folder}/${entry.name}`] = await this.readFile(entry);
+                    }
                 }
+            } catch {
+                // both folders are optional
             }
-        } catch {
-            // roles/ is optional
         }
 
         return files;
     }
 
-    async readReportFiles() {
+    async readReportFiles(reportHandle = this.reportHandle) {
         const pages = [];
         let defHandle;
 
         try {
-            defHandle = await this.reportHandle.getDirectoryHandle('definition');
+            defHandle = await reportHandle.getDirectoryHandle('definition');
         } catch {
-            return pages;
+            return this.readLegacyReportFile(reportHandle);
         }
 
         let pagesHandle;
         try {
             pagesHandle = await defHandle.getDirectoryHandle('pages');
         } catch {
-            return pages;
+            return this.readLegacyReportFile(reportHandle);
         }
 
         for await (const pageEntry of pagesHandle.values()) {
@@ -958,6 +1134,7 @@ class App {
             let pageWidth = null;
             let pageHeight = null;
             let pageBinding = null;
+            let filterConfig = null;
             try {
                 const pageJsonHandle = await pageEntry.getFileHandle('page.json');
                 const pageContent = await this.readFile(pageJsonHandle);
@@ -967,6 +1144,7 @@ class App {
                 pageWidth = pageData.width || null;
                 pageHeight = pageData.height || null;
                 pageBinding = pageData.pageBinding || null;
+                filterConfig = pageData.filterConfig || null;
             } catch {
                 // OK, use folder name
             }
@@ -1002,6 +1180,7 @@ class App {
                 pageWidth,
                 pageHeight,
                 pageBinding,
+                filterConfig,
                 visuals
             });
         }
@@ -1009,6 +1188,63 @@ class App {
         return pages;
     }
 
+    /**
+     * Report-level filters and bookmarks, from definition/report.json and definition/bookmarks,
+     * or from the config of a PBIR-Legacy report.json
+     */
+    async readReportDefinition(reportHandle = this.reportHandle) {
+        const definition = { filterConfig: null, bookmarks: [] };
+        let defHandle;
+
+        try {
+            defHandle = await reportHandle.getDirectoryHandle('definition');
+        } catch {
+            try {
+                const reportJsonHandle = await reportHandle.getFileHandle('report.json');
+                return VisualParser.fromLegacyReportDefinition(await this.readFile(reportJsonHandle));
+            } catch {
+                return definition;
+            }
+        }
+
+        try {
+            const reportJsonHandle = await defHandle.getFileHandle('report.json');
+            definition.filterConfig = JSON.parse(await this.readFile(reportJsonHandle)).filterConfig || null;
+        } catch {
+            // No report-level filters
+        }
+
+        try {
+            const bookmarksHandle = await defHandle.getDirectoryHandle('bookmarks');
+            for await (const entry of bookmarksHandle.values()) {
+                if (entry.kind !== 'file' || !entry.name.endsWith('.bookmark.json')) continue;
+                try {
+                    definition.bookmarks.push(JSON.parse(await this.readFile(entry)));
+                } catch {
+                    // Skip unreadable bookmarks
+                }
+            }
+        } catch {
+            // No bookmarks folder
+        }
+
+        return definition;
+    }
+
+    /**
+     * Pages from a PBIR-Legacy report.json, for reports not yet saved in the PBIR folder format
+     */
+    async readLegacyReportFile(reportHandle = this.reportHandle) {
+        let content;
+        try {
+            const reportJsonHandle = await reportHandle.getFileHandle('report.json');
+            content = await this.readFile(reportJsonHandle);
+        } catch {
+            return [];
+        }
+        return VisualParser.fromLegacyReport(content, msg => console.warn(msg));
+    }
+
     async readFile(fileHandle) {
         const file = await fileHandle.getFile();
         return await file.text();
@@ -1035,6 +1271,11 @@ class App {
         const totalDataSources = this.lineageEngine ? this.lineageEngine.getAllDataSources().length : 0;
         document.getElementById('statDataSources').textContent = totalDataSources;
 
+        // Best-practice findings (errors + warnings headline, info in the hint)
+        const bpa = this.bpaResults?.counts || { error: 0, warning: 0, info: 0 };
+        document.getElementById('statBPA').textContent = bpa.error + bpa.warning;
+        document.getElementById('statBPAHint').textContent = bpa.info > 0 ? `+ ${bpa.info} info` : '';
+
         // Visuals hint and dimmed state
         const visualsCard = document.getElementById('statVisualsCard');
         const visualsHint = document.getElementById('statVisualsHint');
@@ -1053,13 +1294,36 @@ class App {
     }
 
     buildSidebar() {
-        const m = this.parsedModel;
+        const m = this._viewModel();
         const totalMeasures = m.tables.reduce((sum, t) => sum + t.measures.length, 0);
 
         document.getElementById('sidebarTableCount').textContent = m.tables.length;
         document.getElementById('sidebarMeasureCount').textContent = totalMeasures;
         document.getElementById('sidebarRelCount').textContent = m.relationships.length;
         document.getElementById('sidebarRoleCount').textContent = m.roles.length;
+        document.getElementById('sidebarBPACount').textContent = this.bpaResults ? this.bpaResults.counts.total : 0;
+        document.getElementById('sidebarUnusedCount').textContent = this.unusedObjects ? this.unusedObjects.result.summary.total : 0;
+        document.getElementById('sidebarHealthCount').textContent = this.measureHealth ? this.measureHealth.result.summary.needsAttention : 0;
+
+        // Perspective filter and section
+        const perspectives = this.parsedModel.perspectives || [];
+        const perspectiveFilter = document.getElementById('sidebarPerspectiveFilter');
+        perspectiveFilter.classList.toggle('hidden', perspectives.length === 0);
+        perspectiveFilter.classList.toggle('active', !!this.activePerspective);
+        document.getElementById('perspectiveSelect').innerHTML = '<option value="">All objects</option>' + perspectives
+            .map(p => `<option value="${this._esc(p.name)}"${p.name === this.activePerspective ? ' selected' : ''}>${this._esc(p.name)}</option>`)
+            .join('');
+        document.getElementById('sidebarPerspectivesSection').classList.toggle('hidden', perspectives.length === 0);
+        document.getElementById('sidebarPerspectiveCount').textContent = perspectives.length;
+
+        // Translations section (cultures other than the model's own)
+        const cultureCount = (this.parsedModel.cultures || []).filter(c => c.name !== this.parsedModel.model?.culture).length;
+        document.getElementById('sidebarTranslationsSection').classList.toggle('hidden', cultureCount === 0);
+        document.getElementById('sidebarCultureCount').textContent = cultureCount;
+
+        // Refresh & Storage: incremental refresh problems worth a look
+        const refreshSummary = RefreshStorage.analyze(m, new Date(), this.lineageEngine?.folding).summary;
+        document.getElementById('sidebarRefreshCount').textContent = refreshSummary.errors + refreshSummary.warnings;
 
         // Report Pages list
         const pageSectionEl = document.getElementById('sidebarReportPagesSection');
@@ -1154,7 +1418,7 @@ class App {
 
         // Build measure lookup (table sidebar items that have matching measures)
         const measureMatchTables = new Set();
-        for (const table of this.parsedModel.tables) {
+        for (const table of this._viewModel().tables) {
             for (const measure of table.measures) {
                 if (measure.name.toLowerCase().includes(q) ||
                     (measure.description && measure.description.toLowerCase().includes(q))) {
@@ -1222,11 +1486,18 @@ class App {
             requestAnimationFrame(() => requestAnimationFrame(() => this.renderRelationshipDiagram()));
         }
         if (section === 'roles') this.renderRoles();
+        if (section === 'perspectives') this.renderPerspectivesView();
+        if (section === 'translations') this.renderTranslationsView();
         if (section === 'expressions') this.renderExpressions();
         if (section === 'visual-usage') this.renderVisualUsageView();
         if (section === 'lineage') this.renderLineageView();
         if (section === 'data-sources') this.renderDataSourcesView();
+        if (section === 'refresh-storage') this.renderRefreshStorageView();
         if (section === 'dynamic-features') this.renderDynamicFeaturesView();
+        if (section === 'best-practices') this.renderBestPracticesView();
+        if (section === 'unused-objects') this.renderUnusedObjectsView();
+        if (section === 'measure-health') this.renderMeasureHealthView();
+        if (section === 'changes') this.renderChangesView();
 
         // Milestone tracking for sponsor prompt
         this._trackMilestone(section);
@@ -1234,7 +1505,9 @@ class App {
     }
 
     showTableDetail(tableName) {
-        const table = this.parsedModel.tables.find(t => t.name === tableName);
+        // Tables outside the active perspective (e.g. linked from Best Practices) open unfiltered
+        const table = this._viewModel().tables.find(t => t.name === tableName)
+            || this.parsedModel.tables.find(t => t.name === tableName);
         if (!table) return;
 
         // Milestone tracking
@@ -1294,11 +1567,12 @@ class App {
                 html += `<div class="calc-item-card">
                     <h4>${this._esc(item.name)} <span class="badge badge-calc">Calc Item</span></h4>`;
                 if (item.expression) {
-                    const lines = item.expression.split('\n');
+                    const dax = this._daxText(item.expression);
+                    const lines = dax.split('\n');
                     const shouldTruncate = lines.length > 5;
                     const daxId = `dax-${Math.random().toString(36).substr(2, 9)}`;
                     html += `<details><summary>Expression</summary>` +
-                        `<div class="dax-block${shouldTruncate ? ' truncated' : ''}" id="${daxId}">${this._esc(item.expression)}</div>` +
+                        `<div class="dax-block${shouldTruncate ? ' truncated' : ''}" id="${daxId}">${this._esc(dax)}</div>` +
                         (shouldTruncate ? `<button type="button" class="btn-dax-toggle" data-target="${daxId}">Show more</button>` : '') +
                         `</details>`;
                 }
@@ -1390,6 +1664,31 @@ class App {
             }
         }
 
+        // Annotations and lineage tags
+        const annotationRows = this.docGenerator ? this.docGenerator._getAnnotationRows(table) : [];
+        if (annotationRows.length > 0) {
+            html += `<h3>Annotations (${annotationRows.length})</h3>`;
+            html += `<table><tr><th>Object</th><th>Annotation</th><th>Value</th></tr>`;
+            for (const a of annotationRows) {
+                html += `<tr><td>${this._esc(a.object)}</td><td>${this._esc(a.name)}</td><td class="annotation-value">${this._esc(a.value)}</td></tr>`;
+            }
+            html += '</table>';
+        }
+        const tagged = [
+            { label: table.name, obj: table },
+            ...table.columns.map(c => ({ label: `${table.name}[${c.name}]`, obj: c })),
+            ...table.measures.map(m => ({ label: `[${m.name}]`, obj: m })),
+            ...table.hierarchies.map(h => ({ label: `${table.name} › ${h.name}`, obj: h }))
+        ].filter(t => t.obj.lineageTag);
+        if (tagged.length > 0) {
+            html += `<details class="lineage-tags"><summary>Lineage tags (${tagged.length})</summary>
+                <table><tr><th>Object</th><th>lineageTag</th><th>sourceLineageTag</th></tr>`;
+            for (const t of tagged) {
+                html += `<tr><td>${this._esc(t.label)}</td><td><code>${this._esc(t.obj.lineageTag)}</code></td><td>${t.obj.sourceLineageTag ? `<code>${this._esc(t.obj.sourceLineageTag)}</code>` : ''}</td></tr>`;
+            }
+            html += '</table></details>';
+        }
+
         // Incremental Refresh Policy
         if (table.refreshPolicy) {
             const rp = table.refreshPolicy;
@@ -1404,6 +1703,10 @@ class App {
                 html += `<span>· Incremental: <strong>${rp.incrementalPeriods} ${this._esc(rp.incrementalGranularity)}${rp.incrementalPeriods !== 1 ? 's' : ''}</strong></span>`;
             }
             html += `</div>`;
+            const rpWindow = RefreshStorage.policyWindow(rp);
+            if (rpWindow) {
+                html += `<div style="margin-top:8px">${this._refreshTimelineHtml({ refreshPolicy: rp, window: rpWindow })}</div>`;
+            }
             if (rp.sourceExpression) {
                 const rpId = `rp-${Math.random().toString(36).substr(2, 9)}`;
                 const lines = rp.sourceExpression.split('\n');
@@ -1420,18 +1723,53 @@ class App {
         if (this.lineageEngine && this.lineageEngine.mSteps) {
             const steps = this.lineageEngine.mSteps.get(tableName);
             if (steps && steps.length > 0) {
+                // Model columns each step creates or changes, from the per-column lineage
+                const columnLineage = this.lineageEngine.columnLineage?.get(tableName) || new Map();
+                const stepColumns = new Map();
+                for (const [column, lineage] of columnLineage) {
+                    for (const s of lineage.steps) {
+                        if (s.query !== null) continue;
+                        if (!stepColumns.has(s.step)) stepColumns.set(s.step, []);
+                        if (!stepColumns.get(s.step).includes(column)) stepColumns.get(s.step).push(column);
+                    }
+                }
+
+                // Folding badges only mean something for sources that fold
+                const folding = this.lineageEngine.folding?.get(tableName) || null;
+                const stepFolding = new Map((folding?.foldable ? folding.steps : []).map(s => [s.name, s]));
+
                 html += `<h3>Power Query Steps (${steps.length})</h3>`;
+                if (folding) {
+                    const state = !folding.foldable ? 'none' : folding.breakingStep ? 'breaks' : 'folds';
+                    html += `<p class="folding-summary folding-summary-${state}"><span class="material-symbols-outlined">${state === 'breaks' ? 'warning' : state === 'folds' ? 'check_circle' : 'info'}</span>${this._esc(MExpressionParser.describeFolding(folding))}</p>`;
+                }
                 html += `<ol class="m-steps-list">`;
                 for (const step of steps) {
                     const kindClass = `m-step-kind-${step.kind.toLowerCase()}`;
                     const truncated = step.exprText.length > 200 ? step.exprText.slice(0, 200) + '…' : step.exprText;
+                    const columns = stepColumns.get(step.name) || [];
+                    const fold = stepFolding.get(step.name);
+                    const foldTitle = fold?.folding === 'breaks' ? `${fold.function}: ${fold.reason}`
+                        : fold?.folding === 'local' ? 'Runs in the mashup engine after folding stopped' : 'Folds into the source query';
                     html += `<li class="m-step-item">
                         <span class="m-step-name">${this._esc(step.name)}</span>
                         <span class="m-step-kind ${kindClass}">${this._esc(step.kind)}</span>
+                        ${fold ? `<span class="m-step-folding m-step-folding-${fold.folding}" title="${this._esc(foldTitle)}">${{ folds: 'Folds', breaks: 'Breaks folding', local: 'Local' }[fold.folding]}</span>` : ''}
                         <code class="m-step-expr">${this._esc(truncated)}</code>
+                        ${columns.length > 0 ? `<span class="m-step-columns" title="Model columns this step creates or changes">→ ${columns.map(c => this._esc(c)).join(', ')}</span>` : ''}
                     </li>`;
                 }
                 html += `</ol>`;
+
+                const derived = [...columnLineage].filter(([, lineage]) => lineage.kind !== 'source');
+                if (derived.length > 0) {
+                    html += `<h3>Column Lineage (${derived.length})</h3>`;
+                    html += `<table><tr><th>Column</th><th>Built from</th></tr>`;
+                    for (const [column, lineage] of derived) {
+                        html += `<tr><td>${this._esc(column)}</td><td>${this._esc(MExpressionParser.describeColumnLineage(lineage))}</td></tr>`;
+                    }
+                    html += `</table>`;
+                }
             }
         }
 
@@ -1558,7 +1896,7 @@ class App {
                     <span class="material-symbols-outlined insight-card-icon">error</span>
                     <div class="insight-card-text">
                         <strong>${brokenRefs.length} Broken Reference${brokenRefs.length !== 1 ? 's' : ''}</strong>
-                        Some visuals reference fields that don't exist in the semantic model.
+                        ${brokenRefs.some(r => r.visual.startsWith('role:')) ? 'Row-level security filters or visuals' : 'Some visuals'} reference fields that don't exist in the semantic model.
                     </div>
                 </div>`;
             }
@@ -1619,7 +1957,7 @@ class App {
     }
 
     renderTables() {
-        const m = this.parsedModel;
+        const m = this._viewModel();
         let html = '<table><tr><th>Table</th><th>Columns</th><th>Measures</th><th>Hierarchies</th><th>Hidden</th></tr>';
 
         for (const t of m.tables) {
@@ -1644,7 +1982,7 @@ class App {
     }
 
     renderMeasureCatalog() {
-        const m = this.parsedModel;
+        const m = this._viewModel();
 
         // Group by display folder
         const byFolder = {};
@@ -1723,6 +2061,16 @@ class App {
                     }
                     html += '</table>';
                 }
+                const lineage = this.lineageEngine?.getRoleLineage(role.name);
+                if (lineage) {
+                    for (const ref of lineage.brokenRefs) {
+                        html += `<div class="security-warning"><span class="material-symbols-outlined" style="font-size:16px">gpp_maybe</span> ${this._esc(ref.table)}[${this._esc(ref.column)}] is not in the model</div>`;
+                    }
+                    if (lineage.securedTables.length > 0) {
+                        html += `<p><strong>Also secured through relationships:</strong> ${lineage.securedTables.map(t => this._esc(t.table)).join(', ')}</p>`;
+                    }
+                    html += `<p><button type="button" class="role-lineage-link" data-role="${this._esc(role.name)}">Security lineage</button></p>`;
+                }
             }
         }
 
@@ -1752,12 +2100,28 @@ class App {
         const expressionsEl = document.getElementById('expressionsContent');
         expressionsEl.innerHTML = html;
         this._bindDaxToggles(expressionsEl);
+
+        if (!this._queryDiagramRendered) {
+            this._queryDiagramRendered = true;
+            const graph = this.lineageEngine?.queryGraph || MExpressionParser.buildQueryDependencyGraph(m);
+            new DiagramRenderer(document.getElementById('queryDependenciesDiagram')).renderQueryDependencyDiagram(graph);
+        }
     }
 
     _bindTraceButtonDelegation() {
         if (this._traceDelegationBound) return;
         this._traceDelegationBound = true;
         document.getElementById('mainContent').addEventListener('click', (e) => {
+            const treeLink = e.target.closest('.measure-tree-link[data-measure]');
+            if (treeLink) {
+                this._showMeasureTree(treeLink.dataset.measure, false);
+                return;
+            }
+            const roleLink = e.target.closest('.role-lineage-link[data-role]');
+            if (roleLink) {
+                this._showRoleLineage(roleLink.dataset.role);
+                return;
+            }
             const traceBtn = e.target.closest('.btn-trace-lineage[data-page][data-visual]');
             if (!traceBtn) return;
             const pageName = traceBtn.dataset.page;
@@ -1770,7 +2134,15 @@ class App {
             document.getElementById('lineageFullView').classList.add('hidden');
             document.getElementById('lineageTraceView').classList.remove('hidden');
             document.getElementById('lineageImpactView').classList.add('hidden');
-            // Set select and render
+            document.getElementById('lineageMeasureTreeView').classList.add('hidden');
+            document.getElementById('lineageSecurityView').classList.add('hidden');
+            // Set select and render; clear the report filter so the visual is listed
+            this._populateReportSelects();
+            const reportSel = document.getElementById('lineageTraceReportSelect');
+            if (reportSel.value) {
+                reportSel.value = '';
+                document.getElementById('lineageVisualSelect').innerHTML = '';
+            }
             this._populateVisualSelect();
             const sel = document.getElementById('lineageVisualSelect');
             sel.value = `${pageName}|||${visualName}`;
@@ -1798,12 +2170,17 @@ class App {
                 document.getElementById('lineageSourceView').classList.toggle('hidden', view !== 'source-trace');
                 document.getElementById('lineageImpactView').classList.toggle('hidden', view !== 'impact');
                 document.getElementById('lineageColumnImpactView').classList.toggle('hidden', view !== 'column-impact');
+                document.getElementById('lineageMeasureTreeView').classList.toggle('hidden', view !== 'measure-tree');
+                document.getElementById('lineageSecurityView').classList.toggle('hidden', view !== 'security');
                 document.getElementById('lineageDetailPanel').classList.add('hidden');
                 if (view === 'full' && !this._lineageRendered) this._renderFullLineage();
+                this._populateReportSelects();
                 if (view === 'trace') this._populateVisualSelect();
                 if (view === 'source-trace') this._populatePhysicalTableSelect();
                 if (view === 'impact') this._populateMeasureSelect();
                 if (view === 'column-impact') this._populateTableSelect();
+                if (view === 'measure-tree') this._populateMeasureSelect('lineageTreeMeasureSelect');
+                if (view === 'security') this._populateRoleSelect();
             });
 
             // Trace button
@@ -1824,7 +2201,20 @@ class App {
                 if (!measureName) return;
                 const container = document.getElementById('lineageImpactDiagram');
                 const renderer = new LineageDiagramRenderer(container, this.lineageEngine);
-                renderer.renderMeasureImpact(container, measureName);
+                renderer.renderMeasureImpact(container, measureName, document.getElementById('lineageImpactReportSelect').value || null);
+            });
+
+            // Measure Tree button
+            document.getElementById('lineageMeasureTreeBtn').addEventListener('click', () => {
+                const measureName = document.getElementById('lineageTreeMeasureSelect').value;
+                if (!measureName) return;
+                this._renderMeasureTree(measureName, document.getElementById('lineageTreeDirectionSelect').value === 'dependents');
+            });
+
+            // Security button
+            document.getElementById('lineageSecurityBtn').addEventListener('click', () => {
+                const roleName = document.getElementById('lineageRoleSelect').value;
+                if (roleName) this._renderRoleLineage(roleName);
             });
 
             // Column Impact button
@@ -1832,9 +2222,17 @@ class App {
                 const tableSel = document.getElementById('lineageTableSelect');
                 const colSel = document.getElementById('lineageColumnSelect');
                 if (!tableSel.value || !colSel.value) return;
+                this._renderColumnMLineage(tableSel.value, colSel.value);
                 const container = document.getElementById('lineageColumnImpactDiagram');
                 const renderer = new LineageDiagramRenderer(container, this.lineageEngine);
-                renderer.renderColumnImpact(container, tableSel.value, colSel.value);
+                renderer.renderColumnImpact(container, tableSel.value, colSel.value,
+                    document.getElementById('lineageColumnReportSelect').value || null);
+            });
+
+            // Report filter narrows the visual list for Visual Trace
+            document.getElementById('lineageTraceReportSelect').addEventListener('change', () => {
+                document.getElementById('lineageVisualSelect').innerHTML = '';
+                this._populateVisualSelect();
             });
 
             // Source Trace button
@@ -1873,11 +2271,27 @@ class App {
         this.lineageDiagramRenderer.renderFullLineage(container);
     }
 
+    /**
+     * Fill the report filters of the lineage views; they stay hidden unless several reports are loaded
+     */
+    _populateReportSelects() {
+        const reports = this._reportNames();
+        for (const id of ['lineageTraceReportSelect', 'lineageImpactReportSelect', 'lineageColumnReportSelect']) {
+            const sel = document.getElementById(id);
+            sel.closest('.lineage-report-filter').classList.toggle('hidden', reports.length === 0);
+            if (sel.options.length > 0 || reports.length === 0) continue;
+            sel.innerHTML = '<option value="">All reports</option>' +
+                reports.map(r => `<option value="${this._esc(r)}">${this._esc(r)}</option>`).join('');
+        }
+    }
+
     _populateVisualSelect() {
         const sel = document.getElementById('lineageVisualSelect');
         if (sel.options.length > 0) return; // Already populated
         if (!this.visualData) return;
+        const report = document.getElementById('lineageTraceReportSelect').value;
         for (const visual of this.visualData.visuals) {
+            if (report && visual.reportName !== report) continue;
             const opt = document.createElement('option');
             opt.value = `${visual.pageName}|||${visual.visualName}`;
             opt.textContent = `${visual.pageName} — ${visual.visualName}`;
@@ -1885,8 +2299,8 @@ class App {
         }
     }
 
-    _populateMeasureSelect() {
-        const sel = document.getElementById('lineageMeasureSelect');
+    _populateMeasureSelect(selectId = 'lineageMeasureSelect') {
+        const sel = document.getElementById(selectId);
         if (sel.options.length > 0) return; // Already populated
         for (const table of this.parsedModel.tables) {
             for (const measure of table.measures) {
@@ -1934,12 +2348,155 @@ class App {
         document.getElementById('lineageSourceView').classList.remove('hidden');
         document.getElementById('lineageImpactView').classList.add('hidden');
         document.getElementById('lineageColumnImpactView').classList.add('hidden');
+        document.getElementById('lineageMeasureTreeView').classList.add('hidden');
+        document.getElementById('lineageSecurityView').classList.add('hidden');
         this._populatePhysicalTableSelect(schema, table);
         const container = document.getElementById('lineageSourceTraceDiagram');
         const renderer = new LineageDiagramRenderer(container, this.lineageEngine);
         renderer.renderSourceTrace(container, table, schema || null);
     }
 
+    /**
+     * Open the Measure Tree view of the lineage section on one measure
+     */
+    _showMeasureTree(measureName, reverse) {
+        this.showSection('lineage');
+        const toggle = document.getElementById('lineageToggle');
+        toggle.querySelectorAll('.view-toggle-btn').forEach(b => b.classList.toggle('active', b.dataset.view === 'measure-tree'));
+        for (const id of ['lineageFullView', 'lineageTraceView', 'lineageSourceView', 'lineageImpactView', 'lineageColumnImpactView', 'lineageSecurityView']) {
+            document.getElementById(id).classList.add('hidden');
+        }
+        document.getElementById('lineageMeasureTreeView').classList.remove('hidden');
+        this._populateMeasureSelect('lineageTreeMeasureSelect');
+        document.getElementById('lineageTreeMeasureSelect').value = measureName;
+        document.getElementById('lineageTreeDirectionSelect').value = reverse ? 'dependents' : 'dependencies';
+        this._renderMeasureTree(measureName, reverse);
+    }
+
+    /**
+     * Collapsible outline of the dependency tree above its diagram
+     */
+    _renderMeasureTree(measureName, reverse) {
+        const outline = document.getElementById('lineageMeasureTreeOutline');
+        const tree = this.lineageEngine.getMeasureDependencyTree(measureName, { reverse });
+        if (!tree) {
+            outline.innerHTML = '';
+            return;
+        }
+
+        const renderNode = (node) => {
+            const label = node.type === 'measure'
+                ? `<span class="measure-tree-measure">[${this._esc(node.name)}]</span> <span class="measure-tree-table">${this._esc(node.table)}</span>`
+                : `<code class="measure-tree-column">${this._esc(node.table)}[${this._esc(node.name)}]</code>`;
+            let flags = '';
+            if (node.circular) flags += ' <span class="measure-tree-flag measure-tree-flag-circular">circular</span>';
+            if (node.repeated) flags += ' <span class="measure-tree-flag" title="This measure\'s dependencies are expanded where it first appears">shown above</span>';
+            if (node.deep) flags += ` <span class="measure-tree-flag" title="More than ${LineageEngine.MEASURE_DEPTH_WARNING} levels deep">level ${node.level}</span>`;
+            if (node.children.length === 0) return `<li class="measure-tree-leaf">${label}${flags}</li>`;
+            return `<li><details open><summary>${label}${flags} <span class="measure-tree-count">${node.children.length}</span></summary>` +
+                `<ul>${node.children.map(renderNode).join('')}</ul></details></li>`;
+        };
+
+        const notes = [];
+        notes.push(`${tree.maxDepth} level${tree.maxDepth !== 1 ? 's' : ''} ${reverse ? 'of dependents' : 'deep'}`);
+        if (tree.deepNodes > 0) notes.push(`${tree.deepNodes} node${tree.deepNodes !== 1 ? 's' : ''} beyond level ${LineageEngine.MEASURE_DEPTH_WARNING}`);
+        let html = `<div class="measure-tree-summary">${notes.join(' · ')}</div>`;
+        for (const cycle of tree.cycles) {
+            html += `<div class="measure-tree-cycle"><span class="material-symbols-outlined" style="font-size:16px">sync_problem</span> Circular dependency: ${cycle.map(m => `[${this._esc(m)}]`).join(' \u2192 ')}</div>`;
+        }
+        html += `<ul class="measure-tree-root">${renderNode(tree.root)}</ul>`;
+        outline.innerHTML = html;
+
+        const container = document.getElementById('lineageMeasureTreeDiagram');
+        const renderer = new LineageDiagramRenderer(container, this.lineageEngine);
+        renderer.renderMeasureTree(container, measureName, reverse);
+    }
+
+    _populateRoleSelect(selectId = 'lineageRoleSelect', emptyLabel = null) {
+        const sel = document.getElementById(selectId);
+        if (sel.options.length > 0) return; // Already populated
+        if (emptyLabel) sel.appendChild(new Option(emptyLabel, ''));
+        for (const role of (this.parsedModel.roles || [])) {
+            const opt = document.createElement('option');
+            opt.value = role.name;
+            opt.textContent = role.name;
+            sel.appendChild(opt);
+        }
+    }
+
+    /**
+     * Open the Security view of the lineage section on one role
+     */
+    _showRoleLineage(roleName) {
+        this.showSection('lineage');
+        const toggle = document.getElementById('lineageToggle');
+        toggle.querySelectorAll('.view-toggle-btn').forEach(b => b.classList.toggle('active', b.dataset.view === 'security'));
+        for (const id of ['lineageFullView', 'lineageTraceView', 'lineageSourceView', 'lineageImpactView', 'lineageColumnImpactView', 'lineageMeasureTreeView']) {
+            document.getElementById(id).classList.add('hidden');
+        }
+        document.getElementById('lineageSecurityView').classList.remove('hidden');
+        this._populateRoleSelect();
+        document.getElementById('lineageRoleSelect').value = roleName;
+        this._renderRoleLineage(roleName);
+    }
+
+    /**
+     * Power Query lineage above the column impact diagram: what the column is built from, step by step
+     */
+    _renderColumnMLineage(tableName, columnName) {
+        const summary = document.getElementById('lineageColumnImpactSummary');
+        const lineage = this.lineageEngine.getColumnMLineage(tableName, columnName);
+        if (!lineage || lineage.sources.length + lineage.steps.length === 0) {
+            summary.innerHTML = '';
+            return;
+        }
+
+        let html = `<p><strong>Power Query:</strong> ${this._esc(MExpressionParser.describeColumnLineage(lineage))}</p>`;
+        if (lineage.steps.length > 0) {
+            html += `<ol class="m-steps-list">`;
+            for (const s of lineage.steps) {
+                html += `<li class="m-step-item">
+                    <span class="m-step-name">${this._esc(s.query ? `${s.query} › ${s.step}` : s.step)}</span>
+                    <span class="m-step-kind m-step-kind-${s.kind.toLowerCase()}">${this._esc(s.kind)}</span>
+                    <code class="m-step-expr">${this._esc(s.detail)}</code>
+                </li>`;
+            }
+            html += `</ol>`;
+        }
+        summary.innerHTML = html;
+    }
+
+    /**
+     * Filter expressions and missing-column warnings above the role's security diagram
+     */
+    _renderRoleLineage(roleName) {
+        const summary = document.getElementById('lineageSecuritySummary');
+        const lineage = this.lineageEngine.getRoleLineage(roleName);
+        if (!lineage) {
+            summary.innerHTML = '';
+            return;
+        }
+
+        let html = '';
+        for (const ref of lineage.brokenRefs) {
+            html += `<div class="security-warning"><span class="material-symbols-outlined" style="font-size:16px">gpp_maybe</span> The filter on ${this._esc(ref.filterTable)} reads ${this._esc(ref.table)}[${this._esc(ref.column)}], which is not in the model — the column was renamed or removed and the filter no longer works as intended</div>`;
+        }
+        if (lineage.filters.length === 0) {
+            html += '<div class="security-filter">This role has no table filters.</div>';
+        }
+        for (const f of lineage.filters) {
+            html += `<div class="security-filter"><strong>${this._esc(f.table)}</strong>: <code>${this._esc(f.expression)}</code></div>`;
+        }
+        if (lineage.securedTables.length > 0) {
+            html += `<div class="security-filter">Also secured through relationships: ${lineage.securedTables.map(t => this._esc(t.table)).join(', ')}</div>`;
+        }
+        summary.innerHTML = html;
+
+        const container = document.getElementById('lineageSecurityDiagram');
+        const renderer = new LineageDiagramRenderer(container, this.lineageEngine);
+        renderer.renderRoleLineage(container, roleName);
+    }
+
     // ── Lineage Detail Panel ──
 
     _showLineageDetail(type, id) {
@@ -2067,7 +2624,7 @@ class App {
             }
 
             // Measures referencing this column
-            const refMeasures = engine.edges.filter(e => e.type === 'references_column' && e.to === id);
+            const refMeasures = engine.edges.filter(e => e.type === 'references_column' && e.to === id && !e.from.startsWith('role:'));
             if (refMeasures.length > 0) {
                 html += '<div class="lineage-detail-section"><h4>Referenced By Measures</h4><div class="lineage-detail-chips">';
                 for (const e of refMeasures) {
@@ -2077,6 +2634,16 @@ class App {
                 html += '</div></div>';
             }
 
+            // Row-level security filters reading this column
+            const roles = engine.getColumnRoles(tableName, colName);
+            if (roles.length > 0) {
+                html += '<div class="lineage-detail-section"><h4>Used In RLS Filters</h4><div class="lineage-detail-chips">';
+                for (const r of roles) {
+                    html += `<span class="lineage-detail-chip role" title="${esc(r.expression || '')}">${esc(r.role)} — ${esc(r.table)}</span>`;
+                }
+                html += '</div></div>';
+            }
+
             // Visuals using this column
             const usageKey = `column|${tableName}|${colName}`;
             const usage = this.visualData?.fieldUsageMap?.[usageKey];
@@ -2224,6 +2791,33 @@ class App {
                 html += '</div></div>';
             }
 
+        } else if (type === 'role') {
+            badgeLabel = 'Role';
+            name = node?.name || id.replace('role:', '');
+            const lineage = engine.getRoleLineage(name);
+            if (lineage) {
+                html += '<div class="lineage-detail-section"><h4>Filters</h4><table>';
+                for (const f of lineage.filters) {
+                    html += `<tr><td><strong>${esc(f.table)}</strong></td><td><code>${esc(f.expression)}</code></td></tr>`;
+                }
+                html += '</table></div>';
+                const columns = lineage.filters.flatMap(f => f.columns);
+                if (columns.length > 0) {
+                    html += '<div class="lineage-detail-section"><h4>Reads Columns</h4><div class="lineage-detail-chips">';
+                    for (const c of columns) {
+                        html += `<span class="lineage-detail-chip ${c.missing ? 'missing' : 'column'}"${c.missing ? ' title="Not in the model"' : ''}>${esc(c.table)}[${esc(c.column)}]</span>`;
+                    }
+                    html += '</div></div>';
+                }
+                if (lineage.securedTables.length > 0) {
+                    html += '<div class="lineage-detail-section"><h4>Secured Through Relationships</h4><div class="lineage-detail-chips">';
+                    for (const t of lineage.securedTables) {
+                        html += `<span class="lineage-detail-chip table">${esc(t.table)} (via ${esc(t.from)})</span>`;
+                    }
+                    html += '</div></div>';
+                }
+            }
+
         } else if (type === 'dataSource') {
             badgeLabel = 'Data Source';
             badgeClass = 'source';
@@ -2313,13 +2907,23 @@ class App {
             return;
         }
 
-        let html = `<p class="section-subtitle">Data engineer view — physical tables loaded from each source, column renames, and downstream consumers.</p>
+        // Query folding across tables with a source that folds
+        const folding = [...(this.lineageEngine.folding || new Map())].filter(([, f]) => f.foldable);
+        const broken = folding.filter(([, f]) => f.breakingStep);
+
+        let html = `<p class="section-subtitle">Data engineer view — physical tables loaded from each source, column renames, and downstream consumers.</p>`;
+        if (folding.length > 0) {
+            html += `<p class="folding-summary folding-summary-${broken.length > 0 ? 'breaks' : 'folds'}"><span class="material-symbols-outlined">${broken.length > 0 ? 'warning' : 'check_circle'}</span>
+                Query folding: ${folding.length - broken.length} of ${folding.length} table${folding.length !== 1 ? 's' : ''} on relational sources fold every step${broken.length > 0 ? `; folding stops in ${broken.map(([name, f]) => `<a href="#" onclick="app.navigateTo('tables', ${this._esc(JSON.stringify(name))}); return false" title="${this._esc(`Step "${f.breakingStep}" — ${f.function}: ${f.reason}`)}">${this._esc(name)}</a>`).join(', ')}` : ''}</p>`;
+        }
+        html += `
         <div class="ds-filter-bar">
             <input type="text" id="dsFilterInput" placeholder="Filter by connector type, server, database…" class="ds-filter-input" oninput="app._filterDataSources(this.value)">
             <div class="ds-filter-chips" id="dsFilterChips">
                 ${[...new Set(sources.map(s => s.type))].map(t => `<button type="button" class="ds-filter-chip" onclick="app._filterDataSourcesByType(this, ${JSON.stringify(t)})">${this._esc(t)}</button>`).join('')}
                 ${sources.some(s => s.gatewayRequired === true) ? `<button type="button" class="ds-filter-chip" onclick="app._filterDataSourcesByGateway(this)">Gateway Required</button>` : ''}
                 ${sources.some(s => s.parameterized) ? `<button type="button" class="ds-filter-chip" onclick="app._filterDataSourcesByParam(this)">Parameterized</button>` : ''}
+                ${broken.length > 0 ? `<button type="button" class="ds-filter-chip" onclick="app._filterDataSourcesByFolding(this)">Folding Breaks</button>` : ''}
             </div>
         </div>
         <div id="dsCardsContainer">`;
@@ -2334,8 +2938,10 @@ class App {
             const gwBadge   = src.gatewayRequired === true ? '<span class="badge" style="background:#ffebee;color:#c62828;margin-left:4px">Gateway Required</span>' : '';
             const paramBadge = src.parameterized ? '<span class="badge badge-field-param" style="margin-left:4px">Parameterized</span>' : '';
 
+            const foldBreaks = consumers.tables.some(t => this.lineageEngine.folding?.get(t.name)?.breakingStep);
+
             const searchText = [src.type, server||'', db||'', src.url||'', src.path||''].join(' ').toLowerCase();
-            html += `<div class="data-source-card" data-ds-type="${this._esc(src.type)}" data-ds-gw="${src.gatewayRequired === true}" data-ds-param="${!!src.parameterized}" data-ds-search="${this._esc(searchText)}">
+            html += `<div class="data-source-card" data-ds-type="${this._esc(src.type)}" data-ds-gw="${src.gatewayRequired === true}" data-ds-param="${!!src.parameterized}" data-ds-fold="${foldBreaks}" data-ds-search="${this._esc(searchText)}">
                 <h4><span class="lineage-badge source">${this._esc(src.type)}</span>`;
             if (src.isInline) {
                 html += ` <span style="font-size:12px;color:var(--text-secondary)">Compressed binary / base64 data embedded in M</span>`;
@@ -2380,6 +2986,12 @@ class App {
                     if (t.addedColumns.length > 0) {
                         html += ` <span class="ds-computed-note">+${t.addedColumns.length} computed</span>`;
                     }
+                    const fold = this.lineageEngine.folding?.get(t.name);
+                    if (fold?.foldable) {
+                        html += fold.breakingStep
+                            ? ` <span class="m-step-folding m-step-folding-breaks" title="${this._esc(`${fold.function}: ${fold.reason}`)}">Breaks at ${this._esc(fold.breakingStep)}</span>`
+                            : ` <span class="m-step-folding m-step-folding-folds" title="Every step folds into the source query">Folds</span>`;
+                    }
                     html += `</div>`;
                 }
                 html += `</div>`;
@@ -2441,51 +3053,580 @@ class App {
         else document.querySelectorAll('#dsFilterChips .ds-filter-chip').forEach(c => { if (c !== btn) c.classList.remove('active'); });
     }
 
+    _filterDataSourcesByFolding(btn) {
+        const active = btn.classList.toggle('active');
+        document.querySelectorAll('#dsCardsContainer .data-source-card').forEach(card => {
+            card.style.display = (!active || card.dataset.dsFold === 'true') ? '' : 'none';
+        });
+        if (!active) document.querySelectorAll('#dsFilterChips .ds-filter-chip').forEach(c => c.classList.remove('active'));
+        else document.querySelectorAll('#dsFilterChips .ds-filter-chip').forEach(c => { if (c !== btn) c.classList.remove('active'); });
+    }
+
     // ──────────────────────────────────────────────
-    // DYNAMIC FEATURES VIEW
+    // PERSPECTIVES VIEW
     // ──────────────────────────────────────────────
 
-    _getDynamicFeaturesSummary() {
-        if (!this.parsedModel || !this.docGenerator) return { fieldParams: [], calcGroups: [], total: 0 };
-        const fieldParams = [];
-        const calcGroups = [];
-        for (const table of this.parsedModel.tables) {
-            const fpItems = this.docGenerator._getFieldParameterItems(table.name);
-            if (fpItems !== null) {
-                // Find which visuals reference this FP table
-                const visuals = [];
-                if (this.visualData) {
-                    for (const page of this.visualData.pages) {
-                        for (const v of page.visuals) {
-                            if (v.fields && v.fields.some(f => (f.table || f.entity) === table.name)) {
-                                visuals.push({ name: v.visualName || v.visualType, page: page.displayName });
-                            }
-                        }
-                    }
-                }
-                fieldParams.push({ table: table.name, items: fpItems, visuals });
-            }
-            const cgItems = this.docGenerator._getCalculationGroupItems(table.name);
-            if (cgItems !== null) {
-                // Find which visuals reference this CG table
-                const visuals = [];
-                if (this.visualData) {
-                    for (const page of this.visualData.pages) {
-                        for (const v of page.visuals) {
-                            if (v.fields && v.fields.some(f => (f.table || f.entity) === table.name)) {
-                                visuals.push({ name: v.visualName || v.visualType, page: page.displayName });
-                            }
-                        }
-                    }
-                }
-                // Find which measures are modified by this calc group
-                const modifiedMeasures = [];
-                if (this.lineageEngine) {
-                    const graph = this.lineageEngine.graph;
-                    if (graph) {
-                        for (const edge of (graph.edges || [])) {
-                            if (edge.type === 'modifies_measure' && edge.source && edge.source.startsWith('calcItem:' + table.name + '.')) {
-                                const measureId = edge.target;
+    /**
+     * Model the sidebar, diagrams and downloads work from — the active perspective or the whole model.
+     * Lineage, best practices, unused objects and changes always use the whole model.
+     */
+    _viewModel() {
+        return this.perspectiveModel || this.parsedModel;
+    }
+
+    setPerspective(name) {
+        if (!this.parsedModel) return;
+        this.activePerspective = name || null;
+        this.perspectiveModel = name ? Perspectives.scopeModel(this.parsedModel, name) : null;
+
+        // Diagrams were laid out for the previous table set
+        this._diagramRendered = false;
+        this._detailedERDRendered = false;
+        this.diagramRenderer = null;
+        for (const id of ['relationshipsDiagram', 'detailedERDContainer']) {
+            const el = document.getElementById(id);
+            if (!el) continue;
+            Array.from(el.children).forEach(child => {
+                if (!child.classList.contains('diagram-controls')) child.remove();
+            });
+        }
+        document.getElementById('toggleOverview')?.click();
+
+        this.buildSidebar();
+        const searchInput = document.getElementById('sidebarSearchInput');
+        if (searchInput.value) this.filterSidebar(searchInput.value);
+        const current = document.querySelector('.sidebar-header.active')?.dataset.section;
+        this.showSection(current || 'overview');
+        this._track('Perspective Selected', { scoped: !!name });
+    }
+
+    renderPerspectivesView() {
+        const content = document.getElementById('perspectivesContent');
+        const perspectives = (this.parsedModel.perspectives || []).map(p => Perspectives.resolve(this.parsedModel, p));
+        if (perspectives.length === 0) {
+            content.innerHTML = '<p class="placeholder">No perspectives defined in this model.</p>';
+            return;
+        }
+
+        const share = (entry, kind) => {
+            const total = entry.totals[kind];
+            if (total === 0) return '\u2014';
+            return entry[kind].length === total ? `all (${total})` : `${entry[kind].length} of ${total}`;
+        };
+
+        let html = '<table><tr><th>Perspective</th><th>Tables</th><th>Columns</th><th>Measures</th><th>Hierarchies</th><th></th></tr>';
+        for (const p of perspectives) {
+            const isActive = p.name === this.activePerspective;
+            html += `<tr${isActive ? ' class="perspective-active"' : ''}>
+                <td><strong>${this._esc(p.name)}</strong></td>
+                <td>${p.counts.tables}</td>
+                <td>${p.counts.columns}</td>
+                <td>${p.counts.measures}</td>
+                <td>${p.counts.hierarchies}</td>
+                <td><button type="button" class="btn-changes" data-perspective="${isActive ? '' : this._esc(p.name)}">${isActive ? 'Show all objects' : 'Limit to this'}</button></td>
+            </tr>`;
+        }
+        html += '</table>';
+
+        // Coverage matrix: which perspectives show each table
+        const matrix = Perspectives.tableMatrix(this.parsedModel);
+        html += '<h3>Table Coverage</h3><table class="perspective-matrix"><tr><th>Table</th>';
+        html += perspectives.map(p => `<th>${this._esc(p.name)}</th>`).join('') + '</tr>';
+        for (const row of matrix) {
+            html += `<tr><td><a href="#" class="perspective-table-link" data-table="${this._esc(row.table)}">${this._esc(row.table)}</a></td>`;
+            for (const p of perspectives) {
+                const cell = row.cells[p.name];
+                html += cell === 'all' ? '<td class="perspective-cell" title="Every column, measure and hierarchy">\u25CF</td>'
+                    : cell === 'partial' ? '<td class="perspective-cell" title="Some columns, measures or hierarchies">\u25D0</td>'
+                    : '<td></td>';
+            }
+            html += '</tr>';
+        }
+        html += '</table>';
+
+        for (const p of perspectives) {
+            html += `<h3>${this._esc(p.name)}</h3>`;
+            if (p.description) html += `<p class="section-subtitle">${this._esc(p.description)}</p>`;
+            if (p.missing.length > 0) {
+                html += `<div class="perspective-missing"><span class="material-symbols-outlined" style="font-size:16px">warning</span>
+                    Not in the model (renamed or deleted?): ${p.missing.map(m => this._esc(m)).join(', ')}</div>`;
+            }
+            html += '<table><tr><th>Table</th><th>Columns</th><th>Measures</th><th>Hierarchies</th></tr>';
+            for (const t of p.tables) {
+                const listed = t.includeAll ? '' : [...t.columns, ...t.measures.map(m => `[${m}]`), ...t.hierarchies]
+                    .map(n => `<span class="perspective-object">${this._esc(n)}</span>`).join('');
+                html += `<tr>
+                    <td><a href="#" class="perspective-table-link" data-table="${this._esc(t.name)}">${this._esc(t.name)}</a>${listed ? `<div>${listed}</div>` : ''}</td>
+                    <td>${share(t, 'columns')}</td>
+                    <td>${share(t, 'measures')}</td>
+                    <td>${share(t, 'hierarchies')}</td>
+                </tr>`;
+            }
+            html += '</table>';
+        }
+
+        content.innerHTML = html;
+    }
+
+    // ──────────────────────────────────────────────
+    // TRANSLATIONS VIEW
+    // ──────────────────────────────────────────────
+
+    setDocCulture(name) {
+        this.docCulture = name || null;
+        this.renderTranslationsView();
+        this.showToast(name ? `Downloads will use the ${name} translations` : 'Downloads will use the model culture');
+        this._track('Doc Culture Selected', { translated: !!name });
+    }
+
+    renderTranslationsView() {
+        const content = document.getElementById('translationsContent');
+        const coverage = Translations.coverage(this._viewModel());
+        if (coverage.cultures.length === 0) {
+            content.innerHTML = '<p class="placeholder">No translations in this model.</p>';
+            return;
+        }
+
+        const baseCulture = this.parsedModel.model?.culture;
+        let html = `<div class="changes-toolbar">
+            <label for="docCultureSelect">Documentation language</label>
+            <select id="docCultureSelect">
+                <option value="">${this._esc(baseCulture || 'Model culture')} (untranslated)</option>
+                ${coverage.cultures.map(c => `<option value="${this._esc(c)}"${c === this.docCulture ? ' selected' : ''}>${this._esc(c)}</option>`).join('')}
+            </select>
+            <span class="section-subtitle">Applies to the Markdown and HTML downloads</span>
+        </div>`;
+
+        html += '<table><tr><th>Culture</th><th>Objects</th><th>Fully Translated</th><th>Gaps</th><th>Coverage</th></tr>';
+        for (const culture of coverage.cultures) {
+            const s = coverage.summary[culture];
+            html += `<tr${culture === this.docCulture ? ' class="perspective-active"' : ''}>
+                <td><strong>${this._esc(culture)}</strong></td>
+                <td>${s.objects}</td>
+                <td>${s.complete}</td>
+                <td>${s.incomplete}</td>
+                <td><div class="translation-bar"><span style="width:${s.percent}%"></span></div>${s.percent}%</td>
+            </tr>`;
+        }
+        html += '</table>';
+
+        // Gap matrix: objects missing a caption, description or display folder in some culture
+        const gaps = coverage.rows.filter(r => coverage.cultures.some(c => r.missing[c].length > 0));
+        html += `<h3>Missing Translations (${gaps.length})</h3>`;
+        if (gaps.length === 0) {
+            html += '<p class="placeholder">Every visible object is translated in every culture.</p>';
+        } else {
+            html += '<table class="translation-matrix"><tr><th>Object</th><th>Type</th>';
+            html += coverage.cultures.map(c => `<th>${this._esc(c)}</th>`).join('') + '</tr>';
+            for (const r of gaps) {
+                html += `<tr><td><a href="#" class="perspective-table-link" data-table="${this._esc(r.table)}">${this._esc(r.label)}</a></td><td>${r.type}</td>`;
+                for (const c of coverage.cultures) {
+                    html += r.missing[c].length > 0
+                        ? `<td class="translation-missing">${r.missing[c].join(', ')}</td>`
+                        : '<td class="translation-ok">\u2713</td>';
+                }
+                html += '</tr>';
+            }
+            html += '</table>';
+        }
+
+        content.innerHTML = html;
+    }
+
+    // ──────────────────────────────────────────────
+    // BEST PRACTICES VIEW
+    // ──────────────────────────────────────────────
+
+    _runBestPractices() {
+        const custom = [this.projectBPARules, this.pickedBPARules].filter(Boolean);
+        const engine = new BPAEngine(this.parsedModel, this.lineageEngine, {
+            rules: [...BPAEngine.BUILT_IN_RULES, ...custom.flatMap(c => c.rules)]
+        });
+        this.bpaResults = engine.run();
+        this.bpaResults.ruleErrors.unshift(...custom.flatMap(c => c.errors));
+        this.docGenerator.bpaResults = this.bpaResults;
+    }
+
+    /**
+     * Pick up BPARules.json / bpa-rules.json from the opened folder or its .SemanticModel folder
+     */
+    async _loadProjectBPARules() {
+        for (const dir of [this.folderHandle, this.semanticModelHandle]) {
+            if (!dir) continue;
+            for (const name of BPARuleLoader.RULE_FILE_NAMES) {
+                let file;
+                try {
+                    file = await (await dir.getFileHandle(name)).getFile();
+                } catch {
+                    continue; // Not present
+                }
+                try {
+                    this.projectBPARules = { source: name, ...BPARuleLoader.parse(await file.text(), name) };
+                } catch (error) {
+                    this.showToast(`Could not read ${name}: ${error.message}`, 'error');
+                }
+                return;
+            }
+        }
+    }
+
+    async loadBPARulesFile(file) {
+        if (!this.parsedModel) return;
+        try {
+            this.pickedBPARules = { source: file.name, ...BPARuleLoader.parse(await file.text(), file.name) };
+        } catch (error) {
+            this.showToast(`Could not read ${file.name}: ${error.message}`, 'error');
+            return;
+        }
+        this._refreshBestPractices();
+        this._track('BPA Rules Loaded', { rules: this.pickedBPARules.rules.length });
+        this.showToast(`Loaded ${this.pickedBPARules.rules.length} rule${this.pickedBPARules.rules.length !== 1 ? 's' : ''} from ${file.name}`, 'success');
+    }
+
+    clearBPARulesFile() {
+        this.pickedBPARules = null;
+        if (this.parsedModel) this._refreshBestPractices();
+    }
+
+    _refreshBestPractices() {
+        this._runBestPractices();
+        this.updateStats();
+        this.buildSidebar();
+        this.showSection('best-practices');
+    }
+
+    renderBestPracticesView() {
+        const content = document.getElementById('bestPracticesContent');
+        const bpa = this.bpaResults;
+        document.getElementById('bpaRulesClearBtn').disabled = !this.pickedBPARules;
+
+        let html = this._renderBPARuleSources(bpa);
+        if (!bpa || bpa.counts.total === 0) {
+            content.innerHTML = html + '<p class="placeholder">No best-practice issues found.</p>';
+            return;
+        }
+
+        html += `<div class="dynamic-summary-header">
+            <span class="bpa-count bpa-error">${bpa.counts.error} error${bpa.counts.error !== 1 ? 's' : ''}</span>
+            <span class="dynamic-sep">&bull;</span>
+            <span class="bpa-count bpa-warning">${bpa.counts.warning} warning${bpa.counts.warning !== 1 ? 's' : ''}</span>
+            <span class="dynamic-sep">&bull;</span>
+            <span class="bpa-count bpa-info">${bpa.counts.info} info</span>
+        </div>
+        <div class="ds-filter-chips" id="bpaFilterChips">
+            ${BPAEngine.SEVERITIES.filter(sev => bpa.counts[sev] > 0).map(sev => `<button type="button" class="ds-filter-chip" data-severity="${sev}">${sev}</button>`).join('')}
+        </div>`;
+
+        // Group by rule so one noisy rule reads as a single block
+        const byRule = new Map();
+        for (const f of bpa.findings) {
+            if (!byRule.has(f.ruleId)) byRule.set(f.ruleId, []);
+            byRule.get(f.ruleId).push(f);
+        }
+        for (const findings of byRule.values()) {
+            const first = findings[0];
+            html += `<div class="bpa-rule bpa-${first.severity}" data-severity="${first.severity}">
+                <div class="bpa-rule-header">
+                    <span class="badge bpa-badge-${first.severity}">${first.severity}</span>
+                    <strong>${this._esc(first.ruleName)}</strong>
+                    <span class="sidebar-badge">${findings.length}</span>
+                    <span class="bpa-category">${this._esc(first.category)}</span>
+                </div>
+                <p class="bpa-description">${this._esc(first.message)}</p>
+                ${first.ruleSource ? `<p class="bpa-source">Custom rule from ${this._esc(first.ruleSource)}</p>` : ''}
+                <div class="bpa-objects">
+                    ${findings.map(f => `<a href="#" class="bpa-object-link" data-object-type="${f.objectType}" data-table="${this._esc(f.table || '')}">${this._esc(f.label)}</a>`).join('')}
+                </div>
+            </div>`;
+        }
+        content.innerHTML = html;
+
+        content.querySelectorAll('.bpa-object-link').forEach(link => {
+            link.addEventListener('click', e => {
+                e.preventDefault();
+                if (link.dataset.objectType === 'relationship') this.showSection('relationships');
+                else this.showTableDetail(link.dataset.table);
+            });
+        });
+        content.querySelectorAll('#bpaFilterChips .ds-filter-chip').forEach(chip => {
+            chip.addEventListener('click', () => {
+                const active = chip.classList.toggle('active');
+                content.querySelectorAll('#bpaFilterChips .ds-filter-chip').forEach(c => { if (c !== chip) c.classList.remove('active'); });
+                content.querySelectorAll('.bpa-rule').forEach(block => {
+                    block.style.display = (!active || block.dataset.severity === chip.dataset.severity) ? '' : 'none';
+                });
+            });
+        });
+    }
+
+    /**
+     * Which rule files are active, and any rules that failed to compile or evaluate
+     */
+    _renderBPARuleSources(bpa) {
+        const custom = [this.projectBPARules, this.pickedBPARules].filter(Boolean);
+        if (custom.length === 0) return '';
+        let html = `<p class="bpa-sources">Custom rules: ${custom.map(c => `<strong>${this._esc(c.source)}</strong> (${c.rules.length})`).join(', ')}</p>`;
+        const errors = bpa?.ruleErrors || [];
+        if (errors.length > 0) {
+            html += `<div class="bpa-rule-errors"><strong>${errors.length} rule${errors.length !== 1 ? 's' : ''} skipped</strong><ul>
+                ${errors.map(e => `<li><code>${this._esc(e.rule)}</code> — ${this._esc(e.message)}</li>`).join('')}
+            </ul></div>`;
+        }
+        return html;
+    }
+
+    // ──────────────────────────────────────────────
+    // UNUSED OBJECTS VIEW
+    // ──────────────────────────────────────────────
+
+    renderUnusedObjectsView() {
+        const content = document.getElementById('unusedObjectsContent');
+        const r = this.unusedObjects?.result;
+        if (!r) {
+            content.innerHTML = '<p class="placeholder">Load a model to find unused objects.</p>';
+            return;
+        }
+
+        let html = `<div class="dynamic-summary-header">
+            <span><strong>${r.summary.tables}</strong> table${r.summary.tables !== 1 ? 's' : ''}</span>
+            <span class="dynamic-sep">&bull;</span>
+            <span><strong>${r.summary.importedColumns}</strong> imported column${r.summary.importedColumns !== 1 ? 's' : ''}</span>
+            <span class="dynamic-sep">&bull;</span>
+            <span><strong>${r.summary.calculatedColumns}</strong> calculated column${r.summary.calculatedColumns !== 1 ? 's' : ''}</span>
+            <span class="dynamic-sep">&bull;</span>
+            <span><strong>${r.summary.measures}</strong> measure${r.summary.measures !== 1 ? 's' : ''}</span>
+        </div>`;
+        if (!r.reportLoaded) {
+            html += `<p class="unused-note"><span class="material-symbols-outlined">warning</span> No report loaded — fields used only by visuals are listed as unused.</p>`;
+        }
+
+        if (r.summary.total === 0) {
+            content.innerHTML = html + '<p class="placeholder">No unused objects found.</p>';
+            return;
+        }
+
+        const section = (title, entries, detail) => {
+            if (entries.length === 0) return '';
+            let s = `<h3>${title} <span class="sidebar-badge">${entries.length}</span></h3>
+                <table><tr><th>Object</th><th>Details</th><th>Only used by</th></tr>`;
+            for (const e of entries) {
+                s += `<tr class="${e.reason === 'cascade' ? 'unused-cascade' : ''}">
+                    <td><a href="#" class="unused-link" data-table="${this._esc(e.table)}">${this._esc(e.label)}</a></td>
+                    <td>${detail(e)}${e.isHidden ? ' <span class="badge badge-hidden">Hidden</span>' : ''}</td>
+                    <td>${e.usedBy.length > 0 ? e.usedBy.map(u => `<code>${this._esc(u)}</code>`).join(' ') : '&mdash;'}</td>
+                </tr>`;
+            }
+            return s + '</table>';
+        };
+        html += section('Tables', r.tables, e => `${e.kind} &middot; ${e.columnCount} columns, ${e.measureCount} measures`);
+        html += section('Columns', r.columns, e => e.kind);
+        html += section('Measures', r.measures, () => 'measure');
+
+        content.innerHTML = html;
+        content.querySelectorAll('.unused-link').forEach(link => {
+            link.addEventListener('click', e => {
+                e.preventDefault();
+                this.showTableDetail(link.dataset.table);
+            });
+        });
+    }
+
+    downloadUnusedObjects() {
+        if (!this.unusedObjects) return;
+        this._track('Download', { format: 'markdown', scope: 'unused-objects' });
+        const name = (this.parsedModel.database?.name || 'model') + '-unused-objects.md';
+        this._downloadFile(this.unusedObjects.generateMarkdown(), name, 'text/markdown');
+        this.showToast('Cleanup list downloaded');
+    }
+
+    // ──────────────────────────────────────────────
+    // MEASURE HEALTH VIEW
+    // ──────────────────────────────────────────────
+
+    renderMeasureHealthView() {
+        const content = document.getElementById('measureHealthContent');
+        const r = this.measureHealth?.result;
+        if (!r || r.measures.length === 0) {
+            content.innerHTML = `<p class="placeholder">${r ? 'This model has no measures.' : 'Load a model to score its measures.'}</p>`;
+            return;
+        }
+
+        let html = `<div class="dynamic-summary-header">
+            <span><strong>${r.summary.refactor}</strong> to refactor</span>
+            <span class="dynamic-sep">&bull;</span>
+            <span><strong>${r.summary.review}</strong> to review</span>
+            <span class="dynamic-sep">&bull;</span>
+            <span><strong>${r.summary.healthy}</strong> healthy</span>
+        </div>
+        <div class="ds-filter-chips" id="healthFilterChips">
+            ${['refactor', 'review', 'healthy'].filter(level => r.summary[level] > 0).map(level => `<button type="button" class="ds-filter-chip" data-level="${level}">${level}</button>`).join('')}
+        </div>
+        <table class="health-table"><tr>
+            <th>#</th><th>Measure</th><th>Score</th><th>Nesting</th><th>CALCULATE</th><th>Iterators</th><th>Chain</th><th>Smells</th>
+        </tr>`;
+        r.measures.forEach((m, i) => {
+            const smells = m.smells.map(s => `<span class="health-smell" title="${this._esc(s.hint)}">${this._esc(s.label)}${s.value > 1 ? ` ×${s.value}` : ''}</span>`).join('');
+            html += `<tr data-level="${m.level}">
+                <td>${i + 1}</td>
+                <td><a href="#" class="health-link" data-table="${this._esc(m.table)}">${this._esc(m.label)}</a> <span class="health-table-name">${this._esc(m.table)}</span></td>
+                <td><span class="badge health-badge-${m.level}">${m.score}</span></td>
+                <td>${m.metrics.nestingDepth}</td>
+                <td>${m.metrics.calculateCount}</td>
+                <td>${m.metrics.iteratorCount}</td>
+                <td>${m.metrics.dependencyDepth}</td>
+                <td>${smells || '&mdash;'}</td>
+            </tr>`;
+        });
+        html += '</table>';
+
+        content.innerHTML = html;
+        content.querySelectorAll('.health-link').forEach(link => {
+            link.addEventListener('click', e => {
+                e.preventDefault();
+                this.showTableDetail(link.dataset.table);
+            });
+        });
+        content.querySelectorAll('#healthFilterChips .ds-filter-chip').forEach(chip => {
+            chip.addEventListener('click', () => {
+                const active = chip.classList.toggle('active');
+                content.querySelectorAll('#healthFilterChips .ds-filter-chip').forEach(c => { if (c !== chip) c.classList.remove('active'); });
+                content.querySelectorAll('.health-table tr[data-level]').forEach(row => {
+                    row.classList.toggle('hidden', active && row.dataset.level !== chip.dataset.level);
+                });
+            });
+        });
+    }
+
+    // ──────────────────────────────────────────────
+    // REFRESH & STORAGE VIEW
+    // ──────────────────────────────────────────────
+
+    renderRefreshStorageView() {
+        const content = document.getElementById('refreshStorageContent');
+        const r = RefreshStorage.analyze(this._viewModel(), new Date(), this.lineageEngine?.folding);
+        if (r.tables.length === 0) {
+            content.innerHTML = '<p class="placeholder">No tables in this model.</p>';
+            return;
+        }
+
+        const modes = Object.entries(r.summary.modes)
+            .map(([mode, count]) => `<span><strong>${count}</strong> ${RefreshStorage.STORAGE_MODE_LABELS[mode] || this._esc(mode)}</span>`)
+            .join('<span class="dynamic-sep">&bull;</span>');
+        let html = `<div class="dynamic-summary-header">
+            ${modes}
+            <span class="dynamic-sep">&bull;</span>
+            <span><strong>${r.summary.policies}</strong> incremental refresh ${r.summary.policies === 1 ? 'policy' : 'policies'}</span>
+            <span class="dynamic-sep">&bull;</span>
+            <span><strong>${r.summary.errors}</strong> error${r.summary.errors !== 1 ? 's' : ''}, <strong>${r.summary.warnings}</strong> warning${r.summary.warnings !== 1 ? 's' : ''}</span>
+        </div>
+        <table class="refresh-table"><tr>
+            <th>Table</th><th>Storage</th><th>Partitions</th><th>Incremental refresh</th><th>RangeStart / RangeEnd filter</th><th>Issues</th>
+        </tr>`;
+
+        // Tables with a policy or a finding first
+        const ordered = [...r.tables].sort((a, b) => (b.refreshPolicy ? 2 : 0) + Math.sign(b.issues.length) - (a.refreshPolicy ? 2 : 0) - Math.sign(a.issues.length));
+        for (const t of ordered) {
+            const partitionTitle = t.partitions.map(p => `${p.name}${p.mode ? ` (${p.mode})` : ''}${p.lastRefreshState ? ` — ${p.lastRefreshState}` : ''}`).join('\n');
+            html += `<tr>
+                <td><a href="#" class="refresh-link" data-table="${this._esc(t.table)}">${this._esc(t.table)}</a></td>
+                <td><span class="badge storage-badge-${this._esc(t.storageMode)}">${RefreshStorage.STORAGE_MODE_LABELS[t.storageMode] || this._esc(t.storageMode)}</span></td>
+                <td title="${this._esc(partitionTitle)}">${t.partitions.length}</td>
+                <td>${t.refreshPolicy ? this._refreshTimelineHtml(t) : '&mdash;'}</td>
+                <td>${this._rangeFilterHtml(t)}</td>
+                <td>${t.issues.length ? `<ul class="refresh-issues">${t.issues.map(i => `<li class="refresh-issue-${i.severity}">${this._esc(i.message)}</li>`).join('')}</ul>` : '&mdash;'}</td>
+            </tr>`;
+        }
+        html += '</table>';
+
+        content.innerHTML = html;
+        content.querySelectorAll('.refresh-link').forEach(link => {
+            link.addEventListener('click', e => {
+                e.preventDefault();
+                this.showTableDetail(link.dataset.table);
+            });
+        });
+    }
+
+    /**
+     * Archive / refresh (/ DirectQuery for hybrid tables) bar of a refresh policy, dated from today
+     */
+    _refreshTimelineHtml(entry) {
+        const rp = entry.refreshPolicy;
+        const w = entry.window;
+        const periods = (n, unit) => `${n} ${this._esc(unit || '')}${n !== 1 ? 's' : ''}`;
+        const caption = `Keep ${periods(rp.rollingWindowPeriods, rp.rollingWindowGranularity)} · refresh ${periods(rp.incrementalPeriods, rp.incrementalGranularity)}`
+            + (rp.mode === 'hybrid' ? ' · latest period in DirectQuery' : '')
+            + (rp.pollingExpression ? ' · detect data changes' : '');
+        if (!w) return `<div class="refresh-timeline-caption">${caption}</div>`;
+
+        // The refresh window is usually days against years of archive; keep both visible
+        const total = w.archiveDays + w.refreshDays;
+        const refreshPct = Math.min(85, Math.max(15, Math.round(w.refreshDays / total * 100)));
+        return `<div class="refresh-timeline" title="Archive ${w.archiveStart} – ${w.refreshStart}, refreshed ${w.refreshStart} – ${w.end}">
+                <span class="refresh-archive" style="flex:0 0 ${100 - refreshPct}%"></span>
+                <span class="refresh-incremental" style="flex:1"></span>
+                ${rp.mode === 'hybrid' ? '<span class="refresh-realtime"></span>' : ''}
+            </div>
+            <div class="refresh-timeline-labels"><span style="width:${100 - refreshPct}%">${w.archiveStart}</span><span>${w.refreshStart}</span><span>${w.end}</span></div>
+            <div class="refresh-timeline-caption">${caption}</div>`;
+    }
+
+    _rangeFilterHtml(entry) {
+        const f = entry.rangeFilter;
+        if (!f || (!f.usesRangeStart && !f.usesRangeEnd)) return entry.refreshPolicy ? '<span class="refresh-issue-error">Not used</span>' : '&mdash;';
+        const condition = [f.startOperator && `${this._esc(f.startOperator)} RangeStart`, f.endOperator && `${this._esc(f.endOperator)} RangeEnd`].filter(Boolean).join(' and ');
+        let html = `Step <code>${this._esc(f.step || '(query)')}</code>${condition ? `: <code>${condition}</code>` : ''}`;
+        if (entry.foldingRisks.length > 0) {
+            html += `<div class="refresh-timeline-caption">Folding: ${entry.foldingRisks.map(risk => `${this._esc(risk.step)} (${this._esc(risk.function)})${risk.beforeFilter ? ' before the filter' : ''}`).join(', ')}</div>`;
+        }
+        return html;
+    }
+
+    // ──────────────────────────────────────────────
+    // DYNAMIC FEATURES VIEW
+    // ──────────────────────────────────────────────
+
+    _getDynamicFeaturesSummary() {
+        if (!this.parsedModel || !this.docGenerator) return { fieldParams: [], calcGroups: [], total: 0 };
+        const fieldParams = [];
+        const calcGroups = [];
+        for (const table of this.parsedModel.tables) {
+            const fpItems = this.docGenerator._getFieldParameterItems(table.name);
+            if (fpItems !== null) {
+                // Find which visuals reference this FP table
+                const visuals = [];
+                if (this.visualData) {
+                    for (const page of this.visualData.pages) {
+                        for (const v of page.visuals) {
+                            if (v.fields && v.fields.some(f => (f.table || f.entity) === table.name)) {
+                                visuals.push({ name: v.visualName || v.visualType, page: page.displayName });
+                            }
+                        }
+                    }
+                }
+                fieldParams.push({ table: table.name, items: fpItems, visuals });
+            }
+            const cgItems = this.docGenerator._getCalculationGroupItems(table.name);
+            if (cgItems !== null) {
+                // Find which visuals reference this CG table
+                const visuals = [];
+                if (this.visualData) {
+                    for (const page of this.visualData.pages) {
+                        for (const v of page.visuals) {
+                            if (v.fields && v.fields.some(f => (f.table || f.entity) === table.name)) {
+                                visuals.push({ name: v.visualName || v.visualType, page: page.displayName });
+                            }
+                        }
+                    }
+                }
+                // Find which measures are modified by this calc group
+                const modifiedMeasures = [];
+                if (this.lineageEngine) {
+                    const graph = this.lineageEngine.graph;
+                    if (graph) {
+                        for (const edge of (graph.edges || [])) {
+                            if (edge.type === 'modifies_measure' && edge.source && edge.source.startsWith('calcItem:' + table.name + '.')) {
+                                const measureId = edge.target;
                                 if (measureId) modifiedMeasures.push(measureId.replace('measure:', ''));
                             }
                         }
@@ -2613,17 +3754,27 @@ class App {
 
     renderRelationshipDiagram() {
         const container = document.getElementById('relationshipsDiagram');
+        const m = this._viewModel();
+
+        // Security is simulated on the full model: a perspective does not narrow what a role filters
+        const roles = this.parsedModel.roles || [];
+        document.getElementById('relSimulateRow').classList.toggle('hidden', roles.length === 0);
+        this._populateRoleSelect('relSimulateRoleSelect', 'None');
+        const roleName = document.getElementById('relSimulateRoleSelect').value;
+        const security = roleName ? new RLSSimulator(this.parsedModel).simulate(roleName) : null;
+        document.getElementById('relSecurityCoverage').innerHTML = security ? this._renderRoleCoverage(security) : '';
+
         this.diagramRenderer = new DiagramRenderer(container);
-        this.diagramRenderer.renderRelationshipDiagram(this.parsedModel.tables, this.parsedModel.relationships);
+        this.diagramRenderer.renderRelationshipDiagram(m.tables, m.relationships, security);
 
         // Also render list view
         let html = '';
-        if (this.parsedModel.relationships.length === 0) {
+        if (m.relationships.length === 0) {
             html = '<p style="margin-top:16px;color:var(--text-secondary)">No relationships defined.</p>';
         } else {
             html = '<h3 style="margin-top:20px">Relationship Details</h3>';
             html += '<table><tr><th>From</th><th></th><th>To</th><th>Cardinality</th><th>Cross-Filter</th><th>Active</th></tr>';
-            for (const r of this.parsedModel.relationships) {
+            for (const r of m.relationships) {
                 html += `<tr>
                     <td>${this._esc(r.fromTable)}[${this._esc(r.fromColumn)}]</td>
                     <td class="rel-arrow">→</td>
@@ -2638,10 +3789,30 @@ class App {
         document.getElementById('relationshipsList').innerHTML = html;
     }
 
+    /**
+     * Direct, indirect and uncovered tables of a simulated role, above the relationship diagram
+     * @param {Object} security - RLSSimulator.simulate() result
+     */
+    _renderRoleCoverage(security) {
+        let html = '';
+        if (security.uncoveredFactTables.length > 0) {
+            html += `<div class="security-warning"><span class="material-symbols-outlined" style="font-size:16px">gpp_maybe</span> Fact tables not covered by ${this._esc(security.role)}: ${security.uncoveredFactTables.map(t => this._esc(t)).join(', ')}</div>`;
+        }
+        html += `<div class="security-filter"><strong>Filtered directly:</strong> ${security.direct.map(d => `${this._esc(d.table)} <code>${this._esc(d.expression)}</code>`).join(', ') || 'none'}</div>`;
+        html += `<div class="security-filter"><strong>Filtered through relationships:</strong> ${security.indirect.map(t => `${this._esc(t.table)} (via ${this._esc(t.from)})`).join(', ') || 'none'}</div>`;
+        html += `<div class="security-filter"><strong>Not covered:</strong> ${security.uncovered.map(t => this._esc(t)).join(', ') || 'none'}</div>`;
+        for (const b of security.blocked) {
+            const rel = b.relationship;
+            html += `<div class="security-filter security-blocked">${this._esc(b.table)} is not reached from ${this._esc(b.from)} — ${this._esc(`${rel.fromTable}[${rel.fromColumn}] → ${rel.toTable}[${rel.toColumn}]`)}: ${this._esc(b.reason)}</div>`;
+        }
+        return html;
+    }
+
     renderDetailedERD() {
         const container = document.getElementById('detailedERDContainer');
         this.detailedERDRenderer = new DetailedERDRenderer(container);
-        this.detailedERDRenderer.render(this.parsedModel.tables, this.parsedModel.relationships);
+        const m = this._viewModel();
+        this.detailedERDRenderer.render(m.tables, m.relationships);
     }
 
     // ──────────────────────────────────────────────
@@ -2650,17 +3821,71 @@ class App {
 
     renderReportPagesOverview() {
         if (!this.visualData) return;
-        let html = '<table><tr><th>Page</th><th>Visuals</th></tr>';
-        for (const page of this.visualData.pages) {
+        const vd = this.visualData;
+        const multiReport = this._reportNames().length > 0;
+        const reportCell = item => multiReport ? `<td>${this._esc(item.reportName || '')}</td>` : '';
+        let html = `<table><tr>${multiReport ? '<th>Report</th>' : ''}<th>Page</th><th>Visuals</th><th>Page Filters</th></tr>`;
+        for (const page of vd.pages) {
             html += `<tr>
+                ${reportCell(page)}
                 <td><a href="#" class="page-nav-link" data-page-id="${this._esc(page.id)}"
                     style="color:var(--primary);font-weight:500;text-decoration:none">
                     ${this._esc(page.displayName)}</a></td>
                 <td>${page.visuals.length}</td>
+                <td>${(page.filters || []).length || ''}</td>
             </tr>`;
         }
         html += '</table>';
-        document.getElementById('reportPagesContent').innerHTML = html;
+
+        if (vd.reportFilters?.length > 0) {
+            const byReport = new Map();
+            for (const f of vd.reportFilters) {
+                if (!byReport.has(f.reportName)) byReport.set(f.reportName, []);
+                byReport.get(f.reportName).push(f);
+            }
+            for (const [report, fields] of byReport) {
+                html += `<h3 class="report-filters-heading">Report Filters${multiReport ? ` — ${this._esc(report)}` : ''}</h3>
+                    <div class="visual-role-fields">${this._renderFilterChips(fields)}</div>`;
+            }
+        }
+
+        if (vd.bookmarks?.length > 0) {
+            html += `<h3 class="report-filters-heading">Bookmarks (${vd.bookmarks.length})</h3>
+                <table><tr>${multiReport ? '<th>Report</th>' : ''}<th>Bookmark</th><th>Page</th><th>Filters</th><th>Field Parameter Selection</th><th>Hidden Visuals</th></tr>`;
+            for (const b of vd.bookmarks) {
+                const node = this.lineageEngine?.nodes.get(`bookmark:${b.id}`);
+                const selections = (node?.fieldParameterSelections || [])
+                    .map(s => `${this._esc(s.table)}: ${s.items.map(i => this._esc(`'${i.table}'[${i.column}]`)).join(', ')}`)
+                    .join('<br>');
+                html += `<tr>
+                    ${reportCell(b)}
+                    <td>${this._esc(b.name)}</td>
+                    <td>${this._esc(b.pageName || '')}</td>
+                    <td><div class="visual-role-fields">${this._renderFilterChips(b.fields)}</div></td>
+                    <td>${selections}</td>
+                    <td>${b.hiddenVisuals.map(v => this._esc(v)).join('<br>')}</td>
+                </tr>`;
+            }
+            html += '</table>';
+        }
+
+        if (vd.syncGroups?.length > 0) {
+            html += `<h3 class="report-filters-heading">Synced Slicers</h3>
+                <table><tr>${multiReport ? '<th>Report</th>' : ''}<th>Sync Group</th><th>Fields</th><th>Slicers</th></tr>`;
+            for (const g of vd.syncGroups) {
+                html += `<tr>
+                    ${reportCell(g)}
+                    <td>${this._esc(g.name)}</td>
+                    <td><div class="visual-role-fields">${this._renderFilterChips(g.fields)}</div></td>
+                    <td>${g.slicers.map(v => `${this._esc(v.pageName)}: ${this._esc(v.visualName)}`).join('<br>')}</td>
+                </tr>`;
+            }
+            html += '</table>';
+        }
+
+        const content = document.getElementById('reportPagesContent');
+        content.innerHTML = html;
+        this._bindFieldChips(content);
 
         document.querySelectorAll('.page-nav-link').forEach(link => {
             link.addEventListener('click', e => {
@@ -2701,6 +3926,13 @@ class App {
 
         let html = '';
 
+        if (page.filters?.length > 0) {
+            html += `<div class="page-filters">
+                <span class="visual-role-label">Page Filters</span>
+                <div class="visual-role-fields">${this._renderFilterChips(page.filters)}</div>
+            </div>`;
+        }
+
         // Render page layout minimap if visuals have position data
         const visualsWithPosition = page.visuals.filter(v => v.position && v.position.x != null);
         if (visualsWithPosition.length > 0) {
@@ -2720,6 +3952,19 @@ class App {
         this._bindLayoutDiagramInteractions();
     }
 
+    /**
+     * Field chips for filter and bookmark fields, clickable like the ones on visual cards
+     */
+    _renderFilterChips(fields) {
+        return fields.map(field => {
+            const tableName = field.table || field.entity || '';
+            const fieldName = field.name || field.column || field.hierarchy || '';
+            return `<button type="button" class="field-chip" data-role="Filters"
+                data-table="${this._esc(tableName)}"
+                data-field="${this._esc(fieldName)}">${this._esc(tableName)}[${this._esc(fieldName)}]</button>`;
+        }).join('');
+    }
+
     renderVisualUsageView() {
         if (!this.visualData) return;
 
@@ -2770,7 +4015,7 @@ class App {
 
     _renderByVisualView() {
         const DECORATION_TYPES = new Set(['actionButton','shape','textbox','bookmarkNavigator','pageNavigator','image','groupContainer']);
-        let html = '';
+        let html = this._renderCrossReportUsage();
         for (const page of this.visualData.pages) {
             const visuals = page.visuals;
             const dataBound = visuals.filter(v => !DECORATION_TYPES.has(v.visualType));
@@ -2808,6 +4053,53 @@ class App {
         this._bindFieldChips(byVisualEl);
     }
 
+    /**
+     * Names of the loaded reports when usage is aggregated across several, else []
+     */
+    _reportNames() {
+        const reports = this.visualData?.reports || [];
+        return reports.length > 1 ? reports : [];
+    }
+
+    /**
+     * Fields ranked by the number of reports and visuals using them — shown above the page
+     * groups when several reports are loaded, so shared measures stand out
+     */
+    _renderCrossReportUsage() {
+        const reports = this._reportNames();
+        if (reports.length === 0) return '';
+        const FILTER_TYPES = new Set(['pageFilter', 'reportFilter', 'bookmark']);
+
+        const rows = [];
+        for (const [key, usages] of Object.entries(this.visualData.fieldUsageMap)) {
+            const [type, table, field] = key.split('|');
+            const perReport = new Map();
+            for (const u of usages) {
+                if (FILTER_TYPES.has(u.visualType)) continue;
+                perReport.set(u.reportName, (perReport.get(u.reportName) || 0) + 1);
+            }
+            const visualCount = [...perReport.values()].reduce((a, b) => a + b, 0);
+            if (visualCount > 0) rows.push({ type, table, field, visualCount, perReport });
+        }
+        rows.sort((a, b) => b.perReport.size - a.perReport.size || b.visualCount - a.visualCount);
+
+        let html = `<div class="cross-report-usage">
+            <h3 class="report-filters-heading">Usage Across ${reports.length} Reports</h3>
+            <table><tr><th>Field</th><th>Type</th><th>Visuals</th><th>Reports</th><th>By Report</th></tr>`;
+        for (const r of rows) {
+            html += `<tr>
+                <td><button type="button" class="field-chip" data-role="${r.type === 'measure' ? 'Values' : 'Category'}"
+                    data-table="${this._esc(r.table)}" data-field="${this._esc(r.field)}">${this._esc(r.table)}[${this._esc(r.field)}]</button></td>
+                <td>${this._esc(r.type)}</td>
+                <td>${r.visualCount}</td>
+                <td>${r.perReport.size}</td>
+                <td>${[...r.perReport].map(([report, n]) => `${this._esc(report)} (${n})`).join(', ')}</td>
+            </tr>`;
+        }
+        html += '</table></div>';
+        return html;
+    }
+
     _renderPageLayoutDiagram(page, visualsWithPosition) {
         const pageW = page.pageWidth || 1280;
         const pageH = page.pageHeight || 720;
@@ -3013,7 +4305,7 @@ class App {
                     const fieldName = field.name || field.column || field.hierarchy || '';
                     html += `<button type="button" class="field-chip" data-role="${this._esc(role)}"
                         data-table="${this._esc(tableName)}"
-                        data-field="${this._esc(fieldName)}">${this._esc(tableName)}[${this._esc(fieldName)}]</button>`;
+                        data-field="${this._esc(fieldName)}">${this._esc(VisualParser.describeField(field))}</button>`;
 
                     // Annotate field param / calc group tables
                     if (this.docGenerator && tableName) {
@@ -3030,6 +4322,18 @@ class App {
                 }
                 html += '</div></div>';
             }
+
+            // Arithmetic and visual calculations, computed on the visual from the fields above
+            if (visual.calculations?.length > 0) {
+                html += `<div class="visual-role-row">
+                    <span class="visual-role-label">Calculations</span>
+                    <div class="visual-role-fields">`;
+                for (const calc of visual.calculations) {
+                    const kind = calc.kind === 'visualCalculation' ? 'Visual calculation' : 'Arithmetic';
+                    html += `<span class="visual-calc" title="${this._esc(kind)}">${this._esc(calc.name)} = <code>${this._esc(calc.expression)}</code></span>`;
+                }
+                html += '</div></div>';
+            }
             html += '</div>';
 
             // Show field param / calc group details for tables referenced by this visual
@@ -3135,6 +4439,23 @@ class App {
     // MEASURE CARD RENDERING
     // ──────────────────────────────────────────────
 
+    _daxText(expression) {
+        return this.daxFormat === 'formatted' ? DAXFormatter.format(expression) : expression;
+    }
+
+    /**
+     * Switch the measure catalog and downloads between formatted and as-written DAX
+     */
+    setDaxFormat(format) {
+        this.daxFormat = format === 'original' ? 'original' : 'formatted';
+        try { localStorage.setItem('pbip-doc-dax-format', this.daxFormat); } catch {}
+        if (this.docGenerator) this.docGenerator.daxFormat = this.daxFormat;
+        document.querySelectorAll('#daxFormatToggle .view-toggle-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.format === this.daxFormat);
+        });
+        if (this.parsedModel) this.renderMeasureCatalog();
+    }
+
     _renderMeasureCard(measure, tableName) {
         let html = `<div class="measure-card">
             <h4>${this._esc(measure.name)} <span class="badge badge-table">${this._esc(tableName)}</span></h4>`;
@@ -3149,10 +4470,11 @@ class App {
         html += '</div>';
 
         if (measure.expression) {
-            const lines = measure.expression.split('\n');
+            const dax = this._daxText(measure.expression);
+            const lines = dax.split('\n');
             const shouldTruncate = lines.length > 5;
             const daxId = `dax-${Math.random().toString(36).substr(2, 9)}`;
-            html += `<div class="dax-block${shouldTruncate ? ' truncated' : ''}" id="${daxId}">${this._esc(measure.expression)}</div>`;
+            html += `<div class="dax-block${shouldTruncate ? ' truncated' : ''}" id="${daxId}">${this._esc(dax)}</div>`;
             if (shouldTruncate) {
                 html += `<button type="button" class="btn-dax-toggle" data-target="${daxId}">Show more</button>`;
             }
@@ -3182,6 +4504,7 @@ class App {
                     if (i > 0) html += '<span class="measure-chain-arrow">\u2192</span>';
                     html += `<span class="measure-chain-item">[${this._esc(chain[i].name)}]</span>`;
                 }
+                html += ` <button type="button" class="measure-tree-link" data-measure="${this._esc(measure.name)}">Dependency tree</button>`;
                 html += '</div>';
             }
         }
@@ -3203,6 +4526,212 @@ class App {
         return html;
     }
 
+    // ──────────────────────────────────────────────
+    // MODEL DIFF (Changes view)
+    // ──────────────────────────────────────────────
+
+    async compareWithFolder() {
+        if (!this.parsedModel) return;
+        const btn = document.getElementById('changesCompareFolderBtn');
+        try {
+            const dirHandle = await window.showDirectoryPicker({ mode: 'read', startIn: 'documents' });
+            btn.disabled = true;
+            const modelHandle = await this._findSemanticModelHandle(dirHandle);
+            const parser = new TMDLParser();
+            const baseline = parser.parseAll(await this.readAllTMDLFiles(modelHandle));
+            this._applyBaseline(baseline, modelHandle.name, 'folder');
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            this.showToast(error.message, 'error');
+            console.error('Error reading baseline folder:', error);
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
+    async compareWithJSONFile(file) {
+        if (!this.parsedModel) return;
+        try {
+            const baseline = ModelDiff.fromJSONExport(await file.text());
+            this._applyBaseline(baseline, file.name, 'json');
+        } catch (error) {
+            this.showToast(`Could not read ${file.name}: ${error.message}`, 'error');
+            console.error('Error reading baseline JSON:', error);
+        }
+    }
+
+    /**
+     * Resolve the .SemanticModel folder inside a picked baseline folder.
+     * Prefers a model with the same folder name as the one currently loaded.
+     */
+    async _findSemanticModelHandle(dirHandle) {
+        if (dirHandle.name.endsWith('.SemanticModel')) return dirHandle;
+        try {
+            const def = await dirHandle.getDirectoryHandle('definition');
+            await def.getDirectoryHandle('tables');
+            return dirHandle;
+        } catch {
+            // Not a semantic model folder itself, scan children
+        }
+
+        const models = [];
+        for await (const entry of dirHandle.values()) {
+            if (entry.kind === 'directory' && entry.name.endsWith('.SemanticModel')) models.push(entry);
+        }
+        if (models.length === 0) {
+            throw new Error('No semantic model found in the selected folder.');
+        }
+        const currentName = this.semanticModelHandle?.name;
+        return models.find(m => m.name === currentName) || models[0];
+    }
+
+    _applyBaseline(baselineModel, sourceLabel, sourceType) {
+        this.baselineModel = baselineModel;
+        this.baselineLabel = sourceLabel;
+        this.modelDiff = new ModelDiff(baselineModel, this.parsedModel);
+        const result = this.modelDiff.compare();
+
+        // Report impact needs a second lineage graph built on the baseline model
+        this.impactDiff = null;
+        if (this.visualData && this.visualData.visuals.length > 0) {
+            const baseEngine = ImpactDiff.buildEngine(baselineModel, this.visualData);
+            this.impactDiff = new ImpactDiff(baseEngine, this.lineageEngine, result);
+            this.impactDiff.analyze();
+        }
+
+        const badge = document.getElementById('sidebarChangesCount');
+        badge.textContent = result.summary.total;
+        badge.classList.remove('hidden');
+        document.getElementById('changesDownloadBtn').disabled = false;
+
+        this._track('Model Compared', { source: sourceType, changes: result.summary.total });
+        this.showSection('changes');
+    }
+
+    renderChangesView() {
+        const content = document.getElementById('changesContent');
+        if (!this.modelDiff) {
+            content.innerHTML = '<p class="placeholder">Pick the previous version of this model to see added, removed and changed tables, columns, measures, relationships, roles and expressions.</p>';
+            return;
+        }
+
+        const r = this.modelDiff.result;
+        let html = `<div class="dynamic-summary-header">
+            <span>Baseline: ${this._esc(this.baselineLabel)}</span>
+            <span class="dynamic-sep">&bull;</span>
+            <span class="changes-count changes-added">+${r.summary.added} added</span>
+            <span class="changes-count changes-removed">&minus;${r.summary.removed} removed</span>
+            <span class="changes-count changes-changed">~${r.summary.changed} changed</span>
+        </div>`;
+
+        if (r.summary.total === 0) {
+            content.innerHTML = html + '<p class="placeholder">No semantic changes detected.</p>';
+            return;
+        }
+
+        if (this.impactDiff) html += this._renderImpactSection(this.impactDiff.result);
+
+        for (const key of ModelDiff.CATEGORIES) {
+            const c = r[key];
+            const count = c.added.length + c.removed.length + c.changed.length;
+            if (count === 0) continue;
+
+            html += `<h3>${ModelDiff.CATEGORY_LABELS[key]} <span class="sidebar-badge">${count}</span></h3>`;
+            for (const e of c.added) html += this._renderChangeEntry(key, e, 'added');
+            for (const e of c.removed) html += this._renderChangeEntry(key, e, 'removed');
+            for (const e of c.changed) html += this._renderChangeEntry(key, e, 'changed');
+        }
+
+        content.innerHTML = html;
+    }
+
+    _renderChangeEntry(category, entry, status) {
+        const labels = { added: 'Added', removed: 'Removed', changed: 'Changed' };
+        let html = `<div class="change-card change-${status}">
+            <div class="change-card-header">
+                <span class="badge change-badge-${status}">${entry.renamedFrom ? 'Renamed' : labels[status]}</span>
+                <code>${this._esc(entry.label)}</code>`;
+        if (category === 'measures' && status !== 'changed') {
+            html += `<span class="change-meta">in ${this._esc(entry.item.table)}</span>`;
+        }
+        html += `</div>`;
+
+        if (entry.changes) {
+            html += '<ul class="change-props">';
+            for (const ch of entry.changes) {
+                if (ch.textDiff) {
+                    html += `<li><strong>${this._esc(ch.property)}</strong>${this._renderTextDiff(ch.textDiff)}</li>`;
+                } else {
+                    const risky = ModelDiff.isRiskyChange(category, ch)
+                        ? ' <span class="material-symbols-outlined change-warn" title="Review this change">warning</span>' : '';
+                    html += `<li><strong>${this._esc(ch.property)}</strong>: <code>${this._esc(ModelDiff._fmt(ch.from))}</code> &rarr; <code>${this._esc(ModelDiff._fmt(ch.to))}</code>${risky}</li>`;
+                }
+            }
+            html += '</ul>';
+        }
+
+        html += '</div>';
+        return html;
+    }
+
+    _renderImpactSection(impact) {
+        const s = impact.summary;
+        let html = `<h3>Report Impact</h3>
+            <div class="dynamic-summary-header">
+                <span class="changes-count changes-removed">${s.broken} newly broken</span>
+                <span class="changes-count changes-changed">${s.changed} changed upstream</span>
+                <span class="changes-count changes-added">${s.unaffected} unaffected</span>
+            </div>`;
+
+        const affected = impact.pages.filter(p => p.broken + p.changed > 0);
+        if (affected.length === 0) {
+            return html + '<p class="placeholder">No report visuals are affected by these changes.</p>';
+        }
+
+        for (const p of affected) {
+            html += `<details class="impact-page" open>
+                <summary><strong>${this._esc(p.page)}</strong>
+                    ${p.broken ? `<span class="badge change-badge-removed">${p.broken} broken</span>` : ''}
+                    ${p.changed ? `<span class="badge change-badge-changed">${p.changed} changed</span>` : ''}
+                    <span class="change-meta">${p.visuals.length - p.broken - p.changed} unaffected</span>
+                </summary>`;
+            for (const v of p.visuals) {
+                if (v.status === 'unaffected') continue;
+                const status = v.status === 'broken' ? 'removed' : 'changed';
+                html += `<div class="change-card change-${status}">
+                    <div class="change-card-header">
+                        <span class="badge change-badge-${status}">${v.status === 'broken' ? 'Broken' : 'Changed upstream'}</span>
+                        <strong>${this._esc(v.name)}</strong>
+                        <span class="badge badge-visual-type">${this._esc(v.type)}</span>
+                        <button class="btn-trace-lineage btn-trace-sm" data-page="${this._esc(v.page)}" data-visual="${this._esc(v.name)}">Trace</button>
+                    </div>
+                    <ul class="change-props">${v.reasons.map(reason => `<li>${this._esc(reason)}</li>`).join('')}</ul>
+                </div>`;
+            }
+            html += '</details>';
+        }
+        return html;
+    }
+
+    _renderTextDiff(ops) {
+        let html = '<div class="dax-block text-diff">';
+        for (const op of ops) {
+            const prefix = op.op === 'add' ? '+' : op.op === 'del' ? '-' : ' ';
+            html += `<div class="diff-line diff-${op.op}">${prefix} ${this._esc(op.text)}</div>`;
+        }
+        return html + '</div>';
+    }
+
+    downloadChangeLog() {
+        if (!this.modelDiff) return;
+        this._track('Download', { format: 'markdown', scope: 'changes' });
+        let md = this.modelDiff.generateMarkdown();
+        if (this.impactDiff) md += '\n\n' + this.impactDiff.generateMarkdown();
+        const name = (this.parsedModel.database?.name || 'model') + '-changes.md';
+        this._downloadFile(md, name, 'text/markdown');
+        this.showToast('Change log downloaded');
+    }
+
     // ──────────────────────────────────────────────
     // DOWNLOADS
     // ──────────────────────────────────────────────
@@ -3218,9 +4747,9 @@ class App {
         if (btn) { btn.innerHTML = 'Generating…'; btn.disabled = true; }
         requestAnimationFrame(() => {
             try {
-                const md = this.docGenerator.generateMarkdown(scope, this.visualData);
+                const md = this._exportGenerator().generateMarkdown(scope, this.visualData);
                 const suffixMap = { all: '', model: '-model', visuals: '-visuals' };
-                const name = (this.parsedModel.database?.name || 'model') + '-documentation' + (suffixMap[scope] || '') + '.md';
+                const name = this._exportBaseName(true) + '-documentation' + (suffixMap[scope] || '') + '.md';
                 this._downloadFile(md, name, 'text/markdown');
                 this.showToast('Markdown downloaded');
                 this._showValueMomentToast();
@@ -3243,13 +4772,13 @@ class App {
         requestAnimationFrame(() => {
             try {
                 if (!this.diagramRenderer) this.renderRelationshipDiagram();
-                const html = this.docGenerator.generateFullReport(
+                const html = this._exportGenerator().generateFullReport(
                     this.visualData,
                     this.diagramRenderer,
                     scope
                 );
                 const suffixMap = { all: '', model: '-model', visuals: '-visuals' };
-                const name = (this.parsedModel.database?.name || 'model') + '-full-report' + (suffixMap[scope] || '') + '.html';
+                const name = this._exportBaseName(true) + '-full-report' + (suffixMap[scope] || '') + '.html';
                 this._downloadFile(html, name, 'text/html');
                 this.showToast('Full report downloaded');
                 this._showValueMomentToast();
@@ -3260,6 +4789,36 @@ class App {
         });
     }
 
+    /**
+     * Doc generator for downloads — scoped to the active perspective and translated
+     * into the documentation culture when those are picked
+     */
+    _exportGenerator() {
+        if (!this.perspectiveModel && !this.docCulture) return this.docGenerator;
+        const model = this.docCulture ? Translations.applyCulture(this._viewModel(), this.docCulture) : this._viewModel();
+        const generator = new DocGenerator(
+            model,
+            this.docGenerator.visualUsage,
+            this.measureRefs,
+            this.lineageEngine
+        );
+        generator.bpaResults = this.perspectiveModel
+            ? Perspectives.scopeBPAResults(this.bpaResults, this.perspectiveModel)
+            : this.bpaResults;
+        generator.measureHealth = this.measureHealth;
+        generator.daxFormat = this.daxFormat;
+        return generator;
+    }
+
+    /**
+     * @param {boolean} withCulture - Append the documentation culture (diagrams are not translated)
+     */
+    _exportBaseName(withCulture = false) {
+        const modelName = this.parsedModel?.database?.name || 'model';
+        const parts = [modelName, this.activePerspective, withCulture ? this.docCulture : null];
+        return parts.filter(Boolean).join('-');
+    }
+
     _downloadFile(content, filename, mimeType) {
         const blob = new Blob([content], { type: mimeType + ';charset=utf-8' });
         const url = URL.createObjectURL(blob);
@@ -3277,7 +4836,7 @@ class App {
     // ──────────────────────────────────────────────
 
     _handleDiagramExport(format, diagramType) {
-        const modelName = this.parsedModel?.database?.name || 'model';
+        const modelName = this._exportBaseName();
         try {
             switch (format) {
                 case 'svg':
@@ -3314,7 +4873,10 @@ class App {
             'lineage-trace': 'lineageTraceDiagram',
             'lineage-source-trace': 'lineageSourceTraceDiagram',
             'lineage-impact': 'lineageImpactDiagram',
-            'lineage-column': 'lineageColumnImpactDiagram'
+            'lineage-column': 'lineageColumnImpactDiagram',
+            'lineage-measure-tree': 'lineageMeasureTreeDiagram',
+            'lineage-security': 'lineageSecurityDiagram',
+            'query-dependencies': 'queryDependenciesDiagram'
         };
 
         const containerId = containerMap[diagramType];
@@ -3363,7 +4925,10 @@ class App {
             'lineage-trace': 'lineageTraceDiagram',
             'lineage-source-trace': 'lineageSourceTraceDiagram',
             'lineage-impact': 'lineageImpactDiagram',
-            'lineage-column': 'lineageColumnImpactDiagram'
+            'lineage-column': 'lineageColumnImpactDiagram',
+            'lineage-measure-tree': 'lineageMeasureTreeDiagram',
+            'lineage-security': 'lineageSecurityDiagram',
+            'query-dependencies': 'queryDependenciesDiagram'
         };
         const containerId = containerMap[diagramType];
         if (!containerId) return null;
@@ -3467,13 +5032,15 @@ svg{max-width:100%;height:auto}
             return;
         }
 
-        const exporter = new DrawioExporter(this.parsedModel, this.lineageEngine);
+        const exporter = new DrawioExporter(this._viewModel(), this.lineageEngine);
         let xml;
 
         if (diagramType === 'relationships') {
             xml = exporter.generateERD();
         } else if (diagramType === 'detailed-erd') {
             xml = exporter.generateDetailedERD();
+        } else if (diagramType === 'query-dependencies') {
+            xml = exporter.generateQueryDependencies();
         } else if (diagramType.startsWith('lineage')) {
             xml = exporter.generateLineage();
         } else {
@@ -3493,11 +5060,13 @@ svg{max-width:100%;height:auto}
             return;
         }
 
-        const exporter = new MermaidExporter(this.parsedModel, this.lineageEngine, this.visualData);
+        const exporter = new MermaidExporter(this._viewModel(), this.lineageEngine, this.visualData);
         let mermaidText;
 
         if (diagramType === 'relationships') {
             mermaidText = exporter.generateERDiagram();
+        } else if (diagramType === 'query-dependencies') {
+            mermaidText = exporter.generateQueryDependencyFlowchart();
         } else if (diagramType.startsWith('lineage')) {
             mermaidText = exporter.generateLineageFlowchart();
         } else {
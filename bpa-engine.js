@@ -0,0 +1,212 @@
+/**
+ * Best Practice Analyzer Module
+ * Runs declarative rules against the parsed TMDL model and the lineage graph,
+ * in the spirit of Tabular Editor's BPA
+ */
+
+class BPAEngine {
+    /**
+     * @param {Object} model - Parsed TMDL model from TMDLParser
+     * @param {LineageEngine} lineageEngine - Built lineage graph (optional; usage-based rules are skipped without it)
+     * @param {Object} options - { rules } to replace the built-in rule set (e.g. built-ins plus BPARuleLoader rules)
+     */
+    constructor(model, lineageEngine, options = {}) {
+        this.model = model;
+        this.lineageEngine = lineageEngine || null;
+        this.rules = options.rules || BPAEngine.BUILT_IN_RULES;
+        this.result = null;
+    }
+
+    /**
+     * Evaluate every rule against every object in its scope
+     * @returns {Object} { findings: [{ ruleId, ruleName, category, severity, objectType, table, name, label, message, ruleSource }], counts, ruleErrors }
+     */
+    run() {
+        const ctx = this._buildContext();
+        const findings = [];
+        const ruleErrors = [];
+
+        for (const rule of this.rules) {
+            if (rule.needsLineage && !this.lineageEngine) continue;
+            // A rule that throws is reported once and skipped, rather than once per object
+            try {
+                for (const scope of [].concat(rule.scope)) {
+                    for (const obj of this._objectsInScope(scope)) {
+                        const hit = rule.matches(obj.item, { ...ctx, scope, table: obj.table });
+                        if (!hit) continue;
+                        findings.push({
+                            ruleId: rule.id,
+                            ruleName: rule.name,
+                            category: rule.category,
+                            severity: rule.severity,
+                            objectType: scope,
+                            table: obj.table ? obj.table.name : null,
+                            name: obj.item.name || obj.label,
+                            label: obj.label,
+                            message: typeof hit === 'string' ? hit : rule.description,
+                            ruleSource: rule.source || null
+                        });
+                    }
+                }
+            } catch (err) {
+                ruleErrors.push({ rule: rule.id, message: err.message });
+                for (let i = findings.length - 1; i >= 0 && findings[i].ruleId === rule.id; i--) findings.pop();
+            }
+        }
+
+        const order = { error: 0, warning: 1, info: 2 };
+        findings.sort((a, b) => order[a.severity] - order[b.severity]
+            || a.ruleName.localeCompare(b.ruleName)
+            || a.label.localeCompare(b.label));
+
+        const counts = { error: 0, warning: 0, info: 0, total: findings.length };
+        for (const f of findings) counts[f.severity]++;
+
+        this.result = { findings, counts, ruleErrors };
+        return this.result;
+    }
+
+    // ──────────────────────────────────────────────
+    // OBJECT SCOPES
+    // ──────────────────────────────────────────────
+
+    /**
+     * Objects a rule of the given scope is evaluated against. Auto-date tables are skipped —
+     * Power BI generates them and their owners cannot fix what the rules report.
+     */
+    _objectsInScope(scope) {
+        const tables = this.model.tables.filter(t => !t._isAutoDate);
+        switch (scope) {
+            case 'table':
+                return tables.map(t => ({ item: t, table: t, label: t.name }));
+            case 'column':
+                return tables.flatMap(t => t.columns.map(c => ({ item: c, table: t, label: `${t.name}[${c.name}]` })));
+            case 'measure':
+                return tables.flatMap(t => t.measures.map(m => ({ item: m, table: t, label: `[${m.name}]` })));
+            case 'relationship':
+                return this.model.relationships.map(r => ({
+                    item: r,
+                    table: null,
+                    label: `${r.fromTable}[${r.fromColumn}] → ${r.toTable}[${r.toColumn}]`
+                }));
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Lookups shared by all rules, computed once per run
+     */
+    _buildContext() {
+        const key = (table, column) => `${table}|${column}`;
+        const foreignKeys = new Set();
+        for (const r of this.model.relationships) foreignKeys.add(key(r.fromTable, r.fromColumn));
+
+        const unused = this.lineageEngine ? new UnusedObjects(this.model, this.lineageEngine) : null;
+        return {
+            model: this.model,
+            engine: this.lineageEngine,
+            isForeignKey: (table, column) => foreignKeys.has(key(table, column)),
+            isColumnUsed: (table, column) => !unused || !unused.isColumnUnreferenced(table, column)
+        };
+    }
+
+    // ──────────────────────────────────────────────
+    // HELPERS
+    // ──────────────────────────────────────────────
+
+    static _isCurrencyColumn(column) {
+        if (column.formatString && /[$€£¥₩]|currency/i.test(column.formatString)) return true;
+        if (column.dataCategory && /currency/i.test(column.dataCategory)) return true;
+        return /amount|price|cost|revenue|sales|profit|margin|discount|tax|fee/i.test(column.name);
+    }
+
+    /**
+     * Aggregating calculated columns with no row-context functions are evaluated identically
+     * for every row — the classic sign of a column that should have been a measure
+     */
+    static _looksLikeMeasure(expression) {
+        const code = DAXReferenceExtractor._cleanDAX(expression);
+        const aggregates = /\b(CALCULATE|SUM|SUMX|AVERAGE|AVERAGEX|COUNT|COUNTA|COUNTROWS|COUNTX|DISTINCTCOUNT|MIN|MINX|MAX|MAXX|TOTALYTD|TOTALMTD|TOTALQTD)\s*\(/i;
+        const rowContext = /\b(RELATED|RELATEDTABLE|EARLIER|EARLIEST|LOOKUPVALUE|SELECTEDVALUE)\s*\(/i;
+        return aggregates.test(code) && !rowContext.test(code);
+    }
+}
+
+BPAEngine.SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * Built-in rules. `matches(obj, ctx)` returns true (or a message string) when the object violates the rule.
+ */
+BPAEngine.BUILT_IN_RULES = [
+    {
+        id: 'MEASURE_NO_FORMAT_STRING',
+        name: 'Measure has no format string',
+        category: 'Formatting',
+        severity: 'warning',
+        scope: 'measure',
+        description: 'Give the measure a format string so values render consistently in every visual.',
+        matches: m => !m.formatString && !m.formatStringExpression
+    },
+    {
+        id: 'MEASURE_NO_DESCRIPTION',
+        name: 'Measure has no description',
+        category: 'Maintenance',
+        severity: 'info',
+        scope: 'measure',
+        description: 'Describe what the measure calculates; descriptions appear as tooltips in the field list.',
+        matches: m => !m.description
+    },
+    {
+        id: 'RELATIONSHIP_BIDIRECTIONAL',
+        name: 'Bi-directional relationship',
+        category: 'Performance',
+        severity: 'warning',
+        scope: 'relationship',
+        description: 'Cross-filtering in both directions can cause ambiguous filter paths and slower queries. Prefer single direction and CROSSFILTER() where needed.',
+        matches: r => r.crossFilteringBehavior === 'bothDirections'
+    },
+    {
+        id: 'FOREIGN_KEY_VISIBLE',
+        name: 'Foreign key column is visible',
+        category: 'Formatting',
+        severity: 'warning',
+        scope: 'column',
+        description: 'Hide key columns on the many side of a relationship; report authors should slice by the dimension instead.',
+        matches: (c, ctx) => !c.isHidden && !ctx.table.isHidden && ctx.isForeignKey(ctx.table.name, c.name)
+    },
+    {
+        id: 'CURRENCY_FLOATING_POINT',
+        name: 'Currency column uses floating point',
+        category: 'Data Types',
+        severity: 'warning',
+        scope: 'column',
+        description: 'Use Fixed Decimal (decimal) instead of double for monetary values to avoid rounding errors.',
+        matches: c => c.dataType === 'double' && BPAEngine._isCurrencyColumn(c)
+    },
+    {
+        id: 'HIDDEN_COLUMN_UNUSED',
+        name: 'Hidden column is never used',
+        category: 'Performance',
+        severity: 'warning',
+        scope: 'column',
+        needsLineage: true,
+        description: 'The column is hidden and not referenced by any measure, calculated column, visual, relationship, sort-by, hierarchy or RLS filter. Remove it to reduce model size.',
+        matches: (c, ctx) => c.isHidden && !ctx.table._isCalcGroup && !ctx.table._isFieldParameter
+            && !ctx.isColumnUsed(ctx.table.name, c.name)
+    },
+    {
+        id: 'CALC_COLUMN_COULD_BE_MEASURE',
+        name: 'Calculated column could be a measure',
+        category: 'Performance',
+        severity: 'info',
+        scope: 'column',
+        description: 'This calculated column aggregates without using row context. A measure computes the same result at query time without being stored.',
+        matches: (c, ctx) => !!c.expression && !ctx.table._isFieldParameter && BPAEngine._looksLikeMeasure(c.expression)
+    }
+];
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BPAEngine;
+}
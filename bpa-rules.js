@@ -0,0 +1,471 @@
+/**
+ * BPA Rules Module
+ * Loads user-defined best-practice rules from a JSON file and compiles their
+ * Tabular Editor-style expressions into BPAEngine rules
+ */
+
+class BPARuleLoader {
+    /**
+     * Parse a rules file. Accepts Tabular Editor's top-level array
+     * ([{ ID, Name, Category, Severity, Scope, Expression, Description }]) or { rules: [...] },
+     * with keys in any case.
+     * @param {string|Object|Array} json - File text or already-parsed JSON
+     * @param {string} source - File name, recorded on each rule
+     * @returns {Object} { rules: BPAEngine rule[], errors: [{ rule, message }] }
+     */
+    static parse(json, source = 'rules file') {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        const list = Array.isArray(data) ? data : (data && Array.isArray(data.rules) ? data.rules : null);
+        if (!list) throw new Error('Expected an array of rules or an object with a "rules" array.');
+
+        const rules = [];
+        const errors = [];
+        list.forEach((raw, i) => {
+            const get = key => {
+                const match = Object.keys(raw || {}).find(k => k.toLowerCase() === key);
+                return match ? raw[match] : undefined;
+            };
+            const id = String(get('id') || get('name') || `RULE_${i + 1}`);
+            try {
+                const expression = get('expression') ?? get('predicate');
+                if (!expression || typeof expression !== 'string') throw new Error('Missing "Expression".');
+                const scopes = BPARuleLoader._parseScope(get('scope'));
+                const severity = BPARuleLoader._parseSeverity(get('severity'));
+                const predicate = BPAExpression.compile(expression);
+
+                rules.push({
+                    id,
+                    name: String(get('name') || id),
+                    category: String(get('category') || 'Custom'),
+                    severity,
+                    scope: [...new Set(scopes.map(s => s.scope))],
+                    description: String(get('description') || get('name') || id),
+                    source,
+                    expression,
+                    matches: (obj, ctx) => {
+                        const scope = scopes.find(s => s.scope === ctx.scope && s.filter(obj, ctx.table));
+                        return !!scope && !!predicate(BPARuleLoader.view(ctx.scope, obj, ctx));
+                    }
+                });
+            } catch (err) {
+                errors.push({ rule: id, message: err.message });
+            }
+        });
+
+        return { rules, errors };
+    }
+
+    /**
+     * Map Tabular Editor object types onto BPAEngine scopes.
+     * Column sub-types narrow the match with a filter.
+     */
+    static _parseScope(value) {
+        if (!value) throw new Error('Missing "Scope".');
+        const isCalc = c => !!c.expression;
+        const isCalcTable = t => !!t && t.partitions.some(p => p.sourceType === 'calculated');
+        const map = {
+            measure: { scope: 'measure', filter: () => true },
+            column: { scope: 'column', filter: () => true },
+            datacolumn: { scope: 'column', filter: (c, t) => !isCalc(c) && !isCalcTable(t) },
+            calculatedcolumn: { scope: 'column', filter: isCalc },
+            calculatedtablecolumn: { scope: 'column', filter: (c, t) => !isCalc(c) && isCalcTable(t) },
+            table: { scope: 'table', filter: () => true },
+            calculatedtable: { scope: 'table', filter: isCalcTable },
+            relationship: { scope: 'relationship', filter: () => true },
+            singlecolumnrelationship: { scope: 'relationship', filter: () => true }
+        };
+        const names = (Array.isArray(value) ? value : String(value).split(',')).map(s => String(s).trim()).filter(Boolean);
+        const scopes = names.map(n => map[n.toLowerCase()]).filter(Boolean);
+        if (scopes.length === 0) {
+            throw new Error(`Unsupported scope "${names.join(', ')}" — use Table, Column, DataColumn, CalculatedColumn, Measure or Relationship.`);
+        }
+        return scopes;
+    }
+
+    /**
+     * Tabular Editor uses 1 (info), 2 (warning), 3 (error)
+     */
+    static _parseSeverity(value) {
+        if (value == null) return 'warning';
+        if (typeof value === 'number' || /^\d+$/.test(value)) {
+            const n = Number(value);
+            return n >= 3 ? 'error' : n === 2 ? 'warning' : 'info';
+        }
+        const s = String(value).toLowerCase();
+        if (s === 'information') return 'info';
+        if (BPAEngine.SEVERITIES.includes(s)) return s;
+        throw new Error(`Unknown severity "${value}".`);
+    }
+
+    // ──────────────────────────────────────────────
+    // OBJECT VIEWS
+    // ──────────────────────────────────────────────
+
+    /**
+     * Expose a parsed object under Tabular Editor's property names,
+     * with enum values in PascalCase (DataType.Double, CrossFilteringBehavior.BothDirections)
+     */
+    static view(scope, obj, ctx) {
+        const model = ctx.model;
+        const tableOf = name => model.tables.find(t => t.name === name);
+        switch (scope) {
+            case 'measure': return BPARuleLoader._measureView(obj, ctx.table);
+            case 'column': return BPARuleLoader._columnView(obj, ctx.table);
+            case 'table': return BPARuleLoader._tableView(obj);
+            case 'relationship': {
+                const from = tableOf(obj.fromTable);
+                const to = tableOf(obj.toTable);
+                const col = (t, name) => {
+                    const c = t && t.columns.find(x => x.name === name);
+                    return c ? BPARuleLoader._columnView(c, t) : null;
+                };
+                return {
+                    ObjectTypeName: 'Relationship',
+                    Name: obj.id || `${obj.fromTable}[${obj.fromColumn}] → ${obj.toTable}[${obj.toColumn}]`,
+                    FromTable: from ? BPARuleLoader._tableView(from) : null,
+                    ToTable: to ? BPARuleLoader._tableView(to) : null,
+                    FromColumn: col(from, obj.fromColumn),
+                    ToColumn: col(to, obj.toColumn),
+                    FromCardinality: BPARuleLoader._pascal(obj.fromCardinality || 'many'),
+                    ToCardinality: BPARuleLoader._pascal(obj.toCardinality || 'one'),
+                    CrossFilteringBehavior: BPARuleLoader._pascal(obj.crossFilteringBehavior || 'oneDirection'),
+                    SecurityFilteringBehavior: BPARuleLoader._pascal(obj.securityFilteringBehavior || 'oneDirection'),
+                    IsActive: obj.isActive !== false
+                };
+            }
+            default: return {};
+        }
+    }
+
+    static _tableView(t) {
+        return {
+            ObjectTypeName: 'Table',
+            Name: t.name,
+            DaxObjectName: `'${t.name}'`,
+            Description: t.description || null,
+            IsHidden: !!t.isHidden,
+            DataCategory: t.dataCategory || null,
+            Columns: t.columns.map(c => BPARuleLoader._columnView(c, t, false)),
+            Measures: t.measures.map(m => BPARuleLoader._measureView(m, t, false)),
+            Hierarchies: t.hierarchies.map(h => ({ Name: h.name, Description: h.description || null, Levels: h.levels.map(l => ({ Name: l.name })) })),
+            Partitions: t.partitions.map(p => ({ Name: p.name, Mode: BPARuleLoader._pascal(p.mode || 'import'), SourceType: BPARuleLoader._pascal(p.sourceType || ''), Expression: p.source || null }))
+        };
+    }
+
+    static _columnView(c, t, withTable = true) {
+        return {
+            ObjectTypeName: 'Column',
+            Name: c.name,
+            DaxObjectName: `[${c.name}]`,
+            DaxObjectFullName: `'${t.name}'[${c.name}]`,
+            Description: c.description || null,
+            DataType: BPARuleLoader._pascal(c.dataType || ''),
+            Type: c.expression ? 'Calculated' : 'Data',
+            Expression: c.expression || null,
+            FormatString: c.formatString || null,
+            IsHidden: !!c.isHidden,
+            DisplayFolder: c.displayFolder || null,
+            SourceColumn: c.sourceColumn || null,
+            SummarizeBy: BPARuleLoader._pascal(c.summarizeBy || 'default'),
+            SortByColumn: c.sortByColumn || null,
+            DataCategory: c.dataCategory || null,
+            Table: withTable ? BPARuleLoader._tableView(t) : { Name: t.name, IsHidden: !!t.isHidden }
+        };
+    }
+
+    static _measureView(m, t, withTable = true) {
+        return {
+            ObjectTypeName: 'Measure',
+            Name: m.name,
+            DaxObjectName: `[${m.name}]`,
+            DaxObjectFullName: `'${t.name}'[${m.name}]`,
+            Description: m.description || null,
+            Expression: m.expression || null,
+            FormatString: m.formatString || null,
+            FormatStringExpression: m.formatStringExpression || null,
+            IsHidden: !!m.isHidden,
+            DisplayFolder: m.displayFolder || null,
+            DataCategory: m.dataCategory || null,
+            Table: withTable ? BPARuleLoader._tableView(t) : { Name: t.name, IsHidden: !!t.isHidden }
+        };
+    }
+
+    static _pascal(value) {
+        return value ? value.charAt(0).toUpperCase() + value.slice(1) : value;
+    }
+}
+
+/**
+ * Compiler for the subset of Dynamic LINQ used by Tabular Editor BPA expressions:
+ * property paths, string/number/boolean/null literals, == = != <> < > <= >=, + -,
+ * and/or/not (&& || !), string methods (StartsWith, EndsWith, Contains, ToLower, ToUpper,
+ * Trim, IndexOf, Replace, Length), string.IsNullOrEmpty/IsNullOrWhiteSpace, RegEx.IsMatch,
+ * collection Count/Any/All with an optional predicate over each item, and enum literals.
+ */
+class BPAExpression {
+    /**
+     * @param {string} source - Expression text
+     * @returns {Function} (view) => value
+     */
+    static compile(source) {
+        const parser = new BPAExpression(BPAExpression._tokenize(source), source);
+        const node = parser._parseOr();
+        if (parser.pos < parser.tokens.length) parser._fail(`Unexpected "${parser._peek().value}"`);
+        return view => node(view);
+    }
+
+    constructor(tokens, source) {
+        this.tokens = tokens;
+        this.source = source;
+        this.pos = 0;
+    }
+
+    static _tokenize(src) {
+        const tokens = [];
+        const re = /\s*(?:(\d+(?:\.\d+)?)|("(?:[^"\\]|\\.)*")|([A-Za-z_][A-Za-z0-9_]*)|(==|!=|<>|<=|>=|&&|\|\||[=<>!().,+\-]))/y;
+        let i = 0;
+        while (i < src.length) {
+            if (/^\s*$/.test(src.slice(i))) break;
+            re.lastIndex = i;
+            const m = re.exec(src);
+            if (!m) throw new Error(`Cannot parse expression near "${src.slice(i).trim().slice(0, 20)}"`);
+            if (m[1] !== undefined) tokens.push({ type: 'num', value: Number(m[1]) });
+            else if (m[2] !== undefined) tokens.push({ type: 'str', value: JSON.parse(m[2]) });
+            else if (m[3] !== undefined) tokens.push({ type: 'id', value: m[3] });
+            else tokens.push({ type: 'op', value: m[4] });
+            i = re.lastIndex;
+        }
+        return tokens;
+    }
+
+    _peek() { return this.tokens[this.pos]; }
+
+    _isOp(value) {
+        const t = this._peek();
+        return !!t && t.type === 'op' && t.value === value;
+    }
+
+    _isWord(word) {
+        const t = this._peek();
+        return !!t && t.type === 'id' && t.value.toLowerCase() === word;
+    }
+
+    _expect(value) {
+        if (!this._isOp(value)) this._fail(`Expected "${value}"`);
+        this.pos++;
+    }
+
+    _fail(message) {
+        throw new Error(`${message} in expression: ${this.source}`);
+    }
+
+    _parseOr() {
+        let left = this._parseAnd();
+        while (this._isOp('||') || this._isWord('or')) {
+            this.pos++;
+            const l = left, r = this._parseAnd();
+            left = v => !!l(v) || !!r(v);
+        }
+        return left;
+    }
+
+    _parseAnd() {
+        let left = this._parseNot();
+        while (this._isOp('&&') || this._isWord('and')) {
+            this.pos++;
+            const l = left, r = this._parseNot();
+            left = v => !!l(v) && !!r(v);
+        }
+        return left;
+    }
+
+    _parseNot() {
+        if (this._isOp('!') || this._isWord('not')) {
+            this.pos++;
+            const inner = this._parseNot();
+            return v => !inner(v);
+        }
+        return this._parseComparison();
+    }
+
+    _parseComparison() {
+        const left = this._parseAdditive();
+        const t = this._peek();
+        if (!t || t.type !== 'op' || !['==', '=', '!=', '<>', '<', '>', '<=', '>='].includes(t.value)) return left;
+        this.pos++;
+        const right = this._parseAdditive();
+        switch (t.value) {
+            case '==': case '=': return v => BPAExpression._eq(left(v), right(v));
+            case '!=': case '<>': return v => !BPAExpression._eq(left(v), right(v));
+            case '<': return v => left(v) < right(v);
+            case '>': return v => left(v) > right(v);
+            case '<=': return v => left(v) <= right(v);
+            default: return v => left(v) >= right(v);
+        }
+    }
+
+    _parseAdditive() {
+        let left = this._parsePostfix();
+        while (this._isOp('+') || this._isOp('-')) {
+            const op = this.tokens[this.pos++].value;
+            const l = left, r = this._parsePostfix();
+            left = op === '+'
+                ? v => { const a = l(v), b = r(v); return (typeof a === 'string' || typeof b === 'string') ? `${a ?? ''}${b ?? ''}` : a + b; }
+                : v => l(v) - r(v);
+        }
+        return left;
+    }
+
+    _parsePostfix() {
+        let node = this._parsePrimary();
+        while (this._isOp('.')) {
+            this.pos++;
+            const t = this._peek();
+            if (!t || t.type !== 'id') this._fail('Expected a member name after "."');
+            this.pos++;
+            const member = t.value;
+            if (this._isOp('(')) {
+                const args = this._parseArgs();
+                const target = node;
+                node = v => BPAExpression._callMethod(target(v), member, args, v, this.source);
+            } else {
+                const target = node;
+                node = v => BPAExpression._member(target(v), member, this.source);
+            }
+        }
+        return node;
+    }
+
+    _parseArgs() {
+        this._expect('(');
+        const args = [];
+        if (!this._isOp(')')) {
+            args.push(this._parseOr());
+            while (this._isOp(',')) { this.pos++; args.push(this._parseOr()); }
+        }
+        this._expect(')');
+        return args;
+    }
+
+    _parsePrimary() {
+        const t = this._peek();
+        if (!t) this._fail('Unexpected end');
+        this.pos++;
+        if (t.type === 'num' || t.type === 'str') return () => t.value;
+        if (t.type === 'op' && t.value === '(') {
+            const inner = this._parseOr();
+            this._expect(')');
+            return inner;
+        }
+        if (t.type === 'op' && t.value === '-') {
+            const inner = this._parsePostfix();
+            return v => -inner(v);
+        }
+        if (t.type !== 'id') this._fail(`Unexpected "${t.value}"`);
+
+        const word = t.value;
+        const lower = word.toLowerCase();
+        if (lower === 'true') return () => true;
+        if (lower === 'false') return () => false;
+        if (lower === 'null') return () => null;
+        if (lower === 'it') return v => v;
+
+        // Static helpers: string.IsNullOrEmpty(x), String.IsNullOrWhiteSpace(x), RegEx.IsMatch(s, p)
+        if ((lower === 'string' || lower === 'regex') && this._isOp('.')) {
+            this.pos++;
+            const fn = this._peek();
+            if (!fn || fn.type !== 'id') this._fail('Expected a function name');
+            this.pos++;
+            const args = this._parseArgs();
+            const name = `${lower}.${fn.value.toLowerCase()}`;
+            if (name === 'string.isnullorempty') return v => { const s = args[0](v); return s == null || s === ''; };
+            if (name === 'string.isnullorwhitespace') return v => { const s = args[0](v); return s == null || String(s).trim() === ''; };
+            if (name === 'regex.ismatch') {
+                return v => {
+                    const s = args[0](v);
+                    return s != null && new RegExp(args[1](v)).test(String(s));
+                };
+            }
+            this._fail(`Unsupported function ${word}.${fn.value}`);
+        }
+
+        // Enum literal, e.g. DataType.Double or CrossFilteringBehavior.BothDirections
+        if (BPAExpression.ENUM_TYPES.includes(word) && this._isOp('.')) {
+            const next = this.tokens[this.pos + 1];
+            if (next && next.type === 'id' && !this._isCall(this.pos + 2)) {
+                this.pos += 2;
+                return () => next.value;
+            }
+        }
+
+        return v => BPAExpression._member(v, word, this.source);
+    }
+
+    _isCall(index) {
+        const t = this.tokens[index];
+        return !!t && t.type === 'op' && t.value === '(';
+    }
+
+    // ──────────────────────────────────────────────
+    // EVALUATION
+    // ──────────────────────────────────────────────
+
+    static _eq(a, b) {
+        if (a == null || b == null) return (a == null) && (b == null);
+        return a === b;
+    }
+
+    static _member(target, name, source) {
+        if (target == null) return null;
+        if (typeof target === 'string' || Array.isArray(target)) {
+            if (name === 'Length' || name === 'Count') return target.length;
+            throw new Error(`Unknown member "${name}" in expression: ${source}`);
+        }
+        if (Object.prototype.hasOwnProperty.call(target, name)) return target[name];
+        const key = Object.keys(target).find(k => k.toLowerCase() === name.toLowerCase());
+        if (key === undefined) {
+            const type = target.ObjectTypeName ? ` on ${target.ObjectTypeName}` : '';
+            throw new Error(`Unknown property "${name}"${type} in expression: ${source}`);
+        }
+        return target[key];
+    }
+
+    static _callMethod(target, name, args, view, source) {
+        const m = name.toLowerCase();
+        if (Array.isArray(target)) {
+            const pred = args[0];
+            if (m === 'count') return pred ? target.filter(item => pred(item)).length : target.length;
+            if (m === 'any') return pred ? target.some(item => pred(item)) : target.length > 0;
+            if (m === 'all') return pred ? target.every(item => pred(item)) : true;
+            throw new Error(`Unsupported collection method "${name}" in expression: ${source}`);
+        }
+        if (target == null) return null;
+        const s = String(target);
+        const a = args.map(fn => fn(view));
+        switch (m) {
+            case 'startswith': return s.startsWith(a[0]);
+            case 'endswith': return s.endsWith(a[0]);
+            case 'contains': return s.includes(a[0]);
+            case 'tolower': return s.toLowerCase();
+            case 'toupper': return s.toUpperCase();
+            case 'trim': return s.trim();
+            case 'indexof': return s.indexOf(a[0]);
+            case 'replace': return s.split(a[0]).join(a[1]);
+            case 'equals': return s === a[0];
+            default: throw new Error(`Unsupported method "${name}" in expression: ${source}`);
+        }
+    }
+}
+
+BPAExpression.ENUM_TYPES = [
+    'DataType', 'CrossFilteringBehavior', 'SecurityFilteringBehavior',
+    'RelationshipEndCardinality', 'ModeType', 'AggregateFunction'
+];
+
+/** File names looked up in the project and .SemanticModel folders */
+BPARuleLoader.RULE_FILE_NAMES = ['BPARules.json', 'bpa-rules.json'];
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BPARuleLoader, BPAExpression };
+}
@@ -0,0 +1,612 @@
+#!/usr/bin/env node
+/**
+ * PBIP Documenter CLI
+ * Documents a PBIP project folder from the command line (no browser required)
+ * Run: pbip-documenter <project-folder> [options]   (or: node cli.js …)
+ */
+const fs = require('fs');
+const path = require('path');
+
+const { TMDLParser, DAXReferenceExtractor, DAXParser } = require('./tmdl-parser.js');
+const DAXFormatter = require('./dax-formatter.js');
+const VisualParser = require('./visual-parser.js');
+const ReportBinding = require('./report-binding.js');
+const MExpressionParser = require('./m-parser.js');
+const LineageEngine = require('./lineage-engine.js');
+const RLSSimulator = require('./rls-simulator.js');
+const DocGenerator = require('./doc-generator.js');
+const ModelDiff = require('./model-diff.js');
+const ImpactDiff = require('./impact-diff.js');
+const UnusedObjects = require('./unused-objects.js');
+const MeasureHealth = require('./measure-health.js');
+const BPAEngine = require('./bpa-engine.js');
+const { BPARuleLoader } = require('./bpa-rules.js');
+const Perspectives = require('./perspectives.js');
+const Translations = require('./translations.js');
+const RefreshStorage = require('./refresh-storage.js');
+
+// The browser modules reference each other as globals (one <script> tag each)
+global.TMDLParser = TMDLParser;
+global.DAXReferenceExtractor = DAXReferenceExtractor;
+global.DAXParser = DAXParser;
+global.DAXFormatter = DAXFormatter;
+global.MExpressionParser = MExpressionParser;
+global.LineageEngine = LineageEngine;
+global.RLSSimulator = RLSSimulator;
+global.ModelDiff = ModelDiff;
+global.UnusedObjects = UnusedObjects;
+global.MeasureHealth = MeasureHealth;
+global.BPAEngine = BPAEngine;
+global.Perspectives = Perspectives;
+global.Translations = Translations;
+global.RefreshStorage = RefreshStorage;
+global.VisualParser = VisualParser;
+
+const USAGE = `Usage: pbip-documenter <project-folder> [options]
+
+Arguments:
+  <project-folder>      PBIP project folder, or a .SemanticModel folder directly
+
+Options:
+  -o, --out <dir>       Output directory (default: ./docs-output)
+  -m, --model <name>    Semantic model to document when the folder has several
+  -r, --report <name>   Report to include when several match the model, or a thin
+                        report connected live to a published model. Repeat to
+                        include several reports; their visual usage is added up
+      --all-reports     Include every report bound to the model
+      --no-report       Document the semantic model only
+  -f, --format <list>   Comma-separated outputs: md,html,json (default: all)
+  -s, --scope <scope>   Markdown/HTML scope: all, model or visuals (default: all)
+  -p, --perspective <name>
+                        Only document the tables, columns and measures in this perspective
+      --culture <name>  Write the documentation in this culture's translations (e.g. de-DE)
+      --original-dax    Print DAX exactly as written instead of formatted
+  -c, --compare <path>  Baseline folder or JSON export — also writes a Markdown change log
+                        with the per-page report impact
+      --rules <file>    Extra best-practice rules (JSON). Default: BPARules.json or
+                        bpa-rules.json in the project or .SemanticModel folder
+  -q, --quiet           Only print errors
+  -h, --help            Show this help`;
+
+const FORMATS = ['md', 'html', 'json'];
+const SCOPES = ['all', 'model', 'visuals'];
+
+// ── Folder discovery ─────────────────────────────────────────────────────────
+
+/**
+ * Locate the semantic model and report folders, mirroring App.findPBIPStructure()
+ * @param {string} rootPath - Project folder or .SemanticModel folder
+ * @param {Object} options - { model, report (name or array of names), allReports, noReport }
+ * @returns {{ modelPath: string, reportPath: string|null, reportPaths: string[], reportBinding: Object|null }}
+ *   `reportPath` and `reportBinding` are the first of `reportPaths`
+ */
+function findPBIPStructure(rootPath, options = {}) {
+    const root = path.resolve(rootPath);
+    if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+        throw new Error(`Folder not found: ${rootPath}`);
+    }
+
+    // Selected folder IS a semantic model
+    if (root.endsWith('.SemanticModel') || fs.existsSync(path.join(root, 'definition', 'tables'))) {
+        return { modelPath: root, reportPath: null, reportPaths: [] };
+    }
+
+    const children = fs.readdirSync(root, { withFileTypes: true }).filter(e => e.isDirectory());
+    const allModels = children.filter(e => e.name.endsWith('.SemanticModel')).map(e => e.name);
+    const allReports = children.filter(e => e.name.endsWith('.Report')).map(e => e.name);
+
+    if (allModels.length === 0) {
+        throw new Error(`No semantic model found in ${root}. Expected a .SemanticModel subfolder.`);
+    }
+
+    let modelName;
+    if (options.model) {
+        modelName = allModels.find(m => m === options.model || m === `${options.model}.SemanticModel`);
+        if (!modelName) {
+            throw new Error(`Semantic model "${options.model}" not found. Available: ${allModels.join(', ')}`);
+        }
+    } else if (allModels.length === 1) {
+        modelName = allModels[0];
+    } else {
+        throw new Error(`Multiple semantic models found — pick one with --model: ${allModels.join(', ')}`);
+    }
+
+    let reportNames = [];
+    if (options.report) {
+        for (const requested of [].concat(options.report)) {
+            const name = allReports.find(r => r === requested || r === `${requested}.Report`);
+            if (!name) {
+                throw new Error(`Report "${requested}" not found. Available: ${allReports.join(', ') || '(none)'}`);
+            }
+            if (!reportNames.includes(name)) reportNames.push(name);
+        }
+    } else if (!options.noReport) {
+        // Reports bound to this model by definition.pbir; thin reports connected to another model need --report
+        const matchingReports = allReports.filter(r => {
+            const relation = ReportBinding.relation(readReportBinding(path.join(root, r)), modelName, r);
+            return relation === 'bound' || relation === 'live' || relation === 'prefix';
+        });
+        if (matchingReports.length > 1 && !options.allReports) {
+            throw new Error(`Multiple reports match ${modelName} — pick one with --report, or use --all-reports: ${matchingReports.join(', ')}`);
+        }
+        reportNames = matchingReports;
+    }
+
+    const reportPaths = reportNames.map(r => path.join(root, r));
+    return {
+        modelPath: path.join(root, modelName),
+        reportPath: reportPaths[0] || null,
+        reportPaths,
+        reportBinding: reportPaths.length > 0 ? readReportBinding(reportPaths[0]) : null
+    };
+}
+
+/**
+ * Read a report's definition.pbir
+ * @param {string} reportPath - .Report folder
+ * @returns {Object|null} ReportBinding.parse() result, or null when the file is missing or unreadable
+ */
+function readReportBinding(reportPath) {
+    const pbirPath = path.join(reportPath, 'definition.pbir');
+    if (!fs.existsSync(pbirPath)) return null;
+    try {
+        return ReportBinding.parse(fs.readFileSync(pbirPath, 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+// ── File readers ─────────────────────────────────────────────────────────────
+
+/**
+ * Read TMDL files into the map TMDLParser.parseAll() expects
+ * @param {string} modelPath - .SemanticModel folder
+ * @returns {Object} { 'model.tmdl': text, 'tables/Sales.tmdl': text, ... }
+ */
+function readTMDLFiles(modelPath) {
+    const files = {};
+    const definitionDir = path.join(modelPath, 'definition');
+    if (!fs.existsSync(definitionDir)) {
+        throw new Error(`No definition folder in ${modelPath}`);
+    }
+
+    // Top-level files
+    for (const entry of fs.readdirSync(definitionDir, { withFileTypes: true })) {
+        if (entry.isFile() && entry.name.endsWith('.tmdl')) {
+            files[entry.name] = fs.readFileSync(path.join(definitionDir, entry.name), 'utf8');
+        }
+    }
+
+    // tables/*.tmdl, roles/*.tmdl, perspectives/*.tmdl and cultures/*.tmdl
+    for (const folder of ['tables', 'roles', 'perspectives', 'cultures']) {
+        const dir = path.join(definitionDir, folder);
+        if (!fs.existsSync(dir)) continue;
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            if (entry.isFile() && entry.name.endsWith('.tmdl')) {
+                files[`${folder}/${entry.name}`] = fs.readFileSync(path.join(dir, entry.name), 'utf8');
+            }
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Read report pages into the shape VisualParser.parseReport() expects. Reports without a
+ * definition/pages folder are read from a PBIR-Legacy report.json instead.
+ * @param {string} reportPath - .Report folder
+ * @param {Function} warn - Called with a message for each unreadable file
+ * @returns {Array} [{ pageId, pageName, displayName, pageWidth, pageHeight, pageBinding, visuals: [{ visualId, visualData }] }]
+ */
+function readReportFiles(reportPath, warn = () => {}) {
+    const pages = [];
+    const pagesDir = path.join(reportPath, 'definition', 'pages');
+    if (!fs.existsSync(pagesDir)) {
+        const reportJsonPath = path.join(reportPath, 'report.json');
+        if (!fs.existsSync(reportJsonPath)) return pages;
+        try {
+            return VisualParser.fromLegacyReport(fs.readFileSync(reportJsonPath, 'utf8'), warn);
+        } catch (err) {
+            warn(`Could not parse ${reportJsonPath}: ${err.message}`);
+            return pages;
+        }
+    }
+
+    for (const pageEntry of fs.readdirSync(pagesDir, { withFileTypes: true })) {
+        if (!pageEntry.isDirectory()) continue;
+        const pageDir = path.join(pagesDir, pageEntry.name);
+
+        let pageName = pageEntry.name;
+        let displayName = pageEntry.name;
+        let pageWidth = null;
+        let pageHeight = null;
+        let pageBinding = null;
+        let filterConfig = null;
+        const pageJsonPath = path.join(pageDir, 'page.json');
+        if (fs.existsSync(pageJsonPath)) {
+            try {
+                const pageData = JSON.parse(fs.readFileSync(pageJsonPath, 'utf8'));
+                displayName = pageData.displayName || pageData.name || pageEntry.name;
+                pageName = pageData.name || pageEntry.name;
+                pageWidth = pageData.width || null;
+                pageHeight = pageData.height || null;
+                pageBinding = pageData.pageBinding || null;
+                filterConfig = pageData.filterConfig || null;
+            } catch (err) {
+                warn(`Could not parse ${pageJsonPath}: ${err.message}`);
+            }
+        }
+
+        const visuals = [];
+        const visualsDir = path.join(pageDir, 'visuals');
+        if (fs.existsSync(visualsDir)) {
+            for (const visualEntry of fs.readdirSync(visualsDir, { withFileTypes: true })) {
+                if (!visualEntry.isDirectory()) continue;
+                const visualJsonPath = path.join(visualsDir, visualEntry.name, 'visual.json');
+                if (!fs.existsSync(visualJsonPath)) continue;
+                try {
+                    visuals.push({
+                        visualId: visualEntry.name,
+                        visualData: JSON.parse(fs.readFileSync(visualJsonPath, 'utf8'))
+                    });
+                } catch (err) {
+                    warn(`Could not parse ${visualJsonPath}: ${err.message}`);
+                }
+            }
+        }
+
+        pages.push({ pageId: pageEntry.name, pageName, displayName, pageWidth, pageHeight, pageBinding, filterConfig, visuals });
+    }
+
+    return pages;
+}
+
+/**
+ * Read report-level filters (definition/report.json) and bookmarks (definition/bookmarks/*.bookmark.json),
+ * or the same from a PBIR-Legacy report.json
+ * @param {string} reportPath - .Report folder
+ * @param {Function} warn - Called with a message for each unreadable file
+ * @returns {Object} { filterConfig, bookmarks } for VisualParser.parseReport()
+ */
+function readReportDefinition(reportPath, warn = () => {}) {
+    const definition = { filterConfig: null, bookmarks: [] };
+    const definitionDir = path.join(reportPath, 'definition');
+    const readJSON = file => {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            warn(`Could not parse ${file}: ${err.message}`);
+            return null;
+        }
+    };
+
+    if (!fs.existsSync(definitionDir)) {
+        const reportJsonPath = path.join(reportPath, 'report.json');
+        if (!fs.existsSync(reportJsonPath)) return definition;
+        try {
+            return VisualParser.fromLegacyReportDefinition(fs.readFileSync(reportJsonPath, 'utf8'));
+        } catch {
+            return definition; // readReportFiles() already warned about this file
+        }
+    }
+
+    const reportJsonPath = path.join(definitionDir, 'report.json');
+    if (fs.existsSync(reportJsonPath)) {
+        definition.filterConfig = readJSON(reportJsonPath)?.filterConfig || null;
+    }
+
+    const bookmarksDir = path.join(definitionDir, 'bookmarks');
+    if (fs.existsSync(bookmarksDir)) {
+        for (const entry of fs.readdirSync(bookmarksDir, { withFileTypes: true })) {
+            if (!entry.isFile() || !entry.name.endsWith('.bookmark.json')) continue;
+            const bookmark = readJSON(path.join(bookmarksDir, entry.name));
+            if (bookmark) definition.bookmarks.push(bookmark);
+        }
+    }
+
+    return definition;
+}
+
+// ── Pipeline ─────────────────────────────────────────────────────────────────
+
+/**
+ * Parse a model (and optional report) folder — same pipeline as App.parseModel()
+ * @param {string} modelPath - .SemanticModel folder
+ * @param {string|string[]|null} reportPath - .Report folder, or several whose visual usage is added up
+ * @param {Function} warn - Warning callback
+ * @returns {Object} { parsedModel, parseErrors, measureRefs, visualData, lineageEngine, docGenerator }
+ */
+function parseProject(modelPath, reportPath, warn = () => {}) {
+    const parser = new TMDLParser();
+    const parsedModel = parser.parseAll(readTMDLFiles(modelPath));
+    const measureRefs = parser.extractAllReferences();
+
+    let visualData = null;
+    const reportPaths = [].concat(reportPath || []);
+    if (reportPaths.length > 0) {
+        const visualParser = new VisualParser();
+        visualData = visualParser.parseReports(reportPaths.map(p => ({
+            reportName: path.basename(p).replace(/\.Report$/, ''),
+            pages: readReportFiles(p, warn),
+            definition: readReportDefinition(p, warn)
+        })));
+    }
+
+    const lineageEngine = new LineageEngine(parsedModel, visualData, measureRefs);
+    lineageEngine.buildGraph();
+
+    const docGenerator = new DocGenerator(
+        parsedModel,
+        visualData?.fieldUsageMap || {},
+        measureRefs,
+        lineageEngine
+    );
+
+    return { parsedModel, parseErrors: parser.errors, measureRefs, visualData, lineageEngine, docGenerator };
+}
+
+/**
+ * Load a model for comparison — a PBIP/.SemanticModel folder or a generateJSON() export file
+ * @param {string} target - Folder or .json path
+ * @param {Object} options - { model } to pick among several semantic models
+ * @returns {Object} Parsed model
+ */
+function loadModel(target, options = {}) {
+    const resolved = path.resolve(target);
+    if (!fs.existsSync(resolved)) throw new Error(`Not found: ${target}`);
+    if (fs.statSync(resolved).isFile()) {
+        return ModelDiff.fromJSONExport(fs.readFileSync(resolved, 'utf8'));
+    }
+    const { modelPath } = findPBIPStructure(resolved, { model: options.model, noReport: true });
+    return new TMDLParser().parseAll(readTMDLFiles(modelPath));
+}
+
+/**
+ * Look for a best-practice rules file next to the project
+ * @param {Array<string>} folders - Folders to search, in order
+ * @returns {string|null} First rules file found
+ */
+function findRulesFile(folders) {
+    for (const folder of folders) {
+        for (const name of BPARuleLoader.RULE_FILE_NAMES) {
+            const p = path.join(folder, name);
+            if (fs.existsSync(p) && fs.statSync(p).isFile()) return p;
+        }
+    }
+    return null;
+}
+
+/**
+ * Run the built-in rules plus those in a rules file, and hand the findings to the doc generator
+ * @param {Object} project - Result of parseProject()
+ * @param {string} rulesPath - Rules JSON file
+ * @param {Function} warn - Warning callback for rules that fail to compile or evaluate
+ * @returns {Object} BPAEngine.run() result
+ */
+function runBestPractices(project, rulesPath, warn = () => {}) {
+    if (!fs.existsSync(rulesPath)) throw new Error(`Not found: ${rulesPath}`);
+    const source = path.basename(rulesPath);
+    const { rules, errors } = BPARuleLoader.parse(fs.readFileSync(rulesPath, 'utf8'), source);
+    const engine = new BPAEngine(project.parsedModel, project.lineageEngine, {
+        rules: [...BPAEngine.BUILT_IN_RULES, ...rules]
+    });
+    const result = engine.run();
+    for (const err of [...errors, ...result.ruleErrors]) warn(`${source}: rule ${err.rule}: ${err.message}`);
+    project.docGenerator.bpaResults = result;
+    return result;
+}
+
+/**
+ * Point the documentation at one perspective. The full model is kept for lineage and
+ * change logs; only the doc generator (and its best-practice findings) is scoped.
+ * @param {Object} project - Result of parseProject()
+ * @param {string} name - Perspective name
+ * @returns {Object} Project copy with a scoped docGenerator and `perspective` set
+ */
+function applyPerspective(project, name) {
+    const scoped = Perspectives.scopeModel(project.parsedModel, name);
+    const docGenerator = new DocGenerator(
+        scoped,
+        project.visualData?.fieldUsageMap || {},
+        project.measureRefs,
+        project.lineageEngine
+    );
+    docGenerator.bpaResults = Perspectives.scopeBPAResults(project.docGenerator._getBPAResults(), scoped);
+    return { ...project, docGenerator, perspective: scoped._perspective.name };
+}
+
+/**
+ * Translate the documentation into one of the model's cultures. Applied after
+ * applyPerspective() so a scoped model can be translated as well.
+ * @param {Object} project - Result of parseProject() or applyPerspective()
+ * @param {string} name - Culture name, e.g. 'de-DE'
+ * @returns {Object} Project copy with a translated docGenerator and `culture` set
+ */
+function applyCulture(project, name) {
+    const translated = Translations.applyCulture(project.docGenerator.model, name);
+    const docGenerator = new DocGenerator(
+        translated,
+        project.visualData?.fieldUsageMap || {},
+        project.measureRefs,
+        project.lineageEngine
+    );
+    docGenerator.bpaResults = project.docGenerator._getBPAResults();
+    return { ...project, docGenerator, culture: translated._culture };
+}
+
+/**
+ * Write the requested documentation files
+ * @param {Object} project - Result of parseProject()
+ * @param {string} outDir - Output directory (created if missing)
+ * @param {Object} options - { formats: ['md', 'html', 'json'], scope: 'all', baselineModel, originalDax }
+ * @returns {Array<string>} Paths written
+ */
+function writeOutputs(project, outDir, options = {}) {
+    const formats = options.formats || FORMATS;
+    const scope = options.scope || 'all';
+    const { parsedModel, visualData, docGenerator } = project;
+    docGenerator.daxFormat = options.originalDax ? 'original' : 'formatted';
+
+    // Same file names as the browser downloads
+    const modelName = parsedModel.database?.name || 'model';
+    const baseName = [modelName, project.perspective, project.culture].filter(Boolean).join('-').replace(/[\\/:*?"<>|]/g, '_');
+    const suffix = { all: '', model: '-model', visuals: '-visuals' }[scope] || '';
+
+    fs.mkdirSync(outDir, { recursive: true });
+    const written = [];
+    const write = (name, content) => {
+        const p = path.join(outDir, name);
+        fs.writeFileSync(p, content, 'utf8');
+        written.push(p);
+    };
+
+    if (formats.includes('md')) {
+        write(`${baseName}-documentation${suffix}.md`, docGenerator.generateMarkdown(scope, visualData));
+    }
+    if (formats.includes('html')) {
+        // No DOM here, so the relationship diagram SVG is left out of the report
+        write(`${baseName}-full-report${suffix}.html`, docGenerator.generateFullReport(visualData, null, scope));
+    }
+    if (formats.includes('json')) {
+        write(`${baseName}-documentation.json`, docGenerator.generateJSON());
+    }
+    if (options.baselineModel) {
+        const diff = new ModelDiff(options.baselineModel, parsedModel);
+        let changeLog = diff.generateMarkdown();
+        if (visualData) {
+            const baseEngine = ImpactDiff.buildEngine(options.baselineModel, visualData);
+            const impact = new ImpactDiff(baseEngine, project.lineageEngine, diff.result);
+            changeLog += '\n\n' + impact.generateMarkdown();
+        }
+        write(`${baseName}-changes.md`, changeLog);
+    }
+
+    return written;
+}
+
+// ── Command line ─────────────────────────────────────────────────────────────
+
+function parseArgs(argv) {
+    const opts = { out: 'docs-output', formats: FORMATS, scope: 'all' };
+    const takeValue = (i, flag) => {
+        if (i + 1 >= argv.length || argv[i + 1].startsWith('-')) {
+            throw new Error(`Missing value for ${flag}`);
+        }
+        return argv[i + 1];
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '-h': case '--help': opts.help = true; break;
+            case '-q': case '--quiet': opts.quiet = true; break;
+            case '--no-report': opts.noReport = true; break;
+            case '--all-reports': opts.allReports = true; break;
+            case '--original-dax': opts.originalDax = true; break;
+            case '-o': case '--out': opts.out = takeValue(i++, arg); break;
+            case '-m': case '--model': opts.model = takeValue(i++, arg); break;
+            case '-r': case '--report': opts.report = [...(opts.report || []), takeValue(i++, arg)]; break;
+            case '-s': case '--scope': opts.scope = takeValue(i++, arg); break;
+            case '-c': case '--compare': opts.compare = takeValue(i++, arg); break;
+            case '-p': case '--perspective': opts.perspective = takeValue(i++, arg); break;
+            case '--culture': opts.culture = takeValue(i++, arg); break;
+            case '--rules': opts.rules = takeValue(i++, arg); break;
+            case '-f': case '--format':
+                opts.formats = takeValue(i++, arg).split(',').map(f => f.trim().toLowerCase()).filter(Boolean);
+                break;
+            default:
+                if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+                if (opts.folder) throw new Error(`Unexpected argument: ${arg}`);
+                opts.folder = arg;
+        }
+    }
+
+    const badFormat = opts.formats.find(f => !FORMATS.includes(f));
+    if (badFormat) throw new Error(`Unknown format "${badFormat}" — use ${FORMATS.join(', ')}`);
+    if (!SCOPES.includes(opts.scope)) throw new Error(`Unknown scope "${opts.scope}" — use ${SCOPES.join(', ')}`);
+
+    return opts;
+}
+
+function main(argv) {
+    let opts;
+    try {
+        opts = parseArgs(argv);
+    } catch (err) {
+        console.error(`Error: ${err.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (opts.help || !opts.folder) {
+        console.log(USAGE);
+        return opts.help ? 0 : 2;
+    }
+
+    const log = opts.quiet ? () => {} : msg => console.log(msg);
+    const warn = msg => console.warn(`Warning: ${msg}`);
+
+    try {
+        const { modelPath, reportPaths } = findPBIPStructure(opts.folder, opts);
+        log(`Semantic model: ${modelPath}`);
+        if (reportPaths.length === 0) log('Report:         (none)');
+        for (const p of reportPaths) {
+            log(`Report:         ${p} (${ReportBinding.describe(readReportBinding(p))})`);
+        }
+
+        if (opts.scope === 'visuals' && reportPaths.length === 0) {
+            throw new Error('No report folder — include a report to export visuals');
+        }
+
+        let project = parseProject(modelPath, reportPaths, warn);
+        for (const err of project.parseErrors) {
+            warn(`${err.file}: ${err.message}`);
+        }
+
+        const tables = project.parsedModel.tables;
+        const totalMeasures = tables.reduce((s, t) => s + t.measures.length, 0);
+        log(`Parsed ${tables.length} tables, ${totalMeasures} measures` +
+            (project.visualData ? `, ${project.visualData.visuals.length} visuals on ${project.visualData.pages.length} pages` : '') +
+            (reportPaths.length > 1 ? ` in ${reportPaths.length} reports` : ''));
+
+        const rulesPath = opts.rules
+            ? path.resolve(opts.rules)
+            : findRulesFile([path.resolve(opts.folder), modelPath]);
+        if (rulesPath) {
+            const bpa = runBestPractices(project, rulesPath, warn);
+            log(`BPA rules:      ${rulesPath} (${bpa.counts.total} findings)`);
+        }
+
+        if (opts.perspective) {
+            project = applyPerspective(project, opts.perspective);
+            const scoped = project.docGenerator.model._perspective;
+            log(`Perspective:    ${scoped.name} (${scoped.counts.tables} tables, ${scoped.counts.measures} measures)`);
+            for (const m of scoped.missing) warn(`perspective ${scoped.name} names ${m}, which is not in the model`);
+        }
+
+        if (opts.culture) {
+            project = applyCulture(project, opts.culture);
+            const coverage = Translations.coverage(project.parsedModel).summary[project.culture];
+            log(`Culture:        ${project.culture}` + (coverage ? ` (${coverage.percent}% translated)` : ''));
+        }
+
+        if (opts.compare) {
+            opts.baselineModel = loadModel(opts.compare, opts);
+            log(`Baseline:       ${path.resolve(opts.compare)}`);
+        }
+
+        const written = writeOutputs(project, path.resolve(opts.out), opts);
+        for (const p of written) log(`✓ ${p}`);
+        return 0;
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    process.exit(main(process.argv.slice(2)));
+}
+
+module.exports = {
+    findPBIPStructure, readReportBinding, readTMDLFiles, readReportFiles, readReportDefinition, parseProject, loadModel,
+    findRulesFile, runBestPractices, applyPerspective, applyCulture, writeOutputs, main
+};
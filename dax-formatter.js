@@ -0,0 +1,254 @@
+/**
+ * DAX Formatter Module
+ * Offline pretty-printer for DAX: one argument per line once a call no longer fits,
+ * indentation by nesting, VAR/RETURN on their own lines, upper-case functions and keywords.
+ * Only whitespace and casing change — comments are kept where they were.
+ */
+
+class DAXFormatter {
+    /**
+     * @param {string} dax - Expression as written
+     * @param {Object} options - { width: max line length, indent: indentation unit }
+     * @returns {string} Formatted expression, or the input unchanged if it could not be formatted faithfully
+     */
+    static format(dax, options = {}) {
+        if (!dax || !dax.trim()) return dax || '';
+        const width = options.width || DAXFormatter.WIDTH;
+        const indent = options.indent ?? DAXFormatter.INDENT;
+
+        const tokens = DAXParser.tokenize(dax, { comments: true });
+        // Remember which comments share a line with the code before them
+        tokens.forEach((token, i) => {
+            if (token.type !== 'comment' || i === 0) return;
+            const prev = tokens[i - 1];
+            token.sameLine = !dax.slice(prev.pos + prev.raw.length, token.pos).includes('\n');
+        });
+        const state = { tokens, index: 0 };
+        const seq = DAXFormatter._parseSeq(state, []);
+        // Stray closing brackets end the top-level sequence early; keep them as plain tokens
+        while (tokens[state.index].type !== 'eof') {
+            seq.push({ type: 'token', token: tokens[state.index++] });
+            seq.push(...DAXFormatter._parseSeq(state, []));
+        }
+
+        const out = DAXFormatter._writer(indent);
+        DAXFormatter._writeSeq(seq, 0, out, width);
+        const formatted = out.text();
+
+        return DAXFormatter._sameTokens(dax, formatted) ? formatted : dax;
+    }
+
+    // ──────────────────────────────────────────────
+    // STRUCTURE
+    // ──────────────────────────────────────────────
+
+    /**
+     * Tokens up to (not including) one of `stops`; ( … ) and { … } become groups of comma-separated items
+     */
+    static _parseSeq(state, stops) {
+        const seq = [];
+        for (;;) {
+            const token = state.tokens[state.index];
+            if (token.type === 'eof') return seq;
+            if (token.type === 'punct' && stops.includes(token.value)) return seq;
+
+            if (token.type === 'punct' && (token.value === '(' || token.value === '{')) {
+                state.index++;
+                const close = token.value === '(' ? ')' : '}';
+                const items = [];
+                let closed = false;
+                for (;;) {
+                    items.push(DAXFormatter._parseSeq(state, [',', close]));
+                    const next = state.tokens[state.index];
+                    if (next.type === 'punct' && next.value === ',') { state.index++; continue; }
+                    if (next.type === 'punct' && next.value === close) { state.index++; closed = true; }
+                    break;
+                }
+                // `arg, // note` — the note belongs to the argument before the comma
+                for (let i = 1; i < items.length; i++) {
+                    while (items[i][0]?.type === 'token' && items[i][0].token.sameLine) items[i - 1].push(items[i].shift());
+                }
+                seq.push({ type: 'group', open: token.value, close, items, closed });
+                continue;
+            }
+
+            seq.push({ type: 'token', token });
+            state.index++;
+        }
+    }
+
+    // ──────────────────────────────────────────────
+    // LAYOUT
+    // ──────────────────────────────────────────────
+
+    static _writer(indent) {
+        const lines = [];
+        let line = '';
+        let breakPending = false;
+        return {
+            get column() { return line.length; },
+            atLineStart: () => line.trim() === '',
+            newline(depth) {
+                if (line.trim() !== '') lines.push(line.trimEnd());
+                line = indent.repeat(depth);
+                breakPending = false;
+            },
+            // A line comment ends the line: whatever comes next starts a new one
+            breakAfter() { breakPending = true; },
+            write(text, depth) {
+                if (breakPending) this.newline(depth);
+                line += line.trim() === '' ? text.trimStart() : text;
+            },
+            text() {
+                if (line.trim() !== '') lines.push(line.trimEnd());
+                return lines.join('\n');
+            }
+        };
+    }
+
+    static _writeSeq(seq, depth, out, width) {
+        let prev = null;
+        for (let i = 0; i < seq.length; i++) {
+            const el = seq[i];
+            const word = el.type === 'token' && el.token.type === 'ident' ? el.token.value.toUpperCase() : null;
+
+            if (word === 'VAR' || word === 'RETURN') {
+                if (!out.atLineStart()) out.newline(depth);
+                out.write(word, depth);
+                if (word === 'RETURN') {
+                    depth++;
+                    out.newline(depth);
+                }
+                prev = el;
+                continue;
+            }
+
+            const space = DAXFormatter._space(prev, el, seq[i - 2]);
+            if (el.type === 'group') {
+                const flat = DAXFormatter._flat([el]);
+                if (flat !== null && out.column + space.length + flat.length <= width) {
+                    out.write(space + flat, depth);
+                } else {
+                    DAXFormatter._writeGroup(el, space, depth, out, width);
+                }
+            } else {
+                out.write(space + DAXFormatter._tokenText(el.token, seq[i + 1]), depth);
+                if (DAXFormatter._isLineComment(el)) out.breakAfter();
+            }
+            prev = el;
+        }
+    }
+
+    static _writeGroup(group, space, depth, out, width) {
+        out.write(space + group.open, depth);
+        const empty = group.items.length === 1 && group.items[0].length === 0;
+        if (!empty) {
+            group.items.forEach((item, i) => {
+                // A comment after the argument belongs after its comma
+                const body = [...item];
+                const trailing = [];
+                while (body.length > 0 && body[body.length - 1].type === 'token' && body[body.length - 1].token.type === 'comment') {
+                    trailing.unshift(body.pop());
+                }
+                out.newline(depth + 1);
+                DAXFormatter._writeSeq(body, depth + 1, out, width);
+                if (i < group.items.length - 1) out.write(',', depth + 1);
+                for (const comment of trailing) {
+                    out.write(' ' + comment.token.raw.trimEnd(), depth + 1);
+                    if (DAXFormatter._isLineComment(comment)) out.breakAfter();
+                }
+            });
+            out.newline(depth);
+        }
+        if (group.closed) out.write(group.close, depth);
+    }
+
+    /**
+     * One-line rendering of a sequence, or null when it must be broken up (line comments, VAR blocks)
+     */
+    static _flat(seq) {
+        let text = '';
+        let prev = null;
+        for (let i = 0; i < seq.length; i++) {
+            const el = seq[i];
+            if (DAXFormatter._isLineComment(el)) return null;
+            if (el.type === 'token' && el.token.type === 'ident' && el.token.value.toUpperCase() === 'VAR') return null;
+
+            text += DAXFormatter._space(prev, el, seq[i - 2]);
+            if (el.type === 'group') {
+                const items = [];
+                for (const item of el.items) {
+                    const inner = DAXFormatter._flat(item);
+                    if (inner === null) return null;
+                    items.push(inner);
+                }
+                text += el.open + items.join(', ') + (el.closed ? el.close : '');
+            } else {
+                text += DAXFormatter._tokenText(el.token, seq[i + 1]);
+            }
+            prev = el;
+        }
+        return text;
+    }
+
+    /**
+     * Space between two elements: none for Func(, Table[Column] and after a sign, one otherwise
+     */
+    static _space(prev, el, beforePrev) {
+        if (!prev) return '';
+        if (prev.type === 'token') {
+            const p = prev.token;
+            if (el.type === 'group' && el.open === '(' && p.type === 'ident') return '';
+            if (el.type === 'token' && el.token.type === 'bracket' && (p.type === 'ident' || p.type === 'quoted')) return '';
+            if (p.type === 'op' && (p.value === '-' || p.value === '+') && DAXFormatter._startsOperand(beforePrev)) return '';
+        }
+        return ' ';
+    }
+
+    /**
+     * True when a sign following this element is unary (start of an operand, not a subtraction)
+     */
+    static _startsOperand(el) {
+        if (!el) return true;
+        if (el.type !== 'token') return false;
+        const t = el.token;
+        return t.type === 'op' || t.type === 'comment'
+            || (t.type === 'ident' && DAXFormatter.UPPER_KEYWORDS.includes(t.value.toUpperCase()) && !['TRUE', 'FALSE'].includes(t.value.toUpperCase()));
+    }
+
+    static _tokenText(token, next) {
+        if (token.type === 'ident') {
+            const upper = token.value.toUpperCase();
+            const isCall = next?.type === 'group' && next.open === '(';
+            if (isCall || DAXFormatter.UPPER_KEYWORDS.includes(upper)) return upper;
+            return token.raw;
+        }
+        return token.type === 'comment' ? token.raw.trimEnd() : token.raw;
+    }
+
+    static _isLineComment(el) {
+        return el?.type === 'token' && el.token.type === 'comment' && !el.token.raw.startsWith('/*');
+    }
+
+    /**
+     * Formatting must not change what the expression means: same tokens, in the same order,
+     * with only function and keyword casing allowed to differ
+     */
+    static _sameTokens(a, b) {
+        const key = t => (t.type === 'ident' ? `ident:${t.value.toUpperCase()}` : `${t.type}:${t.type === 'comment' ? t.raw.trim() : t.raw}`);
+        const ta = DAXParser.tokenize(a, { comments: true }).map(key);
+        const tb = DAXParser.tokenize(b, { comments: true }).map(key);
+        return ta.length === tb.length && ta.every((k, i) => k === tb[i]);
+    }
+}
+
+DAXFormatter.WIDTH = 80;
+DAXFormatter.INDENT = '    ';
+
+// Written in upper case wherever they appear (function names are upper-cased too)
+DAXFormatter.UPPER_KEYWORDS = ['VAR', 'RETURN', 'IN', 'NOT', 'TRUE', 'FALSE', 'ASC', 'DESC'];
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DAXFormatter;
+}
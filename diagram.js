@@ -1,6 +1,6 @@
 /**
  * Diagram Module
- * SVG rendering for relationship diagrams and visual usage diagrams
+ * SVG rendering for relationship, Power Query dependency and visual usage diagrams
  */
 
 class DiagramRenderer {
@@ -24,7 +24,9 @@ class DiagramRenderer {
             activeRel: '#2e7d32',
             inactiveRel: '#c62828',
             one: '#1565c0',
-            many: '#e65100'
+            many: '#e65100',
+            securityDirect: '#c62828',
+            securityIndirect: '#ef6c00'
         };
     }
 
@@ -36,8 +38,9 @@ class DiagramRenderer {
      * Render relationship diagram
      * @param {Array} tables - Parsed tables
      * @param {Array} relationships - Parsed relationships
+     * @param {Object} security - RLSSimulator.simulate() result to highlight (optional)
      */
-    renderRelationshipDiagram(tables, relationships) {
+    renderRelationshipDiagram(tables, relationships, security = null) {
         // Keep only the SVG area, preserve control buttons
         const existingSvg = this.container.querySelector('svg');
         if (existingSvg) existingSvg.remove();
@@ -160,6 +163,18 @@ class DiagramRenderer {
         // Combine all nodes
         const allNodes = [...connectedNodes, ...disconnectedNodes];
 
+        // Role simulation: how each table is covered, and which relationships carry the filter
+        const securedRels = new Set();
+        if (security) {
+            const direct = new Set(security.direct.map(d => d.table));
+            const indirect = new Map(security.indirect.map(t => [t.table, t]));
+            for (const node of allNodes) {
+                node.security = direct.has(node.name) ? 'direct' : indirect.has(node.name) ? 'indirect' : 'uncovered';
+                if (indirect.has(node.name)) node.securityFrom = indirect.get(node.name).from;
+            }
+            for (const t of security.indirect) securedRels.add(this._relKey(t.relationship));
+        }
+
         // Calculate SVG bounds
         let maxX = 0, maxY = 0;
         for (const n of allNodes) {
@@ -168,7 +183,7 @@ class DiagramRenderer {
             tableMap.set(n.name, n);
         }
         const svgWidth = maxX + 80;
-        const svgHeight = maxY + 100;
+        const svgHeight = maxY + (security ? 140 : 100);
 
         const svg = this._createSVG(svgWidth, svgHeight);
 
@@ -199,7 +214,8 @@ class DiagramRenderer {
             const fromNode = tableMap.get(rel.fromTable);
             const toNode = tableMap.get(rel.toTable);
             if (!fromNode || !toNode) continue;
-            this._drawRelationshipBezier(svg, fromNode, toNode, rel, relOffset.get(rel) || 0);
+            const highlight = securedRels.has(this._relKey(rel)) ? this.colors.securityIndirect : null;
+            this._drawRelationshipBezier(svg, fromNode, toNode, rel, relOffset.get(rel) || 0, highlight);
         }
 
         // Draw "Standalone Tables" section label if needed
@@ -221,7 +237,7 @@ class DiagramRenderer {
         }
 
         // Legend
-        this._drawRelLegend(svg, svgWidth, svgHeight);
+        this._drawRelLegend(svg, svgWidth, svgHeight, security);
 
         this.container.appendChild(svg);
 
@@ -458,6 +474,8 @@ class DiagramRenderer {
         );
         g.appendChild(nameText);
 
+        if (node.security) this._drawSecurityMark(g, node);
+
         if (node.isDisconnected) {
             // Compact: show summary line "X cols, Y measures"
             const parts = [];
@@ -517,7 +535,7 @@ class DiagramRenderer {
     /**
      * Draw a bezier curve relationship between two table nodes
      */
-    _drawRelationshipBezier(svg, fromNode, toNode, rel, perpendicularOffset = 0) {
+    _drawRelationshipBezier(svg, fromNode, toNode, rel, perpendicularOffset = 0, highlight = null) {
         const from = this._getConnectionPoint(fromNode, toNode);
         const to = this._getConnectionPoint(toNode, fromNode);
 
@@ -542,8 +560,8 @@ class DiagramRenderer {
         const path = document.createElementNS(this.SVG_NS, 'path');
         path.setAttribute('d', `M ${from.x} ${from.y} C ${cp1x} ${cp1y}, ${cp2x} ${cp2y}, ${to.x} ${to.y}`);
         path.setAttribute('fill', 'none');
-        path.setAttribute('stroke', rel.isActive !== false ? this.colors.linePrimary : this.colors.inactiveRel);
-        path.setAttribute('stroke-width', rel.isActive !== false ? '2' : '1.5');
+        path.setAttribute('stroke', highlight || (rel.isActive !== false ? this.colors.linePrimary : this.colors.inactiveRel));
+        path.setAttribute('stroke-width', highlight ? '3' : rel.isActive !== false ? '2' : '1.5');
 
         if (rel.isActive === false) {
             path.setAttribute('stroke-dasharray', '6,4');
@@ -586,8 +604,9 @@ class DiagramRenderer {
 
     /**
      * Initialize zoom, pan, and hover-to-highlight interactivity
+     * @param {string} controlPrefix - id prefix of the zoom buttons (`${prefix}ZoomIn` …)
      */
-    _initInteractivity(svg, origWidth, origHeight) {
+    _initInteractivity(svg, origWidth, origHeight, controlPrefix = 'diagram') {
         // Clean up previous window listeners if re-rendering
         if (this._cleanupInteractivity) this._cleanupInteractivity();
 
@@ -601,9 +620,9 @@ class DiagramRenderer {
         };
 
         // Zoom buttons
-        const zoomIn = document.getElementById('diagramZoomIn');
-        const zoomOut = document.getElementById('diagramZoomOut');
-        const zoomReset = document.getElementById('diagramZoomReset');
+        const zoomIn = document.getElementById(`${controlPrefix}ZoomIn`);
+        const zoomOut = document.getElementById(`${controlPrefix}ZoomOut`);
+        const zoomReset = document.getElementById(`${controlPrefix}ZoomReset`);
 
         const onZoomIn = () => {
             if (vb.w < origVB.w * MIN_SCALE) return;
@@ -656,7 +675,7 @@ class DiagramRenderer {
         let panStart = { x: 0, y: 0 };
 
         svg.addEventListener('mousedown', (e) => {
-            if (e.target.closest('.table-node')) return;
+            if (e.target.closest('.table-node, .query-node')) return;
             isPanning = true;
             panStart = { x: e.clientX, y: e.clientY };
             container.classList.add('panning');
@@ -771,15 +790,15 @@ class DiagramRenderer {
     }
 
     /**
-     * Draw relationship diagram legend
+     * Draw relationship diagram legend (with the role simulation key when one is shown)
      */
-    _drawRelLegend(svg, svgWidth, svgHeight) {
+    _drawRelLegend(svg, svgWidth, svgHeight, security = null) {
         const g = document.createElementNS(this.SVG_NS, 'g');
         const lx = 20;
-        const ly = svgHeight - 60;
+        const ly = svgHeight - (security ? 100 : 60);
 
         // Background
-        g.appendChild(this._createRect(lx, ly, 300, 50, {
+        g.appendChild(this._createRect(lx, ly, 300, security ? 90 : 50, {
             fill: '#f8f6f2', stroke: this.colors.border, rx: '6'
         }));
 
@@ -803,6 +822,252 @@ class DiagramRenderer {
         // Cardinality
         g.appendChild(this._createText('1 = one  |  * = many', lx + 12, ly + 40, { fontSize: '11px', fill: this.colors.textLight }));
 
+        if (security) {
+            g.appendChild(this._createRect(lx + 12, ly + 52, 14, 10, { fill: 'none', stroke: this.colors.securityDirect, strokeWidth: '2', rx: '2' }));
+            g.appendChild(this._createText(`Filtered by ${this._truncate(security.role, 14)}`, lx + 32, ly + 61, { fontSize: '11px', fill: this.colors.text }));
+            g.appendChild(this._createRect(lx + 160, ly + 52, 14, 10, { fill: 'none', stroke: this.colors.securityIndirect, strokeWidth: '2', rx: '2' }));
+            g.appendChild(this._createText('Via relationship', lx + 180, ly + 61, { fontSize: '11px', fill: this.colors.text }));
+            g.appendChild(this._createText('Faded tables are not covered by the role', lx + 12, ly + 80, { fontSize: '11px', fill: this.colors.textLight }));
+        }
+
+        svg.appendChild(g);
+    }
+
+    /**
+     * Outline a table by how a simulated role covers it: filtered directly, reached through
+     * a relationship, or not at all (faded)
+     */
+    _drawSecurityMark(g, node) {
+        if (node.security === 'uncovered') {
+            g.setAttribute('opacity', '0.4');
+            return;
+        }
+        const color = node.security === 'direct' ? this.colors.securityDirect : this.colors.securityIndirect;
+        g.appendChild(this._createRect(node.x - 3, node.y - 3, node.width + 6, node.height + 6, {
+            fill: 'none', stroke: color, strokeWidth: '3', rx: '8'
+        }));
+        const label = node.security === 'direct' ? 'RLS filter' : `via ${this._truncate(node.securityFrom, 16)}`;
+        const width = label.length * 6 + 12;
+        g.appendChild(this._createRect(node.x + 8, node.y - 11, width, 16, { fill: color, rx: '8' }));
+        g.appendChild(this._createText(label, node.x + 8 + width / 2, node.y + 1,
+            { fontSize: '10px', fontWeight: '600', fill: '#ffffff', textAnchor: 'middle' }
+        ));
+    }
+
+    _relKey(rel) {
+        return `${rel.fromTable}.${rel.fromColumn}|${rel.toTable}.${rel.toColumn}`;
+    }
+
+    // ──────────────────────────────────────────────
+    // POWER QUERY DEPENDENCY DIAGRAM
+    // ──────────────────────────────────────────────
+
+    /**
+     * Render the Power Query dependency diagram: one column per dependency layer, data sources on
+     * the left and loaded tables towards the right. Hovering a query highlights everything it
+     * depends on and everything that depends on it
+     * @param {Object} graph - MExpressionParser.buildQueryDependencyGraph() result
+     */
+    renderQueryDependencyDiagram(graph) {
+        const existingSvg = this.container.querySelector('svg');
+        if (existingSvg) existingSvg.remove();
+        const existingPlaceholder = this.container.querySelector('p');
+        if (existingPlaceholder) existingPlaceholder.remove();
+
+        if (!graph || graph.nodes.length === 0) {
+            const p = document.createElement('p');
+            p.style.cssText = 'text-align:center;color:#666;padding:40px;';
+            p.textContent = 'No Power Query queries found in this model.';
+            this.container.appendChild(p);
+            return;
+        }
+
+        const nodeWidth = 200;
+        const nodeHeight = 46;
+        const colGap = 90;
+        const rowGap = 18;
+        const top = 60;
+        const left = 40;
+
+        // Columns by layer; each column ordered by where its inputs sit, to keep edges short
+        const layers = [];
+        for (const node of graph.nodes) {
+            (layers[node.layer] = layers[node.layer] || []).push({ ...node });
+        }
+        const byId = new Map();
+        const inputs = new Map();
+        for (const e of graph.edges) {
+            if (!inputs.has(e.to)) inputs.set(e.to, []);
+            inputs.get(e.to).push(e.from);
+        }
+        const kindOrder = ['source', 'parameter', 'function', 'staging', 'table'];
+        layers.forEach((column = [], layer) => {
+            const rank = n => {
+                const ys = (inputs.get(n.id) || []).map(id => byId.get(id)?.row).filter(r => r !== undefined);
+                return ys.length ? ys.reduce((a, b) => a + b, 0) / ys.length : kindOrder.indexOf(n.kind);
+            };
+            column.sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name));
+            column.forEach((n, row) => {
+                n.row = row;
+                n.x = left + layer * (nodeWidth + colGap);
+                n.y = top + row * (nodeHeight + rowGap);
+                n.width = nodeWidth;
+                n.height = nodeHeight;
+                byId.set(n.id, n);
+            });
+        });
+
+        const maxRows = Math.max(...Array.from(layers, c => (c || []).length));
+        const svgWidth = Math.max(720, left * 2 + layers.length * (nodeWidth + colGap) - colGap);
+        const svgHeight = top + maxRows * (nodeHeight + rowGap) + 110;
+        const svg = this._createSVG(svgWidth, svgHeight);
+
+        svg.appendChild(this._createDefs());
+        svg.appendChild(this._createText('Power Query Dependencies', svgWidth / 2, 30, {
+            fontSize: '18px', fontWeight: '700', fill: this.colors.primary, textAnchor: 'middle'
+        }));
+
+        // Edges first (behind nodes)
+        for (const e of graph.edges) {
+            const from = byId.get(e.from);
+            const to = byId.get(e.to);
+            if (!from || !to) continue;
+            const style = DiagramRenderer.QUERY_EDGE_STYLES[e.type] || DiagramRenderer.QUERY_EDGE_STYLES.reference;
+            const g = document.createElementNS(this.SVG_NS, 'g');
+            g.setAttribute('class', 'query-edge');
+            g.dataset.from = e.from;
+            g.dataset.to = e.to;
+
+            const x1 = from.x + from.width, y1 = from.y + from.height / 2;
+            const x2 = to.x, y2 = to.y + to.height / 2;
+            const bend = Math.max(40, Math.abs(x2 - x1) / 2);
+            const path = document.createElementNS(this.SVG_NS, 'path');
+            path.setAttribute('d', `M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`);
+            path.setAttribute('fill', 'none');
+            path.setAttribute('stroke', style.color);
+            path.setAttribute('stroke-width', '1.5');
+            if (style.dash) path.setAttribute('stroke-dasharray', style.dash);
+            path.setAttribute('marker-end', 'url(#arrowhead)');
+            const title = document.createElementNS(this.SVG_NS, 'title');
+            title.textContent = e.type === 'invoke'
+                ? `${to.name} invokes ${from.name}(${(e.args || []).join(', ')})`
+                : `${to.name} ← ${from.name} (${style.label.toLowerCase()})`;
+            path.appendChild(title);
+            g.appendChild(path);
+            svg.appendChild(g);
+        }
+
+        // Nodes
+        for (const n of byId.values()) {
+            const kind = DiagramRenderer.QUERY_NODE_STYLES[n.kind];
+            const g = document.createElementNS(this.SVG_NS, 'g');
+            g.setAttribute('class', 'query-node');
+            g.dataset.id = n.id;
+            g.appendChild(this._createRect(n.x, n.y, n.width, n.height, {
+                fill: kind.fill, stroke: kind.stroke, strokeWidth: n.kind === 'table' ? '2' : '1.5', rx: '6'
+            }));
+            g.appendChild(this._createRect(n.x, n.y, 5, n.height, { fill: kind.stroke, rx: '2' }));
+            const caption = n.kind === 'source' ? n.sourceType : n.group ? `${kind.label} · ${n.group}` : kind.label;
+            g.appendChild(this._createText(this._truncate(caption, 32), n.x + 14, n.y + 17, {
+                fontSize: '10px', fill: this.colors.textLight
+            }));
+            const label = n.kind === 'source' ? n.name.replace(`${n.sourceType}: `, '') : n.name;
+            g.appendChild(this._createText(this._truncate(label, 28), n.x + 14, n.y + 34, {
+                fontSize: '12px', fontWeight: n.kind === 'table' ? '700' : '400', fill: this.colors.text
+            }));
+            const title = document.createElementNS(this.SVG_NS, 'title');
+            title.textContent = n.name;
+            g.appendChild(title);
+            if (n.kind === 'table') {
+                g.style.cursor = 'pointer';
+                g.addEventListener('dblclick', (ev) => {
+                    ev.preventDefault();
+                    if (window.app) window.app.showTableDetail(n.name);
+                });
+            }
+            svg.appendChild(g);
+        }
+
+        this._drawQueryLegend(svg, svgHeight);
+        this.container.appendChild(svg);
+
+        this._initInteractivity(svg, svgWidth, svgHeight, 'queryDeps');
+        this._initQueryHighlight(svg, graph);
+    }
+
+    /**
+     * Hover a query to highlight its whole upstream and downstream chain
+     */
+    _initQueryHighlight(svg, graph) {
+        const upstream = new Map();
+        const downstream = new Map();
+        for (const e of graph.edges) {
+            if (!upstream.has(e.to)) upstream.set(e.to, []);
+            upstream.get(e.to).push(e.from);
+            if (!downstream.has(e.from)) downstream.set(e.from, []);
+            downstream.get(e.from).push(e.to);
+        }
+        const reach = (start, links) => {
+            const seen = new Set([start]);
+            const queue = [start];
+            while (queue.length) {
+                for (const next of (links.get(queue.shift()) || [])) {
+                    if (!seen.has(next)) { seen.add(next); queue.push(next); }
+                }
+            }
+            return seen;
+        };
+
+        const nodeEls = [...svg.querySelectorAll('.query-node')];
+        const edgeEls = [...svg.querySelectorAll('.query-edge')];
+        for (const nodeEl of nodeEls) {
+            nodeEl.addEventListener('mouseenter', () => {
+                const up = reach(nodeEl.dataset.id, upstream);
+                const down = reach(nodeEl.dataset.id, downstream);
+                for (const el of nodeEls) {
+                    const on = up.has(el.dataset.id) || down.has(el.dataset.id);
+                    el.classList.toggle('highlighted', on);
+                    el.classList.toggle('dimmed', !on);
+                }
+                for (const el of edgeEls) {
+                    const on = (up.has(el.dataset.from) && up.has(el.dataset.to)) || (down.has(el.dataset.from) && down.has(el.dataset.to));
+                    el.classList.toggle('highlighted', on);
+                    el.classList.toggle('dimmed', !on);
+                }
+            });
+            nodeEl.addEventListener('mouseleave', () => {
+                for (const el of [...nodeEls, ...edgeEls]) el.classList.remove('highlighted', 'dimmed');
+            });
+        }
+    }
+
+    _drawQueryLegend(svg, svgHeight) {
+        const g = document.createElementNS(this.SVG_NS, 'g');
+        const lx = 20;
+        const ly = svgHeight - 80;
+        g.appendChild(this._createRect(lx, ly, 640, 66, { fill: '#f8f6f2', stroke: this.colors.border, rx: '6' }));
+
+        let x = lx + 12;
+        for (const kind of Object.values(DiagramRenderer.QUERY_NODE_STYLES)) {
+            g.appendChild(this._createRect(x, ly + 10, 14, 12, { fill: kind.fill, stroke: kind.stroke, strokeWidth: '1.5', rx: '2' }));
+            g.appendChild(this._createText(kind.label, x + 20, ly + 20, { fontSize: '11px', fill: this.colors.text }));
+            x += kind.label.length * 6 + 40;
+        }
+
+        x = lx + 12;
+        for (const style of Object.values(DiagramRenderer.QUERY_EDGE_STYLES)) {
+            const line = document.createElementNS(this.SVG_NS, 'line');
+            line.setAttribute('x1', x); line.setAttribute('y1', ly + 42);
+            line.setAttribute('x2', x + 24); line.setAttribute('y2', ly + 42);
+            line.setAttribute('stroke', style.color); line.setAttribute('stroke-width', '2');
+            if (style.dash) line.setAttribute('stroke-dasharray', style.dash);
+            g.appendChild(line);
+            g.appendChild(this._createText(style.label, x + 30, ly + 46, { fontSize: '11px', fill: this.colors.text }));
+            x += style.label.length * 6 + 46;
+        }
+        g.appendChild(this._createText('Hover a query to trace its chain; double-click a table to open it', lx + 12, ly + 60, {
+            fontSize: '10px', fill: this.colors.textLight
+        }));
         svg.appendChild(g);
     }
 
@@ -1085,6 +1350,23 @@ class DiagramRenderer {
     }
 }
 
+// Power Query dependency diagram: node fill/stroke per query kind, line per dependency type
+DiagramRenderer.QUERY_NODE_STYLES = {
+    source: { label: 'Data source', fill: '#f5f5f5', stroke: '#757575' },
+    parameter: { label: 'Parameter', fill: '#ede7f6', stroke: '#5e35b1' },
+    function: { label: 'Function', fill: '#e0f2f1', stroke: '#00897b' },
+    staging: { label: 'Staging query', fill: '#fff8e1', stroke: '#c89632' },
+    table: { label: 'Loaded table', fill: '#e3f2fd', stroke: '#1a3a5c' }
+};
+DiagramRenderer.QUERY_EDGE_STYLES = {
+    source: { label: 'Connects to', color: '#757575' },
+    reference: { label: 'References', color: '#1a3a5c' },
+    parameter: { label: 'Parameter', color: '#5e35b1', dash: '4,3' },
+    invoke: { label: 'Invokes', color: '#00897b', dash: '8,3' },
+    combine: { label: 'Append', color: '#c89632' },
+    join: { label: 'Merge', color: '#e65100' }
+};
+
 // Export
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = DiagramRenderer;
@@ -15,6 +15,9 @@ class DocGenerator {
         this.measureRefs = measureRefs || {};
         this.lineageEngine = lineageEngine || null;
         this.mSteps = lineageEngine?.mSteps || null;
+        this.bpaResults = null; // set by the app when it has already run BPAEngine
+        this.measureHealth = null; // likewise for MeasureHealth
+        this.daxFormat = 'formatted'; // 'formatted' | 'original' — how DAX is printed
     }
 
     /**
@@ -68,6 +71,15 @@ class DocGenerator {
         if (this.model.roles.length > 0) {
             lines.push('- [Roles](#roles)');
         }
+        if (this.model.perspectives?.length > 0) {
+            lines.push('- [Perspectives](#perspectives)');
+        }
+        if (this._getTranslationCoverage()) {
+            lines.push('- [Translations](#translations)');
+        }
+        if (this._getRefreshStorage()) {
+            lines.push('- [Refresh & Storage](#refresh--storage)');
+        }
         if (this.model.expressions.length > 0) {
             lines.push('- [Expressions](#expressions)');
         }
@@ -91,6 +103,7 @@ class DocGenerator {
         if (dynTables.fieldParams.length > 0 || dynTables.calcGroups.length > 0) {
             lines.push('- [Dynamic Features](#dynamic-features)');
         }
+        if (this._getBPAResults()) lines.push('- [Best Practice Analysis](#best-practice-analysis)');
 
         lines.push('');
 
@@ -116,6 +129,9 @@ class DocGenerator {
         // Dynamic Features Summary
         this._appendMarkdownDynamicFeatures(lines, visualData);
 
+        // Best Practice Analysis
+        this._appendMarkdownBestPractices(lines);
+
         // Footer
         lines.push('---');
         lines.push('');
@@ -148,12 +164,19 @@ class DocGenerator {
         lines.push('- [Measure Catalog](#measure-catalog)');
         lines.push('- [Relationships](#relationships)');
         if (this.model.roles.length > 0) lines.push('- [Roles](#roles)');
+        if (this.model.perspectives?.length > 0) lines.push('- [Perspectives](#perspectives)');
+        if (this._getTranslationCoverage()) lines.push('- [Translations](#translations)');
+        if (this._getRefreshStorage()) lines.push('- [Refresh & Storage](#refresh--storage)');
         if (this.model.expressions.length > 0) lines.push('- [Expressions](#expressions)');
+        if (this._getBPAResults()) lines.push('- [Best Practice Analysis](#best-practice-analysis)');
         lines.push('');
 
         // Model sections (no visual usage per measure)
         this._appendMarkdownModelSections(lines, false);
 
+        // Best Practice Analysis
+        this._appendMarkdownBestPractices(lines);
+
         // Footer
         lines.push('---');
         lines.push('');
@@ -248,10 +271,11 @@ class DocGenerator {
             if (topMeasures.length > 0) {
                 lines.push('### Top Measures by Report Coverage');
                 lines.push('');
-                lines.push('| Measure | Table | Visuals | Pages |');
-                lines.push('|---------|-------|---------|-------|');
+                const multiReport = this._usageReports().length > 0;
+                lines.push(`| Measure | Table | Visuals | Pages |${multiReport ? ' Reports |' : ''}`);
+                lines.push(`|---------|-------|---------|-------|${multiReport ? '---------|' : ''}`);
                 for (const m of topMeasures) {
-                    lines.push(`| ${this._escMd(m.name)} | ${this._escMd(m.table)} | ${m.visualCount} | ${m.pageCount} |`);
+                    lines.push(`| ${this._escMd(m.name)} | ${this._escMd(m.table)} | ${m.visualCount} | ${m.pageCount} |${multiReport ? ` ${m.reportCount} |` : ''}`);
                 }
                 lines.push('');
             }
@@ -291,6 +315,12 @@ class DocGenerator {
         if (this.model.model?.culture) {
             lines.push(`| Culture | ${this.model.model.culture} |`);
         }
+        if (this.model._perspective) {
+            lines.push(`| Perspective | ${this.model._perspective.name} |`);
+        }
+        if (this.model._culture) {
+            lines.push(`| Documentation Culture | ${this.model._culture} |`);
+        }
 
         const visibleTables = this._getVisibleTables();
         const autoDateCount = this._getAutoDateCount();
@@ -316,6 +346,11 @@ class DocGenerator {
             lines.push(`### ${table.name}`);
             lines.push('');
 
+            if (table.caption) {
+                lines.push(`**Caption:** ${table.caption}`);
+                lines.push('');
+            }
+
             if (table.description) {
                 lines.push(`> ${table.description}`);
                 lines.push('');
@@ -354,7 +389,7 @@ class DocGenerator {
                     lines.push('');
                     if (item.expression) {
                         lines.push('```dax');
-                        lines.push(item.expression);
+                        lines.push(this._dax(item.expression));
                         lines.push('```');
                         lines.push('');
                     }
@@ -374,7 +409,7 @@ class DocGenerator {
                     const sortBy = col.sortByColumn || '';
                     const summarize = col.summarizeBy || '';
                     const calcBadge = col.expression ? ' (calc)' : '';
-                    lines.push(`| ${this._escMd(col.name)}${calcBadge} | ${col.dataType || ''} | ${this._escMd(sortBy)} | ${summarize} | ${hidden} | ${this._escMd(fmt)} |`);
+                    lines.push(`| ${this._escMd(this._captionedName(col))}${calcBadge} | ${col.dataType || ''} | ${this._escMd(sortBy)} | ${summarize} | ${hidden} | ${this._escMd(fmt)} |`);
                 }
                 lines.push('');
 
@@ -384,15 +419,16 @@ class DocGenerator {
                     for (const col of table.columns) {
                         if (col.isHidden) continue; // skip hidden utility columns
                         const consumers = this.lineageEngine.getColumnConsumers(table.name, col.name);
-                        if (consumers.measures.length === 0 && consumers.directVisuals.length === 0) continue;
+                        const filters = consumers.filters || [];
+                        if (consumers.measures.length === 0 && consumers.directVisuals.length === 0 && filters.length === 0) continue;
                         const measuresStr = consumers.measures.map(m => `\`[${m.name}]\``).join(', ');
-                        const visualsStr  = consumers.directVisuals.map(v => `${v.page}: ${v.name}`).join('; ');
+                        const visualsStr  = [...consumers.directVisuals, ...filters].map(v => `${v.page}: ${v.name}`).join('; ');
                         usedRows.push(`| ${this._escMd(col.name)} | ${measuresStr} | ${this._escMd(visualsStr)} |`);
                     }
                     if (usedRows.length > 0) {
                         lines.push('#### Column Usage (Where Used)');
                         lines.push('');
-                        lines.push('| Column | Referenced by Measures | Used in Visuals |');
+                        lines.push('| Column | Referenced by Measures | Used in Visuals / Filters |');
                         lines.push('|--------|------------------------|-----------------|');
                         for (const row of usedRows) lines.push(row);
                         lines.push('');
@@ -406,7 +442,7 @@ class DocGenerator {
                 lines.push('');
 
                 for (const measure of table.measures) {
-                    lines.push(`##### ${this._escMd(measure.name)}`);
+                    lines.push(`##### ${this._escMd(this._captionedName(measure))}`);
                     lines.push('');
 
                     if (measure.description) {
@@ -424,9 +460,15 @@ class DocGenerator {
                         lines.push('');
                     }
 
+                    const health = this._measureHealthEntry(table.name, measure.name);
+                    if (health) {
+                        lines.push(`**Complexity:** ${this._escMd(this._healthSummary(health))}`);
+                        lines.push('');
+                    }
+
                     if (measure.expression) {
                         lines.push('```dax');
-                        lines.push(measure.expression);
+                        lines.push(this._dax(measure.expression));
                         lines.push('```');
                         lines.push('');
                     }
@@ -470,18 +512,50 @@ class DocGenerator {
                 lines.push('');
             }
 
+            // Annotations (ownership, certification, ticket IDs …)
+            const annotationRows = this._getAnnotationRows(table);
+            if (annotationRows.length > 0) {
+                lines.push('#### Annotations');
+                lines.push('');
+                lines.push('| Object | Annotation | Value |');
+                lines.push('|--------|------------|-------|');
+                for (const a of annotationRows) {
+                    lines.push(`| ${this._escMd(a.object)} | ${this._escMd(a.name)} | ${this._escMd(a.value).replace(/\n/g, ' ')} |`);
+                }
+                lines.push('');
+            }
+
             // M Steps (parsed Power Query steps)
             if (this.mSteps) {
                 const steps = this.mSteps.get(table.name);
                 if (steps && steps.length > 0) {
+                    const folding = this.lineageEngine.folding?.get(table.name);
                     lines.push('#### Power Query Steps');
                     lines.push('');
+                    if (folding?.foldable) {
+                        lines.push(`*Query folding: ${MExpressionParser.describeFolding(folding)}*`);
+                        lines.push('');
+                    }
                     steps.forEach((step, idx) => {
                         const preview = step.exprText.length > 120 ? step.exprText.slice(0, 120) + '…' : step.exprText;
-                        lines.push(`${idx + 1}. **${step.name}** \`[${step.kind}]\` — \`${preview.replace(/`/g, "'")}\``);
+                        const breaks = folding?.breakingStep === step.name ? ' ⚠ breaks folding' : '';
+                        lines.push(`${idx + 1}. **${step.name}** \`[${step.kind}]\`${breaks} — \`${preview.replace(/`/g, "'")}\``);
                     });
                     lines.push('');
                 }
+
+                const columnLineage = this.lineageEngine.columnLineage?.get(table.name);
+                const derived = [...(columnLineage || [])].filter(([, lineage]) => lineage.kind !== 'source');
+                if (derived.length > 0) {
+                    lines.push('#### Column Lineage');
+                    lines.push('');
+                    lines.push('| Column | Built from |');
+                    lines.push('|--------|------------|');
+                    for (const [column, lineage] of derived) {
+                        lines.push(`| ${this._escMd(column)} | ${this._escMd(MExpressionParser.describeColumnLineage(lineage))} |`);
+                    }
+                    lines.push('');
+                }
             }
 
             // Partitions
@@ -516,7 +590,7 @@ class DocGenerator {
         for (const table of this._getVisibleTables()) {
             for (const m of table.measures) {
                 measureNum++;
-                lines.push(`| ${measureNum} | ${this._escMd(m.name)} | ${table.name} | ${m.displayFolder || ''} | ${this._escMd(m.formatString || '')} | ${this._escMd(m.description || '')} |`);
+                lines.push(`| ${measureNum} | ${this._escMd(this._captionedName(m))} | ${table.name} | ${m.displayFolder || ''} | ${this._escMd(m.formatString || '')} | ${this._escMd(m.description || '')} |`);
             }
         }
         lines.push('');
@@ -564,9 +638,32 @@ class DocGenerator {
                     }
                     lines.push('');
                 }
+
+                const security = this._roleSecurity(role.name);
+                if (security) {
+                    for (const ref of security.brokenRefs) {
+                        lines.push(`> ⚠️ The filter on ${ref.filterTable} reads \`${ref.table}[${ref.column}]\`, which is not in the model.`);
+                        lines.push('');
+                    }
+                    if (security.securedTables.length > 0) {
+                        lines.push(`**Also secured through relationships:** ${security.securedTables.map(t => `${t.table} (via ${t.from})`).join(', ')}`);
+                        lines.push('');
+                    }
+                }
             }
+
+            this._appendMarkdownRLSCoverage(lines);
         }
 
+        // Perspectives
+        this._appendMarkdownPerspectives(lines);
+
+        // Translations
+        this._appendMarkdownTranslations(lines);
+
+        // Refresh & Storage
+        this._appendMarkdownRefreshStorage(lines);
+
         // Expressions
         if (this.model.expressions.length > 0) {
             lines.push('## Expressions');
@@ -626,7 +723,6 @@ class DocGenerator {
                     for (const f of visual.fields) {
                         const role = this._normalizeRoleForReport(f.projectionName);
                         const tableName = f.table || f.entity || '';
-                        const name = f.name || f.column || f.hierarchy || '';
                         let notes = '';
                         const fpItems = this._getFieldParameterItems(tableName);
                         if (fpItems !== null) {
@@ -639,10 +735,16 @@ class DocGenerator {
                                 cgTablesSeen.add(tableName);
                             }
                         }
-                        lines.push(`| ${role} | ${this._escMd(tableName)}[${this._escMd(name)}] | ${notes} |`);
+                        lines.push(`| ${role} | ${this._escMd(VisualParser.describeField(f))} | ${notes} |`);
                     }
                     lines.push('');
 
+                    for (const calc of (visual.calculations || [])) {
+                        const kind = calc.kind === 'visualCalculation' ? 'Visual calculation' : 'Calculation';
+                        lines.push(`> **${kind}: ${this._escMd(calc.name)}** — \`${calc.expression}\``);
+                        lines.push('');
+                    }
+
                     // Field parameter details
                     for (const tbl of fpTablesSeen) {
                         const fpItems = this._getFieldParameterItems(tbl);
@@ -683,15 +785,17 @@ class DocGenerator {
      * Append visual usage cross-reference summary
      */
     _appendMarkdownVisualUsageSummary(lines) {
+        const multiReport = this._usageReports().length > 0;
         lines.push('## Visual Usage');
         lines.push('');
-        lines.push('| Field | Type | Table | Used In |');
-        lines.push('|-------|------|-------|---------|');
+        lines.push(`| Field | Type | Table |${multiReport ? ' Reports |' : ''} Used In |`);
+        lines.push(`|-------|------|-------|${multiReport ? '---------|' : ''}---------|`);
 
         for (const [key, usages] of Object.entries(this.visualUsage)) {
             const [type, table, field] = key.split('|');
             const visualList = usages.map(u => `${u.pageName}: ${u.visualName}`).join('; ');
-            lines.push(`| ${field} | ${type} | ${table} | ${visualList} |`);
+            const reports = multiReport ? ` ${this._escMd(this._reportSummary(usages))} |` : '';
+            lines.push(`| ${field} | ${type} | ${table} |${reports} ${visualList} |`);
         }
         lines.push('');
     }
@@ -847,7 +951,7 @@ class DocGenerator {
                         lines.push('**Fields:**');
                         for (const f of lineage.fields) {
                             const badge = f.type === 'measure' ? 'Measure' : f.type === 'column' ? 'Column' : 'Hierarchy';
-                            lines.push(`- \`[${badge}]\` \`${f.table || f.entity}\`[\`${f.name}\`]`);
+                            lines.push(`- \`[${badge}]\` \`${VisualParser.describeField(f)}\``);
                         }
                         lines.push('');
                     }
@@ -897,7 +1001,9 @@ class DocGenerator {
             lines.push('> ⚠️ The following field references point to measures or columns that do not exist in the model. These may be stale references from renamed or deleted fields.');
             lines.push('');
             for (const ref of this.lineageEngine.brokenRefs) {
-                lines.push(`- Visual \`${ref.visual}\` → \`${ref.target}\` (not found)`);
+                const kind = ref.visual.startsWith('bookmark:') ? 'Bookmark' : ref.visual.startsWith('filter:') ? 'Filter'
+                    : ref.visual.startsWith('role:') ? 'Role' : 'Visual';
+                lines.push(`- ${kind} \`${ref.visual}\` → \`${ref.target}\` (not found)`);
             }
             lines.push('');
         }
@@ -1017,6 +1123,9 @@ tr:hover { background: #f0ebe3; }
 .badge-column { background: #e3f2fd; color: #1565c0; }
 .badge-measure { background: var(--measure-bg); color: #f57f17; }
 .badge-hidden { background: #fce4ec; color: #c62828; }
+.badge-health-healthy { background: #e8f5e9; color: #2e7d32; }
+.badge-health-review { background: #fff3e0; color: #e65100; }
+.badge-health-refactor { background: #fce4ec; color: #c62828; }
 .badge-active { background: #e8f5e9; color: #2e7d32; }
 .badge-inactive { background: #fce4ec; color: #c62828; }
 .badge-calc { background: #e8eaf6; color: #283593; }
@@ -1142,6 +1251,8 @@ blockquote {
         if (this.model.database?.name) html += `<tr><td>Database</td><td>${this._escHtml(this.model.database.name)}</td></tr>`;
         if (this.model.database?.compatibilityLevel) html += `<tr><td>Compatibility Level</td><td>${this.model.database.compatibilityLevel}</td></tr>`;
         if (this.model.model?.culture) html += `<tr><td>Culture</td><td>${this.model.model.culture}</td></tr>`;
+        if (this.model._perspective) html += `<tr><td>Perspective</td><td>${this._escHtml(this.model._perspective.name)}</td></tr>`;
+        if (this.model._culture) html += `<tr><td>Documentation Culture</td><td>${this._escHtml(this.model._culture)}</td></tr>`;
 
         html += `</table>`;
 
@@ -1151,6 +1262,7 @@ blockquote {
             const anchor = this._anchor(table.name);
             html += `<a href="#${anchor}">${this._escHtml(table.name)} (${table.columns.length} cols, ${table.measures.length} measures)</a>`;
         }
+        if (this._getBPAResults()) html += `<a href="#best-practice-analysis">Best Practice Analysis</a>`;
         html += `</div>`;
 
         // Tables
@@ -1161,7 +1273,7 @@ blockquote {
         for (const table of this._getVisibleTables()) {
             const tableMode = table.partitions.find(p => p.mode)?.mode
                 || (table.partitions.find(p => p.sourceType === 'calculated') ? 'Calculated' : 'Import');
-            html += `<h3 id="${this._anchor(table.name)}">${this._escHtml(table.name)}`;
+            html += `<h3 id="${this._anchor(table.name)}">${this._htmlCaptionedName(table)}`;
             if (table.isHidden) html += ` <span class="badge badge-hidden">Hidden</span>`;
             html += ` <span class="badge badge-mode">${tableMode}</span>`;
             html += `</h3>`;
@@ -1224,7 +1336,7 @@ blockquote {
                 for (const col of table.columns) {
                     const calcBadge = col.expression ? ' <span class="badge badge-calc">Calc</span>' : '';
                     html += `<tr>
-    <td>${this._escHtml(col.name)}${calcBadge}</td>
+    <td>${this._htmlCaptionedName(col)}${calcBadge}</td>
     <td>${col.dataType || ''}</td>
     <td>${this._escHtml(col.sortByColumn || '')}</td>
     <td>${col.summarizeBy || ''}</td>
@@ -1242,7 +1354,7 @@ blockquote {
 
                 for (const measure of table.measures) {
                     html += `<div class="measure-card">
-    <h5>${this._escHtml(measure.name)}</h5>`;
+    <h5>${this._htmlCaptionedName(measure)}</h5>`;
 
                     if (measure.description) {
                         html += `<blockquote>${this._escHtml(measure.description)}</blockquote>`;
@@ -1251,6 +1363,7 @@ blockquote {
                     html += `<div class="measure-meta">`;
                     if (measure.displayFolder) html += `<span>📁 ${this._escHtml(measure.displayFolder)}</span>`;
                     if (measure.formatString) html += `<span>📐 ${this._escHtml(measure.formatString)}</span>`;
+                    html += this._htmlHealthBadge(table.name, measure.name);
                     html += `</div>`;
 
                     if (measure.expression) {
@@ -1293,6 +1406,8 @@ blockquote {
                     html += `</div>`;
                 }
             }
+
+            html += this._buildHTMLAnnotations(table);
         }
 
         // Measure Catalog
@@ -1305,7 +1420,7 @@ blockquote {
                 num++;
                 html += `<tr>
     <td>${num}</td>
-    <td>${this._escHtml(m.name)}</td>
+    <td>${this._htmlCaptionedName(m)}</td>
     <td>${this._escHtml(table.name)}</td>
     <td>${this._escHtml(m.displayFolder || '')}</td>
     <td>${this._escHtml(m.formatString || '')}</td>
@@ -1355,9 +1470,20 @@ blockquote {
                     }
                     html += `</table>`;
                 }
+                html += this._htmlRoleSecurity(role.name);
             }
+            html += this._buildHTMLRLSCoverage();
         }
 
+        // Perspectives
+        html += this._buildHTMLPerspectives();
+
+        // Translations
+        html += this._buildHTMLTranslations();
+
+        // Refresh & Storage
+        html += this._buildHTMLRefreshStorage();
+
         // Expressions
         if (this.model.expressions.length > 0) {
             html += `<h2 id="expressions">Expressions</h2>`;
@@ -1373,6 +1499,9 @@ blockquote {
         // Dynamic Features (HTML)
         html += this._buildHTMLDynamicFeatures();
 
+        // Best Practice Analysis (HTML)
+        html += this._buildHTMLBestPractices();
+
         // Footer — styled sponsor card
         html += `<div class="footer" style="margin-top:40px;padding:20px 24px;background:#fffbee;border:1px solid #ffe082;border-left:4px solid #c89632;border-radius:2px;">
     <p style="margin:0 0 8px;font-weight:700;">Generated with <a href="https://jonathanjihwankim.github.io/pbip-documenter/" target="_blank" style="color:#1a3a5c;">PBIP Documenter</a> — free, open-source tool for Power BI documentation.</p>
@@ -1507,6 +1636,9 @@ tr:hover { background: #f0ebe3; }
 .badge-column { background: #e3f2fd; color: #1565c0; }
 .badge-measure { background: var(--measure-bg); color: #f57f17; }
 .badge-hidden { background: #fce4ec; color: #c62828; }
+.badge-health-healthy { background: #e8f5e9; color: #2e7d32; }
+.badge-health-review { background: #fff3e0; color: #e65100; }
+.badge-health-refactor { background: #fce4ec; color: #c62828; }
 .badge-active { background: #e8f5e9; color: #2e7d32; }
 .badge-inactive { background: #fce4ec; color: #c62828; }
 .badge-calc { background: #e8eaf6; color: #283593; }
@@ -1705,6 +1837,9 @@ details > .details-content {
             html += `<a href="#measure-catalog">Measure Catalog</a>
 <a href="#relationships">Relationships</a>`;
             if (this.model.roles.length > 0) html += `<a href="#roles">Roles</a>`;
+            if (this.model.perspectives?.length > 0) html += `<a href="#perspectives">Perspectives</a>`;
+            if (this._getTranslationCoverage()) html += `<a href="#translations">Translations</a>`;
+            if (this._getRefreshStorage()) html += `<a href="#refresh-storage">Refresh &amp; Storage</a>`;
             if (this.model.expressions.length > 0) html += `<a href="#expressions">Expressions</a>`;
         }
         if (scope !== 'model' && visualData && visualData.pages.length > 0) {
@@ -1714,6 +1849,7 @@ details > .details-content {
             }
         }
         if (scope !== 'model' && Object.keys(this.visualUsage).length > 0) html += `<a href="#visual-usage">Visual Usage</a>`;
+        if (scope !== 'visuals' && this._getBPAResults()) html += `<a href="#best-practice-analysis">Best Practice Analysis</a>`;
         html += `</div>`;
 
         // Model Overview
@@ -1733,6 +1869,8 @@ details > .details-content {
         if (this.model.database?.name) html += `<tr><td>Database</td><td>${this._escHtml(this.model.database.name)}</td></tr>`;
         if (this.model.database?.compatibilityLevel) html += `<tr><td>Compatibility Level</td><td>${this.model.database.compatibilityLevel}</td></tr>`;
         if (this.model.model?.culture) html += `<tr><td>Culture</td><td>${this.model.model.culture}</td></tr>`;
+        if (this.model._perspective) html += `<tr><td>Perspective</td><td>${this._escHtml(this.model._perspective.name)}</td></tr>`;
+        if (this.model._culture) html += `<tr><td>Documentation Culture</td><td>${this._escHtml(this.model._culture)}</td></tr>`;
         html += `</table>`;
 
         if (scope !== 'visuals') {
@@ -1749,7 +1887,7 @@ details > .details-content {
         if (_frAutoDateCount > 0) html += `<p class="auto-date-note"><em>${_frAutoDateCount} auto-date/time table${_frAutoDateCount > 1 ? 's' : ''} hidden</em></p>`;
 
         for (const table of this._getVisibleTables()) {
-            html += `<h3 id="${this._anchor(table.name)}">${this._escHtml(table.name)}`;
+            html += `<h3 id="${this._anchor(table.name)}">${this._htmlCaptionedName(table)}`;
             if (table.isHidden) html += ` <span class="badge badge-hidden">Hidden</span>`;
             html += `</h3>`;
 
@@ -1802,7 +1940,7 @@ details > .details-content {
                 for (const col of table.columns) {
                     const calcBadge = col.expression ? ' <span class="badge badge-calc">Calc</span>' : '';
                     html += `<tr>
-    <td>${this._escHtml(col.name)}${calcBadge}</td>
+    <td>${this._htmlCaptionedName(col)}${calcBadge}</td>
     <td>${col.dataType || ''}</td>
     <td>${this._escHtml(col.sortByColumn || '')}</td>
     <td>${col.summarizeBy || ''}</td>
@@ -1819,20 +1957,21 @@ details > .details-content {
                     for (const col of table.columns) {
                         if (col.isHidden) continue;
                         const consumers = this.lineageEngine.getColumnConsumers(table.name, col.name);
-                        if (consumers.measures.length === 0 && consumers.directVisuals.length === 0) continue;
+                        if (consumers.measures.length === 0 && consumers.directVisuals.length === 0 && !consumers.filters?.length) continue;
                         usedCols.push({ col, consumers });
                     }
                     if (usedCols.length > 0) {
                         html += `<details style="margin-top:8px"><summary style="font-size:13px;font-weight:600;cursor:pointer;color:var(--primary,#1a3a5c)">Column Usage — Where Used (${usedCols.length} columns)</summary><div class="details-content">
 <p style="font-size:12px;color:var(--text-secondary,#666);margin:6px 0">Data engineer view: which measures and visuals consume each column in this table.</p>
-<table><tr><th>Column</th><th>Referenced by Measures</th><th>Used in Visuals</th></tr>`;
+<table><tr><th>Column</th><th>Referenced by Measures</th><th>Used in Visuals / Filters</th></tr>`;
                         for (const { col, consumers } of usedCols) {
                             const measuresHtml = consumers.measures.map(m =>
                                 `<span style="display:inline-block;background:#fff8e1;border:1px solid #ffe082;border-radius:2px;padding:1px 5px;font-family:monospace;font-size:11px;margin:1px">[${this._escHtml(m.name)}]</span>`
                             ).join(' ');
-                            const visualsHtml = consumers.directVisuals.slice(0, 5).map(v =>
+                            const usedIn = [...consumers.directVisuals, ...(consumers.filters || [])];
+                            const visualsHtml = usedIn.slice(0, 5).map(v =>
                                 `<span style="font-size:11px;color:#555">${this._escHtml(v.page)}: ${this._escHtml(v.name)}</span>`
-                            ).join('<br>') + (consumers.directVisuals.length > 5 ? `<br><span style="font-size:11px;color:#888">+${consumers.directVisuals.length - 5} more</span>` : '');
+                            ).join('<br>') + (usedIn.length > 5 ? `<br><span style="font-size:11px;color:#888">+${usedIn.length - 5} more</span>` : '');
                             html += `<tr><td style="font-weight:500">${this._escHtml(col.name)}</td><td>${measuresHtml || '<span style="color:#aaa;font-size:11px">—</span>'}</td><td>${visualsHtml || '<span style="color:#aaa;font-size:11px">—</span>'}</td></tr>`;
                         }
                         html += `</table></div></details>`;
@@ -1848,11 +1987,12 @@ details > .details-content {
                 html += `<h4>Measures (${table.measures.length})</h4>`;
                 for (const measure of table.measures) {
                     html += `<div class="measure-card">
-    <h5>${this._escHtml(measure.name)}</h5>`;
+    <h5>${this._htmlCaptionedName(measure)}</h5>`;
                     if (measure.description) html += `<blockquote>${this._escHtml(measure.description)}</blockquote>`;
                     html += `<div class="measure-meta">`;
                     if (measure.displayFolder) html += `<span>Folder: ${this._escHtml(measure.displayFolder)}</span>`;
                     if (measure.formatString) html += `<span>Format: ${this._escHtml(measure.formatString)}</span>`;
+                    html += this._htmlHealthBadge(table.name, measure.name);
                     html += `</div>`;
                     if (measure.expression) {
                         html += `<details><summary>DAX Expression</summary><div class="details-content">
@@ -1886,6 +2026,8 @@ details > .details-content {
                     html += `</div>`;
                 }
             }
+
+            html += this._buildHTMLAnnotations(table);
         }
 
         // Measure Catalog
@@ -1895,7 +2037,7 @@ details > .details-content {
         for (const table of this._getVisibleTables()) {
             for (const m of table.measures) {
                 num++;
-                html += `<tr><td>${num}</td><td>${this._escHtml(m.name)}</td><td>${this._escHtml(table.name)}</td><td>${this._escHtml(m.displayFolder || '')}</td><td>${this._escHtml(m.formatString || '')}</td><td>${this._escHtml(m.description || '')}</td></tr>`;
+                html += `<tr><td>${num}</td><td>${this._htmlCaptionedName(m)}</td><td>${this._escHtml(table.name)}</td><td>${this._escHtml(m.displayFolder || '')}</td><td>${this._escHtml(m.formatString || '')}</td><td>${this._escHtml(m.description || '')}</td></tr>`;
             }
         }
         html += `</table>`;
@@ -1936,9 +2078,20 @@ details > .details-content {
                     }
                     html += `</table>`;
                 }
+                html += this._htmlRoleSecurity(role.name);
             }
+            html += this._buildHTMLRLSCoverage();
         }
 
+        // Perspectives
+        html += this._buildHTMLPerspectives();
+
+        // Translations
+        html += this._buildHTMLTranslations();
+
+        // Refresh & Storage
+        html += this._buildHTMLRefreshStorage();
+
         // Expressions
         if (this.model.expressions.length > 0) {
             html += `<h2 id="expressions">Expressions</h2>`;
@@ -2022,8 +2175,7 @@ ${rects}
                                 html += `<div style="margin:3px 0"><strong style="font-size:11px;color:var(--text-secondary);text-transform:uppercase">${this._escHtml(role)}:</strong> `;
                                 for (const f of fields) {
                                     const t = f.table || f.entity || '';
-                                    const n = f.name || f.column || f.hierarchy || '';
-                                    html += `<span class="field-chip-report ${cssClass}">${this._escHtml(t)}[${this._escHtml(n)}]</span>`;
+                                    html += `<span class="field-chip-report ${cssClass}">${this._escHtml(VisualParser.describeField(f))}</span>`;
                                     const fpItems = this._getFieldParameterItems(t);
                                     if (fpItems !== null) {
                                         html += ` <span class="badge" style="background:#e3f2fd;color:#1565c0;font-size:10px">Field Param&thinsp;(${fpItems.length})</span>`;
@@ -2040,6 +2192,11 @@ ${rects}
                                 html += `</div>`;
                             }
 
+                            for (const calc of (visual.calculations || [])) {
+                                const kind = calc.kind === 'visualCalculation' ? 'Visual calculation' : 'Calculation';
+                                html += `<div style="margin:3px 0;font-size:12px"><strong>${kind}: ${this._escHtml(calc.name)}</strong> = <code>${this._escHtml(calc.expression)}</code></div>`;
+                            }
+
                             // Field parameter detail blocks
                             for (const tbl of fpTablesSeen) {
                                 const fpItems = this._getFieldParameterItems(tbl);
@@ -2087,12 +2244,14 @@ ${rects}
 
         // Visual Usage Summary
         if (scope !== 'model' && Object.keys(this.visualUsage).length > 0) {
+            const multiReport = this._usageReports().length > 0;
             html += `<h2 id="visual-usage">Visual Usage Summary</h2>
-<table><tr><th>Field</th><th>Type</th><th>Table</th><th>Used In</th></tr>`;
+<table><tr><th>Field</th><th>Type</th><th>Table</th>${multiReport ? '<th>Reports</th>' : ''}<th>Used In</th></tr>`;
             for (const [key, usages] of Object.entries(this.visualUsage)) {
                 const [type, table, field] = key.split('|');
                 const visualList = usages.map(u => `${this._escHtml(u.pageName)}: ${this._escHtml(u.visualName)}`).join('; ');
-                html += `<tr><td>${this._escHtml(field)}</td><td>${type}</td><td>${this._escHtml(table)}</td><td>${visualList}</td></tr>`;
+                const reports = multiReport ? `<td>${this._escHtml(this._reportSummary(usages))}</td>` : '';
+                html += `<tr><td>${this._escHtml(field)}</td><td>${type}</td><td>${this._escHtml(table)}</td>${reports}<td>${visualList}</td></tr>`;
             }
             html += `</table>`;
         }
@@ -2178,7 +2337,7 @@ ${rects}
                             html += `<p style="font-size:12px;font-weight:600;margin:0 0 4px">Fields:</p><div style="display:flex;flex-wrap:wrap;gap:4px;margin-bottom:10px">`;
                             for (const f of lineage.fields) {
                                 const badge = f.type === 'measure' ? '#c8a200' : '#1565c0';
-                                html += `<span style="font-size:11px;font-family:monospace;background:#fff;border:1px solid #ccc;border-left:3px solid ${badge};border-radius:2px;padding:1px 6px">${this._escHtml((f.table||f.entity)+'['+f.name+']')}</span>`;
+                                html += `<span style="font-size:11px;font-family:monospace;background:#fff;border:1px solid #ccc;border-left:3px solid ${badge};border-radius:2px;padding:1px 6px">${this._escHtml(VisualParser.describeField(f))}</span>`;
                             }
                             html += `</div>`;
                         }
@@ -2222,6 +2381,9 @@ ${rects}
         // Dynamic Features (HTML)
         html += this._buildHTMLDynamicFeatures();
 
+        // Best Practice Analysis (HTML)
+        if (scope !== 'visuals') html += this._buildHTMLBestPractices();
+
         // Footer — styled sponsor card
         html += `<div class="footer" style="margin-top:40px;padding:20px 24px;background:#fffbee;border:1px solid #ffe082;border-left:4px solid #c89632;border-radius:2px;">
     <p style="margin:0 0 8px;font-weight:700;">Generated with <a href="https://jonathanjihwankim.github.io/pbip-documenter/" target="_blank" style="color:#1a3a5c;">PBIP Documenter</a> — free, open-source tool for Power BI documentation.</p>
@@ -2356,7 +2518,7 @@ ${rects}
                     lines.push(`- **${this._escMd(item.name)}**`);
                     if (item.expression) {
                         lines.push('  ```dax');
-                        for (const el of item.expression.split('\n')) {
+                        for (const el of this._dax(item.expression).split('\n')) {
                             lines.push(`  ${el}`);
                         }
                         lines.push('  ```');
@@ -2405,6 +2567,394 @@ ${rects}
         return html;
     }
 
+    // ──────────────────────────────────────────────
+    // PERSPECTIVES
+    // ──────────────────────────────────────────────
+
+    /**
+     * Resolved perspectives — for a model scoped to one perspective, only that one,
+     * with counts taken from the full model
+     */
+    _getPerspectiveSummaries() {
+        if (this.model._perspective) return [this.model._perspective];
+        if (typeof Perspectives === 'undefined') return [];
+        return (this.model.perspectives || []).map(p => Perspectives.resolve(this.model, p));
+    }
+
+    _formatPerspectiveShare(entry, kind) {
+        const shown = entry[kind].length;
+        const total = entry.totals[kind];
+        if (total === 0) return '—';
+        return shown === total ? `all (${total})` : `${shown} of ${total}`;
+    }
+
+    _appendMarkdownPerspectives(lines) {
+        const perspectives = this._getPerspectiveSummaries();
+        if (perspectives.length === 0) return;
+
+        lines.push('## Perspectives');
+        lines.push('');
+        lines.push('| Perspective | Tables | Columns | Measures | Hierarchies |');
+        lines.push('|-------------|--------|---------|----------|-------------|');
+        for (const p of perspectives) {
+            lines.push(`| ${this._escMd(p.name)} | ${p.counts.tables} | ${p.counts.columns} | ${p.counts.measures} | ${p.counts.hierarchies} |`);
+        }
+        lines.push('');
+
+        for (const p of perspectives) {
+            lines.push(`### ${p.name}`);
+            lines.push('');
+            if (p.description) {
+                lines.push(`> ${p.description.replace(/\n/g, '\n> ')}`);
+                lines.push('');
+            }
+            if (p.tables.length > 0) {
+                lines.push('| Table | Columns | Measures | Hierarchies |');
+                lines.push('|-------|---------|----------|-------------|');
+                for (const t of p.tables) {
+                    lines.push(`| ${this._escMd(t.name)} | ${this._formatPerspectiveShare(t, 'columns')} | ${this._formatPerspectiveShare(t, 'measures')} | ${this._formatPerspectiveShare(t, 'hierarchies')} |`);
+                }
+                lines.push('');
+            }
+            if (p.missing.length > 0) {
+                lines.push(`> **Not in the model:** ${p.missing.map(m => this._escMd(m)).join(', ')}`);
+                lines.push('');
+            }
+        }
+    }
+
+    _buildHTMLPerspectives() {
+        const perspectives = this._getPerspectiveSummaries();
+        if (perspectives.length === 0) return '';
+
+        let html = `<h2 id="perspectives">Perspectives</h2>`;
+        html += `<table><tr><th>Perspective</th><th>Tables</th><th>Columns</th><th>Measures</th><th>Hierarchies</th></tr>`;
+        for (const p of perspectives) {
+            html += `<tr><td>${this._escHtml(p.name)}</td><td>${p.counts.tables}</td><td>${p.counts.columns}</td><td>${p.counts.measures}</td><td>${p.counts.hierarchies}</td></tr>`;
+        }
+        html += `</table>`;
+
+        for (const p of perspectives) {
+            html += `<h3>${this._escHtml(p.name)}</h3>`;
+            if (p.description) html += `<blockquote>${this._escHtml(p.description)}</blockquote>`;
+            if (p.tables.length > 0) {
+                html += `<table><tr><th>Table</th><th>Columns</th><th>Measures</th><th>Hierarchies</th></tr>`;
+                for (const t of p.tables) {
+                    html += `<tr><td>${this._escHtml(t.name)}</td><td>${this._formatPerspectiveShare(t, 'columns')}</td><td>${this._formatPerspectiveShare(t, 'measures')}</td><td>${this._formatPerspectiveShare(t, 'hierarchies')}</td></tr>`;
+                }
+                html += `</table>`;
+            }
+            if (p.missing.length > 0) {
+                html += `<p><strong>Not in the model:</strong> ${p.missing.map(m => this._escHtml(m)).join(', ')}</p>`;
+            }
+        }
+        return html;
+    }
+
+    // ──────────────────────────────────────────────
+    // TRANSLATIONS
+    // ──────────────────────────────────────────────
+
+    /**
+     * Translation coverage per culture, or null when the model has no cultures besides its own
+     */
+    _getTranslationCoverage() {
+        if (typeof Translations === 'undefined') return null;
+        const coverage = Translations.coverage(this.model);
+        return coverage.cultures.length > 0 ? coverage : null;
+    }
+
+    _appendMarkdownTranslations(lines) {
+        const coverage = this._getTranslationCoverage();
+        if (!coverage) return;
+
+        lines.push('## Translations');
+        lines.push('');
+        lines.push('| Culture | Objects | Fully Translated | Gaps | Coverage |');
+        lines.push('|---------|---------|------------------|------|----------|');
+        for (const culture of coverage.cultures) {
+            const s = coverage.summary[culture];
+            lines.push(`| ${culture} | ${s.objects} | ${s.complete} | ${s.incomplete} | ${s.percent}% |`);
+        }
+        lines.push('');
+
+        const gaps = coverage.rows.filter(r => coverage.cultures.some(c => r.missing[c].length > 0));
+        if (gaps.length === 0) return;
+        lines.push('### Missing Translations');
+        lines.push('');
+        lines.push(`| Object | Type | ${coverage.cultures.join(' | ')} |`);
+        lines.push(`|--------|------|${coverage.cultures.map(() => '---').join('|')}|`);
+        for (const r of gaps) {
+            const cells = coverage.cultures.map(c => (r.missing[c].length > 0 ? r.missing[c].join(', ') : '✓'));
+            lines.push(`| ${this._escMd(r.label)} | ${r.type} | ${cells.join(' | ')} |`);
+        }
+        lines.push('');
+    }
+
+    _buildHTMLTranslations() {
+        const coverage = this._getTranslationCoverage();
+        if (!coverage) return '';
+
+        let html = `<h2 id="translations">Translations</h2>`;
+        html += `<table><tr><th>Culture</th><th>Objects</th><th>Fully Translated</th><th>Gaps</th><th>Coverage</th></tr>`;
+        for (const culture of coverage.cultures) {
+            const s = coverage.summary[culture];
+            html += `<tr><td>${this._escHtml(culture)}</td><td>${s.objects}</td><td>${s.complete}</td><td>${s.incomplete}</td><td>${s.percent}%</td></tr>`;
+        }
+        html += `</table>`;
+
+        const gaps = coverage.rows.filter(r => coverage.cultures.some(c => r.missing[c].length > 0));
+        if (gaps.length === 0) return html;
+        html += `<h3>Missing Translations</h3>`;
+        html += `<table><tr><th>Object</th><th>Type</th>${coverage.cultures.map(c => `<th>${this._escHtml(c)}</th>`).join('')}</tr>`;
+        for (const r of gaps) {
+            const cells = coverage.cultures.map(c => (r.missing[c].length > 0
+                ? `<td style="color:#c62828">${r.missing[c].join(', ')}</td>`
+                : `<td style="color:#2e7d32">✓</td>`));
+            html += `<tr><td>${this._escHtml(r.label)}</td><td>${r.type}</td>${cells.join('')}</tr>`;
+        }
+        html += `</table>`;
+        return html;
+    }
+
+    // ──────────────────────────────────────────────
+    // REFRESH & STORAGE
+    // ──────────────────────────────────────────────
+
+    /**
+     * Storage modes, partitions and incremental refresh checks, or null without the RefreshStorage module
+     */
+    _getRefreshStorage() {
+        if (typeof RefreshStorage === 'undefined' || this.model.tables.length === 0) return null;
+        return RefreshStorage.analyze(this.model, new Date(), this.lineageEngine?.folding);
+    }
+
+    /**
+     * One-line summary of a table's refresh policy and the dates its windows cover
+     */
+    _refreshPolicySummary(entry) {
+        const rp = entry.refreshPolicy;
+        if (!rp) return '';
+        const periods = (n, unit) => `${n} ${unit || ''}${n !== 1 ? 's' : ''}`;
+        let text = `keep ${periods(rp.rollingWindowPeriods, rp.rollingWindowGranularity)}${entry.window ? ` (from ${entry.window.archiveStart})` : ''}`
+            + `, refresh ${periods(rp.incrementalPeriods, rp.incrementalGranularity)}${entry.window ? ` (from ${entry.window.refreshStart})` : ''}`;
+        if (rp.mode === 'hybrid') text += ', latest period in DirectQuery';
+        if (rp.pollingExpression) text += ', detect data changes';
+        return text;
+    }
+
+    _rangeFilterSummary(entry) {
+        const f = entry.rangeFilter;
+        if (!f || (!f.usesRangeStart && !f.usesRangeEnd)) return entry.refreshPolicy ? 'not used' : '';
+        const condition = [f.startOperator && `${f.startOperator} RangeStart`, f.endOperator && `${f.endOperator} RangeEnd`].filter(Boolean).join(' and ');
+        return `${f.step || '(query)'}${condition ? `: ${condition}` : ''}`;
+    }
+
+    _appendMarkdownRefreshStorage(lines) {
+        const r = this._getRefreshStorage();
+        if (!r) return;
+
+        lines.push('## Refresh & Storage');
+        lines.push('');
+        lines.push('| Table | Storage | Partitions | Incremental Refresh | RangeStart / RangeEnd Filter |');
+        lines.push('|-------|---------|------------|---------------------|------------------------------|');
+        for (const t of r.tables) {
+            lines.push(`| ${this._escMd(t.table)} | ${RefreshStorage.STORAGE_MODE_LABELS[t.storageMode] || t.storageMode} | ${t.partitions.length} | ${this._refreshPolicySummary(t) || '—'} | ${this._escMd(this._rangeFilterSummary(t)) || '—'} |`);
+        }
+        lines.push('');
+
+        const flagged = r.tables.filter(t => t.issues.length > 0);
+        if (flagged.length === 0) return;
+        lines.push('### Refresh Issues');
+        lines.push('');
+        for (const t of flagged) {
+            for (const issue of t.issues) lines.push(`- **${this._escMd(t.table)}** (${issue.severity}): ${this._escMd(issue.message)}`);
+        }
+        lines.push('');
+    }
+
+    _buildHTMLRefreshStorage() {
+        const r = this._getRefreshStorage();
+        if (!r) return '';
+
+        let html = `<h2 id="refresh-storage">Refresh &amp; Storage</h2>`;
+        html += `<table><tr><th>Table</th><th>Storage</th><th>Partitions</th><th>Incremental Refresh</th><th>RangeStart / RangeEnd Filter</th></tr>`;
+        for (const t of r.tables) {
+            html += `<tr><td>${this._escHtml(t.table)}</td><td>${RefreshStorage.STORAGE_MODE_LABELS[t.storageMode] || this._escHtml(t.storageMode)}</td><td>${t.partitions.length}</td><td>${this._escHtml(this._refreshPolicySummary(t)) || '—'}</td><td>${this._escHtml(this._rangeFilterSummary(t)) || '—'}</td></tr>`;
+        }
+        html += `</table>`;
+
+        const flagged = r.tables.filter(t => t.issues.length > 0);
+        if (flagged.length === 0) return html;
+        const colors = { error: '#c62828', warning: '#e65100', info: '#666666' };
+        html += `<h3>Refresh Issues</h3><ul>`;
+        for (const t of flagged) {
+            for (const issue of t.issues) html += `<li><strong>${this._escHtml(t.table)}</strong> <span style="color:${colors[issue.severity]}">(${issue.severity})</span> ${this._escHtml(issue.message)}</li>`;
+        }
+        html += `</ul>`;
+        return html;
+    }
+
+    // ──────────────────────────────────────────────
+    // BEST PRACTICE ANALYSIS
+    // ──────────────────────────────────────────────
+
+    /**
+     * BPA findings — reuses the app's run when available, otherwise runs the built-in rules
+     */
+    _getBPAResults() {
+        if (!this.bpaResults && typeof BPAEngine !== 'undefined') {
+            this.bpaResults = new BPAEngine(this.model, this.lineageEngine).run();
+        }
+        return this.bpaResults;
+    }
+
+    /**
+     * Complexity score of one measure; MeasureHealth runs once, on first use, unless the app already ran it
+     * @returns {Object|null} { score, level, metrics, smells }
+     */
+    _measureHealthEntry(tableName, measureName) {
+        if (!this.measureHealth && typeof MeasureHealth !== 'undefined') {
+            this.measureHealth = new MeasureHealth(this.model, this.lineageEngine);
+        }
+        const entry = this.measureHealth?.getMeasure(tableName, measureName);
+        if (!entry) return null;
+        const { score, level, metrics, smells } = entry;
+        return { score, level, metrics, smells };
+    }
+
+    /**
+     * e.g. "14 (refactor) — FILTER over a whole table, / instead of DIVIDE ×2"
+     */
+    _healthSummary(health) {
+        const smells = health.smells.map(s => `${s.label}${s.value > 1 ? ` ×${s.value}` : ''}`);
+        return `${health.score} (${health.level})${smells.length > 0 ? ` — ${smells.join(', ')}` : ''}`;
+    }
+
+    _htmlHealthBadge(tableName, measureName) {
+        const health = this._measureHealthEntry(tableName, measureName);
+        if (!health) return '';
+        return `<span class="badge badge-health-${health.level}" title="${this._escHtml(this._healthSummary(health))}">Complexity ${health.score}</span>`;
+    }
+
+    /**
+     * Row-level security lineage of a role, when the lineage graph was built
+     * @returns {Object|null} From LineageEngine.getRoleLineage()
+     */
+    _roleSecurity(roleName) {
+        return this.lineageEngine?.getRoleLineage ? this.lineageEngine.getRoleLineage(roleName) : null;
+    }
+
+    _htmlRoleSecurity(roleName) {
+        const security = this._roleSecurity(roleName);
+        if (!security) return '';
+        let html = '';
+        for (const ref of security.brokenRefs) {
+            html += `<p style="color:#c62828">⚠️ The filter on ${this._escHtml(ref.filterTable)} reads <code>${this._escHtml(ref.table)}[${this._escHtml(ref.column)}]</code>, which is not in the model.</p>`;
+        }
+        if (security.securedTables.length > 0) {
+            html += `<p><strong>Also secured through relationships:</strong> ${security.securedTables.map(t => `${this._escHtml(t.table)} (via ${this._escHtml(t.from)})`).join(', ')}</p>`;
+        }
+        return html;
+    }
+
+    /**
+     * Which tables each role filters, directly or through relationships
+     * @returns {Object|null} From RLSSimulator.coverage()
+     */
+    _getRLSCoverage() {
+        if (typeof RLSSimulator === 'undefined' || this.model.roles.length === 0) return null;
+        return new RLSSimulator(this.model).coverage();
+    }
+
+    _rlsCoverageCell(coverage) {
+        return coverage === 'direct' ? 'Filtered' : coverage === 'indirect' ? 'Via relationship' : '—';
+    }
+
+    _appendMarkdownRLSCoverage(lines) {
+        const coverage = this._getRLSCoverage();
+        if (!coverage) return;
+
+        lines.push('### RLS Coverage');
+        lines.push('');
+        if (coverage.uncoveredFactTables.length > 0) {
+            lines.push(`> ⚠️ Fact tables no role filters: ${coverage.uncoveredFactTables.join(', ')}`);
+            lines.push('');
+        }
+        lines.push(`| Table | Fact | ${coverage.roles.map(r => this._escMd(r)).join(' | ')} |`);
+        lines.push(`|-------|------|${coverage.roles.map(() => '------').join('|')}|`);
+        for (const t of coverage.tables) {
+            lines.push(`| ${this._escMd(t.table)} | ${t.isFact ? 'Yes' : ''} | ${coverage.roles.map(r => this._rlsCoverageCell(t.roles[r])).join(' | ')} |`);
+        }
+        lines.push('');
+    }
+
+    _buildHTMLRLSCoverage() {
+        const coverage = this._getRLSCoverage();
+        if (!coverage) return '';
+
+        let html = `<h3>RLS Coverage</h3>`;
+        if (coverage.uncoveredFactTables.length > 0) {
+            html += `<p style="color:#c62828">⚠️ Fact tables no role filters: ${coverage.uncoveredFactTables.map(t => this._escHtml(t)).join(', ')}</p>`;
+        }
+        html += `<table><tr><th>Table</th><th>Fact</th>${coverage.roles.map(r => `<th>${this._escHtml(r)}</th>`).join('')}</tr>`;
+        for (const t of coverage.tables) {
+            html += `<tr><td>${this._escHtml(t.table)}</td><td>${t.isFact ? 'Yes' : ''}</td>${coverage.roles.map(r => `<td>${this._rlsCoverageCell(t.roles[r])}</td>`).join('')}</tr>`;
+        }
+        html += `</table>`;
+        return html;
+    }
+
+    _appendMarkdownBestPractices(lines) {
+        const bpa = this._getBPAResults();
+        if (!bpa) return;
+
+        lines.push('## Best Practice Analysis');
+        lines.push('');
+        if (bpa.counts.total === 0) {
+            lines.push('No best-practice issues found.');
+            lines.push('');
+            return;
+        }
+        lines.push(`**${bpa.counts.error}** errors · **${bpa.counts.warning}** warnings · **${bpa.counts.info}** info`);
+        lines.push('');
+        lines.push('| Severity | Rule | Object | Type |');
+        lines.push('|----------|------|--------|------|');
+        for (const f of bpa.findings) {
+            lines.push(`| ${f.severity} | ${this._escMd(f.ruleName)} | ${this._escMd(f.label)} | ${f.objectType} |`);
+        }
+        lines.push('');
+
+        lines.push('### Rules');
+        lines.push('');
+        const seen = new Set();
+        for (const f of bpa.findings) {
+            if (seen.has(f.ruleId)) continue;
+            seen.add(f.ruleId);
+            const origin = f.ruleSource ? `, from ${this._escMd(f.ruleSource)}` : '';
+            lines.push(`- **${this._escMd(f.ruleName)}** (\`${f.ruleId}\`, ${f.category}${origin}) — ${this._escMd(f.message)}`);
+        }
+        lines.push('');
+    }
+
+    _buildHTMLBestPractices() {
+        const bpa = this._getBPAResults();
+        if (!bpa) return '';
+
+        let html = `<h2 id="best-practice-analysis">Best Practice Analysis</h2>`;
+        if (bpa.counts.total === 0) return html + `<p>No best-practice issues found.</p>`;
+
+        const colors = { error: '#c62828', warning: '#e65100', info: '#1565c0' };
+        html += `<p style="font-size:13px;color:#666;margin-bottom:12px">${bpa.counts.error} errors &middot; ${bpa.counts.warning} warnings &middot; ${bpa.counts.info} info</p>
+<table><tr><th>Severity</th><th>Rule</th><th>Object</th><th>Details</th></tr>`;
+        for (const f of bpa.findings) {
+            html += `<tr><td><span style="display:inline-block;padding:1px 6px;border-radius:2px;font-size:11px;color:#fff;background:${colors[f.severity]}">${f.severity}</span></td>
+<td>${this._escHtml(f.ruleName)}</td><td><code>${this._escHtml(f.label)}</code></td><td style="font-size:12px">${this._escHtml(f.message)}</td></tr>`;
+        }
+        html += `</table>`;
+        return html;
+    }
+
     /**
      * Renders a compact ASCII layout grid of visual positions for Markdown output.
      * Groups visuals into rows by proximity (y within 80px), then sorts by x.
@@ -2481,21 +3031,26 @@ ${rects}
                 columnCount: totalColumns,
                 measureCount: totalMeasures,
                 relationshipCount: this.model.relationships.length,
-                roleCount: this.model.roles.length
+                roleCount: this.model.roles.length,
+                perspective: this.model._perspective?.name || null,
+                documentationCulture: this.model._culture || null
             },
             tables: this.model.tables.map(t => ({
                 name: t.name,
+                caption: t.caption,
                 description: t.description,
                 isHidden: t.isHidden,
                 columns: t.columns.map(col => {
                     const base = { ...col };
                     if (this.lineageEngine && !col.isHidden) {
                         const consumers = this.lineageEngine.getColumnConsumers(t.name, col.name);
-                        if (consumers.measures.length > 0 || consumers.directVisuals.length > 0) {
+                        if (consumers.measures.length > 0 || consumers.directVisuals.length > 0 || consumers.filters?.length > 0) {
                             base.whereUsed = {
                                 measures: consumers.measures,
                                 visuals:  consumers.directVisuals,
-                                pages:    consumers.pages
+                                filters:  consumers.filters || [],
+                                pages:    consumers.pages,
+                                reports:  consumers.reports || []
                             };
                         }
                     }
@@ -2504,20 +3059,34 @@ ${rects}
                 measures: t.measures.map(m => ({
                     ...m,
                     references: this.measureRefs[m.name] || null,
+                    health: this._measureHealthEntry(t.name, m.name),
                     visualUsage: this.visualUsage[`measure|${t.name}|${m.name}`] || []
                 })),
                 hierarchies: t.hierarchies,
-                partitions: t.partitions
+                partitions: t.partitions,
+                queryFolding: this.lineageEngine?.folding?.get(t.name) || null,
+                lineageTag: t.lineageTag || null,
+                sourceLineageTag: t.sourceLineageTag || null,
+                annotations: t.annotations || {},
+                extendedProperties: t.extendedProperties || {}
             })),
             relationships: this.model.relationships,
-            roles: this.model.roles,
+            roles: this.model.roles.map(r => {
+                const security = this._roleSecurity(r.name);
+                return security ? { ...r, securedTables: security.securedTables, brokenRefs: security.brokenRefs } : r;
+            }),
+            rlsCoverage: this._getRLSCoverage(),
+            perspectives: this._getPerspectiveSummaries(),
+            translations: this._getTranslationCoverage()?.summary || null,
+            refreshStorage: this._getRefreshStorage(),
             expressions: this.model.expressions,
             visualUsage: this.visualUsage,
             dataSources: this.lineageEngine ? this.lineageEngine.getAllDataSources().map(src => {
                 const sourceId = `source:${MExpressionParser._sourceKey(src)}`;
                 const consumers = this.lineageEngine.getDataSourceConsumers(sourceId);
                 return { ...src, consumers };
-            }) : []
+            }) : [],
+            bestPractices: this._getBPAResults()
         };
 
         return JSON.stringify(output, null, 2);
@@ -2527,6 +3096,50 @@ ${rects}
     // HELPERS
     // ──────────────────────────────────────────────
 
+    /**
+     * User annotations and extended properties of a table and its columns, measures and
+     * hierarchies. Power BI's own bookkeeping annotations are left out.
+     * @returns {Array<{object: string, name: string, value: string}>}
+     */
+    _getAnnotationRows(table) {
+        const rows = [];
+        const add = (label, obj) => {
+            for (const [name, value] of Object.entries(obj.annotations || {})) {
+                if (!DocGenerator.SYSTEM_ANNOTATIONS.test(name)) rows.push({ object: label, name, value: String(value) });
+            }
+            for (const [name, value] of Object.entries(obj.extendedProperties || {})) {
+                rows.push({ object: label, name, value: typeof value === 'string' ? value : JSON.stringify(value) });
+            }
+        };
+        add(table.name, table);
+        for (const c of table.columns) add(`${table.name}[${c.name}]`, c);
+        for (const m of table.measures) add(`[${m.name}]`, m);
+        for (const h of table.hierarchies) add(`${table.name} › ${h.name}`, h);
+        return rows;
+    }
+
+    _buildHTMLAnnotations(table) {
+        const rows = this._getAnnotationRows(table);
+        if (rows.length === 0) return '';
+        let html = `<h4>Annotations</h4><table><tr><th>Object</th><th>Annotation</th><th>Value</th></tr>`;
+        for (const a of rows) {
+            html += `<tr><td>${this._escHtml(a.object)}</td><td>${this._escHtml(a.name)}</td><td>${this._escHtml(a.value)}</td></tr>`;
+        }
+        return html + `</table>`;
+    }
+
+    /**
+     * "Caption (Name)" when the model was translated with Translations.applyCulture()
+     */
+    _captionedName(obj) {
+        return obj.caption && obj.caption !== obj.name ? `${obj.caption} (${obj.name})` : obj.name;
+    }
+
+    _htmlCaptionedName(obj) {
+        if (!obj.caption || obj.caption === obj.name) return this._escHtml(obj.name);
+        return `${this._escHtml(obj.caption)} <span style="font-weight:400;color:#888">(${this._escHtml(obj.name)})</span>`;
+    }
+
     _escMd(str) {
         if (!str) return '';
         return str.replace(/\|/g, '\\|').replace(/\n/g, ' ');
@@ -2551,6 +3164,26 @@ ${rects}
         return `${from}:${to}`;
     }
 
+    /**
+     * Names of the parsed reports when usage was aggregated across more than one, else []
+     */
+    _usageReports() {
+        const reports = this.lineageEngine?.visualData?.reports || [];
+        return reports.length > 1 ? reports : [];
+    }
+
+    /**
+     * Usage entries counted per report, e.g. "Sales Overview (3), Finance (1)"
+     */
+    _reportSummary(usages) {
+        const counts = new Map();
+        for (const u of usages) {
+            if (!u.reportName) continue;
+            counts.set(u.reportName, (counts.get(u.reportName) || 0) + 1);
+        }
+        return [...counts].map(([report, n]) => `${report} (${n})`).join(', ');
+    }
+
     _groupByPage(usages) {
         const byPage = {};
         for (const u of usages) {
@@ -2561,10 +3194,18 @@ ${rects}
     }
 
     /**
-     * Basic DAX syntax highlighting for HTML output
+     * DAX as it should be printed — run through DAXFormatter unless the original text was asked for
+     */
+    _dax(expression) {
+        if (this.daxFormat !== 'formatted' || typeof DAXFormatter === 'undefined') return expression;
+        return DAXFormatter.format(expression);
+    }
+
+    /**
+     * Basic DAX syntax highlighting for HTML output (formatted first, see _dax())
      */
     _highlightDAX(dax) {
-        let html = this._escHtml(dax);
+        let html = this._escHtml(this._dax(dax));
 
         // 1. Comments (must be first)
         html = html.replace(/(\/\/.*?)(\n|$)/g, '<span class="dax-comment">$1</span>$2');
@@ -2593,6 +3234,9 @@ ${rects}
     }
 }
 
+// Annotations Power BI Desktop and the service write for their own use
+DocGenerator.SYSTEM_ANNOTATIONS = /^(__)?PBI_|^SummarizationSetBy$|^UnderlyingDateTimeDataType$|^TabularEditor_/;
+
 // Export
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = DocGenerator;
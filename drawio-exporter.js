@@ -2,9 +2,10 @@
  * DrawioExporter — Exports semantic model data as draw.io compatible XML (.drawio)
  * Part of PBIP Documenter by Jihwan Kim (Microsoft MVP)
  *
- * Generates two diagram types:
+ * Generates three diagram types:
  *   1. ERD (Entity Relationship Diagram) — tables, columns, relationships
  *   2. Lineage — data sources → tables → measures → visuals (left-to-right)
+ *   3. Power Query dependencies — sources, parameters, functions and staging queries → tables
  */
 class DrawioExporter {
     constructor(parsedModel, lineageEngine) {
@@ -372,6 +373,69 @@ class DrawioExporter {
         return this._wrapDiagram('Lineage', 'lineage', cells, pageWidth, pageHeight);
     }
 
+    /**
+     * Generate the Power Query dependency diagram as draw.io XML.
+     * One column per dependency layer, left to right; parameter links are dashed and
+     * function invocations are labelled with their arguments.
+     * @returns {string} draw.io XML
+     */
+    generateQueryDependencies() {
+        const graph = this.lineageEngine?.queryGraph
+            || (typeof MExpressionParser !== 'undefined' ? MExpressionParser.buildQueryDependencyGraph(this.parsedModel) : { nodes: [], edges: [] });
+        const cells = [];
+        const nodeIdMap = new Map(); // graph node id -> cellId
+
+        const nodeWidth = 200;
+        const nodeHeight = 44;
+        const xSpacing = 290;
+        const ySpacing = 64;
+        const yStart = 40;
+
+        const styles = {
+            source: 'rounded=1;whiteSpace=wrap;html=1;fillColor=#f5f5f5;strokeColor=#666666;fontColor=#333333;fontSize=11;',
+            parameter: 'rounded=1;whiteSpace=wrap;html=1;fillColor=#e1d5e7;strokeColor=#9673a6;fontColor=#333333;fontSize=11;',
+            function: 'rounded=1;whiteSpace=wrap;html=1;fillColor=#d5e8d4;strokeColor=#82b366;fontColor=#333333;fontSize=11;',
+            staging: 'rounded=1;whiteSpace=wrap;html=1;fillColor=#fff2cc;strokeColor=#d6b656;fontColor=#333333;fontSize=11;',
+            table: 'rounded=1;whiteSpace=wrap;html=1;fillColor=#dae8fc;strokeColor=#6c8ebf;fontColor=#1a3a5c;fontSize=11;fontStyle=1;'
+        };
+        const kindLabels = { source: 'Data source', parameter: 'Parameter', function: 'Function', staging: 'Staging', table: 'Table' };
+
+        const rowsPerLayer = [];
+        let maxY = yStart;
+        for (const node of graph.nodes) {
+            const row = rowsPerLayer[node.layer] || 0;
+            rowsPerLayer[node.layer] = row + 1;
+            const id = this._nextId();
+            nodeIdMap.set(node.id, id);
+            const y = yStart + row * ySpacing;
+            maxY = Math.max(maxY, y + nodeHeight);
+            const caption = node.group ? `${kindLabels[node.kind]} · ${node.group}` : kindLabels[node.kind];
+            cells.push(this._mxCell(id, `&lt;font style=&quot;font-size:9px&quot;&gt;${this._escapeXml(caption)}&lt;/font&gt;&lt;br&gt;${this._escapeXml(node.name)}`,
+                styles[node.kind],
+                '1', null, null,
+                { x: 50 + node.layer * xSpacing, y, width: nodeWidth, height: nodeHeight }
+            ));
+        }
+
+        const edgeColors = { source: '#666666', reference: '#6c8ebf', parameter: '#9673a6', invoke: '#82b366', combine: '#d6b656', join: '#e65100' };
+        for (const edge of graph.edges) {
+            const srcId = nodeIdMap.get(edge.from);
+            const tgtId = nodeIdMap.get(edge.to);
+            if (!srcId || !tgtId) continue;
+            const label = edge.type === 'invoke' ? `invoke(${(edge.args || []).join(', ')})`
+                : edge.type === 'combine' || edge.type === 'join' ? edge.type : '';
+            const dashed = edge.type === 'parameter' || edge.type === 'invoke' ? 'dashed=1;' : '';
+            cells.push(this._mxEdge(this._nextId(), this._escapeXml(label),
+                `endArrow=classic;endFill=1;strokeWidth=1;strokeColor=${edgeColors[edge.type] || '#999999'};curved=1;fontSize=9;${dashed}`,
+                srcId, tgtId
+            ));
+        }
+
+        const layers = rowsPerLayer.length;
+        return this._wrapDiagram('Power Query Dependencies', 'query-dependencies', cells,
+            Math.max(1169, 100 + layers * xSpacing), Math.max(827, maxY + 50));
+    }
+
     // ─── Layout ─────────────────────────────────────────────────────────
 
     /**
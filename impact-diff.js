@@ -0,0 +1,330 @@
+/**
+ * Impact Diff Module
+ * Classifies report visuals as newly broken, changed upstream, or unaffected
+ * by the difference between two semantic model versions
+ */
+
+class ImpactDiff {
+    /**
+     * @param {LineageEngine} baseEngine - Built engine for the baseline model + report
+     * @param {LineageEngine} currentEngine - Built engine for the current model + the same report
+     * @param {Object} diffResult - ModelDiff.compare() output for the same two models
+     */
+    constructor(baseEngine, currentEngine, diffResult) {
+        this.baseEngine = baseEngine;
+        this.currentEngine = currentEngine;
+        this.diff = diffResult;
+        this.result = null;
+    }
+
+    /**
+     * Convenience constructor: build both lineage engines and the model diff
+     * @param {Object} baseModel - Baseline parsed model
+     * @param {Object} currentModel - Current parsed model
+     * @param {Object} visualData - VisualParser.parseReport() output
+     * @returns {ImpactDiff}
+     */
+    static fromModels(baseModel, currentModel, visualData) {
+        const baseEngine = ImpactDiff.buildEngine(baseModel, visualData);
+        const currentEngine = ImpactDiff.buildEngine(currentModel, visualData);
+        return new ImpactDiff(baseEngine, currentEngine, new ModelDiff(baseModel, currentModel).compare());
+    }
+
+    /**
+     * Build a LineageEngine for a model without disturbing MExpressionParser's
+     * declared-parameter cache of the model that is currently loaded
+     */
+    static buildEngine(model, visualData) {
+        const parser = new TMDLParser();
+        parser.model = model;
+        const measureRefs = parser.extractAllReferences();
+
+        const savedParams = MExpressionParser._declaredParams;
+        try {
+            const engine = new LineageEngine(model, visualData, measureRefs);
+            engine.buildGraph();
+            return engine;
+        } finally {
+            MExpressionParser._declaredParams = savedParams;
+        }
+    }
+
+    /**
+     * Classify every visual in the report
+     * @returns {Object} { pages: [{ page, visuals: [{ name, page, type, status, reasons }] }], summary }
+     */
+    analyze() {
+        // Keyed by report, page and visual id — untitled visuals fall back to their type as
+        // visualName, so the name alone is only a display label
+        const visuals = new Map(); // "report|page|visualId" → entry
+        for (const v of (this.currentEngine.visualData?.visuals || [])) {
+            const key = `${v.reportName || ''}|${v.pageName}|${v.visualId || v.visualName}`;
+            if (!visuals.has(key)) {
+                visuals.set(key, { name: v.visualName, page: v.pageName, type: v.visualType, status: 'unaffected', reasons: [], _visual: v });
+            }
+        }
+
+        const mark = (entry, status, reason) => {
+            if (status === 'broken' || entry.status === 'unaffected') entry.status = status;
+            if (!entry.reasons.includes(reason)) entry.reasons.push(reason);
+        };
+
+        this._markBroken(visuals, mark);
+        this._markChanged(visuals, mark);
+
+        const order = { broken: 0, changed: 1, unaffected: 2 };
+        const pages = [];
+        const pageIndex = new Map();
+        for (const entry of visuals.values()) {
+            delete entry._visual;
+            if (!pageIndex.has(entry.page)) {
+                pageIndex.set(entry.page, pages.length);
+                pages.push({ page: entry.page, visuals: [] });
+            }
+            pages[pageIndex.get(entry.page)].visuals.push(entry);
+        }
+        for (const p of pages) {
+            p.visuals.sort((a, b) => order[a.status] - order[b.status] || a.name.localeCompare(b.name));
+            p.broken = p.visuals.filter(v => v.status === 'broken').length;
+            p.changed = p.visuals.filter(v => v.status === 'changed').length;
+        }
+
+        const all = [...visuals.values()];
+        this.result = {
+            pages,
+            summary: {
+                broken: all.filter(v => v.status === 'broken').length,
+                changed: all.filter(v => v.status === 'changed').length,
+                unaffected: all.filter(v => v.status === 'unaffected').length,
+                total: all.length
+            }
+        };
+        return this.result;
+    }
+
+    // ──────────────────────────────────────────────
+    // CLASSIFICATION
+    // ──────────────────────────────────────────────
+
+    /**
+     * Newly broken: a field the visual binds to no longer exists, or a measure it shows
+     * (directly or through other measures) still references a removed column/measure
+     */
+    _markBroken(visuals, mark) {
+        const base = this.baseEngine;
+        const current = this.currentEngine;
+        for (const entry of visuals.values()) {
+            for (const field of (entry._visual.fields || [])) {
+                const baseMissing = new Set(base._fieldTargetIds(field).filter(id => !base.nodes.has(id)));
+                for (const to of current._fieldTargetIds(field)) {
+                    if (current.nodes.has(to) || baseMissing.has(to)) continue;
+                    mark(entry, 'broken', `${this._labelNodeId(to)} no longer exists`);
+                }
+            }
+        }
+
+        // Old name → 'removed' or 'renamed' (a rename matched by lineageTag still breaks DAX that uses the old name)
+        const gone = entries => [
+            ...entries.removed.map(e => [e.item, 'removed']),
+            ...entries.changed.filter(e => e.renamedFrom).map(e => [e.base, 'renamed'])
+        ];
+        const removedMeasures = new Map(gone(this.diff.measures).map(([m, how]) => [m.name, how]));
+        const removedColumns = new Map(gone(this.diff.columns).map(([c, how]) => [`${c.table}|${c.name}`, how]));
+        for (const [t, how] of gone(this.diff.tables)) {
+            for (const c of t.columns) removedColumns.set(`${t.name}|${c.name}`, how);
+        }
+
+        // Measures whose own DAX points at something removed
+        const refs = this.currentEngine.measureRefs;
+        const brokenMeasures = new Map(); // name → reason
+        for (const [name, r] of Object.entries(refs)) {
+            if (r.isCalculatedColumn) continue;
+            const missingMeasure = r.measureRefs.find(m => removedMeasures.has(m));
+            const missingColumn = r.columnRefs.find(c => removedColumns.has(`${c.table}|${c.column}`));
+            if (missingMeasure) {
+                brokenMeasures.set(name, `[${name}] references ${removedMeasures.get(missingMeasure)} measure [${missingMeasure}]`);
+            } else if (missingColumn) {
+                const how = removedColumns.get(`${missingColumn.table}|${missingColumn.column}`);
+                brokenMeasures.set(name, `[${name}] references ${how} column ${missingColumn.table}[${missingColumn.column}]`);
+            }
+        }
+
+        // Propagate to measures that depend on a broken measure
+        let grew = true;
+        while (grew) {
+            grew = false;
+            for (const [name, r] of Object.entries(refs)) {
+                if (r.isCalculatedColumn || brokenMeasures.has(name)) continue;
+                const via = r.measureRefs.find(m => brokenMeasures.has(m));
+                if (via) {
+                    brokenMeasures.set(name, brokenMeasures.get(via));
+                    grew = true;
+                }
+            }
+        }
+
+        for (const entry of visuals.values()) {
+            for (const field of (entry._visual.fields || [])) {
+                if (field.type === 'measure' && brokenMeasures.has(field.name)) {
+                    mark(entry, 'broken', brokenMeasures.get(field.name));
+                }
+            }
+        }
+    }
+
+    /**
+     * Changed upstream: the visual depends on a measure, column, table or relationship
+     * that exists in both versions but was modified
+     */
+    _markChanged(visuals, mark) {
+        const engine = this.currentEngine;
+        const entries = [...visuals.values()];
+        const describe = changes => changes.map(c => c.property).join(', ');
+
+        for (const e of this.diff.measures.changed) {
+            const reason = `[${e.item.name}] changed (${describe(e.changes)})`;
+            for (const entry of this._measureVisuals(engine, entries, e.item.name)) mark(entry, 'changed', reason);
+        }
+
+        for (const e of this.diff.columns.changed) {
+            const reason = `${e.label} changed (${describe(e.changes)})`;
+            for (const entry of this._columnVisuals(engine, entries, e.item.table, e.item.name)) mark(entry, 'changed', reason);
+        }
+
+        // Table-level changes (partition source, refresh policy) reach every visual that reads the table
+        for (const e of this.diff.tables.changed) {
+            const reason = `table ${e.label} changed (${describe(e.changes)})`;
+            for (const col of e.item.columns) {
+                for (const entry of this._columnVisuals(engine, entries, e.item.name, col.name)) mark(entry, 'changed', reason);
+            }
+        }
+
+        // Relationship changes alter filter propagation between the two tables
+        const relEntries = [
+            ...this.diff.relationships.changed.map(e => ({ e, what: `changed (${describe(e.changes)})` })),
+            ...this.diff.relationships.added.map(e => ({ e, what: 'added' })),
+            ...this.diff.relationships.removed.map(e => ({ e, what: 'removed' }))
+        ];
+        if (relEntries.length > 0) {
+            for (const entry of entries) {
+                const tables = this._visualTables(engine, entry._visual);
+                for (const { e, what } of relEntries) {
+                    if (tables.has(e.item.fromTable) && tables.has(e.item.toTable)) {
+                        mark(entry, 'changed', `relationship ${e.label} ${what}`);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Visual entries that show a measure, following dependent measures transitively
+     */
+    _measureVisuals(engine, entries, measureName) {
+        const names = this._dependentMeasures(engine, [measureName]);
+        return entries.filter(entry => (entry._visual.fields || []).some(f => f.type === 'measure' && names.has(f.name)));
+    }
+
+    /**
+     * Visual entries that bind a column directly or show a measure built on it
+     */
+    _columnVisuals(engine, entries, tableName, columnName) {
+        const columnId = `column:${tableName}.${columnName}`;
+        const names = this._dependentMeasures(engine, engine.getColumnImpact(tableName, columnName).directMeasures.map(m => m.name));
+        return entries.filter(entry => (entry._visual.fields || []).some(f =>
+            (f.type === 'measure' && names.has(f.name)) || engine._fieldTargetIds(f).includes(columnId)
+        ));
+    }
+
+    /**
+     * The given measures plus every measure that depends on them, transitively
+     */
+    _dependentMeasures(engine, measureNames) {
+        const names = new Set();
+        const queue = [...measureNames];
+        while (queue.length > 0) {
+            const name = queue.shift();
+            if (names.has(name)) continue;
+            names.add(name);
+            for (const dm of engine.getMeasureImpact(name).dependentMeasures) queue.push(dm.name);
+        }
+        return names;
+    }
+
+    /**
+     * Tables a visual reads from — its own fields plus the columns behind its measures
+     */
+    _visualTables(engine, visual) {
+        const tables = new Set();
+        for (const field of (visual.fields || [])) {
+            const tableName = field.table || field.entity;
+            if (field.type !== 'measure') {
+                if (tableName) tables.add(tableName);
+                continue;
+            }
+            const names = [field.name, ...engine.resolveMeasureChain(field.name).map(m => m.name)];
+            for (const n of names) {
+                for (const c of (engine.measureRefs[n]?.columnRefs || [])) tables.add(c.table);
+            }
+        }
+        return tables;
+    }
+
+    _labelNodeId(nodeId) {
+        const [type, rest] = [nodeId.slice(0, nodeId.indexOf(':')), nodeId.slice(nodeId.indexOf(':') + 1)];
+        const dot = rest.indexOf('.');
+        if (type === 'measure') return `[${rest.slice(dot + 1)}]`;
+        if (type === 'column') return `${rest.slice(0, dot)}[${rest.slice(dot + 1)}]`;
+        return `${type} ${rest}`;
+    }
+
+    // ──────────────────────────────────────────────
+    // MARKDOWN
+    // ──────────────────────────────────────────────
+
+    /**
+     * Per-page impact list, meant to be appended to the ModelDiff change log
+     * @returns {string}
+     */
+    generateMarkdown() {
+        const r = this.result || this.analyze();
+        const lines = [];
+        const icon = { broken: '❌', changed: '⚠', unaffected: '✓' };
+
+        lines.push('## Report Impact');
+        lines.push('');
+        lines.push(`**${r.summary.broken}** newly broken · **${r.summary.changed}** changed upstream · **${r.summary.unaffected}** unaffected (of ${r.summary.total} visuals)`);
+        lines.push('');
+
+        const affectedPages = r.pages.filter(p => p.broken + p.changed > 0);
+        if (affectedPages.length === 0) {
+            lines.push('No report visuals are affected by these changes.');
+            return lines.join('\n');
+        }
+
+        lines.push('| Page | Broken | Changed | Unaffected |');
+        lines.push('|------|--------|---------|------------|');
+        for (const p of r.pages) {
+            lines.push(`| ${p.page.replace(/\|/g, '\\|')} | ${p.broken} | ${p.changed} | ${p.visuals.length - p.broken - p.changed} |`);
+        }
+        lines.push('');
+
+        for (const p of affectedPages) {
+            lines.push(`### ${p.page}`);
+            lines.push('');
+            for (const v of p.visuals) {
+                if (v.status === 'unaffected') continue;
+                lines.push(`- ${icon[v.status]} **${v.name}** (${v.type})`);
+                for (const reason of v.reasons) lines.push(`  - ${reason}`);
+            }
+            lines.push('');
+        }
+
+        return lines.join('\n');
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImpactDiff;
+}
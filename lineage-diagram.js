@@ -28,6 +28,8 @@ class LineageDiagramRenderer {
             calcGroupBg: '#e8f5e9',
             fieldParam: '#6a1b9a',
             fieldParamBg: '#f3e5f5',
+            role: '#c62828',
+            roleBg: '#ffebee',
             edge: '#90a4ae',
             edgeHighlight: '#c89632',
             bg: '#ffffff',
@@ -133,7 +135,7 @@ class LineageDiagramRenderer {
                         id: `column:${c.table}.${c.column}`,
                         name: `${c.table}[${c.column}]`,
                         type: 'column',
-                        detail: c.table
+                        detail: c.aggregations ? `implicit ${c.aggregations.join('/')}` : c.table
                     })),
                     ...(lineage.expandedCalcItems || []).map(ci => ({
                         id: `calcItem:${ci.sourceTable}.${ci.name}`,
@@ -174,13 +176,17 @@ class LineageDiagramRenderer {
 
     /**
      * Render measure impact analysis (reverse direction)
+     * @param {string|null} reportName - Only show visuals of this report (several reports loaded)
      */
-    renderMeasureImpact(container, measureName) {
+    renderMeasureImpact(container, measureName, reportName = null) {
         const target = container || this.container;
         this._clearContainer(target);
         this._isFullLineageView = false;
 
-        const impact = this.lineageEngine.getMeasureImpact(measureName);
+        const fullImpact = this.lineageEngine.getMeasureImpact(measureName);
+        const impact = reportName
+            ? { ...fullImpact, visuals: fullImpact.visuals.filter(v => v.report === reportName) }
+            : fullImpact;
         const tableName = this.lineageEngine.measureLookup.get(measureName);
         if (!tableName) {
             target.innerHTML = '<p style="text-align:center;color:#666;padding:40px">Measure not found.</p>';
@@ -235,20 +241,26 @@ class LineageDiagramRenderer {
 
     /**
      * Render column impact analysis
+     * @param {string|null} reportName - Only show visuals of this report (several reports loaded)
      */
-    renderColumnImpact(container, tableName, columnName) {
+    renderColumnImpact(container, tableName, columnName, reportName = null) {
         const target = container || this.container;
         this._clearContainer(target);
         this._isFullLineageView = false;
 
-        const impact = this.lineageEngine.getColumnImpact(tableName, columnName);
+        let impact = this.lineageEngine.getColumnImpact(tableName, columnName);
         if (!impact) {
             target.innerHTML = '<p style="text-align:center;color:#666;padding:40px">Column not found.</p>';
             return;
         }
+        if (reportName) {
+            const inReport = v => v.report === reportName;
+            impact = { ...impact, directVisuals: impact.directVisuals.filter(inReport), transitiveVisuals: impact.transitiveVisuals.filter(inReport) };
+        }
 
         const allVisuals = [...impact.directVisuals, ...impact.transitiveVisuals];
         const hasPhysical = (impact.physicalColumns || []).length > 0;
+        const roles = impact.roles || [];
 
         const columns = [
             ...(hasPhysical ? [{
@@ -295,7 +307,18 @@ class LineageDiagramRenderer {
                     type: 'visual',
                     detail: v.page + (v.indirect ? ` (via ${v.via})` : '')
                 }))
-            }
+            },
+            ...(roles.length > 0 ? [{
+                label: 'Security Roles',
+                color: this.colors.role,
+                colorBg: this.colors.roleBg,
+                items: roles.map(r => ({
+                    id: `role:${r.role}`,
+                    name: r.role,
+                    type: 'role',
+                    detail: `filters ${r.table}`
+                }))
+            }] : [])
         ];
 
         const layout = this._layoutColumns(columns);
@@ -336,6 +359,11 @@ class LineageDiagramRenderer {
                     if (mItem) this._drawEdge(svg, mItem, vItem, 'uses_field');
                 }
             }
+            // Column → RLS roles
+            for (const r of roles) {
+                const rItem = posMap.get(`role:${r.role}`);
+                if (rItem) this._drawEdge(svg, sourceItem, rItem, 'references_column');
+            }
         }
 
         target.appendChild(svg);
@@ -460,6 +488,209 @@ class LineageDiagramRenderer {
         this._initInteractivity(svg, layout.width, layout.height, target);
     }
 
+    /**
+     * Render the row-level security lineage of one role:
+     * Role → columns its filters read → filtered tables → tables the filters reach through relationships.
+     * Columns the filters name but the model no longer has are drawn as dashed placeholders
+     */
+    renderRoleLineage(container, roleName) {
+        const target = container || this.container;
+        this._clearContainer(target);
+        this._isFullLineageView = false;
+
+        const lineage = this.lineageEngine.getRoleLineage(roleName);
+        if (!lineage) {
+            target.innerHTML = '<p style="text-align:center;color:#666;padding:40px">Role not found.</p>';
+            return;
+        }
+
+        const refItems = new Map();
+        for (const f of lineage.filters) {
+            for (const c of f.columns) {
+                const id = `column:${c.table}.${c.column}`;
+                if (!refItems.has(id)) {
+                    refItems.set(id, {
+                        id, name: `${c.table}[${c.column}]`, type: c.missing ? 'placeholder' : 'column',
+                        detail: c.missing ? 'not in the model' : c.table,
+                        _isPlaceholder: c.missing
+                    });
+                }
+            }
+            for (const m of f.measures) {
+                const id = `measure:${m.table}.${m.name}`;
+                if (!refItems.has(id)) refItems.set(id, { id, name: `[${m.name}]`, type: 'measure', detail: m.table });
+            }
+        }
+
+        const columns = [
+            {
+                label: 'Role',
+                color: this.colors.role,
+                colorBg: this.colors.roleBg,
+                items: [{
+                    id: `role:${roleName}`,
+                    name: roleName,
+                    type: 'role',
+                    detail: lineage.modelPermission ? `${lineage.modelPermission} permission` : 'role'
+                }]
+            },
+            {
+                label: 'Filter Columns',
+                color: this.colors.column,
+                colorBg: this.colors.columnBg,
+                items: [...refItems.values()]
+            },
+            {
+                label: 'Filtered Tables',
+                color: this.colors.table,
+                colorBg: this.colors.tableBg,
+                items: lineage.filters.map(f => ({
+                    id: `table:${f.table}`,
+                    name: f.table,
+                    type: 'table',
+                    detail: f.expression.replace(/\s+/g, ' ')
+                }))
+            }
+        ];
+        // One column per relationship hop, so a chain of secured tables reads left to right
+        const maxHops = Math.max(0, ...lineage.securedTables.map(t => t.depth));
+        for (let hop = 1; hop <= maxHops; hop++) {
+            columns.push({
+                label: `Secured (${hop} hop${hop !== 1 ? 's' : ''})`,
+                color: this.colors.table,
+                colorBg: this.colors.tableBg,
+                items: lineage.securedTables.filter(t => t.depth === hop).map(t => ({
+                    id: `table:${t.table}`,
+                    name: t.table,
+                    type: 'table',
+                    detail: `via ${t.from}${t.relationship.bothDirections ? ' (both directions)' : ''}`
+                }))
+            });
+        }
+
+        const layout = this._layoutColumns(columns);
+        const svg = this._renderLayout(layout, columns, `Security: ${roleName}`);
+
+        const posMap = new Map();
+        for (const col of columns) {
+            for (let i = 0; i < (col._visibleCount || col.items.length); i++) {
+                posMap.set(col.items[i].id, col.items[i]);
+            }
+        }
+        const roleItem = posMap.get(`role:${roleName}`);
+        for (const f of lineage.filters) {
+            const tItem = posMap.get(`table:${f.table}`);
+            if (!tItem) continue;
+            const refs = [...f.columns.map(c => `column:${c.table}.${c.column}`), ...f.measures.map(m => `measure:${m.table}.${m.name}`)];
+            // A filter without references (e.g. FALSE()) hides the whole table: connect the role directly
+            if (refs.length === 0 && roleItem) this._drawEdge(svg, roleItem, tItem, 'filters_table');
+            for (const id of refs) {
+                const refItem = posMap.get(id);
+                if (!refItem) continue;
+                if (roleItem) this._drawEdge(svg, roleItem, refItem, 'references_column');
+                this._drawEdge(svg, refItem, tItem, 'filters_table');
+            }
+        }
+        for (const t of lineage.securedTables) {
+            const fromItem = posMap.get(`table:${t.from}`);
+            const toItem = posMap.get(`table:${t.table}`);
+            if (fromItem && toItem) this._drawEdge(svg, fromItem, toItem, 'secures_table');
+        }
+
+        target.appendChild(svg);
+        this._initInteractivity(svg, layout.width, layout.height, target);
+    }
+
+    /**
+     * Render the dependency tree of one measure. Same left-to-right flow as the lineage:
+     * base columns on the left and the measure on the right, or — reversed — the measure
+     * on the left and every measure built on it to the right
+     * @param {boolean} reverse - Show dependents instead of dependencies
+     */
+    renderMeasureTree(container, measureName, reverse = false) {
+        const target = container || this.container;
+        this._clearContainer(target);
+        this._isFullLineageView = false;
+
+        const tree = this.lineageEngine.getMeasureDependencyTree(measureName, { reverse });
+        if (!tree) {
+            target.innerHTML = '<p style="text-align:center;color:#666;padding:40px">Measure not found.</p>';
+            return;
+        }
+
+        const colWidth = 190;
+        const colGap = 70;
+        const nodeHeight = 36;
+        const nodeGap = 8;
+        const padding = 40;
+        const titleHeight = 50;
+        // Column leaves sit one level below the deepest measure
+        const deepest = node => Math.max(node.level, ...node.children.map(deepest));
+        const maxLevel = deepest(tree.root);
+        const levelX = level => padding + (reverse ? level : maxLevel - level) * (colWidth + colGap);
+
+        // Leaves stack top to bottom; a parent is centred on its children
+        const items = [];
+        const edges = [];
+        let nextY = padding + titleHeight;
+        const place = (node) => {
+            const item = {
+                id: node.type === 'measure' ? `measure:${node.table}.${node.name}` : `column:${node.table}.${node.name}`,
+                name: node.type === 'measure' ? `[${node.name}]` : `${node.table}[${node.name}]`,
+                type: node.type,
+                detail: node.circular ? 'circular reference' : node.repeated ? 'expanded above' : (node.type === 'measure' ? node.table : 'column'),
+                circular: node.circular,
+                deep: node.deep
+            };
+            item._wrapped = item.name.length > 22;
+            item._x = levelX(node.level);
+            item._w = colWidth;
+            item._h = item._wrapped ? nodeHeight + 14 : nodeHeight;
+            if (node.children.length === 0) {
+                item._y = nextY;
+                nextY += item._h + nodeGap;
+            } else {
+                const children = node.children.map(place);
+                for (const child of children) edges.push(reverse ? [item, child] : [child, item]);
+                const first = children[0];
+                const last = children[children.length - 1];
+                item._y = (first._y + last._y + last._h) / 2 - item._h / 2;
+            }
+            items.push(item);
+            return item;
+        };
+        place(tree.root);
+
+        const width = levelX(reverse ? maxLevel : 0) + colWidth + padding;
+        const height = Math.max(nextY + padding, 200);
+        const svg = this._createSVG(width, height);
+        const title = `${reverse ? 'Used by' : 'Depends on'}: [${measureName}]`;
+        svg.appendChild(this._createText(title, width / 2, padding + 20, {
+            fontSize: '16px', fontWeight: '700', fill: this.colors.text, textAnchor: 'middle'
+        }));
+
+        for (const item of items) {
+            const isColumn = item.type === 'column';
+            this._drawNode(svg, item, isColumn ? this.colors.column : this.colors.measure, isColumn ? this.colors.columnBg : this.colors.measureBg);
+            if (item.circular || item.deep) {
+                const overlay = this._createRect(item._x, item._y, item._w, item._h, {
+                    fill: 'none', stroke: item.circular ? '#c62828' : '#ef6c00', strokeWidth: '2', rx: '4'
+                });
+                if (item.circular) overlay.setAttribute('stroke-dasharray', '5,3');
+                svg.lastChild.appendChild(overlay);
+                const t = document.createElementNS(this.SVG_NS, 'title');
+                t.textContent = item.circular ? 'Circular dependency' : `More than ${LineageEngine.MEASURE_DEPTH_WARNING} levels deep`;
+                svg.lastChild.appendChild(t);
+            }
+        }
+        for (const [from, to] of edges) {
+            this._drawEdge(svg, from, to, from.type === 'column' ? 'references_column' : 'depends_on_measure');
+        }
+
+        target.appendChild(svg);
+        this._initInteractivity(svg, width, height, target);
+    }
+
     /**
      * Export SVG as string
      */
@@ -504,6 +735,7 @@ class LineageDiagramRenderer {
     _tableHasVisibleEdges(tableId, edges) {
         for (const edge of edges) {
             if (edge.type === 'belongs_to_table' && edge.from.startsWith('column:')) continue;
+            if (edge.from.startsWith('role:')) continue; // Roles have their own Security view
             if (edge.from === tableId || edge.to === tableId) return true;
         }
         return false;
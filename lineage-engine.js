@@ -24,6 +24,8 @@ class LineageEngine {
 
         // Memoization caches
         this._measureChainCache = new Map();
+        this._measureDepthCache = new Map();
+        this._dependentsIndex = null;
         this._visualLineageCache = new Map();
         this._measureImpactCache = new Map();
     }
@@ -40,6 +42,15 @@ class LineageEngine {
         // Build M-step map: tableName → [{name, kind, exprText, refs}]
         this.mSteps = MExpressionParser.parseMStepsFromModel(this.parsedModel);
 
+        // Per-column Power Query lineage: tableName → columnName → {kind, sources, steps}
+        this.columnLineage = MExpressionParser.columnLineageFromModel(this.parsedModel);
+
+        // Query dependency graph: data sources, parameters, functions, staging queries and tables
+        this.queryGraph = MExpressionParser.buildQueryDependencyGraph(this.parsedModel);
+
+        // Query folding per table: tableName → {foldable, breakingStep, steps: [{name, folding}]}
+        this.folding = MExpressionParser.analyzeFoldingFromModel(this.parsedModel);
+
         // 1. Add data sources from M expressions
         this.dataSources = MExpressionParser.extractAllFromModel(this.parsedModel);
         // Build per-table source key map using fully resolved sources (handles params + shared exprs)
@@ -166,35 +177,27 @@ class LineageEngine {
             }
 
             // Column → physical-column edges
-            // Emit for ALL model columns when we know the source table (not just renamed ones).
-            // For renamed columns use the sourceName; otherwise default to the model column name.
-            if (tblLineage && tblLineage.physicalTable) {
-                const renameMap = new Map((tblLineage.renames || []).map(r => [r.modelName, r.sourceName]));
-                const physPrefix = `${tblLineage.physicalSchema || ''}.${tblLineage.physicalTable}`;
-                for (const col of table.columns) {
-                    if (col.expression) continue; // calc columns handled separately below
-                    const colId = `column:${table.name}.${col.name}`;
-                    if (!this.nodes.has(colId)) continue;
-                    const sourceName = renameMap.get(col.name) || col.name;
-                    const physColId = `physicalColumn:${physPrefix}.${sourceName}`;
-                    if (!this.nodes.has(physColId)) {
-                        this.nodes.set(physColId, {
-                            id: physColId,
-                            type: 'physicalColumn',
-                            name: sourceName,
-                            physicalSchema:  tblLineage.physicalSchema,
-                            physicalTable:   tblLineage.physicalTable,
-                            physicalDataset: tblLineage.physicalDataset || null,
-                            physicalProject: tblLineage.physicalProject || null
-                        });
+            // Where the column can be traced through the Power Query steps, link every physical column
+            // it is built from (an AddColumn over two columns links both). Otherwise emit for ALL model
+            // columns when we know the source table: the renamed sourceName, or the model column name.
+            const columnLineage = this.columnLineage.get(table.name);
+            const renameMap = new Map((tblLineage?.renames || []).map(r => [r.modelName, r.sourceName]));
+            for (const col of table.columns) {
+                if (col.expression) continue; // calc columns handled separately below
+                const colId = `column:${table.name}.${col.name}`;
+                if (!this.nodes.has(colId)) continue;
+                const traced = columnLineage?.get(col.name);
+                const physicalSources = traced?.sources.filter(src => src.physicalTable && src.column !== null) || [];
+                if (traced && physicalSources.length > 0 && physicalSources.length === traced.sources.length) {
+                    const linked = new Set();
+                    for (const src of physicalSources) {
+                        const key = `${src.physicalSchema}.${src.physicalTable}.${src.column}`;
+                        if (linked.has(key)) continue;
+                        linked.add(key);
+                        this._addPhysicalColumnEdge(colId, col.name, src.column, src, traced.kind);
                     }
-                    this.edges.push({
-                        from: colId,
-                        to: physColId,
-                        type: 'maps_to_physical_column',
-                        modelName: col.name,
-                        sourceName
-                    });
+                } else if (tblLineage && tblLineage.physicalTable) {
+                    this._addPhysicalColumnEdge(colId, col.name, renameMap.get(col.name) || col.name, tblLineage, null);
                 }
             }
 
@@ -241,12 +244,14 @@ class LineageEngine {
         }
 
         // Calculated-table partition DAX edges: derived_from_table (L6)
+        let daxContext = null;
         for (const table of this.parsedModel.tables) {
             const tableId = `table:${table.name}`;
             for (const partition of (table.partitions || [])) {
                 if (partition.sourceType !== 'calculated') continue;
                 if (!partition.source) continue;
-                const refs = DAXReferenceExtractor.extract(partition.source);
+                daxContext ??= DAXReferenceExtractor.buildContext(this.parsedModel.tables);
+                const refs = DAXReferenceExtractor.extract(partition.source, daxContext);
                 const refTables = new Set([
                     ...(refs.tableRefs || []),
                     ...(refs.columnRefs || []).map(cr => cr.table)
@@ -358,44 +363,25 @@ class LineageEngine {
                     type: 'visual',
                     name: visual.visualName,
                     pageName: visual.pageName,
+                    reportName: visual.reportName || null,
                     visualType: visual.visualType
                 });
 
                 // Visual → field edges
                 for (const field of (visual.fields || [])) {
-                    const tableName = field.table || field.entity || '';
-                    const fieldName = field.name || field.column || field.hierarchy || '';
-                    if (!tableName || !fieldName) continue;
+                    for (const to of this._fieldTargetIds(field)) {
+                        this.edges.push({ from: visualId, to, type: 'uses_field' });
+                    }
+                }
+            }
 
-                    if (field.type === 'measure') {
-                        const measureId = `measure:${tableName}.${fieldName}`;
-                        this.edges.push({ from: visualId, to: measureId, type: 'uses_field' });
-                    } else if (field.type === 'column') {
-                        // Redirect calc group / field param columns to expanded items
-                        if (this._calcGroupTables.has(tableName)) {
-                            const cgItems = this._getCalculationGroupItems(tableName);
-                            if (cgItems) {
-                                for (const item of cgItems) {
-                                    const ciId = `calcItem:${tableName}.${item.name}`;
-                                    this.edges.push({ from: visualId, to: ciId, type: 'uses_field' });
-                                }
-                            }
-                        } else if (this._fieldParamTables.has(tableName)) {
-                            const fpItems = this._getFieldParameterItems(tableName);
-                            if (fpItems) {
-                                for (const item of fpItems) {
-                                    const fpId = `fpItem:${tableName}.${item.table}.${item.column}`;
-                                    this.edges.push({ from: visualId, to: fpId, type: 'uses_field' });
-                                }
-                            }
-                        } else {
-                            const colId = `column:${tableName}.${fieldName}`;
-                            this.edges.push({ from: visualId, to: colId, type: 'uses_field' });
-                        }
-                    } else if (field.type === 'hierarchy') {
-                        // Link to table
-                        const tblId = `table:${tableName}`;
-                        this.edges.push({ from: visualId, to: tblId, type: 'uses_field' });
+            // 5b. Report filters, page filters and bookmarks. They change what visuals show without
+            // displaying the field, so a column only used there is still in use.
+            for (const consumer of this._filterConsumers()) {
+                this.nodes.set(consumer.id, consumer);
+                for (const field of consumer.fields) {
+                    for (const to of this._fieldTargetIds(field)) {
+                        this.edges.push({ from: consumer.id, to, type: 'filters_by_field' });
                     }
                 }
             }
@@ -461,10 +447,30 @@ class LineageEngine {
             }
         }
 
-        // Detect broken/stale measure references
+        // 8. Add row-level security roles: role → filtered table, and → whatever its filter DAX reads
+        for (const role of (this.parsedModel.roles || [])) {
+            const roleId = `role:${role.name}`;
+            this.nodes.set(roleId, {
+                id: roleId,
+                type: 'role',
+                name: role.name,
+                modelPermission: role.modelPermission || null
+            });
+            for (const tp of role.tablePermissions) {
+                if (!tp.filterExpression) continue;
+                this.edges.push({ from: roleId, to: `table:${tp.table}`, type: 'filters_table', expression: tp.filterExpression });
+                daxContext ??= DAXReferenceExtractor.buildContext(this.parsedModel.tables);
+                for (const ref of this._roleFilterRefs(tp, daxContext)) {
+                    this.edges.push({ from: roleId, to: ref, type: ref.startsWith('measure:') ? 'depends_on_measure' : 'references_column', table: tp.table });
+                }
+            }
+        }
+
+        // Detect broken/stale measure references (and RLS filters pointing at renamed or deleted columns)
         this.brokenRefs = [];
         for (const edge of this.edges) {
-            if (edge.type === 'uses_field' && !this.nodes.has(edge.to)) {
+            const isRoleRef = edge.type === 'references_column' && edge.from.startsWith('role:');
+            if ((edge.type === 'uses_field' || edge.type === 'filters_by_field' || isRoleRef) && !this.nodes.has(edge.to)) {
                 this.brokenRefs.push({
                     visual: edge.from,
                     target: edge.to,
@@ -518,6 +524,115 @@ class LineageEngine {
         return deduped;
     }
 
+    /**
+     * Length of the longest chain of measures a measure depends on
+     * (0 = references no other measure; a cycle stops counting where it closes)
+     * @param {string} measureName
+     * @param {Set} visited - For cycle detection
+     * @returns {number}
+     */
+    getMeasureChainDepth(measureName, visited = new Set()) {
+        if (visited.has(measureName)) return 0;
+        if (this._measureDepthCache.has(measureName)) return this._measureDepthCache.get(measureName);
+        const refs = this.measureRefs[measureName];
+        if (!refs) return 0;
+
+        const path = new Set(visited).add(measureName);
+        let depth = 0;
+        for (const refMeasure of refs.measureRefs) {
+            if (!this.measureLookup.get(refMeasure) || path.has(refMeasure)) continue;
+            depth = Math.max(depth, 1 + this.getMeasureChainDepth(refMeasure, path));
+        }
+        this._measureDepthCache.set(measureName, depth);
+        return depth;
+    }
+
+    /**
+     * Measure dependency tree rooted at one measure, expanded recursively.
+     * Downstream (default): the measures it references, down to the base columns they read.
+     * Reverse: every measure that references it, up to the ones nothing else builds on.
+     * A measure reached again through another branch (a diamond) is expanded only the first time;
+     * later occurrences are leaves marked `repeated`, so shared base measures cannot blow the tree up.
+     * @param {string} measureName
+     * @param {Object} options - { reverse: boolean, depthWarning: level from which a node counts as too deep }
+     * @returns {Object|null} { root, maxDepth (deepest measure level), cycles (measure names, first repeated last), deepNodes }
+     *   Nodes: { type: 'measure'|'column', name, table, level, children, circular, repeated, deep }
+     */
+    getMeasureDependencyTree(measureName, options = {}) {
+        const tableName = this.measureLookup?.get(measureName);
+        if (!tableName) return null;
+        const reverse = !!options.reverse;
+        const depthWarning = options.depthWarning ?? LineageEngine.MEASURE_DEPTH_WARNING;
+
+        const cycles = [];
+        const cycleKeys = new Set();
+        let maxDepth = 0;
+        let deepNodes = 0;
+        const heights = new Map(); // expanded measure → measure levels below it
+
+        const build = (name, level, path) => {
+            const node = { type: 'measure', name, table: this.measureLookup.get(name), level, children: [], circular: false, repeated: false, deep: level > depthWarning };
+            maxDepth = Math.max(maxDepth, level);
+            if (node.deep) deepNodes++;
+
+            if (path.includes(name)) {
+                // Closes a cycle: flag it once per set of measures and stop expanding
+                node.circular = true;
+                const cycle = [...path.slice(path.indexOf(name)), name];
+                const key = [...new Set(cycle)].sort().join('|');
+                if (!cycleKeys.has(key)) {
+                    cycleKeys.add(key);
+                    cycles.push(reverse ? cycle.reverse() : cycle);
+                }
+                return node;
+            }
+            if (heights.has(name)) {
+                // Already expanded in another branch: the depth still counts, the subtree is not repeated
+                node.repeated = true;
+                maxDepth = Math.max(maxDepth, level + heights.get(name));
+                return node;
+            }
+            heights.set(name, 0);
+
+            const next = [...path, name];
+            const related = reverse ? this._measureDependents(name) : (this.measureRefs[name]?.measureRefs || []);
+            let height = 0;
+            for (const child of related) {
+                if (!this.measureLookup.has(child)) continue;
+                const childNode = build(child, level + 1, next);
+                node.children.push(childNode);
+                if (!childNode.circular) height = Math.max(height, 1 + heights.get(child));
+            }
+            heights.set(name, height);
+            if (!reverse) {
+                for (const ref of (this.measureRefs[name]?.columnRefs || [])) {
+                    node.children.push({ type: 'column', name: ref.column, table: ref.table, level: level + 1, children: [], circular: false, repeated: false, deep: false });
+                }
+            }
+            return node;
+        };
+
+        const root = build(measureName, 0, []);
+        return { root, maxDepth, cycles, deepNodes };
+    }
+
+    /**
+     * Names of the measures whose DAX references a measure directly
+     */
+    _measureDependents(measureName) {
+        if (!this._dependentsIndex) {
+            this._dependentsIndex = new Map();
+            for (const [name, refs] of Object.entries(this.measureRefs)) {
+                if (!this.measureLookup.has(name)) continue; // calculated columns
+                for (const ref of refs.measureRefs) {
+                    if (!this._dependentsIndex.has(ref)) this._dependentsIndex.set(ref, []);
+                    this._dependentsIndex.get(ref).push(name);
+                }
+            }
+        }
+        return this._dependentsIndex.get(measureName) || [];
+    }
+
     /**
      * Get full lineage trace from a visual to data sources
      * @param {string} pageName
@@ -576,7 +691,7 @@ class LineageEngine {
             } else {
                 const key = `${tableName}.${fieldName}`;
                 if (!columns.has(key)) {
-                    columns.set(key, { table: tableName, column: fieldName });
+                    columns.set(key, { table: tableName, column: fieldName, aggregations: field.aggregations || null, levels: field.levels || null });
                 }
                 tables.add(tableName);
             }
@@ -768,6 +883,7 @@ class LineageEngine {
                         visuals.push({
                             name: visual.visualName,
                             page: visual.pageName,
+                            report: visual.reportName || null,
                             type: visual.visualType
                         });
                         break;
@@ -790,6 +906,7 @@ class LineageEngine {
                             visuals.push({
                                 name: visual.visualName,
                                 page: visual.pageName,
+                                report: visual.reportName || null,
                                 type: visual.visualType,
                                 indirect: true,
                                 via: dm.name
@@ -810,7 +927,7 @@ class LineageEngine {
      * Reverse traversal - what measures/visuals depend on this column
      * @param {string} tableName
      * @param {string} columnName
-     * @returns {Object} { column, directMeasures, directVisuals, transitiveVisuals }
+     * @returns {Object} { column, directMeasures, directVisuals, transitiveVisuals, filters, roles }
      */
     getColumnImpact(tableName, columnName) {
         const columnId = `column:${tableName}.${columnName}`;
@@ -820,7 +937,7 @@ class LineageEngine {
         for (const edge of this.edges) {
             if (edge.type === 'references_column' && edge.to === columnId) {
                 const mn = this.nodes.get(edge.from);
-                if (mn) directMeasures.push({ name: mn.name, table: mn.table });
+                if (mn && mn.type !== 'role') directMeasures.push({ name: mn.name, table: mn.table });
             }
         }
 
@@ -829,7 +946,7 @@ class LineageEngine {
         for (const edge of this.edges) {
             if (edge.type === 'uses_field' && edge.to === columnId) {
                 const vn = this.nodes.get(edge.from);
-                if (vn) directVisuals.push({ name: vn.name, page: vn.pageName, type: vn.visualType });
+                if (vn) directVisuals.push({ name: vn.name, page: vn.pageName, report: vn.reportName, type: vn.visualType });
             }
         }
 
@@ -841,7 +958,7 @@ class LineageEngine {
             for (const v of impact.visuals) {
                 const key = `${v.page}|${v.name}`;
                 if (!directVisualKeys.has(key) && !transitiveVisuals.some(tv => tv.page === v.page && tv.name === v.name)) {
-                    transitiveVisuals.push({ name: v.name, page: v.page, type: v.type, indirect: true, via: dm.name });
+                    transitiveVisuals.push({ name: v.name, page: v.page, report: v.report, type: v.type, indirect: true, via: dm.name });
                 }
             }
         }
@@ -860,10 +977,142 @@ class LineageEngine {
             physicalColumns,
             directMeasures,
             directVisuals,
-            transitiveVisuals
+            transitiveVisuals,
+            filters: this.getFilterConsumers(columnId),
+            roles: this.getColumnRoles(tableName, columnName),
+            mLineage: this.getColumnMLineage(tableName, columnName)
         };
     }
 
+    /**
+     * Node ids a role's table filter reads. The filter is evaluated row by row over its table,
+     * so a bare [Name] that is not a measure is a column of that table — even one that no longer exists
+     */
+    _roleFilterRefs(tablePermission, daxContext) {
+        const refs = DAXReferenceExtractor.extract(tablePermission.filterExpression, { ...daxContext, table: tablePermission.table });
+        const ids = new Set();
+        for (const cr of refs.columnRefs) ids.add(`column:${cr.table}.${cr.column}`);
+        for (const name of refs.measureRefs) {
+            const home = this.measureLookup.get(name);
+            ids.add(home ? `measure:${home}.${name}` : `column:${tablePermission.table}.${name}`);
+        }
+        return [...ids];
+    }
+
+    /**
+     * Table and column of a `column:Table.Column` id. Table names may contain dots
+     * (dim.Customer), so the longest model table name the id starts with wins
+     */
+    _splitColumnId(id) {
+        const rest = id.slice('column:'.length);
+        let table = null;
+        for (const t of this.parsedModel.tables) {
+            if (rest.startsWith(`${t.name}.`) && (!table || t.name.length > table.length)) table = t.name;
+        }
+        if (table === null) table = rest.slice(0, rest.indexOf('.'));
+        return { table, column: rest.slice(table.length + 1) };
+    }
+
+    /**
+     * Row-level security lineage of one role: the tables it filters, the columns and measures
+     * those filters read, and every table the filters reach through relationships
+     * (propagation as in RLSSimulator.simulate).
+     * @param {string} roleName
+     * @returns {Object|null} { role, modelPermission, filters, securedTables, brokenRefs }
+     *   filters: [{ table, expression, columns: [{ table, column, missing }], measures: [{ table, name }] }]
+     *   securedTables: [{ table, from, relationship: { fromTable, fromColumn, toTable, toColumn, bothDirections }, depth }]
+     */
+    getRoleLineage(roleName) {
+        const role = (this.parsedModel.roles || []).find(r => r.name === roleName);
+        if (!role) return null;
+        const roleId = `role:${roleName}`;
+
+        const filters = [];
+        for (const edge of this.edges) {
+            if (edge.from !== roleId || edge.type !== 'filters_table') continue;
+            const table = edge.to.slice('table:'.length);
+            const filter = { table, expression: edge.expression, columns: [], measures: [] };
+            for (const ref of this.edges) {
+                if (ref.from !== roleId || ref.table !== table) continue;
+                const node = this.nodes.get(ref.to);
+                if (ref.type === 'references_column') {
+                    filter.columns.push(node
+                        ? { table: node.table, column: node.name, missing: false }
+                        : { ...this._splitColumnId(ref.to), missing: true });
+                } else if (ref.type === 'depends_on_measure' && node) {
+                    filter.measures.push({ table: node.table, name: node.name });
+                }
+            }
+            filters.push(filter);
+        }
+
+        const simulation = new RLSSimulator(this.parsedModel).simulate(roleName);
+        const securedTables = simulation.indirect.map(t => ({
+            table: t.table,
+            from: t.from,
+            relationship: {
+                fromTable: t.relationship.fromTable, fromColumn: t.relationship.fromColumn,
+                toTable: t.relationship.toTable, toColumn: t.relationship.toColumn,
+                bothDirections: RLSSimulator.isBidirectional(t.relationship)
+            },
+            depth: t.depth
+        }));
+
+        const brokenRefs = filters.flatMap(f => f.columns.filter(c => c.missing).map(c => ({ ...c, filterTable: f.table })));
+        return { role: roleName, modelPermission: role.modelPermission || null, filters, securedTables, brokenRefs };
+    }
+
+    /**
+     * Link a model column to a physical source column, creating the physical column node on first use
+     * @param {Object} physical - { physicalSchema, physicalTable, physicalDataset?, physicalProject? }
+     * @param {string|null} transform - Column lineage kind (MExpressionParser.traceColumnLineage)
+     */
+    _addPhysicalColumnEdge(colId, modelName, sourceName, physical, transform) {
+        const physColId = `physicalColumn:${physical.physicalSchema || ''}.${physical.physicalTable}.${sourceName}`;
+        if (!this.nodes.has(physColId)) {
+            this.nodes.set(physColId, {
+                id: physColId,
+                type: 'physicalColumn',
+                name: sourceName,
+                physicalSchema:  physical.physicalSchema,
+                physicalTable:   physical.physicalTable,
+                physicalDataset: physical.physicalDataset || null,
+                physicalProject: physical.physicalProject || null
+            });
+        }
+        this.edges.push({
+            from: colId,
+            to: physColId,
+            type: 'maps_to_physical_column',
+            modelName,
+            sourceName,
+            ...(transform ? { transform } : {})
+        });
+    }
+
+    /**
+     * Power Query lineage of one imported column
+     * @returns {Object|null} From MExpressionParser.columnLineageFromModel()
+     */
+    getColumnMLineage(tableName, columnName) {
+        return this.columnLineage?.get(tableName)?.get(columnName) || null;
+    }
+
+    /**
+     * Roles whose filter expression reads a column
+     * @returns {Array<{role, table, expression}>} table = the table the filter is defined on
+     */
+    getColumnRoles(tableName, columnName) {
+        const columnId = `column:${tableName}.${columnName}`;
+        const roles = [];
+        for (const edge of this.edges) {
+            if (edge.type !== 'references_column' || edge.to !== columnId || !edge.from.startsWith('role:')) continue;
+            const filter = this.edges.find(e => e.from === edge.from && e.type === 'filters_table' && e.to === `table:${edge.table}`);
+            roles.push({ role: edge.from.slice('role:'.length), table: edge.table, expression: filter?.expression || null });
+        }
+        return roles;
+    }
+
     /**
      * Trace a single field to its source
      * @param {string} type - 'measure', 'column', or 'hierarchy'
@@ -1053,17 +1302,20 @@ class LineageEngine {
      * Thin wrapper over getColumnImpact — re-labels for "Where Used" context.
      * @param {string} tableName
      * @param {string} columnName
-     * @returns {{ measures: Array, directVisuals: Array, allVisuals: Array, pages: string[] }}
+     * @returns {{ measures: Array, directVisuals: Array, allVisuals: Array, filters: Array, pages: string[], reports: string[] }}
      */
     getColumnConsumers(tableName, columnName) {
         const impact = this.getColumnImpact(tableName, columnName);
         const allVisuals = [...impact.directVisuals, ...impact.transitiveVisuals];
         const pages = [...new Set(allVisuals.map(v => v.page))];
+        const reports = [...new Set([...allVisuals, ...impact.filters].map(v => v.report).filter(Boolean))];
         return {
             measures:     impact.directMeasures,
             directVisuals: impact.directVisuals,
             allVisuals,
-            pages
+            filters:      impact.filters,
+            pages,
+            reports
         };
     }
 
@@ -1112,11 +1364,11 @@ class LineageEngine {
     /**
      * Return the top N measures ranked by number of visuals that display them.
      * @param {number} n
-     * @returns {Array<{name:string, table:string, visualCount:number, pageCount:number}>}
+     * @returns {Array<{name:string, table:string, visualCount:number, pageCount:number, reportCount:number}>}
      */
     getTopMeasuresByVisualCount(n = 5) {
         if (!this.visualData) return [];
-        const counts = new Map(); // "table|measure" → { name, table, visuals: Set, pages: Set }
+        const counts = new Map(); // "table|measure" → { name, table, visuals: Set, pages: Set, reports: Set }
         for (const visual of this.visualData.visuals) {
             for (const field of (visual.fields || [])) {
                 if (field.type !== 'measure') continue;
@@ -1125,14 +1377,17 @@ class LineageEngine {
                     name:  field.name,
                     table: field.table || field.entity,
                     visuals: new Set(),
-                    pages:   new Set()
+                    pages:   new Set(),
+                    reports: new Set()
                 });
-                counts.get(key).visuals.add(visual.visualName);
+                // Visual titles repeat across pages and reports, so count page + visual
+                counts.get(key).visuals.add(`${visual.pageName}|${visual.visualName}`);
                 counts.get(key).pages.add(visual.pageName);
+                if (visual.reportName) counts.get(key).reports.add(visual.reportName);
             }
         }
         return [...counts.values()]
-            .map(c => ({ name: c.name, table: c.table, visualCount: c.visuals.size, pageCount: c.pages.size }))
+            .map(c => ({ name: c.name, table: c.table, visualCount: c.visuals.size, pageCount: c.pages.size, reportCount: c.reports.size }))
             .sort((a, b) => b.visualCount - a.visualCount || b.pageCount - a.pageCount)
             .slice(0, n);
     }
@@ -1163,6 +1418,107 @@ class LineageEngine {
             .slice(0, n);
     }
 
+    /**
+     * Node ids a report field binds to. Calculation group and field parameter columns stand
+     * for all of their items; a hierarchy binds to its table.
+     */
+    _fieldTargetIds(field) {
+        const tableName = field.table || field.entity || '';
+        const fieldName = field.name || field.column || field.hierarchy || '';
+        if (!tableName || !fieldName) return [];
+
+        if (field.type === 'measure') return [`measure:${tableName}.${fieldName}`];
+        if (field.type === 'hierarchy') return [`table:${tableName}`];
+        if (field.type !== 'column') return [];
+
+        if (this._calcGroupTables.has(tableName)) {
+            return (this._getCalculationGroupItems(tableName) || []).map(item => `calcItem:${tableName}.${item.name}`);
+        }
+        if (this._fieldParamTables.has(tableName)) {
+            return (this._getFieldParameterItems(tableName) || []).map(item => `fpItem:${tableName}.${item.table}.${item.column}`);
+        }
+        return [`column:${tableName}.${fieldName}`];
+    }
+
+    /**
+     * Graph nodes for the report filters, each page's filters and each bookmark, with the fields they use
+     */
+    _filterConsumers() {
+        const consumers = [];
+        const vd = this.visualData;
+        // Several reports each have their own report filters
+        const byReport = new Map();
+        for (const f of (vd.reportFilters || [])) {
+            const report = f.reportName || null;
+            if (!byReport.has(report)) byReport.set(report, []);
+            byReport.get(report).push(f);
+        }
+        const multiple = (vd.reports || []).length > 1;
+        for (const [report, fields] of byReport) {
+            consumers.push({
+                id: multiple ? `filter:report|${report}` : 'filter:report', type: 'filter', scope: 'report',
+                name: VisualParser.REPORT_FILTERS, pageName: multiple ? `${report} › ${VisualParser.ALL_PAGES}` : VisualParser.ALL_PAGES,
+                reportName: report, fields
+            });
+        }
+        for (const page of (vd.pages || [])) {
+            if (!page.filters?.length) continue;
+            consumers.push({
+                id: `filter:page|${page.displayName}`, type: 'filter', scope: 'page',
+                name: VisualParser.PAGE_FILTERS, pageName: page.displayName, reportName: page.reportName || null, fields: page.filters
+            });
+        }
+        for (const bookmark of (vd.bookmarks || [])) {
+            const fieldParameterSelections = [];
+            for (const sel of bookmark.selections) {
+                const items = this._resolveFieldParameterSelection(sel.table, sel.values);
+                if (items) fieldParameterSelections.push({ table: sel.table, items });
+            }
+            consumers.push({
+                id: `bookmark:${bookmark.id}`, type: 'bookmark',
+                name: `Bookmark: ${bookmark.name}`, pageName: bookmark.pageName || VisualParser.ALL_PAGES, reportName: bookmark.reportName || null,
+                fields: bookmark.fields, hiddenVisuals: bookmark.hiddenVisuals, fieldParameterSelections
+            });
+        }
+        return consumers;
+    }
+
+    /**
+     * Field parameter items a bookmark selects. Bookmarks store the picked values of whichever
+     * parameter column was filtered — the display name or the NAMEOF text — so both are matched.
+     * @returns {Array|null} [{ table, column }], or null when the table is not a field parameter
+     */
+    _resolveFieldParameterSelection(tableName, values) {
+        const items = this._getFieldParameterItems(tableName);
+        if (!items) return null;
+        const table = this.parsedModel.tables.find(t => t.name === tableName);
+        const source = (table?.partitions || []).map(p => p.source || '').join('\n');
+        const esc = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+        return items.filter(item => values.some(value =>
+            value === `'${item.table}'[${item.column}]` ||
+            value === `${item.table}[${item.column}]` ||
+            new RegExp(`"${esc(value)}"\\s*,\\s*NAMEOF\\s*\\(\\s*'${esc(item.table)}'\\[${esc(item.column)}\\]`, 'i').test(source)
+        ));
+    }
+
+    /**
+     * Report filters, page filters and bookmarks that use a node
+     * @param {string} targetId - e.g. "column:Sales.Region"
+     * @returns {Array} [{ type: 'filter'|'bookmark', name, page, report }]
+     */
+    getFilterConsumers(targetId) {
+        const out = [];
+        for (const edge of this.edges) {
+            if (edge.type !== 'filters_by_field' || edge.to !== targetId) continue;
+            const node = this.nodes.get(edge.from);
+            if (node && !out.some(c => c.name === node.name && c.page === node.pageName)) {
+                out.push({ type: node.type, name: node.name, page: node.pageName, report: node.reportName || null });
+            }
+        }
+        return out;
+    }
+
     /**
      * Returns NAMEOF field items for a field parameter table, or null if not a field parameter.
      */
@@ -1200,50 +1556,34 @@ class LineageEngine {
 
     /**
      * Build a map of shared expression name → Set<loaded table name> that transitively
-     * references the expression in its M body. Used to attribute consumers to non-loaded
-     * data sources (Issue #20).
+     * references the expression, following the query dependency graph. Used to attribute
+     * consumers to non-loaded data sources (Issue #20).
      */
     _buildNonLoadedExpressionConsumers() {
-        const expressionBodies = {};
-        const expressionNames = [];
-        for (const expr of (this.parsedModel.expressions || [])) {
-            if (expr.name && expr.expression) {
-                expressionBodies[expr.name] = expr.expression;
-                expressionNames.push(expr.name);
-            }
+        const nodesById = new Map(this.queryGraph.nodes.map(n => [n.id, n]));
+        const upstream = new Map(); // query node id → ids it depends on
+        for (const edge of this.queryGraph.edges) {
+            if (!upstream.has(edge.to)) upstream.set(edge.to, []);
+            upstream.get(edge.to).push(edge.from);
         }
 
-        const findRefs = (mText) => {
-            const refs = new Set();
-            if (!mText) return refs;
-            for (const name of expressionNames) {
-                const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-                const pat = new RegExp(`#"${escaped}"|\\b${escaped}\\b`);
-                if (pat.test(mText)) refs.add(name);
-            }
-            return refs;
-        };
-
         const expressionConsumers = new Map(); // exprName → Set<tableName>
-
-        for (const table of (this.parsedModel.tables || [])) {
-            for (const partition of (table.partitions || [])) {
-                if (!partition.source) continue;
-                const allRefs = new Set();
-                const queue = [...findRefs(partition.source)];
-                while (queue.length) {
-                    const cur = queue.shift();
-                    if (allRefs.has(cur)) continue;
-                    allRefs.add(cur);
-                    const next = findRefs(expressionBodies[cur]);
-                    for (const n of next) {
-                        if (!allRefs.has(n)) queue.push(n);
-                    }
-                }
-                for (const r of allRefs) {
-                    if (!expressionConsumers.has(r)) expressionConsumers.set(r, new Set());
-                    expressionConsumers.get(r).add(table.name);
-                }
+        for (const node of this.queryGraph.nodes) {
+            if (node.kind !== 'table') continue;
+            // Every query the table reaches through any number of staging queries, functions and parameters
+            const seen = new Set();
+            const queue = [...(upstream.get(node.id) || [])];
+            while (queue.length) {
+                const cur = queue.shift();
+                if (seen.has(cur)) continue;
+                seen.add(cur);
+                queue.push(...(upstream.get(cur) || []));
+            }
+            for (const id of seen) {
+                const dep = nodesById.get(id);
+                if (!dep || dep.kind === 'source' || dep.kind === 'table') continue;
+                if (!expressionConsumers.has(dep.name)) expressionConsumers.set(dep.name, new Set());
+                expressionConsumers.get(dep.name).add(node.name);
             }
         }
         this._expressionConsumers = expressionConsumers;
@@ -1264,6 +1604,9 @@ class LineageEngine {
     }
 }
 
+// Dependency-tree level beyond which a measure is flagged as too deep to follow
+LineageEngine.MEASURE_DEPTH_WARNING = 5;
+
 // Export
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = LineageEngine;
@@ -1,6 +1,7 @@
 /**
  * M Expression Parser Module
- * Extracts data source connections from Power Query M expressions
+ * Extracts data source connections from Power Query M expressions, using a tokenizer and
+ * AST parser for the M language (let bindings, invocations, records, lists, field access)
  */
 
 class MExpressionParser {
@@ -15,285 +16,94 @@ class MExpressionParser {
         const sources = [];
         const paramRefs = this._extractParameterRefs(mExpression, MExpressionParser._declaredParams);
         const isParameterized = paramRefs.length > 0;
+        const ast = this.parse(mExpression);
 
-        // SQL Server
-        const sqlDbPattern = /Sql\.Databases?\s*\(\s*("([^"]*)"|\#"([^"]*)")\s*(?:,\s*("([^"]*)"|\#"([^"]*)"))?/g;
-        let match;
-        while ((match = sqlDbPattern.exec(mExpression)) !== null) {
-            sources.push({
-                type: 'SQL Server',
-                server: match[2] || match[3] || null,
-                database: match[5] || match[6] || null,
-                parameterized: isParameterized || !!(match[3] || match[6]),
-                parameters: match[3] ? [match[3]] : match[6] ? [match[6]] : undefined
-            });
-        }
-
-        // Analysis Services
-        const asPattern = /AnalysisServices\.Database\s*\(\s*("([^"]*)"|\#"([^"]*)")\s*(?:,\s*("([^"]*)"|\#"([^"]*)"))?/g;
-        while ((match = asPattern.exec(mExpression)) !== null) {
-            sources.push({
-                type: 'Analysis Services',
-                server: match[2] || match[3] || null,
-                database: match[5] || match[6] || null,
-                parameterized: !!(match[3] || match[6])
-            });
-        }
-
-        // OData
-        const odataPattern = /OData\.Feed\s*\(\s*("([^"]*)"|\#"([^"]*)")/g;
-        while ((match = odataPattern.exec(mExpression)) !== null) {
-            sources.push({
-                type: 'OData',
-                url: match[2] || match[3] || null,
-                parameterized: !!match[3]
-            });
-        }
-
-        // Web.Contents
-        const webPattern = /Web\.Contents\s*\(\s*("([^"]*)"|\#"([^"]*)")/g;
-        while ((match = webPattern.exec(mExpression)) !== null) {
-            sources.push({
-                type: 'Web',
-                url: match[2] || match[3] || null,
-                parameterized: !!match[3]
-            });
-        }
-
-        // SharePoint Tables
-        const spTablesPattern = /SharePoint\.Tables\s*\(\s*("([^"]*)"|\#"([^"]*)")/g;
-        while ((match = spTablesPattern.exec(mExpression)) !== null) {
-            sources.push({
-                type: 'SharePoint Tables',
-                url: match[2] || match[3] || null,
-                parameterized: !!match[3]
-            });
-        }
-
-        // SharePoint Files
-        const spFilesPattern = /SharePoint\.Files\s*\(\s*("([^"]*)"|\#"([^"]*)")/g;
-        while ((match = spFilesPattern.exec(mExpression)) !== null) {
-            sources.push({
-                type: 'SharePoint Files',
-                url: match[2] || match[3] || null,
-                parameterized: !!match[3]
-            });
-        }
-
-        // Excel.Workbook(File.Contents(...))
-        const excelPattern = /Excel\.Workbook\s*\(\s*File\.Contents\s*\(\s*("([^"]*)"|\#"([^"]*)")/g;
-        while ((match = excelPattern.exec(mExpression)) !== null) {
-            sources.push({
-                type: 'Excel',
-                path: match[2] || match[3] || null,
-                parameterized: !!match[3]
-            });
-        }
-
-        // Csv.Document(File.Contents(...))
-        const csvPattern = /Csv\.Document\s*\(\s*File\.Contents\s*\(\s*("([^"]*)"|\#"([^"]*)")/g;
-        while ((match = csvPattern.exec(mExpression)) !== null) {
-            sources.push({
-                type: 'CSV',
-                path: match[2] || match[3] || null,
-                parameterized: !!match[3]
-            });
-        }
-
-        // Azure Storage Blobs
-        const azBlobPattern = /AzureStorage\.Blobs\s*\(\s*("([^"]*)"|\#"([^"]*)")/g;
-        while ((match = azBlobPattern.exec(mExpression)) !== null) {
-            sources.push({
-                type: 'Azure Blob Storage',
-                url: match[2] || match[3] || null,
-                parameterized: !!match[3]
-            });
-        }
-
-        // Dataverse
-        const dataversePattern = /Dataverse\.Contents\s*\(\s*("([^"]*)"|\#"([^"]*)")?/g;
-        while ((match = dataversePattern.exec(mExpression)) !== null) {
-            sources.push({
-                type: 'Dataverse',
-                url: match[2] || match[3] || null,
-                parameterized: !!match[3]
-            });
-        }
-
-        // Snowflake
-        const snowflakePattern = /Snowflake\.Databases\s*\(\s*("([^"]*)"|\#"([^"]*)")\s*(?:,\s*("([^"]*)"|\#"([^"]*)"))?/g;
-        while ((match = snowflakePattern.exec(mExpression)) !== null) {
-            sources.push({
-                type: 'Snowflake',
-                server: match[2] || match[3] || null,
-                database: match[5] || match[6] || null,
-                parameterized: !!(match[3] || match[6])
-            });
-        }
-
-        // Oracle
-        const oraclePattern = /Oracle\.Database\s*\(\s*("([^"]*)"|\#"([^"]*)")/g;
-        while ((match = oraclePattern.exec(mExpression)) !== null) {
-            sources.push({
-                type: 'Oracle',
-                server: match[2] || match[3] || null,
-                parameterized: !!match[3]
-            });
-        }
-
-        // Google BigQuery (replace existing)
-        const bqPattern = /GoogleBigQuery\.Database\s*\(\s*(?:"([^"]*)"|\#"([^"]*)")?/g;
-        while ((match = bqPattern.exec(mExpression)) !== null) {
-            sources.push({
-                type: 'Google BigQuery',
-                server: match[1] || match[2] || null,
-                parameterized: !!match[2]
-            });
-        }
-
-        // PostgreSQL
-        const pgPattern = /PostgreSQL\.Database\s*\(\s*("([^"]*)"|\#"([^"]*)")\s*,\s*("([^"]*)"|\#"([^"]*)")/g;
-        while ((match = pgPattern.exec(mExpression)) !== null) {
-            sources.push({
-                type: 'PostgreSQL',
-                server: match[2] || match[3] || null,
-                database: match[5] || match[6] || null,
-                parameterized: !!(match[3] || match[6])
-            });
-        }
-
-        // MySQL
-        const mysqlPattern = /MySQL\.Database\s*\(\s*("([^"]*)"|\#"([^"]*)")\s*,\s*("([^"]*)"|\#"([^"]*)")/g;
-        while ((match = mysqlPattern.exec(mExpression)) !== null) {
-            sources.push({
-                type: 'MySQL',
-                server: match[2] || match[3] || null,
-                database: match[5] || match[6] || null,
-                parameterized: !!(match[3] || match[6])
-            });
-        }
-
-        // Teradata
-        const teradataPattern = /Teradata\.Database\s*\(\s*("([^"]*)"|\#"([^"]*)")/g;
-        while ((match = teradataPattern.exec(mExpression)) !== null) {
-            sources.push({
-                type: 'Teradata',
-                server: match[2] || match[3] || null,
-                parameterized: !!match[3]
-            });
-        }
-
-        // SAP HANA
-        const sapHanaPattern = /SapHana\.Database\s*\(\s*("([^"]*)"|\#"([^"]*)")/g;
-        while ((match = sapHanaPattern.exec(mExpression)) !== null) {
-            sources.push({
-                type: 'SAP HANA',
-                server: match[2] || match[3] || null,
-                parameterized: !!match[3]
-            });
-        }
-
-        // ODBC
-        const odbcPattern = /Odbc\.(?:DataSource|Query)\s*\(\s*("([^"]*)"|\#"([^"]*)")/g;
-        while ((match = odbcPattern.exec(mExpression)) !== null) {
-            sources.push({
-                type: 'ODBC',
-                server: match[2] || match[3] || null,
-                parameterized: !!match[3]
-            });
-        }
-
-        // Power BI Dataflows (Gen1)
-        const dataflowPattern = /PowerBI\.Dataflows\s*\(/g;
-        while ((match = dataflowPattern.exec(mExpression)) !== null) {
-            sources.push({
-                type: 'Power BI Dataflow',
-                parameterized: false
-            });
-        }
-
-        // Azure Data Explorer / Kusto
-        const kustoPattern = /(?:AzureDataExplorer|Kusto)\.Contents\s*\(\s*("([^"]*)"|\#"([^"]*)")\s*(?:,\s*("([^"]*)"|\#"([^"]*)"))?/g;
-        while ((match = kustoPattern.exec(mExpression)) !== null) {
-            sources.push({
-                type: 'Azure Data Explorer',
-                server: match[2] || match[3] || null,
-                database: match[5] || match[6] || null,
-                parameterized: !!(match[3] || match[6])
-            });
-        }
-
-        // Microsoft Fabric Lakehouse
-        const lakehousePattern = /Lakehouse\.Contents\s*\(/g;
-        while ((match = lakehousePattern.exec(mExpression)) !== null) {
-            sources.push({
-                type: 'Fabric Lakehouse',
-                parameterized: false
-            });
-        }
-
-        // Microsoft Fabric Warehouse
-        const fabricWhPattern = /Fabric\.Warehouse\s*\(\s*("([^"]*)"|\#"([^"]*)")/g;
-        while ((match = fabricWhPattern.exec(mExpression)) !== null) {
-            sources.push({
-                type: 'Fabric Warehouse',
-                server: match[2] || match[3] || null,
-                parameterized: !!match[3]
-            });
-        }
-
-        // Databricks
-        const databricksPattern = /Databricks\.Catalogs\s*\(\s*("([^"]*)"|\#"([^"]*)")/g;
-        while ((match = databricksPattern.exec(mExpression)) !== null) {
-            sources.push({
-                type: 'Databricks',
-                server: match[2] || match[3] || null,
-                parameterized: !!match[3]
-            });
-        }
-
-        // Inline literal data — Binary.Decompress / Binary.FromText (base64 embedded data)
-        const inlinePat = /Binary\.(?:Decompress|FromText)\s*\(/g;
-        while ((match = inlinePat.exec(mExpression)) !== null) {
-            sources.push({ type: 'Inline Literal', isInline: true });
-            break; // one entry is enough per M expression
-        }
-
-        // Value.NativeQuery — wraps any connector with a passthrough SQL string
+        // Value.NativeQuery wraps a connector with a passthrough SQL string; the connectors inside
+        // its first argument are reported once, carrying the SQL
         // e.g. Value.NativeQuery(GoogleBigQuery.Database(...){...}[Data], "SELECT ...", null, [...])
-        const nativeQueryPat = /Value\.NativeQuery\s*\(/g;
-        while ((match = nativeQueryPat.exec(mExpression)) !== null) {
-            const afterOpen = mExpression.slice(match.index + match[0].length);
-            // Extract the SQL string (second argument after first comma at depth 0)
-            let depth = 0;
-            let firstComma = -1;
-            for (let i = 0; i < afterOpen.length; i++) {
-                const ch = afterOpen[i];
-                if (ch === '(' || ch === '[' || ch === '{') depth++;
-                else if (ch === ')' || ch === ']' || ch === '}') { if (depth === 0) break; depth--; }
-                else if (ch === ',' && depth === 0) { firstComma = i; break; }
-            }
-            let sqlText = null;
-            if (firstComma !== -1) {
-                const sqlArg = afterOpen.slice(firstComma + 1).trimStart();
-                const sqlMatch = sqlArg.match(/^"((?:[^"\\]|\\.)*)"/);
-                if (sqlMatch) sqlText = sqlMatch[1];
-            }
-            // Detect the backing connector from within the first argument
-            const firstArg = firstComma !== -1 ? afterOpen.slice(0, firstComma) : afterOpen.slice(0, 500);
-            const innerSources = this.extractDataSources(firstArg);
-            if (innerSources.length > 0) {
-                for (const inner of innerSources) {
-                    sources.push({ ...inner, nativeQuery: sqlText, isNativeQuery: true });
-                }
-            } else {
-                sources.push({ type: 'Native Query', nativeQuery: sqlText, isNativeQuery: true });
+        const native = new Map(); // Invoke node inside a native query → SQL text
+        this._walk(ast, node => {
+            if (node.type !== 'Invoke' || this._calleeName(node) !== 'Value.NativeQuery') return;
+            const sql = node.args[1]?.type === 'Literal' && typeof node.args[1].value === 'string' ? node.args[1].value : null;
+            let inner = 0;
+            if (node.args[0]) {
+                this._walk(node.args[0], n => {
+                    if (n.type === 'Invoke' && this._connectorSource(n, isParameterized) && !native.has(n)) {
+                        native.set(n, sql);
+                        inner++;
+                    }
+                });
             }
-        }
+            if (inner === 0) native.set(node, sql);
+        });
+
+        let inline = false;
+        this._walk(ast, node => {
+            if (node.type !== 'Invoke') return;
+            const name = this._calleeName(node);
+
+            // Inline literal data — Binary.Decompress / Binary.FromText (base64 embedded data)
+            if (name === 'Binary.Decompress' || name === 'Binary.FromText') {
+                if (!inline) sources.push({ type: 'Inline Literal', isInline: true });
+                inline = true; // one entry is enough per M expression
+                return;
+            }
+
+            const source = name === 'Value.NativeQuery'
+                ? (native.has(node) ? { type: 'Native Query' } : null)
+                : this._connectorSource(node, isParameterized);
+            if (!source) return;
+            if (native.has(node)) {
+                source.nativeQuery = native.get(node);
+                source.isNativeQuery = true;
+            }
+            sources.push(source);
+        });
 
         return sources;
     }
 
+    /**
+     * The data source a connector invocation opens, or null when the call is not a known connector
+     * (see MExpressionParser.CONNECTORS). Arguments are string literals or parameter identifiers
+     */
+    static _connectorSource(node, isParameterized = false) {
+        const name = this._calleeName(node);
+        const connector = name && Object.prototype.hasOwnProperty.call(MExpressionParser.CONNECTORS, name)
+            ? MExpressionParser.CONNECTORS[name]
+            : null;
+        if (!connector) return null;
+
+        let args = node.args;
+        if (connector.file) {
+            // Excel.Workbook(File.Contents(...)) / Csv.Document(File.Contents(...))
+            const file = args[0];
+            if (!file || file.type !== 'Invoke' || this._calleeName(file) !== 'File.Contents') return null;
+            args = file.args;
+        }
+
+        const source = { type: connector.type };
+        const parameters = [];
+        connector.args.forEach((field, i) => {
+            const arg = args[i];
+            if (arg?.type === 'Literal' && typeof arg.value === 'string') {
+                source[field] = arg.value;
+            } else if (arg?.type === 'Identifier') {
+                source[field] = arg.name;
+                parameters.push(arg.name);
+            } else {
+                source[field] = null;
+            }
+        });
+        if (connector.type === 'SQL Server') {
+            source.parameterized = isParameterized || parameters.length > 0;
+            source.parameters = parameters.length > 0 ? parameters : undefined;
+        } else {
+            source.parameterized = parameters.length > 0;
+        }
+        return source;
+    }
+
     /**
      * Extract parameter references from M expression (#"ParamName" patterns)
      * @param {string} mExpression
@@ -369,126 +179,88 @@ class MExpressionParser {
             physicalProject: null,  // BigQuery project or cloud account
             renames: [],         // [{sourceName, modelName}] source col name → model col name
             selectedColumns: null, // null = all columns, array = explicit projection
-            addedColumns: []     // columns added via Table.AddColumn (computed in PQ)
+            addedColumns: [],    // columns added via Table.AddColumn (computed in PQ)
+            joins: []            // Table.NestedJoin / Table.Combine inputs
         };
 
-        // 1. Navigation step: identifier{[Schema="dbo", Item="FactSales"]}[Data]
-        //    Also handles Item-first ordering.
-        const navSchemaItem = /\{\s*\[\s*Schema\s*=\s*"([^"]+)"\s*,\s*Item\s*=\s*"([^"]+)"\s*\]\s*\}\s*\[Data\]/i.exec(mExpression);
-        if (navSchemaItem) {
-            result.physicalSchema = navSchemaItem[1];
-            result.physicalTable  = navSchemaItem[2];
-        } else {
-            const navItemSchema = /\{\s*\[\s*Item\s*=\s*"([^"]+)"\s*,\s*Schema\s*=\s*"([^"]+)"\s*\]\s*\}\s*\[Data\]/i.exec(mExpression);
-            if (navItemSchema) {
-                result.physicalTable  = navItemSchema[1];
-                result.physicalSchema = navItemSchema[2];
-            }
-        }
-
-        // Fallback: chained Name-based navigation (Lakehouse, OData, BigQuery dataset→table chain)
-        // Collect all {[Name="x"]}[Data] steps in order; last = table, second-to-last = dataset
-        if (!result.physicalTable) {
-            const nameMatches = [...mExpression.matchAll(/\{\s*\[\s*Name\s*=\s*"([^"]+)"\s*\]\s*\}(?:\[Data\]|\s*\[Data\])/gi)]
-                .map(m => m[1]);
-            if (nameMatches.length >= 1) result.physicalTable   = nameMatches[nameMatches.length - 1];
-            if (nameMatches.length >= 2) result.physicalDataset = nameMatches[nameMatches.length - 2];
-            if (nameMatches.length >= 3) result.physicalProject = nameMatches[nameMatches.length - 3];
-        }
-
-        // 2. Table.RenameColumns — find all calls and collect {"OldName","NewName"} pairs
-        //    We locate each call site then scan forward for pairs.
-        const renamePat = /Table\.RenameColumns\b/g;
-        let rm;
-        while ((rm = renamePat.exec(mExpression)) !== null) {
-            // Find the opening brace of the list argument (after the first comma)
-            const afterCall = mExpression.slice(rm.index);
-            const commaIdx  = afterCall.indexOf(',');
-            if (commaIdx === -1) continue;
-            const listStart = afterCall.indexOf('{', commaIdx);
-            if (listStart === -1) continue;
-            // Grab a safe window (2000 chars) to find pairs
-            const window = afterCall.slice(listStart, listStart + 2000);
-            const pairPat = /\{\s*"([^"]+)"\s*,\s*"([^"]+)"\s*\}/g;
-            let pp;
-            while ((pp = pairPat.exec(window)) !== null) {
-                result.renames.push({ sourceName: pp[1], modelName: pp[2] });
-            }
-        }
-
-        // 3. Table.SelectColumns — last call wins (represents the final projected set)
-        const selectPat = /Table\.SelectColumns\b/g;
-        let sm, lastSelectPos = -1, lastSelectStr = null;
-        while ((sm = selectPat.exec(mExpression)) !== null) {
-            lastSelectPos = sm.index;
-        }
-        if (lastSelectPos !== -1) {
-            const afterSel  = mExpression.slice(lastSelectPos);
-            const commaIdx  = afterSel.indexOf(',');
-            if (commaIdx !== -1) {
-                const braceIdx = afterSel.indexOf('{', commaIdx);
-                if (braceIdx !== -1) {
-                    const window = afterSel.slice(braceIdx, braceIdx + 4000);
-                    const colPat = /"([^"]+)"/g;
-                    const cols = [];
-                    let cp;
-                    while ((cp = colPat.exec(window)) !== null) {
-                        // Stop if we hit another Table. call keyword (rough boundary)
-                        if (cp.index > 10 && window.slice(0, cp.index).includes('Table.')) break;
-                        cols.push(cp[1]);
-                    }
-                    if (cols.length > 0) result.selectedColumns = cols;
+        const ast = this.parse(mExpression);
+        const navigation = []; // {pos, fields} for every x{[…]}[Data] lookup
+        const calls = [];
+        this._walk(ast, node => {
+            if (node.type === 'Invoke') calls.push(node);
+            if (node.type === 'FieldAccess' && node.field === 'Data' && node.target?.type === 'ItemAccess' && node.target.key.type === 'Record') {
+                const fields = {};
+                for (const f of node.target.key.fields) {
+                    const value = this._stringArg(f.value);
+                    if (value !== null) fields[f.name.toLowerCase()] = value;
                 }
+                navigation.push({ pos: node.target.pos, fields });
             }
-        }
+        });
+        navigation.sort((a, b) => a.pos - b.pos);
 
-        // 4. Table.AddColumn — collect computed column names
-        const addPat = /Table\.AddColumn\s*\(\s*(?:[^,\n]+),\s*"([^"]+)"/g;
-        let ac;
-        while ((ac = addPat.exec(mExpression)) !== null) {
-            result.addedColumns.push(ac[1]);
+        // 1. Navigation step: identifier{[Schema="dbo", Item="FactSales"]}[Data], in either field order
+        const schemaItem = navigation.find(n => n.fields.schema !== undefined && n.fields.item !== undefined);
+        if (schemaItem) {
+            result.physicalSchema = schemaItem.fields.schema;
+            result.physicalTable  = schemaItem.fields.item;
+        } else {
+            // Fallback: chained Name-based navigation (Lakehouse, OData, BigQuery project→dataset→table chain)
+            // e.g. {[Name="sales",Kind="Schema"]}[Data]; last = table, second-to-last = dataset
+            const names = navigation.filter(n => n.fields.name !== undefined).map(n => n.fields.name);
+            if (names.length >= 1) result.physicalTable   = names[names.length - 1];
+            if (names.length >= 2) result.physicalDataset = names[names.length - 2];
+            if (names.length >= 3) result.physicalProject = names[names.length - 3];
         }
 
-        // 4b. Table.NestedJoin — record joined step names and key columns
-        // Table.NestedJoin(left, {"leftKey"}, right, {"rightKey"}, "newCol", JoinKind.Inner)
-        result.joins = [];
-        const joinPat = /Table\.NestedJoin\s*\(\s*([^,\n]+),\s*\{([^}]*)\}\s*,\s*([^,\n]+),\s*\{([^}]*)\}/g;
-        let jm;
-        while ((jm = joinPat.exec(mExpression)) !== null) {
-            const leftKeys  = (jm[2].match(/"([^"]+)"/g) || []).map(s => s.replace(/"/g, ''));
-            const rightKeys = (jm[4].match(/"([^"]+)"/g) || []).map(s => s.replace(/"/g, ''));
-            result.joins.push({
-                type: 'NestedJoin',
-                leftStep:  jm[1].trim(),
-                rightStep: jm[3].trim(),
-                leftKeys,
-                rightKeys
-            });
+        let lastSelect = null;
+        for (const call of calls) {
+            const name = this._calleeName(call);
+            const args = call.args;
+
+            // 2. Table.RenameColumns — {{"OldName", "NewName"}, …}
+            if (name === 'Table.RenameColumns' && args[1]?.type === 'List') {
+                const pairs = args[1].items.some(item => item.type === 'List') ? args[1].items : [args[1]];
+                for (const pair of pairs) {
+                    const [from, to] = this._stringArgs(pair);
+                    if (pair.type === 'List' && from !== undefined && to !== undefined) result.renames.push({ sourceName: from, modelName: to });
+                }
+            }
+
+            // 3. Table.SelectColumns — last call wins (represents the final projected set)
+            if (name === 'Table.SelectColumns') lastSelect = call;
+
+            // 4. Table.AddColumn — collect computed column names
+            if (name === 'Table.AddColumn' && this._stringArg(args[1]) !== null) result.addedColumns.push(this._stringArg(args[1]));
+
+            // 4b. Table.NestedJoin(left, {"leftKey"}, right, {"rightKey"}, "newCol", JoinKind.Inner)
+            if (name === 'Table.NestedJoin' && args.length >= 4) {
+                result.joins.push({
+                    type: 'NestedJoin',
+                    leftStep:  args[0].type === 'Identifier' ? args[0].name : null,
+                    rightStep: args[2].type === 'Identifier' ? args[2].name : null,
+                    leftKeys:  this._stringArgs(args[1]),
+                    rightKeys: this._stringArgs(args[3])
+                });
+            }
+
+            // 4c. Table.Combine({step1, step2}) — collect combined step names
+            if (name === 'Table.Combine' && args[0]?.type === 'List') {
+                result.joins.push({ type: 'Combine', steps: args[0].items.filter(i => i.type === 'Identifier').map(i => i.name) });
+            }
         }
 
-        // 4c. Table.Combine — collect combined step names
-        const combinePat = /Table\.Combine\s*\(\s*\{([^}]+)\}/g;
-        let cm;
-        while ((cm = combinePat.exec(mExpression)) !== null) {
-            const stepNames = cm[1].split(',').map(s => s.trim()).filter(Boolean);
-            result.joins.push({ type: 'Combine', steps: stepNames });
+        if (lastSelect) {
+            const cols = this._stringArgs(lastSelect.args[1]);
+            if (cols.length > 0) result.selectedColumns = cols;
         }
 
         // 5. Table.RemoveColumns — if we have a selectedColumns list, prune it
         if (result.selectedColumns !== null) {
-            const removePat = /Table\.RemoveColumns\b/g;
-            let rmc;
-            while ((rmc = removePat.exec(mExpression)) !== null) {
-                const afterRem = mExpression.slice(rmc.index);
-                const commaIdx = afterRem.indexOf(',');
-                if (commaIdx === -1) continue;
-                const braceIdx = afterRem.indexOf('{', commaIdx);
-                if (braceIdx === -1) continue;
-                const window = afterRem.slice(braceIdx, braceIdx + 2000);
-                const rColPat = /"([^"]+)"/g;
-                let rc;
-                while ((rc = rColPat.exec(window)) !== null) {
-                    const idx = result.selectedColumns.indexOf(rc[1]);
+            for (const call of calls) {
+                if (this._calleeName(call) !== 'Table.RemoveColumns') continue;
+                for (const col of this._stringArgs(call.args[1])) {
+                    const idx = result.selectedColumns.indexOf(col);
                     if (idx !== -1) result.selectedColumns.splice(idx, 1);
                 }
             }
@@ -817,156 +589,1284 @@ class MExpressionParser {
             resolved = expressionBodies[refName];
         }
 
-        // Strip optional ``` fences
-        resolved = resolved.replace(/^\s*```\s*\n?/, '').replace(/\n?\s*```\s*$/, '');
+        // Steps are the bindings of the top-level let…in
+        const ast = this.parse(resolved);
+        if (ast.body.type !== 'Let') return [];
 
-        // Find the let...in block
-        const letMatch = /^\s*let\b/i.exec(resolved);
-        if (!letMatch) return [];
+        return ast.body.bindings.map(binding => ({
+            name: binding.name,
+            kind: this._classifyStepKind(binding.value),
+            exprText: ast.src.slice(binding.start, binding.end).trim(),
+            refs: this._extractStepRefs(binding.value)
+        }));
+    }
 
-        const afterLet = resolved.slice(letMatch.index + letMatch[0].length);
+    /**
+     * Classify a step expression (AST node or M text) into a kind bucket.
+     */
+    static _classifyStepKind(expr) {
+        let node = typeof expr === 'string' ? this.parse(expr).body : expr;
 
-        // Split into step definitions respecting nested parens/brackets/braces and string literals
-        const steps = [];
-        let buf = '';
-        let depth = 0;
-        let inStr = false;
-        let strChar = '';
-        let i = 0;
+        // A nested let classifies as the binding its body returns
+        while (node?.type === 'Let') {
+            const body = node.body;
+            const returned = body?.type === 'Identifier' ? node.bindings.find(b => b.name === body.name) : null;
+            node = returned ? returned.value : body;
+        }
+        if (!node) return 'Custom';
+
+        // item{[Schema=...,Item=...]}[Data] and step[column] lookups
+        if (node.type === 'FieldAccess' || node.type === 'ItemAccess' || node.type === 'Projection') {
+            let root = node;
+            while (root && (root.type === 'FieldAccess' || root.type === 'ItemAccess' || root.type === 'Projection')) root = root.target;
+            if (root?.type === 'Identifier') return 'Navigation';
+            node = root;
+        }
 
-        while (i < afterLet.length) {
-            const ch = afterLet[i];
+        const name = this._calleeName(node);
+        if (!name) return 'Custom';
+        if (MExpressionParser.SOURCE_FUNCTIONS.test(name)) return 'Source';
+        return MExpressionParser.STEP_KINDS[name] || 'Custom';
+    }
 
-            // Handle string literals ("..." style)
-            if (inStr) {
-                buf += ch;
-                if (ch === strChar && afterLet[i - 1] !== '\\') inStr = false;
-                i++; continue;
+    /**
+     * Names a step expression (AST node or M text) refers to: earlier steps, other queries and
+     * parameters. Library functions (dotted names), `_` and names bound inside the step are left out.
+     */
+    static _extractStepRefs(expr) {
+        const node = typeof expr === 'string' ? this.parse(expr).body : expr;
+        const refs = [];
+        this._freeIdentifiers(node, id => refs.push(id.name));
+        return [...new Set(refs)];
+    }
+
+    /**
+     * Call visit(identifier, ancestors) for every identifier the expression does not bind itself —
+     * skipping `_` in each, function parameters, nested let names, type names and library functions
+     * (dotted names, #date and the like). ancestors runs from the outermost node to the parent
+     */
+    static _freeIdentifiers(node, visit) {
+        const ancestors = [];
+        const walk = (n, bound) => {
+            if (!n || typeof n !== 'object') return;
+            if (Array.isArray(n)) { n.forEach(item => walk(item, bound)); return; }
+            if (n.type === 'Identifier') {
+                if (!bound.has(n.name) && (n.quoted || (!n.name.includes('.') && !n.name.startsWith('#')))) visit(n, ancestors);
+                return;
             }
-            if (ch === '"' || ch === "'") {
-                inStr = true; strChar = ch; buf += ch; i++; continue;
+            if (n.type === 'Type') return;
+            if (n.type) ancestors.push(n);
+            switch (n.type) {
+            case 'Each':
+                walk(n.body, new Set([...bound, '_']));
+                break;
+            case 'Function':
+                walk(n.body, new Set([...bound, ...n.params]));
+                break;
+            case 'Let': {
+                const inner = new Set([...bound, ...n.bindings.map(b => b.name)]);
+                n.bindings.forEach(b => walk(b.value, inner));
+                walk(n.body, inner);
+                break;
             }
+            case 'Record':
+                n.fields.forEach(f => walk(f.value, bound));
+                break;
+            case 'Binary':
+                walk(n.left, bound);
+                // `x as number`: the right side names a type
+                if (n.operator !== 'as' && n.operator !== 'is') walk(n.right, bound);
+                break;
+            default:
+                for (const key of Object.keys(n)) {
+                    if (n[key] && typeof n[key] === 'object') walk(n[key], bound);
+                }
+            }
+            if (n.type) ancestors.pop();
+        };
+        walk(node, new Set());
+    }
 
-            // Track depth for parens/brackets/braces
-            if (ch === '(' || ch === '[' || ch === '{') { depth++; buf += ch; i++; continue; }
-            if (ch === ')' || ch === ']' || ch === '}') { depth--; buf += ch; i++; continue; }
+    /**
+     * Parse M steps for every table in a model, resolving shared expression refs.
+     * Returns Map<tableName, Array<step>>
+     */
+    static parseMStepsFromModel(parsedModel) {
+        const expressionBodies = {};
+        for (const expr of (parsedModel.expressions || [])) {
+            if (expr.name && expr.expression) expressionBodies[expr.name] = expr.expression;
+        }
 
-            // Top-level comma = step boundary
-            if (ch === ',' && depth === 0) {
-                const step = this._parseOneStep(buf.trim());
-                if (step) steps.push(step);
-                buf = '';
-                i++; continue;
+        const map = new Map();
+        for (const table of (parsedModel.tables || [])) {
+            // Try refreshPolicy.sourceExpression first
+            const rp = table.refreshPolicy?.sourceExpression;
+            if (rp) {
+                const steps = this.parseMSteps(rp, expressionBodies);
+                if (steps.length > 0) { map.set(table.name, steps); continue; }
             }
+            for (const partition of (table.partitions || [])) {
+                if (!partition.source) continue;
+                const steps = this.parseMSteps(partition.source, expressionBodies);
+                if (steps.length > 0) { map.set(table.name, steps); break; }
+            }
+        }
+        return map;
+    }
 
-            // "in" keyword at depth 0 ends the let block
-            if (depth === 0 && ch === 'i' && afterLet[i + 1] === 'n' && /\s/.test(afterLet[i + 2] || ' ')) {
-                // Confirm we're not in the middle of an identifier
-                const prev = afterLet[i - 1] || ' ';
-                if (/[\s,]/.test(prev)) {
-                    const step = this._parseOneStep(buf.trim());
-                    if (step) steps.push(step);
-                    buf = '';
-                    break;
+    /**
+     * Trace one output column of a query back through its steps to the columns it is built from.
+     * Follows Table.RenameColumns, Table.AddColumn / Table.DuplicateColumn formulas, Table.Group
+     * aggregations, Table.ExpandTableColumn over a Table.NestedJoin, Table.Unpivot /
+     * Table.UnpivotOtherColumns and Table.Combine, into other queries when a step names one.
+     * Any other Table.* step passes its input's columns through unchanged.
+     *
+     * @param {Array} steps - From parseMSteps()
+     * @param {string} columnName - Column name at the query's last step
+     * @param {Function} [resolveQuery] - Query name → its steps, or null when unknown
+     * @returns {{column:string, kind:string, sources:Array, steps:Array}}
+     *   kind: source | renamed | computed | aggregated | expanded | unpivoted | combined
+     *   sources: [{query, step, column, otherThan?}] — query is null for the traced query itself;
+     *            column is null for unpivoted values (every column but otherThan)
+     *   steps: [{query, step, kind, detail}] — the transformations, source side first
+     */
+    static traceColumnLineage(steps, columnName, resolveQuery = () => null) {
+        const result = { column: columnName, kind: 'source', sources: [], steps: [] };
+        const recorded = new Set();
+        const sourceKeys = new Set();
+
+        const record = (query, step, kind, detail) => {
+            const key = `${query}|${step.name}|${kind}|${detail}`;
+            if (recorded.has(key)) return;
+            recorded.add(key);
+            result.steps.unshift({ query, step: step.name, kind, detail });
+        };
+        const addSource = source => {
+            const key = `${source.query}|${source.step}|${source.column}`;
+            if (sourceKeys.has(key)) return;
+            sourceKeys.add(key);
+            result.sources.push(source);
+        };
+
+        const parsed = new Map(); // step → parse() of its expression
+        const parseStep = step => {
+            if (!parsed.has(step)) parsed.set(step, this.parse(step.exprText));
+            return parsed.get(step);
+        };
+
+        // `nested` is the column inside a nested table column that is being followed to its join
+        const visit = (stepList, query, index, column, nested, depth) => {
+            const step = stepList[index];
+            if (!step || depth > 100) return;
+            const origin = () => addSource({ query, step: step.name, column: nested || column });
+            const next = (arg, col, nestedCol = nested) => {
+                const target = this._resolveStepInput(stepList, query, index, arg, resolveQuery);
+                if (target) visit(target.stepList, target.query, target.index, col, nestedCol, depth + 1);
+                else addSource({ query, step: step.name, column: nestedCol || col });
+            };
+
+            const { body, src } = parseStep(step);
+            if (body.type === 'Identifier') return next(body, column);
+            const fn = this._calleeName(body);
+            if (!fn || !fn.startsWith('Table.')) return origin();
+            const args = body.args;
+            const text = node => (node ? this._compactExpr(src.slice(node.start, node.end)) : '');
+
+            switch (fn) {
+                case 'Table.RenameColumns': {
+                    const pair = this._listRows(args[1]).map(row => row.map(n => this._stringArg(n))).find(([, to]) => to === column);
+                    if (!pair || nested) return next(args[0], column);
+                    record(query, step, 'Rename', `${pair[0]} → ${pair[1]}`);
+                    return next(args[0], pair[0]);
+                }
+                case 'Table.DuplicateColumn': {
+                    if (this._stringArg(args[2]) !== column || nested) return next(args[0], column);
+                    const from = this._stringArg(args[1]);
+                    record(query, step, 'Duplicate', `${from} → ${column}`);
+                    return next(args[0], from);
                 }
+                case 'Table.AddColumn': {
+                    if (this._stringArg(args[1]) !== column) return next(args[0], column);
+                    record(query, step, 'AddColumn', text(args[2]));
+                    if (nested) return; // a nested table built by a formula: not followed
+                    for (const field of this._rowFields(args[2])) next(args[0], field, null);
+                    return;
+                }
+                case 'Table.Group': {
+                    const aggregation = this._listRows(args[2]).find(([name]) => this._stringArg(name) === column);
+                    if (!aggregation) return next(args[0], column);
+                    record(query, step, 'Group', text(aggregation[1]));
+                    for (const field of this._rowFields(aggregation[1])) next(args[0], field, null);
+                    return;
+                }
+                case 'Table.Unpivot':
+                case 'Table.UnpivotOtherColumns': {
+                    const listed = this._stringArgs(args[1]);
+                    const other = fn === 'Table.UnpivotOtherColumns';
+                    const columnsText = other ? `every column except ${listed.join(', ')}` : listed.join(', ');
+                    if (this._stringArg(args[2]) === column) {
+                        record(query, step, 'Unpivot', `names of ${columnsText}`);
+                        return;
+                    }
+                    if (this._stringArg(args[3]) !== column) return next(args[0], column);
+                    record(query, step, 'Unpivot', `values of ${columnsText}`);
+                    if (other) addSource({ query, step: step.name, column: null, otherThan: listed });
+                    else for (const c of listed) next(args[0], c, null);
+                    return;
+                }
+                case 'Table.ExpandTableColumn':
+                case 'Table.ExpandRecordColumn': {
+                    const nestedColumn = this._stringArg(args[1]);
+                    const inner = this._stringArgs(args[2]);
+                    const names = args[3] ? this._stringArgs(args[3]) : inner;
+                    const i = names.indexOf(column);
+                    if (i === -1 || nested) return next(args[0], column);
+                    record(query, step, 'Expand', `${nestedColumn}[${inner[i]}]`);
+                    return next(args[0], nestedColumn, inner[i]);
+                }
+                case 'Table.NestedJoin': {
+                    if (!nested || this._stringArg(args[4]) !== column) return next(args[0], column);
+                    const keys = `${this._stringArgs(args[1]).join(', ')} = ${this._stringArgs(args[3]).join(', ')}`;
+                    record(query, step, 'Join', `${text(args[2])} on ${keys}`);
+                    return next(args[2], nested, null);
+                }
+                case 'Table.Combine': {
+                    const parts = args[0]?.type === 'List' ? args[0].items : [];
+                    record(query, step, 'Combine', parts.map(text).join(', '));
+                    for (const part of parts) next(part, column);
+                    return;
+                }
+                case 'Table.TransformColumns': {
+                    const transform = this._listRows(args[1]).find(([name]) => this._stringArg(name) === column);
+                    if (transform && !nested) record(query, step, 'Transform', text(transform[1]));
+                    return next(args[0], column);
+                }
+                default:
+                    return this._resolveStepInput(stepList, query, index, args[0], resolveQuery) ? next(args[0], column) : origin();
             }
+        };
 
-            buf += ch;
-            i++;
+        if (steps.length > 0) visit(steps, null, steps.length - 1, columnName, null, 0);
+
+        const kinds = new Set(result.steps.map(s => s.kind));
+        result.kind = Object.keys(this.COLUMN_LINEAGE_KINDS).find(k => this.COLUMN_LINEAGE_KINDS[k].some(s => kinds.has(s))) || 'source';
+        return result;
+    }
+
+    /**
+     * Per-column Power Query lineage for every imported column of every table.
+     * Table partitions and shared expressions are both queries that steps can refer to by name.
+     * @returns {Map<string, Map<string, Object>>} tableName → columnName → traceColumnLineage() result,
+     *   with sourceColumn (the query column) and physicalSchema/physicalTable on each source
+     */
+    static columnLineageFromModel(parsedModel) {
+        const queries = new Map(); // query name → M text
+        for (const expr of (parsedModel.expressions || [])) {
+            if (expr.name && expr.expression) queries.set(expr.name, expr.expression);
         }
+        const tableQueries = new Map();
+        for (const table of (parsedModel.tables || [])) {
+            const texts = [table.refreshPolicy?.sourceExpression, ...(table.partitions || []).map(p => p.source)];
+            const text = texts.find(t => t && this.parseMSteps(t).length > 0);
+            if (text) tableQueries.set(table.name, text);
+        }
+        for (const [name, text] of tableQueries) if (!queries.has(name)) queries.set(name, text);
 
-        // Trailing step if "in" not seen
-        if (buf.trim()) {
-            const step = this._parseOneStep(buf.trim());
-            if (step) steps.push(step);
+        const stepCache = new Map();
+        const stepsOf = name => {
+            if (!stepCache.has(name)) stepCache.set(name, queries.has(name) ? this.parseMSteps(queries.get(name)) : null);
+            return stepCache.get(name);
+        };
+        const physicalCache = new Map();
+        const physicalOf = name => {
+            if (!physicalCache.has(name)) physicalCache.set(name, this.extractTableLineage(queries.get(name)));
+            return physicalCache.get(name);
+        };
+
+        const map = new Map();
+        for (const table of (parsedModel.tables || [])) {
+            const text = tableQueries.get(table.name);
+            if (!text) continue;
+            const steps = this.parseMSteps(text);
+            // The table's own query is traced as "this query" (null), never re-entered by name
+            const resolve = name => (name === table.name ? null : stepsOf(name));
+            const ownPhysical = this.extractTableLineage(text);
+            const columns = new Map();
+            for (const col of table.columns) {
+                if (col.expression) continue;
+                const sourceColumn = col.sourceColumn || col.name;
+                const lineage = this.traceColumnLineage(steps, sourceColumn, resolve);
+                lineage.sourceColumn = sourceColumn;
+                for (const source of lineage.sources) {
+                    const physical = source.query ? physicalOf(source.query) : ownPhysical;
+                    source.physicalSchema = physical?.physicalSchema || null;
+                    source.physicalTable = physical?.physicalTable || null;
+                }
+                columns.set(col.name, lineage);
+            }
+            map.set(table.name, columns);
         }
+        return map;
+    }
 
-        return steps;
+    /**
+     * One-line summary of a column's lineage, e.g.
+     * "AddColumn over physical Amount and Discount from dbo.FactSales"
+     */
+    static describeColumnLineage(lineage) {
+        if (!lineage) return '';
+        const prefix = {
+            source: 'Loaded as', renamed: 'Renamed from', computed: 'AddColumn over', aggregated: 'Group aggregation over',
+            expanded: 'Expanded from', unpivoted: 'Unpivot of', combined: 'Appended from'
+        }[lineage.kind];
+        if (lineage.sources.length === 0) return `${prefix.replace(/ (over|of|from|as)$/, '')} with no source columns`;
+
+        const groups = new Map(); // where the columns come from → column labels
+        for (const s of lineage.sources) {
+            const where = s.physicalTable
+                ? `physical|${[s.physicalSchema, s.physicalTable].filter(Boolean).join('.')}`
+                : `query|${s.query ? `query ${s.query}` : `step ${s.step}`}`;
+            if (!groups.has(where)) groups.set(where, []);
+            const label = s.column === null ? `every column except ${(s.otherThan || []).join(', ')}` : s.column;
+            if (!groups.get(where).includes(label)) groups.get(where).push(label);
+        }
+        const parts = [...groups].map(([where, columns]) => {
+            const [kind, name] = where.split(/\|(.*)/s);
+            const list = columns.length > 1 ? `${columns.slice(0, -1).join(', ')} and ${columns[columns.length - 1]}` : columns[0];
+            return `${kind === 'physical' ? 'physical ' : ''}${list} from ${name}`;
+        });
+        return `${prefix} ${parts.join('; ')}`;
     }
 
     /**
-     * Parse a single "Name = expr" step text into a step descriptor.
+     * Dependency graph over every Power Query query in the model, like Power Query's own dependency view:
+     * data sources → parameters, functions and staging queries (shared expressions) → loaded tables.
+     * Edges come from the names each query's M refers to, so a query may depend on any number of others.
+     * @param {Object} parsedModel
+     * @returns {{nodes: Array, edges: Array}}
+     *   nodes: [{ id, name, kind, group, layer, sourceType? }] — kind: source | parameter | function | staging | table;
+     *          group is the expression's query group; layer is the longest dependency chain behind the node
+     *   edges: [{ from, to, type, args? }] — from is the dependency, to the query using it;
+     *          type: source | parameter | invoke | combine | join | reference; args describe an invocation's arguments
      */
-    static _parseOneStep(text) {
-        if (!text) return null;
+    static buildQueryDependencyGraph(parsedModel) {
+        const queries = new Map(); // name → { kind, group, texts }
+        for (const expr of (parsedModel.expressions || [])) {
+            if (!expr.name || !expr.expression) continue;
+            const kind = /IsParameterQuery\s*=\s*true/i.test(expr.expression) ? 'parameter'
+                : (expr.resultType || '').toLowerCase() === 'function' || this._returnsFunction(this.parse(expr.expression).body) ? 'function'
+                : 'staging';
+            queries.set(expr.name, { kind, group: expr.queryGroup || null, texts: [expr.expression] });
+        }
+        for (const table of (parsedModel.tables || [])) {
+            if (queries.has(table.name)) continue;
+            const texts = [
+                table.refreshPolicy?.sourceExpression,
+                ...(table.partitions || []).filter(p => !p.sourceType || p.sourceType === 'm').map(p => p.source)
+            ].filter(Boolean);
+            if (texts.length > 0) queries.set(table.name, { kind: 'table', group: null, texts });
+        }
+
+        const nodes = new Map();
+        const edges = [];
+        const edgeKeys = new Set();
+        const addEdge = edge => {
+            const key = `${edge.from}|${edge.to}|${edge.type}`;
+            if (edgeKeys.has(key) || edge.from === edge.to) return;
+            edgeKeys.add(key);
+            edges.push(edge);
+        };
+        for (const [name, query] of queries) {
+            nodes.set(`query:${name}`, { id: `query:${name}`, name, kind: query.kind, group: query.group });
+        }
+
+        for (const [name, query] of queries) {
+            const to = `query:${name}`;
+            for (const text of query.texts) {
+                if (query.kind !== 'parameter') {
+                    const sources = this.resolveParameters(this.extractDataSources(text), parsedModel.expressions || []);
+                    for (const src of sources) {
+                        const id = `source:${this._sourceKey(src)}`;
+                        if (!nodes.has(id)) {
+                            const label = [src.type, src.serverResolved || src.server, src.databaseResolved || src.database, src.url, src.path]
+                                .filter(Boolean).join(': ');
+                            nodes.set(id, { id, name: label, kind: 'source', group: null, sourceType: src.type });
+                        }
+                        addEdge({ from: id, to, type: 'source' });
+                    }
+                }
+
+                this._freeIdentifiers(this.parse(text).body, (id, ancestors) => {
+                    const target = queries.get(id.name);
+                    if (!target || id.name === name) return;
+                    const from = `query:${id.name}`;
+                    const parent = ancestors[ancestors.length - 1];
+                    if (target.kind === 'parameter') {
+                        addEdge({ from, to, type: 'parameter' });
+                    } else if (parent?.type === 'Invoke' && parent.callee === id) {
+                        addEdge({ from, to, type: 'invoke', args: parent.args.map(arg => this._describeArg(arg)) });
+                    } else {
+                        const call = [...ancestors].reverse().find(a => MExpressionParser.QUERY_MERGE_FUNCTIONS[this._calleeName(a)]);
+                        addEdge({ from, to, type: call ? MExpressionParser.QUERY_MERGE_FUNCTIONS[this._calleeName(call)] : 'reference' });
+                    }
+                });
+            }
+        }
 
-        // Extract name (quoted or unquoted) and expression
-        const nameMatch = text.match(/^(?:#"([^"]+)"|([A-Za-z_\u00C0-\u024F][A-Za-z0-9_ \u00C0-\u024F]*))\s*=\s*([\s\S]*)/);
-        if (!nameMatch) return null;
+        // Layer = longest chain of dependencies behind a node, so every edge points rightwards
+        const incoming = new Map();
+        for (const e of edges) {
+            if (!incoming.has(e.to)) incoming.set(e.to, []);
+            incoming.get(e.to).push(e.from);
+        }
+        const layers = new Map();
+        const layerOf = (id, visiting = new Set()) => {
+            if (layers.has(id)) return layers.get(id);
+            if (visiting.has(id)) return 0; // cycle
+            visiting.add(id);
+            const layer = Math.max(-1, ...(incoming.get(id) || []).map(from => layerOf(from, visiting))) + 1;
+            visiting.delete(id);
+            layers.set(id, layer);
+            return layer;
+        };
+        for (const node of nodes.values()) node.layer = layerOf(node.id);
 
-        const name = nameMatch[1] || nameMatch[2];
-        const exprText = nameMatch[3].trim();
-        const kind = this._classifyStepKind(exprText);
-        const refs = this._extractStepRefs(exprText);
+        return { nodes: [...nodes.values()], edges };
+    }
 
-        return { name, kind, exprText, refs };
+    /**
+     * True when an expression evaluates to a function: (x) => …, or a let whose result is one
+     */
+    static _returnsFunction(node) {
+        if (node?.type === 'Function') return true;
+        if (node?.type !== 'Let') return false;
+        const body = node.body;
+        const returned = body?.type === 'Identifier' ? node.bindings.find(b => b.name === body.name) : null;
+        return this._returnsFunction(returned ? returned.value : body);
     }
 
     /**
-     * Classify a step expression into a kind bucket.
+     * Short text for an invocation argument: "text", 42, a name, or … for anything longer
      */
-    static _classifyStepKind(expr) {
-        if (/^(?:Sql\.|GoogleBigQuery\.|AzureDataExplorer\.|Kusto\.|Lakehouse\.|Fabric\.|Databricks\.|Snowflake\.|PostgreSQL\.|MySQL\.|Teradata\.|SapHana\.|Odbc\.|Oracle\.|Excel\.|Csv\.|OData\.|SharePoint\.|PowerBI\.|Web\.|Value\.NativeQuery)/i.test(expr)) return 'Source';
-        if (/^\w+\s*\{\s*\[/.test(expr)) return 'Navigation'; // item{[Schema=...,Item=...]}[Data]
-        if (/^\w+\s*\[/.test(expr) && !/^Table\./.test(expr)) return 'Navigation'; // step["column"]
-        if (/^Table\.SelectColumns\b/.test(expr)) return 'Projection';
-        if (/^Table\.RenameColumns\b/.test(expr)) return 'Rename';
-        if (/^Table\.SelectRows\b/.test(expr)) return 'Filter';
-        if (/^Table\.NestedJoin\b/.test(expr)) return 'Join';
-        if (/^Table\.Combine\b/.test(expr)) return 'Join';
-        if (/^Table\.AddColumn\b/.test(expr)) return 'AddColumn';
-        if (/^Table\.TransformColumnTypes\b/.test(expr)) return 'TypeChange';
-        if (/^Table\.ExpandTableColumn\b/.test(expr)) return 'Expand';
-        if (/^Table\.RemoveColumns\b/.test(expr)) return 'Projection';
-        if (/^Table\.ReorderColumns\b/.test(expr)) return 'Projection';
-        return 'Custom';
+    static _describeArg(node) {
+        if (node.type === 'Literal') return typeof node.value === 'string' ? `"${node.value}"` : String(node.value);
+        if (node.type === 'Identifier') return node.name;
+        if (node.type === 'FieldAccess' && !node.target) return `[${node.field}]`;
+        return '…';
     }
 
+    // ── Query folding ──
+
     /**
-     * Extract step-name references from a step expression (identifiers before Table.* calls).
+     * Query folding risk of one query. For a relational source the first step that likely stops
+     * folding is flagged; the steps after it run in the mashup engine instead of the database.
+     *
+     * @param {Array} steps - From parseMSteps()
+     * @param {Array} sources - The query's data sources, from extractDataSources()
+     * @param {Function} [resolveSources] - Another query's name → its sources, or null when unknown
+     * @returns {{sourceType:string|null, foldable:boolean, breakingStep:string|null, function:string|null,
+     *            reason:string|null, steps:Array<{name:string, folding:string, function?:string, reason?:string}>}}
+     *   foldable is false when the source never folds; folding per step: folds | breaks | local | none
      */
-    static _extractStepRefs(expr) {
-        // Match unquoted identifiers and #"quoted" that likely refer to prior steps
-        const refs = [];
-        const pat = /(?:^|[,({\s])(?:#"([^"]+)"|([A-Za-z_][A-Za-z0-9_]*))\s*(?=[,\[{)]|$)/g;
-        let m;
-        while ((m = pat.exec(expr)) !== null) {
-            const name = m[1] || m[2];
-            // Skip M built-ins and common keywords
-            if (/^(let|in|if|then|else|each|try|otherwise|true|false|null|and|or|not|meta|type|error|section|shared|Table|Text|Number|List|Record|Date|DateTime|Duration|Binary|Value|Function|Type|Logical|Web|Sql|Csv|Excel|Json|OData|SharePoint|Power|Fabric|Google|Azure|Snowflake|Databricks|Odbc|Oracle|Teradata|Kusto|SapHana|MySQL|PostgreSQL)$/i.test(name)) continue;
-            refs.push(name);
+    static analyzeFolding(steps, sources, resolveSources = () => null) {
+        const foldable = sources.length > 0 && sources.every(s => MExpressionParser.FOLDING_SOURCES.has(s.type));
+        const result = { sourceType: sources[0]?.type || null, foldable, breakingStep: null, function: null, reason: null, steps: [] };
+        if (!foldable) {
+            result.steps = steps.map(step => ({ name: step.name, folding: 'none' }));
+            return result;
         }
-        return [...new Set(refs)];
+
+        // Earlier steps of this query share its sources; other query names resolve through the model
+        const stepNames = new Set(steps.map(step => step.name));
+        const sourceKeys = name => (stepNames.has(name) ? sources : resolveSources(name) || []).map(s => this._sourceKey(s));
+        for (const step of steps) {
+            if (result.breakingStep) {
+                result.steps.push({ name: step.name, folding: 'local' });
+                continue;
+            }
+            const risk = this._foldingBreaker(this.parse(step.exprText).body, sourceKeys);
+            if (!risk) {
+                result.steps.push({ name: step.name, folding: 'folds' });
+                continue;
+            }
+            result.steps.push({ name: step.name, folding: 'breaks', ...risk });
+            result.breakingStep = step.name;
+            result.function = risk.function;
+            result.reason = risk.reason;
+        }
+        return result;
     }
 
     /**
-     * Parse M steps for every table in a model, resolving shared expression refs.
-     * Returns Map<tableName, Array<step>>
+     * Folding analysis for every table's query. A query without a connector of its own (one that
+     * reads a staging query) takes the sources of the queries it refers to.
+     * @returns {Map<string, Object>} tableName → analyzeFolding() result
      */
-    static parseMStepsFromModel(parsedModel) {
+    static analyzeFoldingFromModel(parsedModel) {
         const expressionBodies = {};
         for (const expr of (parsedModel.expressions || [])) {
             if (expr.name && expr.expression) expressionBodies[expr.name] = expr.expression;
         }
 
+        const cache = new Map();
+        const visiting = new Set();
+        const sourcesOf = name => {
+            if (cache.has(name)) return cache.get(name);
+            if (!expressionBodies[name] || visiting.has(name)) return null;
+            visiting.add(name);
+            const sources = this._querySources(expressionBodies[name], sourcesOf);
+            visiting.delete(name);
+            cache.set(name, sources);
+            return sources;
+        };
+
         const map = new Map();
         for (const table of (parsedModel.tables || [])) {
-            // Try refreshPolicy.sourceExpression first
-            const rp = table.refreshPolicy?.sourceExpression;
-            if (rp) {
-                const steps = this.parseMSteps(rp, expressionBodies);
-                if (steps.length > 0) { map.set(table.name, steps); continue; }
+            const texts = [table.refreshPolicy?.sourceExpression, ...(table.partitions || []).map(p => p.source)];
+            const text = texts.find(t => t && this.parseMSteps(t, expressionBodies).length > 0);
+            if (!text) continue;
+            const refName = this._extractSharedExpressionRef(text);
+            const resolved = refName && expressionBodies[refName] ? expressionBodies[refName] : text;
+            const resolve = name => (name === table.name ? null : sourcesOf(name));
+            map.set(table.name, this.analyzeFolding(this.parseMSteps(text, expressionBodies), this._querySources(resolved, resolve), resolve));
+        }
+        return map;
+    }
+
+    /**
+     * One-line summary of a folding analysis, e.g.
+     * "Folding stops at step "Indexed" (Table.AddIndexColumn: index columns have no SQL equivalent)"
+     */
+    static describeFolding(folding) {
+        if (!folding.foldable) return folding.sourceType ? `${folding.sourceType} sources do not fold` : 'No data source found';
+        if (folding.breakingStep) return `Folding stops at step "${folding.breakingStep}" (${folding.function}: ${folding.reason})`;
+        return `All ${folding.steps.length} step${folding.steps.length !== 1 ? 's' : ''} fold to ${folding.sourceType}`;
+    }
+
+    /**
+     * Data sources a query reads: its own connectors, else those of the queries it names
+     */
+    static _querySources(text, resolveSources) {
+        const own = this.extractDataSources(text);
+        if (own.length > 0) return own;
+        const sources = [];
+        const seen = new Set();
+        this._freeIdentifiers(this.parse(text).body, id => {
+            if (seen.has(id.name)) return;
+            seen.add(id.name);
+            for (const source of (resolveSources(id.name) || [])) {
+                if (!sources.some(s => this._sourceKey(s) === this._sourceKey(source))) sources.push(source);
             }
-            for (const partition of (table.partitions || [])) {
-                if (!partition.source) continue;
-                const steps = this.parseMSteps(partition.source, expressionBodies);
-                if (steps.length > 0) { map.set(table.name, steps); break; }
+        });
+        return sources;
+    }
+
+    /**
+     * First call in a step that is likely to stop query folding. Function bodies are skipped: defining
+     * a function folds nothing until a later step calls it
+     * @param {Object} node - Step expression AST
+     * @param {Function} [sourceKeys] - Step or query name → source keys, to spot merges across sources
+     * @returns {Object|null} { function, reason }
+     */
+    static _foldingBreaker(node, sourceKeys = () => []) {
+        let found = null;
+        const visit = (n, inEach) => {
+            if (found || !n || typeof n !== 'object') return;
+            if (Array.isArray(n)) { n.forEach(item => visit(item, inEach)); return; }
+            if (n.type === 'Function') return;
+            const name = this._calleeName(n);
+            if (name) found = this._foldingRisk(n, name, inEach, sourceKeys);
+            for (const key of Object.keys(n)) {
+                if (n[key] && typeof n[key] === 'object') visit(n[key], inEach || n.type === 'Each');
             }
+        };
+        visit(node, false);
+        return found;
+    }
+
+    static _foldingRisk(node, name, inEach, sourceKeys) {
+        if (MExpressionParser.FOLDING_BREAKERS[name]) return { function: name, reason: MExpressionParser.FOLDING_BREAKERS[name] };
+        if (name === 'Value.NativeQuery') {
+            const options = node.args[3];
+            const enabled = options?.type === 'Record'
+                && options.fields.some(f => f.name === 'EnableFolding' && f.value?.type === 'Literal' && f.value.value === true);
+            return enabled ? null : { function: name, reason: 'native query without [EnableFolding = true]; later steps cannot fold into it' };
         }
-        return map;
+        const merge = MExpressionParser.QUERY_MERGE_FUNCTIONS[name];
+        if (merge) {
+            const tables = merge === 'combine' ? (node.args[0]?.type === 'List' ? node.args[0].items : []) : [node.args[0], node.args[2]];
+            const keys = new Set();
+            for (const table of tables) {
+                if (table?.type === 'Identifier') sourceKeys(table.name).forEach(key => keys.add(key));
+            }
+            return keys.size > 1 ? { function: name, reason: 'merges tables from different sources' } : null;
+        }
+        if (inEach && name.startsWith('Text.')) return { function: name, reason: 'text manipulation in a row formula often has no SQL translation' };
+        if (!name.includes('.') && !name.startsWith('#')) return { function: name, reason: 'custom function; runs row by row in the mashup engine' };
+        return null;
+    }
+
+    // ── Column lineage helpers ──
+
+    /**
+     * Where a step argument points: an earlier step of the same query, or the last step of another query
+     * @param {Object} arg - Argument AST node; only a bare (possibly #"quoted") name points anywhere
+     */
+    static _resolveStepInput(stepList, query, index, arg, resolveQuery) {
+        const name = arg?.type === 'Identifier' ? arg.name : null;
+        if (!name) return null;
+        const local = stepList.findIndex((s, i) => i !== index && s.name === name);
+        if (local !== -1) return { stepList, query, index: local };
+        const other = name !== query ? resolveQuery(name) : null;
+        return other && other.length > 0 ? { stepList: other, query: name, index: other.length - 1 } : null;
+    }
+
+    /**
+     * Rows of a {{…}, {…}} list as arrays of item nodes; a single {…} row counts as one
+     */
+    static _listRows(node) {
+        if (node?.type !== 'List') return [];
+        if (node.items[0]?.type !== 'List') return [node.items];
+        return node.items.filter(item => item.type === 'List').map(item => item.items);
+    }
+
+    /**
+     * Row fields a column formula reads: [Amount], [#"Unit Price"] and _[Qty] in `each`, r[Amount]
+     * in `(r) => …`. Lookups on other values (Source[Col], {…}[Data]) and the rows of a nested
+     * each or function are not fields of the row
+     */
+    static _rowFields(formula) {
+        let row = null;
+        if (formula?.type === 'Each') row = '_';
+        else if (formula?.type === 'Function') row = formula.params[0] || null;
+        if (!row) return [];
+
+        const fields = [];
+        const visit = node => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) { node.forEach(visit); return; }
+            if (node.type === 'Each' && row === '_') return;
+            if (node.type === 'Function' && node.params.includes(row)) return;
+            if (node.type === 'FieldAccess') {
+                const onRow = node.target ? node.target.type === 'Identifier' && node.target.name === row : row === '_';
+                if (onRow && !fields.includes(node.field)) fields.push(node.field);
+            }
+            for (const key of Object.keys(node)) {
+                if (node[key] && typeof node[key] === 'object') visit(node[key]);
+            }
+        };
+        visit(formula.body);
+        return fields;
+    }
+
+    static _compactExpr(text) {
+        const t = (text || '').replace(/\s+/g, ' ').trim();
+        return t.length > 120 ? t.slice(0, 120) + '…' : t;
+    }
+    // ── M lexer and parser ──
+
+    /**
+     * Split M into tokens, dropping whitespace and comments
+     * @param {string} text
+     * @returns {Array<{type: string, value: string, raw: string, pos: number}>} types: string, number, ident
+     *   (keywords, dotted library names like Table.AddColumn and #date / #table / #shared), quoted (#"…"),
+     *   op, punct, eof — `value` of string/quoted tokens is unescaped and unquoted, `raw` is the source text
+     */
+    static tokenize(text) {
+        const tokens = [];
+        const src = text || '';
+        let i = 0;
+
+        // Read a "…" literal starting at `start`, where "" escapes a quote
+        const quoted = (start) => {
+            let value = '';
+            let j = start + 1;
+            while (j < src.length) {
+                if (src[j] === '"') {
+                    if (src[j + 1] === '"') { value += '"'; j += 2; continue; }
+                    return { value, end: j + 1 };
+                }
+                value += src[j++];
+            }
+            return { value, end: src.length };
+        };
+
+        while (i < src.length) {
+            const ch = src[i];
+            const two = src.substr(i, 2);
+
+            if (/\s/.test(ch)) { i++; continue; }
+            const pos = i;
+            if (two === '//' || two === '/*') {
+                const end = two === '/*' ? src.indexOf('*/', i + 2) : src.indexOf('\n', i);
+                i = end < 0 ? src.length : two === '/*' ? end + 2 : end;
+                continue;
+            }
+
+            if (ch === '"' || two === '#"') {
+                const { value, end } = quoted(ch === '"' ? i : i + 1);
+                tokens.push({ type: ch === '"' ? 'string' : 'quoted', value, raw: src.slice(i, end), pos });
+                i = end;
+                continue;
+            }
+
+            const num = /^(?:0[xX][0-9A-Fa-f]+|(?:\d+(?:\.\d+)?|\.\d+)(?:[eE][+-]?\d+)?)/.exec(src.slice(i, i + 64));
+            if (num && !(src[i] === '.' && src[i - 1] === '.')) {
+                tokens.push({ type: 'number', value: num[0], raw: num[0], pos });
+                i += num[0].length;
+                continue;
+            }
+
+            const ident = /^#?[A-Za-z_À-￿][\wÀ-￿]*(?:\.[A-Za-z_À-￿][\wÀ-￿]*)*/.exec(src.slice(i, i + 256));
+            if (ident) {
+                tokens.push({ type: 'ident', value: ident[0], raw: ident[0], pos });
+                i += ident[0].length;
+                continue;
+            }
+
+            const op = src.substr(i, 3) === '...' ? '...'
+                : ['=>', '<=', '>=', '<>', '??', '..'].includes(two) ? two : null;
+            if (op) {
+                tokens.push({ type: 'op', value: op, raw: op, pos });
+                i += op.length;
+                continue;
+            }
+            tokens.push({ type: '()[]{},;'.includes(ch) ? 'punct' : 'op', value: ch, raw: ch, pos });
+            i++;
+        }
+
+        tokens.push({ type: 'eof', value: '', raw: '', pos: src.length });
+        return tokens;
+    }
+
+    /**
+     * Parse an M expression into an AST. Never throws: unexpected tokens are listed in `errors`, and
+     * whatever follows a complete expression is parsed again into `trailing` so no invocation is lost.
+     * Every node carries `pos` (source offset). Node types: Let {bindings: [{name, value, start, end}], body}
+     * (start/end delimit the value's source text), Invoke {callee, args}, Identifier {name, quoted},
+     * Literal {dataType, value}, Record {fields: [{name, value}]}, List {items}, Range {from, to},
+     * FieldAccess {target (null for an implicit [Field] of `_`), field, optional}, ItemAccess {target, key, optional},
+     * Projection {target, fields}, Each {body}, Function {params, body}, If {condition, then, else},
+     * Try {body, otherwise}, Error {body}, Binary {operator, left, right}, Unary {operator, operand}, Type {value}.
+     * Invocation arguments and list items also carry start/end around their source text
+     * @param {string} text
+     * @returns {Object} { type: 'Document', body, trailing: [node], errors: [{message, pos}], src } — src is the
+     *   text the offsets refer to (``` fences removed)
+     */
+    static parse(text) {
+        const src = (text || '').replace(/^\s*```[^\n]*\n?/, '').replace(/\n?\s*```\s*$/, '');
+        const state = { src, tokens: this.tokenize(src), index: 0, lastEnd: 0, errors: [] };
+        const body = this._parseExpression(state);
+        const trailing = [];
+        while (this._peek(state).type !== 'eof') {
+            const token = this._peek(state);
+            const start = state.index;
+            const errorCount = state.errors.length;
+            const node = this._parseExpression(state);
+            if (state.index === start) {
+                this._next(state); // already reported as unexpected
+                continue;
+            }
+            if (state.errors.length === errorCount) state.errors.splice(errorCount, 0, { message: `Unexpected '${token.value}'`, pos: token.pos });
+            trailing.push(node);
+        }
+        // A token the body could not start with is reported again when the loop above retries it
+        const errors = state.errors.filter((e, i, all) => all.findIndex(o => o.pos === e.pos && o.message === e.message) === i);
+        return { type: 'Document', body, trailing, errors, src };
+    }
+
+    static _peek(state, offset = 0) {
+        return state.tokens[Math.min(state.index + offset, state.tokens.length - 1)];
+    }
+
+    static _next(state) {
+        const token = this._peek(state);
+        if (token.type !== 'eof') {
+            state.index++;
+            state.lastEnd = token.pos + token.raw.length;
+        }
+        return token;
+    }
+
+    static _isKeyword(token, word) {
+        return token.type === 'ident' && token.value === word;
+    }
+
+    static _accept(state, value) {
+        const token = this._peek(state);
+        if ((token.type === 'punct' || token.type === 'op' || this._isKeyword(token, value)) && token.value === value) {
+            this._next(state);
+            return true;
+        }
+        return false;
+    }
+
+    static _expect(state, value) {
+        if (!this._accept(state, value)) {
+            const token = this._peek(state);
+            state.errors.push({ message: `Expected '${value}' but found '${token.value || 'end of expression'}'`, pos: token.pos });
+        }
+    }
+
+    static _parseExpression(state) {
+        return this._parseBinary(state, 0);
+    }
+
+    static _parseBinary(state, minPrecedence) {
+        let left = this._parseUnary(state);
+        for (;;) {
+            const token = this._peek(state);
+            const isOp = token.type === 'op' || (token.type === 'ident' && ['and', 'or', 'is', 'as', 'meta'].includes(token.value));
+            const precedence = isOp ? MExpressionParser.BINARY_PRECEDENCE[token.value] : undefined;
+            if (precedence === undefined || precedence <= minPrecedence) return left;
+            this._next(state);
+            let right;
+            if (token.value === 'is' || token.value === 'as') {
+                if (this._peek(state).value === 'nullable') this._next(state);
+                right = this._parsePrimary(state);
+            } else {
+                right = this._parseBinary(state, precedence);
+            }
+            left = { type: 'Binary', operator: token.value, left, right, pos: token.pos };
+        }
+    }
+
+    static _parseUnary(state) {
+        const token = this._peek(state);
+        if ((token.type === 'op' && (token.value === '-' || token.value === '+')) || this._isKeyword(token, 'not')) {
+            this._next(state);
+            return { type: 'Unary', operator: token.value, operand: this._parseUnary(state), pos: token.pos };
+        }
+        return this._parsePostfix(state, this._parsePrimary(state));
+    }
+
+    /**
+     * Invocations f(…), item access x{…}, field access x[…] and projection x[[…], […]], each optionally `?`
+     */
+    static _parsePostfix(state, node) {
+        for (;;) {
+            const token = this._peek(state);
+            if (token.type !== 'punct') return node;
+            if (token.value === '(') {
+                this._next(state);
+                node = { type: 'Invoke', callee: node, args: this._parseList(state, ')'), pos: token.pos };
+            } else if (token.value === '{') {
+                this._next(state);
+                const key = this._parseExpression(state);
+                this._expect(state, '}');
+                node = { type: 'ItemAccess', target: node, key, optional: this._accept(state, '?'), pos: token.pos };
+            } else if (token.value === '[') {
+                const access = this._parseFieldAccess(state);
+                access.target = node;
+                node = access;
+            } else {
+                return node;
+            }
+        }
+    }
+
+    static _parsePrimary(state) {
+        const token = this._peek(state);
+
+        if (token.type === 'string') {
+            this._next(state);
+            return { type: 'Literal', dataType: 'text', value: token.value, pos: token.pos };
+        }
+        if (token.type === 'number') {
+            this._next(state);
+            return { type: 'Literal', dataType: 'number', value: Number(token.value), pos: token.pos };
+        }
+        if (token.type === 'quoted') {
+            this._next(state);
+            return { type: 'Identifier', name: token.value, quoted: true, pos: token.pos };
+        }
+        if (token.type === 'ident') {
+            switch (token.value) {
+            case 'true': case 'false':
+                this._next(state);
+                return { type: 'Literal', dataType: 'logical', value: token.value === 'true', pos: token.pos };
+            case 'null':
+                this._next(state);
+                return { type: 'Literal', dataType: 'null', value: null, pos: token.pos };
+            case 'let': return this._parseLet(state);
+            case 'if': {
+                this._next(state);
+                const condition = this._parseExpression(state);
+                this._expect(state, 'then');
+                const then = this._parseExpression(state);
+                this._expect(state, 'else');
+                return { type: 'If', condition, then, else: this._parseExpression(state), pos: token.pos };
+            }
+            case 'each':
+                this._next(state);
+                return { type: 'Each', body: this._parseExpression(state), pos: token.pos };
+            case 'try': {
+                this._next(state);
+                const body = this._parseExpression(state);
+                const otherwise = this._accept(state, 'otherwise') || this._accept(state, 'catch') ? this._parseExpression(state) : null;
+                return { type: 'Try', body, otherwise, pos: token.pos };
+            }
+            case 'error':
+                this._next(state);
+                return { type: 'Error', body: this._parseExpression(state), pos: token.pos };
+            case 'type':
+                this._next(state);
+                return { type: 'Type', value: this._parseTypeValue(state), pos: token.pos };
+            default:
+                if (MExpressionParser.KEYWORDS.has(token.value)) break;
+                this._next(state);
+                return { type: 'Identifier', name: token.value, quoted: false, pos: token.pos };
+            }
+        }
+        if (token.type === 'punct' && token.value === '(') {
+            if (this._isFunctionStart(state)) return this._parseFunction(state);
+            this._next(state);
+            const inner = this._parseExpression(state);
+            this._expect(state, ')');
+            return inner;
+        }
+        if (token.type === 'punct' && token.value === '{') {
+            this._next(state);
+            return { type: 'List', items: this._parseList(state, '}'), pos: token.pos };
+        }
+        if (token.type === 'punct' && token.value === '[') {
+            return this._isRecordStart(state) ? this._parseRecord(state) : this._parseFieldAccess(state);
+        }
+        if (token.type === 'op' && token.value === '@') {
+            this._next(state);
+            return this._parsePrimary(state);
+        }
+        if (token.type === 'op' && token.value === '...') {
+            this._next(state);
+            return { type: 'Literal', dataType: 'notImplemented', value: '...', pos: token.pos };
+        }
+
+        state.errors.push({ message: `Unexpected '${token.value || 'end of expression'}'`, pos: token.pos });
+        // Leave closing brackets and separators for the enclosing list, record or let to recover on
+        if (token.type !== 'eof' && !(token.type === 'punct' && ')]},;'.includes(token.value)) && !MExpressionParser.KEYWORDS.has(token.value)) {
+            this._next(state);
+        }
+        return { type: 'Literal', dataType: 'null', value: null, pos: token.pos };
+    }
+
+    static _parseLet(state) {
+        const pos = this._next(state).pos;
+        const bindings = [];
+        while (this._peek(state).type !== 'eof' && !this._isKeyword(this._peek(state), 'in')) {
+            const name = this._peek(state);
+            if (name.type !== 'ident' && name.type !== 'quoted') {
+                state.errors.push({ message: `Expected a step name but found '${name.value}'`, pos: name.pos });
+                break;
+            }
+            this._next(state);
+            this._expect(state, '=');
+            const start = this._peek(state).pos;
+            const value = this._parseExpression(state);
+            bindings.push({ name: name.value, value, start, end: Math.max(start, state.lastEnd) });
+            if (!this._accept(state, ',')) break;
+        }
+        this._expect(state, 'in');
+        return { type: 'Let', bindings, body: this._parseExpression(state), pos };
+    }
+
+    /**
+     * Comma-separated expressions up to the closing bracket (invocation arguments, list items)
+     */
+    static _parseList(state, close) {
+        const items = [];
+        if (this._accept(state, close)) return items;
+        for (;;) {
+            const start = this._peek(state).pos;
+            let item = this._parseExpression(state);
+            if (this._accept(state, '..')) item = { type: 'Range', from: item, to: this._parseExpression(state), pos: item.pos };
+            item.start = start;
+            item.end = Math.max(start, state.lastEnd);
+            items.push(item);
+            if (!this._accept(state, ',')) break;
+        }
+        this._expect(state, close);
+        return items;
+    }
+
+    /**
+     * `[` opens a record when a field name followed by `=` comes before the first top-level `,` or `]`
+     */
+    static _isRecordStart(state) {
+        let depth = 0;
+        for (let i = state.index + 1; i < state.tokens.length; i++) {
+            const token = state.tokens[i];
+            if (token.type === 'eof') return false;
+            if (token.type === 'punct' && '([{'.includes(token.value)) depth++;
+            else if (token.type === 'punct' && ')]}'.includes(token.value)) {
+                if (depth === 0) return false;
+                depth--;
+            } else if (depth === 0 && token.type === 'punct' && token.value === ',') return false;
+            else if (depth === 0 && token.type === 'op' && token.value === '=') return true;
+        }
+        return false;
+    }
+
+    /**
+     * Field names in records and field access are generalized identifiers: #"quoted", or any run of
+     * words such as `Unit Price` — read from the source text up to the delimiter
+     */
+    static _parseFieldName(state, delimiters) {
+        const isDelimiter = token => (token.type === 'punct' || token.type === 'op') && delimiters.includes(token.value);
+        const first = this._peek(state);
+        if (first.type === 'quoted' && isDelimiter(this._peek(state, 1))) {
+            this._next(state);
+            return first.value;
+        }
+        while (this._peek(state).type !== 'eof' && !isDelimiter(this._peek(state))) this._next(state);
+        return state.src.slice(first.pos, Math.max(first.pos, state.lastEnd)).trim();
+    }
+
+    static _parseRecord(state) {
+        const pos = this._next(state).pos;
+        const fields = [];
+        while (this._peek(state).type !== 'eof' && !this._accept(state, ']')) {
+            if (this._accept(state, '...')) continue; // open record type
+            const name = this._parseFieldName(state, ['=', ',', ']']);
+            let value = null;
+            if (this._accept(state, '=')) {
+                // Record types: [Amount = nullable number]
+                if (this._peek(state).value === 'nullable' && this._peek(state, 1).type === 'ident') this._next(state);
+                value = this._parseExpression(state);
+            }
+            fields.push({ name, value });
+            if (!this._accept(state, ',')) {
+                this._expect(state, ']');
+                break;
+            }
+        }
+        return { type: 'Record', fields, pos };
+    }
+
+    /**
+     * [Field] or [[A], [B]] — the caller sets `target` (null for the implicit `_` of an each)
+     */
+    static _parseFieldAccess(state) {
+        const pos = this._next(state).pos;
+        if (this._peek(state).value === '[') {
+            const fields = [];
+            while (this._accept(state, '[')) {
+                fields.push(this._parseFieldName(state, [']']));
+                this._expect(state, ']');
+                if (!this._accept(state, ',')) break;
+            }
+            this._expect(state, ']');
+            return { type: 'Projection', target: null, fields, optional: this._accept(state, '?'), pos };
+        }
+        const field = this._parseFieldName(state, [']']);
+        this._expect(state, ']');
+        return { type: 'FieldAccess', target: null, field, optional: this._accept(state, '?'), pos };
+    }
+
+    /**
+     * `(` starts a function when its matching `)` is followed by `=>` or an `as` return type
+     */
+    static _isFunctionStart(state) {
+        let depth = 0;
+        for (let i = state.index; i < state.tokens.length; i++) {
+            const token = state.tokens[i];
+            if (token.type === 'eof') return false;
+            if (token.type === 'punct' && '([{'.includes(token.value)) depth++;
+            else if (token.type === 'punct' && ')]}'.includes(token.value) && --depth === 0) {
+                const next = state.tokens[i + 1];
+                return next.value === '=>' || this._isKeyword(next, 'as');
+            }
+        }
+        return false;
+    }
+
+    static _parseFunction(state) {
+        const pos = this._next(state).pos;
+        const params = [];
+        while (this._peek(state).type !== 'eof' && !this._accept(state, ')')) {
+            if (this._peek(state).value === 'optional' && ['ident', 'quoted'].includes(this._peek(state, 1).type)) this._next(state);
+            params.push(this._next(state).value);
+            if (this._accept(state, 'as')) {
+                if (this._peek(state).value === 'nullable') this._next(state);
+                this._parsePrimary(state);
+            }
+            if (!this._accept(state, ',')) {
+                this._expect(state, ')');
+                break;
+            }
+        }
+        if (this._accept(state, 'as')) {
+            if (this._peek(state).value === 'nullable') this._next(state);
+            this._parsePrimary(state);
+        }
+        this._expect(state, '=>');
+        return { type: 'Function', params, body: this._parseExpression(state), pos };
+    }
+
+    /**
+     * The type after `type`: a primitive (nullable number), or table / record / list with its shape
+     */
+    static _parseTypeValue(state) {
+        if (this._peek(state).value === 'nullable') this._next(state);
+        const token = this._peek(state);
+        if (token.type === 'ident' && ['table', 'record', 'list'].includes(token.value)) {
+            const next = this._peek(state, 1).value;
+            if (next === '[' || next === '{') {
+                this._next(state);
+                return next === '[' ? this._parseRecord(state) : { type: 'List', items: (this._next(state), this._parseList(state, '}')), pos: token.pos };
+            }
+        }
+        if (token.type === 'punct' && token.value === '[') return this._parseRecord(state);
+        return this._parsePrimary(state);
+    }
+
+    /**
+     * Visit every AST node depth-first in source order
+     */
+    static _walk(node, visit) {
+        if (!node || typeof node !== 'object') return;
+        if (Array.isArray(node)) {
+            for (const item of node) this._walk(item, visit);
+            return;
+        }
+        if (node.type) visit(node);
+        for (const key of Object.keys(node)) {
+            const value = node[key];
+            if (value && typeof value === 'object') this._walk(value, visit);
+        }
+    }
+
+    /**
+     * Function name of an invocation (Table.AddColumn, or a query function such as #"fn Clean")
+     */
+    static _calleeName(node) {
+        return node?.type === 'Invoke' && node.callee?.type === 'Identifier' ? node.callee.name : null;
+    }
+
+    static _stringArg(node) {
+        return node?.type === 'Literal' && typeof node.value === 'string' ? node.value : null;
+    }
+
+    /**
+     * String items of a { … } list, or the string itself when a single name is passed
+     */
+    static _stringArgs(node) {
+        if (!node) return [];
+        if (node.type === 'List') return node.items.map(item => this._stringArg(item)).filter(s => s !== null);
+        const single = this._stringArg(node);
+        return single === null ? [] : [single];
     }
 }
 
+/**
+ * Column lineage kinds, strongest first: the step kinds that make a column that kind
+ */
+MExpressionParser.COLUMN_LINEAGE_KINDS = {
+    aggregated: ['Group'],
+    unpivoted: ['Unpivot'],
+    computed: ['AddColumn'],
+    expanded: ['Expand', 'Join'],
+    combined: ['Combine'],
+    renamed: ['Rename', 'Duplicate']
+};
+
+/**
+ * Connector functions extractDataSources() recognises: the source type and which field each
+ * positional argument fills. `file` connectors read their path from a File.Contents(...) argument
+ */
+MExpressionParser.CONNECTORS = {
+    'Sql.Database': { type: 'SQL Server', args: ['server', 'database'] },
+    'Sql.Databases': { type: 'SQL Server', args: ['server', 'database'] },
+    'AnalysisServices.Database': { type: 'Analysis Services', args: ['server', 'database'] },
+    'OData.Feed': { type: 'OData', args: ['url'] },
+    'Web.Contents': { type: 'Web', args: ['url'] },
+    'SharePoint.Tables': { type: 'SharePoint Tables', args: ['url'] },
+    'SharePoint.Files': { type: 'SharePoint Files', args: ['url'] },
+    'Excel.Workbook': { type: 'Excel', args: ['path'], file: true },
+    'Csv.Document': { type: 'CSV', args: ['path'], file: true },
+    'AzureStorage.Blobs': { type: 'Azure Blob Storage', args: ['url'] },
+    'Dataverse.Contents': { type: 'Dataverse', args: ['url'] },
+    'Snowflake.Databases': { type: 'Snowflake', args: ['server', 'database'] },
+    'Oracle.Database': { type: 'Oracle', args: ['server'] },
+    'GoogleBigQuery.Database': { type: 'Google BigQuery', args: ['server'] },
+    'PostgreSQL.Database': { type: 'PostgreSQL', args: ['server', 'database'] },
+    'MySQL.Database': { type: 'MySQL', args: ['server', 'database'] },
+    'Teradata.Database': { type: 'Teradata', args: ['server'] },
+    'SapHana.Database': { type: 'SAP HANA', args: ['server'] },
+    'Odbc.DataSource': { type: 'ODBC', args: ['server'] },
+    'Odbc.Query': { type: 'ODBC', args: ['server'] },
+    'PowerBI.Dataflows': { type: 'Power BI Dataflow', args: [] },
+    'AzureDataExplorer.Contents': { type: 'Azure Data Explorer', args: ['server', 'database'] },
+    'Kusto.Contents': { type: 'Azure Data Explorer', args: ['server', 'database'] },
+    'Lakehouse.Contents': { type: 'Fabric Lakehouse', args: [] },
+    'Fabric.Warehouse': { type: 'Fabric Warehouse', args: ['server'] },
+    'Databricks.Catalogs': { type: 'Databricks', args: ['server'] }
+};
+
+// Function families whose invocation makes a step a Source step
+MExpressionParser.SOURCE_FUNCTIONS = /^(?:Sql|GoogleBigQuery|AzureDataExplorer|Kusto|Lakehouse|Fabric|Databricks|Snowflake|PostgreSQL|MySQL|Teradata|SapHana|Odbc|Oracle|Excel|Csv|OData|SharePoint|PowerBI|Web|AnalysisServices|AzureStorage|Dataverse)\.|^Value\.NativeQuery$/i;
+
+// Table.* functions → M-step kind; any other step is Custom
+MExpressionParser.STEP_KINDS = {
+    'Table.SelectColumns': 'Projection',
+    'Table.RemoveColumns': 'Projection',
+    'Table.ReorderColumns': 'Projection',
+    'Table.RenameColumns': 'Rename',
+    'Table.SelectRows': 'Filter',
+    'Table.NestedJoin': 'Join',
+    'Table.Join': 'Join',
+    'Table.FuzzyNestedJoin': 'Join',
+    'Table.FuzzyJoin': 'Join',
+    'Table.Combine': 'Join',
+    'Table.AddColumn': 'AddColumn',
+    'Table.TransformColumnTypes': 'TypeChange',
+    'Table.ExpandTableColumn': 'Expand',
+    'Table.ExpandRecordColumn': 'Expand',
+    'Table.ExpandListColumn': 'Expand'
+};
+
+// Functions that merge queries → the query dependency edge type of their table arguments
+MExpressionParser.QUERY_MERGE_FUNCTIONS = {
+    'Table.Combine': 'combine',
+    'Table.NestedJoin': 'join',
+    'Table.Join': 'join',
+    'Table.FuzzyNestedJoin': 'join',
+    'Table.FuzzyJoin': 'join'
+};
+
+// Source types whose connectors fold Power Query steps into the source's own query language
+MExpressionParser.FOLDING_SOURCES = new Set([
+    'SQL Server', 'Oracle', 'PostgreSQL', 'MySQL', 'Snowflake', 'Google BigQuery', 'Databricks',
+    'Teradata', 'SAP HANA', 'Fabric Lakehouse', 'Fabric Warehouse', 'Azure Data Explorer'
+]);
+
+// Library functions that stop query folding for relational sources
+MExpressionParser.FOLDING_BREAKERS = {
+    'Table.Buffer': 'buffers the rows in memory',
+    'Table.AddIndexColumn': 'index columns have no SQL equivalent',
+    'Table.FillDown': 'depends on row order',
+    'Table.FillUp': 'depends on row order',
+    'Table.Transpose': 'has no SQL equivalent',
+    'Table.PromoteHeaders': 'has no SQL equivalent',
+    'Table.ReverseRows': 'depends on row order',
+    'Table.AlternateRows': 'depends on row order',
+    'Table.Repeat': 'has no SQL equivalent',
+    'Table.FuzzyNestedJoin': 'fuzzy matching runs in the mashup engine',
+    'Table.FuzzyJoin': 'fuzzy matching runs in the mashup engine',
+    'List.Buffer': 'buffers the list in memory'
+};
+
+// Reserved words of the M language (a quoted #"…" identifier is never one)
+MExpressionParser.KEYWORDS = new Set([
+    'and', 'as', 'each', 'else', 'error', 'false', 'if', 'in', 'is', 'let', 'meta', 'not', 'null',
+    'or', 'otherwise', 'section', 'shared', 'then', 'true', 'try', 'type', 'catch'
+]);
+
+// Binary operator precedence, loosest first (unary +, -, not bind tighter than all of these)
+MExpressionParser.BINARY_PRECEDENCE = {
+    '??': 1, 'or': 2, 'and': 3, 'is': 4, 'as': 5, '=': 6, '<>': 6,
+    '<': 7, '>': 7, '<=': 7, '>=': 7, '+': 8, '-': 8, '&': 8, '*': 9, '/': 9, 'meta': 10
+};
+
 // Export
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = MExpressionParser;
@@ -0,0 +1,221 @@
+/**
+ * Measure Health Module
+ * Complexity metrics and performance smells per measure, read from the DAX parser's AST,
+ * rolled up into a score so the worst measures can be refactored first
+ */
+
+class MeasureHealth {
+    /**
+     * @param {Object} model - Parsed TMDL model from TMDLParser
+     * @param {LineageEngine} lineageEngine - Built lineage graph (optional; dependency depth is 0 without it)
+     */
+    constructor(model, lineageEngine) {
+        this.model = model;
+        this.engine = lineageEngine || null;
+        this.result = null;
+        this._byMeasure = new Map();
+    }
+
+    /**
+     * Score every measure, worst first
+     * @returns {Object} { measures, summary }
+     *   Each measure: { table, name, label, score, level: 'healthy'|'review'|'refactor', metrics, smells: [{ id, label, hint, value, points }] }
+     */
+    analyze() {
+        const context = DAXParser.modelContext(this.model.tables);
+        // Fact tables are where row-by-row RELATED lookups get expensive
+        const factTables = TMDLParser.factTables(this.model);
+        const measures = [];
+
+        for (const table of this.model.tables) {
+            for (const measure of table.measures) {
+                if (!measure.expression) continue;
+                const metrics = MeasureHealth.measureMetrics(measure.expression, context, factTables);
+                metrics.dependencyDepth = this.engine?.measureLookup ? this.engine.getMeasureChainDepth(measure.name) : 0;
+
+                const smells = [];
+                for (const check of MeasureHealth.CHECKS) {
+                    const value = metrics[check.metric];
+                    const points = Math.max(0, value - check.allowance) * check.weight;
+                    if (points > 0) smells.push({ id: check.id, label: check.label, hint: check.hint, value, points });
+                }
+                const score = smells.reduce((s, smell) => s + smell.points, 0);
+                const entry = {
+                    table: table.name,
+                    name: measure.name,
+                    label: `[${measure.name}]`,
+                    score,
+                    level: MeasureHealth.level(score),
+                    metrics,
+                    smells
+                };
+                measures.push(entry);
+                this._byMeasure.set(`${table.name}|${measure.name}`, entry);
+            }
+        }
+
+        measures.sort((a, b) => b.score - a.score || a.label.localeCompare(b.label));
+
+        const count = level => measures.filter(m => m.level === level).length;
+        this.result = {
+            measures,
+            summary: {
+                measures: measures.length,
+                healthy: count('healthy'),
+                review: count('review'),
+                refactor: count('refactor'),
+                needsAttention: measures.length - count('healthy')
+            }
+        };
+        return this.result;
+    }
+
+    /**
+     * @returns {Object|null} The analyzed entry for one measure
+     */
+    getMeasure(tableName, measureName) {
+        if (!this.result) this.analyze();
+        return this._byMeasure.get(`${tableName}|${measureName}`) || null;
+    }
+
+    /**
+     * 'healthy' at 0 points, 'review' below the refactor threshold, 'refactor' from there on
+     */
+    static level(score) {
+        if (score === 0) return 'healthy';
+        return score < MeasureHealth.REFACTOR_SCORE ? 'review' : 'refactor';
+    }
+
+    /**
+     * Raw counts for one DAX expression
+     * @param {string} dax
+     * @param {Object} context - DAXParser.modelContext() of the model (optional)
+     * @param {Set<string>} factTables - Tables on the many side of a relationship
+     * @returns {Object} { nestingDepth, calculateCount, iteratorCount, filterAllTables, relatedInFactIterators,
+     *   iferrorCount, divisionOperators, unusedVariables, unusedVariableNames, parseErrors }
+     */
+    static measureMetrics(dax, context = {}, factTables = new Set()) {
+        const ast = DAXParser.parse(dax);
+        // Qualifies identifiers (table vs variable vs keyword) so whole-table arguments can be told apart
+        DAXParser.references(ast, context);
+
+        const metrics = {
+            nestingDepth: 0,
+            calculateCount: 0,
+            iteratorCount: 0,
+            filterAllTables: 0,
+            relatedInFactIterators: 0,
+            iferrorCount: 0,
+            divisionOperators: 0,
+            unusedVariables: 0,
+            unusedVariableNames: [],
+            parseErrors: ast.errors.length
+        };
+        const scope = { vars: new Map(), rows: [], group: null };
+
+        const visit = (node, depth) => {
+            if (!node) return;
+            if (node.type === 'FunctionCall') {
+                depth++;
+                metrics.nestingDepth = Math.max(metrics.nestingDepth, depth);
+                if (node.name === 'CALCULATE' || node.name === 'CALCULATETABLE') metrics.calculateCount++;
+                if (node.name === 'IFERROR' || node.name === 'ISERROR') metrics.iferrorCount++;
+                if (node.name in DAXParser.ITERATORS) {
+                    metrics.iteratorCount++;
+                    const tableArg = node.args[DAXParser.ITERATORS[node.name]];
+                    if (node.name === 'FILTER' && MeasureHealth._isWholeTable(tableArg)) metrics.filterAllTables++;
+                    const base = DAXParser._shape(tableArg, scope, context).base;
+                    if (base && factTables.has(base) && node.args.some(arg => arg !== tableArg && MeasureHealth._calls(arg, 'RELATED'))) {
+                        metrics.relatedInFactIterators++;
+                    }
+                }
+            }
+            if (node.type === 'BinaryOp' && node.operator === '/' && !MeasureHealth._isConstant(node.right)) {
+                metrics.divisionOperators++;
+            }
+            if (node.type === 'VarBlock') {
+                node.vars.forEach((v, i) => {
+                    const later = [...node.vars.slice(i + 1).map(w => w.expression), node.body];
+                    if (!later.some(expr => MeasureHealth._mentions(expr, v.name.toLowerCase()))) {
+                        metrics.unusedVariableNames.push(v.name);
+                    }
+                });
+            }
+            for (const child of MeasureHealth._children(node)) visit(child, depth);
+        };
+        visit(ast.body, 0);
+
+        metrics.unusedVariables = metrics.unusedVariableNames.length;
+        return metrics;
+    }
+
+    // ──────────────────────────────────────────────
+    // AST HELPERS
+    // ──────────────────────────────────────────────
+
+    static _children(node) {
+        switch (node.type) {
+            case 'VarBlock': return [...node.vars.map(v => v.expression), node.body];
+            case 'FunctionCall': return node.args;
+            case 'BinaryOp': return [node.left, node.right];
+            case 'UnaryOp': return [node.operand];
+            case 'Tuple': return node.items;
+            case 'TableConstructor': return node.rows.flat();
+            default: return [];
+        }
+    }
+
+    /**
+     * A table name, or ALL/ALLSELECTED/ALLNOBLANKROW of one — every row of the table, every column
+     */
+    static _isWholeTable(node) {
+        if (!node) return false;
+        if (node.type === 'TableRef' || (node.type === 'Identifier' && node.kind === 'table')) return true;
+        return ['ALL', 'ALLSELECTED', 'ALLNOBLANKROW'].includes(node.name) && node.args.length === 1
+            && MeasureHealth._isWholeTable(node.args[0]);
+    }
+
+    static _calls(node, functionName) {
+        if (!node) return false;
+        if (node.type === 'FunctionCall' && node.name === functionName) return true;
+        return MeasureHealth._children(node).some(child => MeasureHealth._calls(child, functionName));
+    }
+
+    static _mentions(node, lowerName) {
+        if (!node) return false;
+        if (node.type === 'Identifier' && node.name.toLowerCase() === lowerName) return true;
+        if (node.type === 'ColumnRef' && node.table.toLowerCase() === lowerName) return true;
+        return MeasureHealth._children(node).some(child => MeasureHealth._mentions(child, lowerName));
+    }
+
+    static _isConstant(node) {
+        if (!node) return false;
+        if (node.type === 'Literal') return true;
+        if (node.type === 'UnaryOp') return MeasureHealth._isConstant(node.operand);
+        if (node.type === 'BinaryOp') return MeasureHealth._isConstant(node.left) && MeasureHealth._isConstant(node.right);
+        return false;
+    }
+}
+
+// Score at which a measure is flagged for refactoring rather than review
+MeasureHealth.REFACTOR_SCORE = 10;
+
+/**
+ * Each check turns one metric into points: (value − allowance) × weight, never below 0
+ */
+MeasureHealth.CHECKS = [
+    { id: 'nesting', metric: 'nestingDepth', allowance: 4, weight: 2, label: 'Deep nesting', hint: 'Break nested function calls into variables.' },
+    { id: 'calculate', metric: 'calculateCount', allowance: 2, weight: 1, label: 'Many CALCULATEs', hint: 'Each CALCULATE is a context transition; consider splitting into base measures.' },
+    { id: 'iterators', metric: 'iteratorCount', allowance: 2, weight: 2, label: 'Many iterators', hint: 'Nested iterators multiply the rows the engine has to scan.' },
+    { id: 'filter-table', metric: 'filterAllTables', allowance: 0, weight: 5, label: 'FILTER over a whole table', hint: 'Filter the column instead: FILTER(ALL(Table[Column]), …) or a plain CALCULATE predicate.' },
+    { id: 'related-fact', metric: 'relatedInFactIterators', allowance: 0, weight: 3, label: 'RELATED inside a fact-table iterator', hint: 'A lookup per fact row; move the column to the fact table or iterate the dimension.' },
+    { id: 'iferror', metric: 'iferrorCount', allowance: 0, weight: 4, label: 'IFERROR / ISERROR', hint: 'Error handling disables optimizations; test the condition (or use DIVIDE) instead.' },
+    { id: 'division', metric: 'divisionOperators', allowance: 0, weight: 2, label: '/ instead of DIVIDE', hint: 'DIVIDE handles a zero or blank denominator.' },
+    { id: 'unused-var', metric: 'unusedVariables', allowance: 0, weight: 1, label: 'Unused VAR', hint: 'Remove variables that are never returned or used.' },
+    { id: 'chain', metric: 'dependencyDepth', allowance: 3, weight: 2, label: 'Long dependency chain', hint: 'Many layers of measures are hard to follow and to debug.' }
+];
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MeasureHealth;
+}
@@ -92,6 +92,54 @@ class MermaidExporter {
         return this._buildFlowchartFromModel();
     }
 
+    /**
+     * Generate Mermaid flowchart LR syntax for the Power Query dependency graph:
+     * sources, parameters, functions and staging queries feeding the loaded tables.
+     */
+    generateQueryDependencyFlowchart() {
+        const graph = this.lineageEngine?.queryGraph
+            || (typeof MExpressionParser !== 'undefined' && this.parsedModel ? MExpressionParser.buildQueryDependencyGraph(this.parsedModel) : null);
+        if (!graph || graph.nodes.length === 0) return '';
+
+        const lines = ['flowchart LR'];
+        const groups = { source: 'Sources', parameter: 'Parameters', function: 'Functions', staging: 'Staging', table: 'Tables' };
+        const nodeIds = new Map(); // graph node id → safe id
+        const used = new Set();
+        for (const node of graph.nodes) {
+            let safeId = this._sanitizeId(node.id);
+            for (let n = 2; used.has(safeId); n++) safeId = `${this._sanitizeId(node.id)}_${n}`;
+            used.add(safeId);
+            nodeIds.set(node.id, safeId);
+        }
+
+        for (const [kind, groupName] of Object.entries(groups)) {
+            const nodes = graph.nodes.filter(n => n.kind === kind);
+            if (nodes.length === 0) continue;
+            lines.push(`    subgraph ${groupName}`);
+            for (const n of nodes) {
+                lines.push(`        ${nodeIds.get(n.id)}["${this._sanitizeLabel(n.name)}"]`);
+            }
+            lines.push('    end');
+        }
+
+        for (const edge of graph.edges) {
+            const from = nodeIds.get(edge.from);
+            const to = nodeIds.get(edge.to);
+            if (!from || !to) continue;
+            if (edge.type === 'parameter') {
+                lines.push(`    ${from} -.-> ${to}`);
+            } else if (edge.type === 'invoke') {
+                lines.push(`    ${from} -. "invoke(${this._sanitizeLabel((edge.args || []).join(', '))})" .-> ${to}`);
+            } else if (edge.type === 'combine' || edge.type === 'join') {
+                lines.push(`    ${from} -- ${edge.type} --> ${to}`);
+            } else {
+                lines.push(`    ${from} --> ${to}`);
+            }
+        }
+
+        return lines.join('\n');
+    }
+
     // ── Lineage: from lineageEngine ─────────────────────────────────────
 
     _buildFlowchartFromEngine() {
@@ -0,0 +1,517 @@
+/**
+ * Model Diff Module
+ * Compares two parsed semantic models (baseline vs current) and reports
+ * added / removed / changed tables, columns, measures, relationships, roles and expressions
+ */
+
+class ModelDiff {
+    /**
+     * @param {Object} baseModel - Baseline model (TMDLParser output or ModelDiff.fromJSONExport)
+     * @param {Object} currentModel - Current model in the same shape
+     */
+    constructor(baseModel, currentModel) {
+        this.baseModel = baseModel;
+        this.currentModel = currentModel;
+        this.result = null;
+    }
+
+    /**
+     * Rebuild a parsed-model shape from a DocGenerator.generateJSON() export
+     * @param {string|Object} json - Export text or already-parsed object
+     * @returns {Object} { database, model, tables, relationships, roles, expressions }
+     */
+    static fromJSONExport(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || !Array.isArray(data.tables)) {
+            throw new Error('Not a PBIP Documenter JSON export (missing "tables")');
+        }
+
+        const tables = data.tables.map(t => {
+            const table = {
+                name: t.name,
+                description: t.description || null,
+                isHidden: !!t.isHidden,
+                columns: (t.columns || []).map(({ whereUsed, ...col }) => col),
+                measures: (t.measures || []).map(({ references, visualUsage, ...m }) => m),
+                hierarchies: t.hierarchies || [],
+                partitions: t.partitions || [],
+                calculationGroup: t.calculationGroup || null,
+                refreshPolicy: t.refreshPolicy || null,
+                lineageTag: t.lineageTag || null,
+                sourceLineageTag: t.sourceLineageTag || null,
+                annotations: t.annotations || {},
+                extendedProperties: t.extendedProperties || {}
+            };
+            // Same tagging as TMDLParser.parseAll()
+            if (/^LocalDateTable_|^DateTableTemplate_/.test(table.name)) table._isAutoDate = true;
+            if (table.calculationGroup) table._isCalcGroup = true;
+            const fpExpressions = [
+                ...table.partitions.map(p => p.source || ''),
+                ...table.columns.map(c => c.expression || '')
+            ];
+            if (fpExpressions.some(expr => /\bNAMEOF\s*\(/i.test(expr))) table._isFieldParameter = true;
+            return table;
+        });
+
+        return {
+            database: {
+                name: data.overview?.databaseName || null,
+                compatibilityLevel: data.overview?.compatibilityLevel || null
+            },
+            model: { culture: data.overview?.culture || null },
+            tables,
+            relationships: data.relationships || [],
+            roles: data.roles || [],
+            expressions: data.expressions || []
+        };
+    }
+
+    /**
+     * Compare the two models
+     * @returns {Object} { baseName, currentName, tables, columns, measures, relationships, roles, expressions, summary }
+     */
+    compare() {
+        const base = this.baseModel;
+        const curr = this.currentModel;
+        const baseTables = (base.tables || []).filter(t => !t._isAutoDate);
+        const currTables = (curr.tables || []).filter(t => !t._isAutoDate);
+        const tables = this._diffTables(baseTables, currTables);
+
+        const result = {
+            baseName: base.database?.name || base.model?.name || 'Baseline',
+            currentName: curr.database?.name || curr.model?.name || 'Current',
+            tables,
+            columns: this._diffColumns(baseTables, currTables, tables),
+            measures: this._diffMeasures(baseTables, currTables),
+            relationships: this._diffRelationships(base.relationships || [], curr.relationships || []),
+            roles: this._diffRoles(base.roles || [], curr.roles || []),
+            expressions: this._diffExpressions(base.expressions || [], curr.expressions || [])
+        };
+
+        const summary = { added: 0, removed: 0, changed: 0, total: 0 };
+        for (const key of ModelDiff.CATEGORIES) {
+            summary.added += result[key].added.length;
+            summary.removed += result[key].removed.length;
+            summary.changed += result[key].changed.length;
+        }
+        summary.total = summary.added + summary.removed + summary.changed;
+        result.summary = summary;
+
+        this.result = result;
+        return result;
+    }
+
+    // ──────────────────────────────────────────────
+    // PER-OBJECT COMPARISON
+    // ──────────────────────────────────────────────
+
+    _diffTables(baseTables, currTables) {
+        return this._diffByKey(baseTables, currTables, t => t.name, t => t.name, (a, b) => {
+            const changes = this._diffProps(a, b, ['description', 'isHidden']);
+            changes.push(...this._diffMetadata(a, b));
+
+            // Partitions: mode and M/DAX source
+            const baseParts = new Map((a.partitions || []).map(p => [p.name, p]));
+            const currParts = new Map((b.partitions || []).map(p => [p.name, p]));
+            for (const [name, p] of currParts) {
+                const old = baseParts.get(name);
+                if (!old) {
+                    changes.push({ property: `partition ${name}`, from: null, to: 'added' });
+                    continue;
+                }
+                if ((old.mode || null) !== (p.mode || null)) {
+                    changes.push({ property: `partition ${name} mode`, from: old.mode || null, to: p.mode || null });
+                }
+                if (!ModelDiff._sameText(old.source, p.source)) {
+                    changes.push(this._textChange(`partition ${name} source`, old.source, p.source));
+                }
+            }
+            for (const name of baseParts.keys()) {
+                if (!currParts.has(name)) changes.push({ property: `partition ${name}`, from: 'present', to: 'removed' });
+            }
+
+            const basePolicy = a.refreshPolicy ? JSON.stringify(a.refreshPolicy) : null;
+            const currPolicy = b.refreshPolicy ? JSON.stringify(b.refreshPolicy) : null;
+            if (basePolicy !== currPolicy) {
+                changes.push({ property: 'refreshPolicy', from: basePolicy, to: currPolicy });
+            }
+            return changes;
+        });
+    }
+
+    /**
+     * Columns are compared within each pair of matched tables, including tables renamed
+     * (paired by lineageTag in the table diff). Columns of added/removed tables are reported
+     * with the table, not one by one.
+     */
+    _diffColumns(baseTables, currTables, tableDiff) {
+        const currByName = new Map(currTables.map(t => [t.name, t]));
+        const pairs = baseTables.filter(t => currByName.has(t.name)).map(t => [t, currByName.get(t.name)]);
+        for (const e of tableDiff.changed) {
+            if (e.renamedFrom) pairs.push([e.base, e.item]);
+        }
+
+        const out = { added: [], removed: [], changed: [] };
+        for (const [baseTable, currTable] of pairs) {
+            const diff = this._diffByKey(
+                baseTable.columns.map(c => ({ ...c, table: baseTable.name })),
+                currTable.columns.map(c => ({ ...c, table: currTable.name })),
+                c => `${currTable.name}|${c.name}`,
+                c => `${c.table}[${c.name}]`,
+                (a, b) => this._compareColumns(a, b)
+            );
+            out.added.push(...diff.added);
+            out.removed.push(...diff.removed);
+            out.changed.push(...diff.changed);
+        }
+
+        const byLabel = (x, y) => x.label.localeCompare(y.label);
+        out.added.sort(byLabel);
+        out.removed.sort(byLabel);
+        out.changed.sort(byLabel);
+        return out;
+    }
+
+    _compareColumns(a, b) {
+        const changes = this._diffProps(a, b, [
+            'dataType', 'formatString', 'isHidden', 'sourceColumn', 'summarizeBy',
+            'sortByColumn', 'displayFolder', 'dataCategory', 'description'
+        ]);
+        if (!ModelDiff._sameText(a.expression, b.expression)) {
+            changes.push(this._textChange('expression', a.expression, b.expression));
+        }
+        changes.push(...this._diffMetadata(a, b));
+        return changes;
+    }
+
+    _diffMeasures(baseTables, currTables) {
+        // Measure names are unique across the model, so a measure moved to another table is a change
+        const flatten = tables => tables.flatMap(t => t.measures.map(m => ({ ...m, table: t.name })));
+
+        return this._diffByKey(flatten(baseTables), flatten(currTables), m => m.name, m => `[${m.name}]`, (a, b) => {
+            const changes = [];
+            if (!ModelDiff._sameText(a.expression, b.expression)) {
+                changes.push(this._textChange('expression', a.expression, b.expression));
+            }
+            changes.push(...this._diffProps(a, b, [
+                'table', 'formatString', 'formatStringExpression', 'displayFolder', 'dataCategory', 'description'
+            ]));
+            changes.push(...this._diffMetadata(a, b));
+            return changes;
+        });
+    }
+
+    _diffRelationships(baseRels, currRels) {
+        // Identify relationships by their columns — TMDL ids are regenerated GUIDs in many tools
+        const key = r => `${r.fromTable}|${r.fromColumn}|${r.toTable}|${r.toColumn}`;
+        const label = r => `${r.fromTable}[${r.fromColumn}] → ${r.toTable}[${r.toColumn}]`;
+        const normalize = r => ({
+            ...r,
+            cardinality: r.cardinality || `${r.fromCardinality || 'many'}:${r.toCardinality || 'one'}`,
+            crossFilteringBehavior: r.crossFilteringBehavior || 'oneDirection',
+            securityFilteringBehavior: r.securityFilteringBehavior || 'oneDirection',
+            isActive: r.isActive !== false
+        });
+
+        return this._diffByKey(baseRels.map(normalize), currRels.map(normalize), key, label, (a, b) => [
+            ...this._diffProps(a, b, ['cardinality', 'isActive', 'crossFilteringBehavior', 'securityFilteringBehavior']),
+            ...this._diffMetadata(a, b)
+        ]);
+    }
+
+    _diffRoles(baseRoles, currRoles) {
+        return this._diffByKey(baseRoles, currRoles, r => r.name, r => r.name, (a, b) => {
+            const changes = this._diffProps(a, b, ['modelPermission', 'description']);
+            const baseFilters = new Map((a.tablePermissions || []).map(tp => [tp.table, tp.filterExpression]));
+            const currFilters = new Map((b.tablePermissions || []).map(tp => [tp.table, tp.filterExpression]));
+            for (const table of new Set([...baseFilters.keys(), ...currFilters.keys()])) {
+                const from = baseFilters.has(table) ? baseFilters.get(table) : null;
+                const to = currFilters.has(table) ? currFilters.get(table) : null;
+                if (!ModelDiff._sameText(from, to)) {
+                    changes.push(this._textChange(`filter on ${table}`, from, to));
+                }
+            }
+            return changes;
+        });
+    }
+
+    _diffExpressions(baseExprs, currExprs) {
+        return this._diffByKey(baseExprs, currExprs, e => e.name, e => e.name, (a, b) => {
+            const changes = this._diffProps(a, b, ['kind', 'resultType']);
+            if (!ModelDiff._sameText(a.expression, b.expression)) {
+                changes.push(this._textChange('expression', a.expression, b.expression));
+            }
+            changes.push(...this._diffMetadata(a, b));
+            return changes;
+        });
+    }
+
+    // ──────────────────────────────────────────────
+    // HELPERS
+    // ──────────────────────────────────────────────
+
+    /**
+     * Generic keyed comparison. A removed and an added item with the same lineageTag are the
+     * same object renamed: reported as changed, with a `name` change and `renamedFrom`.
+     * @returns {{ added: Array, removed: Array, changed: Array }} Entries are { key, label, item, base?, changes?, renamedFrom? }
+     */
+    _diffByKey(baseItems, currItems, keyFn, labelFn, compareFn) {
+        const baseMap = new Map(baseItems.map(i => [keyFn(i), i]));
+        const currMap = new Map(currItems.map(i => [keyFn(i), i]));
+        const out = { added: [], removed: [], changed: [] };
+
+        for (const [key, item] of currMap) {
+            const old = baseMap.get(key);
+            if (!old) {
+                out.added.push({ key, label: labelFn(item), item });
+                continue;
+            }
+            const changes = compareFn(old, item);
+            if (changes.length > 0) {
+                out.changed.push({ key, label: labelFn(item), item, base: old, changes });
+            }
+        }
+        for (const [key, item] of baseMap) {
+            if (!currMap.has(key)) out.removed.push({ key, label: labelFn(item), item });
+        }
+
+        const removedByTag = new Map(out.removed.filter(e => e.item.lineageTag).map(e => [e.item.lineageTag, e]));
+        out.added = out.added.filter(e => {
+            const old = e.item.lineageTag && removedByTag.get(e.item.lineageTag);
+            if (!old) return true;
+            removedByTag.delete(e.item.lineageTag);
+            out.removed.splice(out.removed.indexOf(old), 1);
+            out.changed.push({
+                key: e.key,
+                label: e.label,
+                item: e.item,
+                base: old.item,
+                renamedFrom: old.label,
+                changes: [{ property: 'name', from: old.label, to: e.label }, ...compareFn(old.item, e.item)]
+            });
+            return false;
+        });
+
+        const byLabel = (x, y) => x.label.localeCompare(y.label);
+        out.added.sort(byLabel);
+        out.removed.sort(byLabel);
+        out.changed.sort(byLabel);
+        return out;
+    }
+
+    _diffProps(a, b, props) {
+        const changes = [];
+        for (const prop of props) {
+            const from = a[prop] ?? null;
+            const to = b[prop] ?? null;
+            if (from !== to) changes.push({ property: prop, from, to });
+        }
+        return changes;
+    }
+
+    /**
+     * Annotation and extended property changes. Skipped when either side predates them
+     * (e.g. an older JSON export), so they do not all show up as added.
+     */
+    _diffMetadata(a, b) {
+        const changes = [];
+        for (const [bucket, label] of [['annotations', 'annotation'], ['extendedProperties', 'extendedProperty']]) {
+            if (!a[bucket] || !b[bucket]) continue;
+            for (const name of new Set([...Object.keys(a[bucket]), ...Object.keys(b[bucket])])) {
+                const fmt = v => (v === undefined ? null : typeof v === 'string' ? v : JSON.stringify(v));
+                const from = fmt(a[bucket][name]);
+                const to = fmt(b[bucket][name]);
+                if (from !== to) changes.push({ property: `${label} ${name}`, from, to });
+            }
+        }
+        return changes;
+    }
+
+    _textChange(property, from, to) {
+        return {
+            property,
+            from: from ?? null,
+            to: to ?? null,
+            textDiff: ModelDiff.diffLines(from || '', to || '')
+        };
+    }
+
+    /**
+     * Compare two expressions ignoring trailing whitespace and line-ending differences
+     */
+    static _sameText(a, b) {
+        const norm = s => (s || '').replace(/\r\n/g, '\n').split('\n').map(l => l.trimEnd()).join('\n').trim();
+        return norm(a) === norm(b);
+    }
+
+    /**
+     * Line-based diff (longest common subsequence)
+     * @param {string} oldText
+     * @param {string} newText
+     * @returns {Array<{op: string, text: string}>} op is 'same', 'add' or 'del'
+     */
+    static diffLines(oldText, newText) {
+        const a = oldText ? oldText.replace(/\r\n/g, '\n').split('\n').map(l => l.trimEnd()) : [];
+        const b = newText ? newText.replace(/\r\n/g, '\n').split('\n').map(l => l.trimEnd()) : [];
+
+        // Very large expressions: skip the LCS table and show a full replacement
+        if (a.length * b.length > 1000000) {
+            return [
+                ...a.map(text => ({ op: 'del', text })),
+                ...b.map(text => ({ op: 'add', text }))
+            ];
+        }
+
+        const n = a.length, m = b.length;
+        const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const ops = [];
+        let i = 0, j = 0;
+        while (i < n && j < m) {
+            if (a[i] === b[j]) {
+                ops.push({ op: 'same', text: a[i] }); i++; j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                ops.push({ op: 'del', text: a[i] }); i++;
+            } else {
+                ops.push({ op: 'add', text: b[j] }); j++;
+            }
+        }
+        while (i < n) ops.push({ op: 'del', text: a[i++] });
+        while (j < m) ops.push({ op: 'add', text: b[j++] });
+        return ops;
+    }
+
+    // ──────────────────────────────────────────────
+    // MARKDOWN CHANGE LOG
+    // ──────────────────────────────────────────────
+
+    /**
+     * Render the comparison as a Markdown change log
+     * @returns {string}
+     */
+    generateMarkdown() {
+        const r = this.result || this.compare();
+        const lines = [];
+
+        lines.push(`# ${r.currentName} — Change Log`);
+        lines.push('');
+        lines.push(`*Compared against **${r.baseName}** with [PBIP Documenter](https://jonathanjihwankim.github.io/pbip-documenter/) on ${new Date().toLocaleDateString()}*`);
+        lines.push('');
+
+        if (r.summary.total === 0) {
+            lines.push('No semantic changes detected.');
+            return lines.join('\n');
+        }
+
+        lines.push('## Summary');
+        lines.push('');
+        lines.push('| Object | Added | Removed | Changed |');
+        lines.push('|--------|-------|---------|---------|');
+        for (const key of ModelDiff.CATEGORIES) {
+            const c = r[key];
+            if (c.added.length + c.removed.length + c.changed.length === 0) continue;
+            lines.push(`| ${ModelDiff.CATEGORY_LABELS[key]} | ${c.added.length} | ${c.removed.length} | ${c.changed.length} |`);
+        }
+        lines.push('');
+
+        for (const key of ModelDiff.CATEGORIES) {
+            const c = r[key];
+            if (c.added.length + c.removed.length + c.changed.length === 0) continue;
+
+            lines.push(`## ${ModelDiff.CATEGORY_LABELS[key]}`);
+            lines.push('');
+            if (c.added.length > 0) {
+                lines.push('**Added**');
+                lines.push('');
+                for (const e of c.added) lines.push(`- \`${e.label}\`${this._describeItem(key, e.item)}`);
+                lines.push('');
+            }
+            if (c.removed.length > 0) {
+                lines.push('**Removed**');
+                lines.push('');
+                for (const e of c.removed) lines.push(`- \`${e.label}\`${this._describeItem(key, e.item)}`);
+                lines.push('');
+            }
+            if (c.changed.length > 0) {
+                lines.push('**Changed**');
+                lines.push('');
+                for (const e of c.changed) {
+                    lines.push(`- \`${e.label}\`${e.renamedFrom ? ` (renamed from \`${e.renamedFrom}\`)` : ''}`);
+                    const textChanges = [];
+                    for (const ch of e.changes) {
+                        if (ch.textDiff) {
+                            textChanges.push(ch);
+                            lines.push(`  - ${ch.property} changed (see diff below)`);
+                        } else {
+                            const warn = ModelDiff.isRiskyChange(key, ch) ? ' ⚠' : '';
+                            lines.push(`  - ${ch.property}: \`${ModelDiff._fmt(ch.from)}\` → \`${ModelDiff._fmt(ch.to)}\`${warn}`);
+                        }
+                    }
+                    for (const ch of textChanges) {
+                        lines.push('');
+                        lines.push(`  ${ch.property}:`);
+                        lines.push('  ```diff');
+                        for (const op of ch.textDiff) {
+                            const prefix = op.op === 'add' ? '+' : op.op === 'del' ? '-' : ' ';
+                            lines.push(`  ${prefix} ${op.text}`);
+                        }
+                        lines.push('  ```');
+                    }
+                }
+                lines.push('');
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    _describeItem(category, item) {
+        if (category === 'tables') {
+            return ` (${item.columns.length} columns, ${item.measures.length} measures)`;
+        }
+        if (category === 'columns' && item.dataType) return ` (${item.dataType})`;
+        if (category === 'measures') return ` in ${item.table}`;
+        if (category === 'relationships') {
+            return ` (${item.cardinality}${item.crossFilteringBehavior === 'bothDirections' ? ', bidirectional' : ''}${item.isActive ? '' : ', inactive'})`;
+        }
+        return '';
+    }
+
+    /**
+     * Changes that reviewers should look at twice (filter direction widening, RLS edits, data type changes)
+     */
+    static isRiskyChange(category, change) {
+        if (category === 'relationships') {
+            return (change.property === 'crossFilteringBehavior' || change.property === 'securityFilteringBehavior')
+                && change.to === 'bothDirections';
+        }
+        if (category === 'columns') return change.property === 'dataType';
+        if (category === 'roles') return change.property.startsWith('filter on');
+        return false;
+    }
+
+    static _fmt(value) {
+        if (value === null || value === undefined) return '(none)';
+        return String(value).replace(/`/g, "'");
+    }
+}
+
+ModelDiff.CATEGORIES = ['tables', 'columns', 'measures', 'relationships', 'roles', 'expressions'];
+ModelDiff.CATEGORY_LABELS = {
+    tables: 'Tables',
+    columns: 'Columns',
+    measures: 'Measures',
+    relationships: 'Relationships',
+    roles: 'Roles',
+    expressions: 'Expressions'
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ModelDiff;
+}
@@ -0,0 +1,165 @@
+/**
+ * Perspectives Module
+ * Resolves TMDL perspectives to the objects they show and scopes a parsed model
+ * down to a single perspective for the sidebar, diagrams and exports
+ */
+
+class Perspectives {
+    /**
+     * @param {Object} model - Parsed TMDL model from TMDLParser
+     * @param {string} name - Perspective name (case-insensitive)
+     * @returns {Object|null} Perspective definition
+     */
+    static find(model, name) {
+        if (!name) return null;
+        const lower = name.toLowerCase();
+        return (model.perspectives || []).find(p => p.name.toLowerCase() === lower) || null;
+    }
+
+    /**
+     * Objects a perspective shows, with includeAll tables expanded against the model
+     * @param {Object} model - Parsed TMDL model
+     * @param {Object} perspective - Entry of model.perspectives
+     * @returns {Object} { name, description, tables: [{ name, includeAll, columns, measures, hierarchies, totals }], counts, missing }
+     *   `missing` lists objects the perspective names that are not in the model (e.g. after a rename)
+     */
+    static resolve(model, perspective) {
+        const tables = [];
+        const missing = [];
+        const counts = { tables: 0, columns: 0, measures: 0, hierarchies: 0 };
+
+        for (const pt of perspective.tables) {
+            const table = model.tables.find(t => t.name === pt.name);
+            if (!table) {
+                missing.push(pt.name);
+                continue;
+            }
+
+            const pick = (items, names, label) => {
+                if (pt.includeAll) return items.map(i => i.name);
+                const known = new Set(items.map(i => i.name));
+                for (const n of names) if (!known.has(n)) missing.push(label(n));
+                return names.filter(n => known.has(n));
+            };
+            const entry = {
+                name: table.name,
+                includeAll: pt.includeAll,
+                columns: pick(table.columns, pt.columns, n => `${table.name}[${n}]`),
+                measures: pick(table.measures, pt.measures, n => `[${n}]`),
+                hierarchies: pick(table.hierarchies, pt.hierarchies, n => `${table.name} hierarchy ${n}`),
+                totals: {
+                    columns: table.columns.length,
+                    measures: table.measures.length,
+                    hierarchies: table.hierarchies.length
+                }
+            };
+            tables.push(entry);
+            counts.tables++;
+            counts.columns += entry.columns.length;
+            counts.measures += entry.measures.length;
+            counts.hierarchies += entry.hierarchies.length;
+        }
+
+        tables.sort((a, b) => a.name.localeCompare(b.name));
+        return { name: perspective.name, description: perspective.description, tables, counts, missing };
+    }
+
+    /**
+     * Copy of the model limited to one perspective. Relationships between its tables are kept even
+     * when the key columns are left out (they still filter), role filters only for its tables.
+     * Tables are shallow copies, so the full model is left untouched.
+     * @param {Object} model - Parsed TMDL model
+     * @param {string} name - Perspective name
+     * @returns {Object} Scoped model; `_perspective` holds the resolve() result against the full model
+     */
+    static scopeModel(model, name) {
+        const perspective = Perspectives.find(model, name);
+        if (!perspective) {
+            const available = (model.perspectives || []).map(p => p.name);
+            throw new Error(`Perspective "${name}" not found. Available: ${available.join(', ') || '(none)'}`);
+        }
+        const resolved = Perspectives.resolve(model, perspective);
+        const byName = new Map(resolved.tables.map(t => [t.name, t]));
+
+        const tables = [];
+        for (const table of model.tables) {
+            const entry = byName.get(table.name);
+            if (!entry) continue;
+            const columns = new Set(entry.columns);
+            const measures = new Set(entry.measures);
+            const hierarchies = new Set(entry.hierarchies);
+            tables.push({
+                ...table,
+                columns: table.columns.filter(c => columns.has(c.name)),
+                measures: table.measures.filter(m => measures.has(m.name)),
+                hierarchies: table.hierarchies.filter(h => hierarchies.has(h.name))
+            });
+        }
+
+        return {
+            ...model,
+            tables,
+            relationships: model.relationships.filter(r => byName.has(r.fromTable) && byName.has(r.toTable)),
+            roles: (model.roles || []).map(role => ({
+                ...role,
+                tablePermissions: role.tablePermissions.filter(tp => byName.has(tp.table))
+            })),
+            perspectives: [perspective],
+            _perspective: resolved
+        };
+    }
+
+    /**
+     * Keep only best-practice findings on objects that are in the scoped model
+     * @param {Object} result - BPAEngine.run() result for the full model
+     * @param {Object} scopedModel - Result of scopeModel()
+     * @returns {Object} Same shape, counts recomputed
+     */
+    static scopeBPAResults(result, scopedModel) {
+        if (!result) return null;
+        const tables = new Map(scopedModel.tables.map(t => [t.name, t]));
+        const relationships = new Set(scopedModel.relationships.map(r =>
+            `${r.fromTable}[${r.fromColumn}] → ${r.toTable}[${r.toColumn}]`));
+
+        const findings = result.findings.filter(f => {
+            if (f.objectType === 'relationship') return relationships.has(f.label);
+            const table = tables.get(f.table);
+            if (!table) return false;
+            if (f.objectType === 'column') return table.columns.some(c => c.name === f.name);
+            if (f.objectType === 'measure') return table.measures.some(m => m.name === f.name);
+            return true;
+        });
+
+        const counts = { error: 0, warning: 0, info: 0, total: findings.length };
+        for (const f of findings) counts[f.severity]++;
+        return { ...result, findings, counts };
+    }
+
+    /**
+     * Which perspectives show each table, for the coverage matrix
+     * @param {Object} model - Parsed TMDL model
+     * @returns {Array} [{ table, cells: { [perspective]: 'all'|'partial'|null } }], auto-date tables excluded
+     */
+    static tableMatrix(model) {
+        const resolved = (model.perspectives || []).map(p => Perspectives.resolve(model, p));
+        return model.tables.filter(t => !t._isAutoDate).map(table => {
+            const cells = {};
+            for (const r of resolved) {
+                const entry = r.tables.find(t => t.name === table.name);
+                if (!entry) {
+                    cells[r.name] = null;
+                } else {
+                    const shown = entry.columns.length + entry.measures.length + entry.hierarchies.length;
+                    const total = entry.totals.columns + entry.totals.measures + entry.totals.hierarchies;
+                    cells[r.name] = shown === total ? 'all' : 'partial';
+                }
+            }
+            return { table: table.name, cells };
+        });
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Perspectives;
+}
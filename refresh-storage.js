@@ -0,0 +1,263 @@
+/**
+ * Refresh & Storage Module
+ * Storage mode, partitions and incremental refresh set-up per table: the policy's archive and
+ * refresh windows, whether the M query really filters on RangeStart/RangeEnd, and the steps
+ * around that filter that are likely to stop query folding
+ */
+
+class RefreshStorage {
+    /**
+     * @param {Object} model - Parsed TMDL model from TMDLParser
+     * @param {Date} [today] - Refresh date the policy windows are laid out from
+     * @param {Map} [folding] - tableName → MExpressionParser.analyzeFolding() result, e.g. the lineage
+     *   engine's; worked out from the model when not given
+     * @returns {Object} { tables: [entry], parameters, summary }
+     *   entry: { table, storageMode, partitions, refreshPolicy, window, rangeFilter, foldingRisks, issues }
+     *   issues: [{ severity: 'error'|'warning'|'info', message }]
+     *   summary: { tables, policies, modes: { [storageMode]: count }, errors, warnings }
+     */
+    static analyze(model, today = new Date(), folding = null) {
+        const parameters = RefreshStorage.rangeParameters(model);
+        const expressionBodies = {};
+        for (const expr of (model.expressions || [])) {
+            if (expr.name && expr.expression) expressionBodies[expr.name] = expr.expression;
+        }
+        // Folding comes from the same analysis as the step badges in Table Detail
+        if (!folding) folding = typeof MExpressionParser !== 'undefined' ? MExpressionParser.analyzeFoldingFromModel(model) : new Map();
+
+        const tables = model.tables.filter(t => !t._isAutoDate).map(table => {
+            const policy = table.refreshPolicy || null;
+            const mSource = policy?.sourceExpression
+                || (table.partitions || []).find(p => (p.sourceType === 'm' || !p.sourceType) && p.source)?.source
+                || null;
+            const rangeFilter = RefreshStorage.rangeFilter(mSource, expressionBodies);
+            const entry = {
+                table: table.name,
+                storageMode: RefreshStorage.storageMode(table),
+                partitions: (table.partitions || []).map(p => ({
+                    name: p.name,
+                    mode: p.mode || null,
+                    sourceType: p.sourceType || null,
+                    lastRefreshState: p.lastRefreshState || null
+                })),
+                refreshPolicy: policy,
+                window: policy ? RefreshStorage.policyWindow(policy, today) : null,
+                rangeFilter,
+                foldingRisks: RefreshStorage._foldingRisks(folding.get(table.name), rangeFilter),
+                issues: []
+            };
+            RefreshStorage._checkTable(entry, parameters);
+            return entry;
+        });
+
+        const modes = {};
+        for (const t of tables) modes[t.storageMode] = (modes[t.storageMode] || 0) + 1;
+        const issues = tables.flatMap(t => t.issues);
+        return {
+            tables,
+            parameters,
+            summary: {
+                tables: tables.length,
+                policies: tables.filter(t => t.refreshPolicy).length,
+                modes,
+                errors: issues.filter(i => i.severity === 'error').length,
+                warnings: issues.filter(i => i.severity === 'warning').length
+            }
+        };
+    }
+
+    /**
+     * Storage mode of a table from its partitions: import, directQuery, dual, directLake,
+     * hybrid (an incremental policy that keeps the latest period in DirectQuery) or mixed
+     */
+    static storageMode(table) {
+        if (table.refreshPolicy?.mode === 'hybrid') return 'hybrid';
+        const modes = [...new Set((table.partitions || []).map(p => p.mode).filter(Boolean))];
+        if (modes.length > 1) return 'mixed';
+        if (modes.length === 1) return modes[0];
+        return (table.partitions || []).some(p => p.sourceType === 'entity') ? 'directLake' : 'import';
+    }
+
+    /**
+     * Archive and refresh windows of a policy, laid out the way the service creates partitions:
+     * rows are kept from `rollingWindowPeriods` whole periods before the current one, and the last
+     * `incrementalPeriods` periods (the current one included) are refreshed; the rest is archive
+     * @param {Object} policy - table.refreshPolicy
+     * @param {Date} today
+     * @returns {Object|null} { archiveStart, refreshStart, end, archiveDays, refreshDays } — ISO dates;
+     *   null when the policy has no usable periods
+     */
+    static policyWindow(policy, today = new Date()) {
+        const { rollingWindowPeriods: rolling, rollingWindowGranularity: rollingUnit,
+            incrementalPeriods: incremental, incrementalGranularity: incrementalUnit } = policy;
+        if (!(rolling > 0) || !(incremental > 0) || !(rollingUnit in RefreshStorage.GRANULARITY_MONTHS)
+            || !(incrementalUnit in RefreshStorage.GRANULARITY_MONTHS)) return null;
+
+        const day = new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()));
+        const end = RefreshStorage._addPeriods(RefreshStorage._periodStart(day, incrementalUnit), 1, incrementalUnit);
+        const refreshStart = RefreshStorage._addPeriods(end, -incremental, incrementalUnit);
+        const archiveStart = RefreshStorage._addPeriods(RefreshStorage._periodStart(day, rollingUnit), -rolling, rollingUnit);
+        const days = (from, to) => Math.round((to - from) / 86400000);
+        const iso = d => d.toISOString().slice(0, 10);
+        return {
+            archiveStart: iso(archiveStart),
+            refreshStart: iso(refreshStart),
+            end: iso(end),
+            archiveDays: Math.max(0, days(archiveStart, refreshStart)),
+            refreshDays: days(refreshStart, end)
+        };
+    }
+
+    /**
+     * Where and how an M query filters on RangeStart/RangeEnd. Follows a query that only
+     * references a shared expression into that expression
+     * @param {string} mExpr - Policy source expression or partition source
+     * @param {Object} [expressionBodies] - Shared expression name → M text
+     * @returns {Object|null} { usesRangeStart, usesRangeEnd, step, stepKind, startOperator, endOperator }
+     *   startOperator/endOperator read as `column <op> RangeStart` (mirrored comparisons are flipped)
+     */
+    static rangeFilter(mExpr, expressionBodies = {}) {
+        if (!mExpr || typeof MExpressionParser === 'undefined') return null;
+        const refName = MExpressionParser._extractSharedExpressionRef(mExpr);
+        const text = refName && expressionBodies[refName] ? expressionBodies[refName] : mExpr;
+
+        const ast = MExpressionParser.parse(text);
+        const bindings = ast.body?.type === 'Let' ? ast.body.bindings : [{ name: null, value: ast.body }];
+        const result = { usesRangeStart: false, usesRangeEnd: false, step: null, stepKind: null, startOperator: null, endOperator: null };
+
+        bindings.forEach(binding => {
+            MExpressionParser._freeIdentifiers(binding.value, (id, ancestors) => {
+                if (id.name !== 'RangeStart' && id.name !== 'RangeEnd') return;
+                const isStart = id.name === 'RangeStart';
+                if (isStart) result.usesRangeStart = true; else result.usesRangeEnd = true;
+                if (!result.step) {
+                    result.step = binding.name;
+                    result.stepKind = MExpressionParser._classifyStepKind(binding.value);
+                }
+                // The comparison around it, looking through conversions such as Date.From(RangeStart)
+                let side = id;
+                let k = ancestors.length - 1;
+                while (ancestors[k]?.type === 'Invoke') side = ancestors[k--];
+                const comparison = ancestors[k];
+                if (comparison?.type !== 'Binary' || !RefreshStorage.MIRRORED_OPERATORS[comparison.operator]) return;
+                const operator = comparison.left === side ? RefreshStorage.MIRRORED_OPERATORS[comparison.operator] : comparison.operator;
+                if (isStart) result.startOperator = result.startOperator || operator;
+                else result.endOperator = result.endOperator || operator;
+            });
+        });
+        return result;
+    }
+
+    /**
+     * The step where MExpressionParser.analyzeFolding() sees folding stop, placed against the range filter
+     * @param {Object|undefined} folding - analyzeFolding() result for the table
+     * @param {Object|null} filter - rangeFilter() result
+     * @returns {Array} [{ step, function, reason, beforeFilter }] — empty when every step folds or the
+     *   source never folds
+     */
+    static _foldingRisks(folding, filter) {
+        if (!folding?.breakingStep) return [];
+        const names = folding.steps.map(s => s.name);
+        const filterIndex = filter?.step ? names.indexOf(filter.step) : -1;
+        return [{
+            step: folding.breakingStep,
+            function: folding.function,
+            reason: folding.reason,
+            beforeFilter: filterIndex >= 0 && names.indexOf(folding.breakingStep) < filterIndex
+        }];
+    }
+
+    /**
+     * The RangeStart/RangeEnd parameters as declared in the model's expressions
+     * @returns {Object} { RangeStart: { type }|null, RangeEnd: { type }|null }
+     */
+    static rangeParameters(model) {
+        const params = { RangeStart: null, RangeEnd: null };
+        for (const expr of (model.expressions || [])) {
+            if (!(expr.name in params) || !/IsParameterQuery\s*=\s*true/i.test(expr.expression || '')) continue;
+            params[expr.name] = { type: (expr.expression.match(/\bType\s*=\s*"([^"]+)"/) || [])[1] || null };
+        }
+        return params;
+    }
+
+    static _checkTable(entry, parameters) {
+        const issue = (severity, message) => entry.issues.push({ severity, message });
+        const policy = entry.refreshPolicy;
+        const filter = entry.rangeFilter;
+        const usesRange = filter && (filter.usesRangeStart || filter.usesRangeEnd);
+
+        if (!policy) {
+            if (usesRange) issue('warning', 'Filters on RangeStart/RangeEnd but has no refresh policy, so only the parameters\' current range is loaded');
+            return;
+        }
+
+        if (!policy.sourceExpression) issue('error', 'Refresh policy has no source expression');
+        if (!entry.window) issue('error', 'Refresh policy is missing its rolling window or incremental periods');
+        else if (entry.window.archiveStart > entry.window.refreshStart) issue('error', 'The incremental window is longer than the rolling window it sits in');
+        if (entry.storageMode === 'directQuery' || entry.storageMode === 'dual') issue('warning', `Refresh policy on a ${entry.storageMode} table has no effect`);
+
+        for (const name of ['RangeStart', 'RangeEnd']) {
+            const param = parameters[name];
+            if (!param) issue('error', `No ${name} parameter in the model`);
+            else if (param.type && param.type !== 'DateTime') issue('error', `${name} is a ${param.type} parameter; incremental refresh needs Date/Time`);
+        }
+
+        if (!usesRange) {
+            if (policy.sourceExpression) issue('error', 'The source expression never uses RangeStart/RangeEnd: every partition loads the whole table');
+            return;
+        }
+        if (!filter.usesRangeStart || !filter.usesRangeEnd) {
+            issue('error', `Only ${filter.usesRangeStart ? 'RangeStart' : 'RangeEnd'} is used: partitions overlap and rows load more than once`);
+        }
+        if (filter.stepKind !== 'Filter') {
+            issue('warning', `RangeStart/RangeEnd are applied in step "${filter.step}" (${filter.stepKind}) rather than a Table.SelectRows filter`);
+        }
+        if (filter.startOperator && filter.startOperator !== '>=') {
+            issue(filter.startOperator === '>' ? 'error' : 'warning', `Filter reads "${filter.startOperator} RangeStart": use >= so rows on the lower boundary are loaded`);
+        }
+        if (filter.endOperator && filter.endOperator !== '<') {
+            issue(filter.endOperator === '<=' ? 'error' : 'warning', `Filter reads "${filter.endOperator} RangeEnd": use < so rows on a partition boundary are not loaded twice`);
+        }
+        for (const risk of entry.foldingRisks) {
+            issue(risk.beforeFilter ? 'error' : 'warning', risk.beforeFilter
+                ? `Step "${risk.step}" (${risk.function}) comes before the RangeStart/RangeEnd filter and likely stops folding: each partition reads the whole source`
+                : `Step "${risk.step}" (${risk.function}) after the filter likely stops folding: ${risk.reason}`);
+        }
+        if (policy.pollingExpression) issue('info', 'Only partitions whose polling expression result changed are refreshed (detect data changes)');
+    }
+
+    static _periodStart(date, unit) {
+        const months = RefreshStorage.GRANULARITY_MONTHS[unit];
+        if (!months) return date;
+        const month = date.getUTCMonth() - date.getUTCMonth() % months;
+        return new Date(Date.UTC(date.getUTCFullYear(), month, 1));
+    }
+
+    static _addPeriods(date, count, unit) {
+        const months = RefreshStorage.GRANULARITY_MONTHS[unit];
+        if (!months) return new Date(date.getTime() + count * 86400000);
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + count * months, date.getUTCDate()));
+    }
+}
+
+// Display names of the storage modes storageMode() returns
+RefreshStorage.STORAGE_MODE_LABELS = {
+    import: 'Import',
+    directQuery: 'DirectQuery',
+    dual: 'Dual',
+    directLake: 'Direct Lake',
+    hybrid: 'Hybrid',
+    mixed: 'Mixed',
+    push: 'Push'
+};
+
+// Policy granularities in months (0 = counted in days)
+RefreshStorage.GRANULARITY_MONTHS = { day: 0, month: 1, quarter: 3, year: 12 };
+
+// Comparison operators and their mirror image (RangeStart <= [Date] reads as [Date] >= RangeStart)
+RefreshStorage.MIRRORED_OPERATORS = { '>=': '<=', '<=': '>=', '>': '<', '<': '>', '=': '=' };
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RefreshStorage;
+}
@@ -0,0 +1,98 @@
+/**
+ * Report Binding Module
+ * Reads a report's definition.pbir to find the semantic model it is built on:
+ * a model folder next to it (byPath) or a published model it connects to live (byConnection)
+ */
+
+class ReportBinding {
+    /**
+     * @param {Object|string} pbir - definition.pbir content
+     * @returns {Object} { type: 'byPath'|'byConnection'|null, path, modelName, workspace, dataSource, connectionString }
+     *   `modelName` is the model folder name without .SemanticModel, or the connection's initial catalog
+     */
+    static parse(pbir) {
+        const data = typeof pbir === 'string' ? JSON.parse(pbir) : pbir;
+        const ref = data?.datasetReference || {};
+        const binding = { type: null, path: null, modelName: null, workspace: null, dataSource: null, connectionString: null };
+
+        if (ref.byPath?.path) {
+            const folder = ref.byPath.path.replace(/\\/g, '/').replace(/\/+$/, '').split('/').pop();
+            return { ...binding, type: 'byPath', path: ref.byPath.path, modelName: folder.replace(/\.SemanticModel$/i, '') };
+        }
+
+        if (ref.byConnection) {
+            const conn = ref.byConnection;
+            const props = ReportBinding.parseConnectionString(conn.connectionString || '');
+            const dataSource = props['data source'] || null;
+            let workspace = null;
+            if (dataSource) {
+                const last = dataSource.replace(/\/+$/, '').split('/').pop();
+                try { workspace = decodeURIComponent(last); } catch { workspace = last; }
+            }
+            return {
+                ...binding,
+                type: 'byConnection',
+                modelName: props['initial catalog'] || null,
+                workspace,
+                dataSource,
+                connectionString: conn.connectionString || null
+            };
+        }
+
+        return binding;
+    }
+
+    /**
+     * Split a connection string into lower-cased keys and unquoted values
+     * @param {string} text - e.g. 'Data Source="powerbi://…/Sales";Initial Catalog=Sales Model'
+     * @returns {Object}
+     */
+    static parseConnectionString(text) {
+        const props = {};
+        const re = /\s*([^=;]+?)\s*=\s*("(?:[^"]|"")*"|'(?:[^']|'')*'|[^;]*)\s*(?:;|$)/g;
+        let m;
+        while ((m = re.exec(text)) !== null && m[0] !== '') {
+            let value = m[2].trim();
+            if (/^".*"$/s.test(value)) value = value.slice(1, -1).replace(/""/g, '"');
+            else if (/^'.*'$/s.test(value)) value = value.slice(1, -1).replace(/''/g, "'");
+            props[m[1].toLowerCase()] = value;
+        }
+        return props;
+    }
+
+    /**
+     * How a report relates to a local semantic model folder
+     * @param {Object} binding - Result of parse()
+     * @param {string} modelFolder - e.g. 'Sales.SemanticModel'
+     * @param {string} reportFolder - e.g. 'Sales Overview.Report'
+     * @returns {string|null} 'bound' — byPath to this model; 'live' — connects to a published model of the same name;
+     *   'thin' — connects to some other published model (may still be documented against this one);
+     *   'prefix' — no definition.pbir, but the folder names match; null — belongs to another model
+     */
+    static relation(binding, modelFolder, reportFolder) {
+        const modelName = modelFolder.replace(/\.SemanticModel$/i, '').toLowerCase();
+        const target = (binding?.modelName || '').toLowerCase();
+
+        if (binding?.type === 'byPath') return target === modelName ? 'bound' : null;
+        if (binding?.type === 'byConnection') return target === modelName ? 'live' : 'thin';
+        return reportFolder.startsWith(modelFolder.replace(/\.SemanticModel$/i, '')) ? 'prefix' : null;
+    }
+
+    /**
+     * Short label for the model a report is built on
+     * @param {Object} binding - Result of parse()
+     * @returns {string} e.g. 'Sales.SemanticModel' or 'Live: Finance Workspace / Sales Model'
+     */
+    static describe(binding) {
+        if (binding?.type === 'byPath') return `${binding.modelName}.SemanticModel`;
+        if (binding?.type === 'byConnection') {
+            return `Live: ${[binding.workspace, binding.modelName].filter(Boolean).join(' / ') || 'unknown model'}`;
+        }
+        return 'No definition.pbir';
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReportBinding;
+}
@@ -0,0 +1,152 @@
+/**
+ * RLS Simulator Module
+ * Works out which tables a role's row-level security filters reach: filtered directly by a
+ * table permission, or indirectly through relationships — and which tables no filter reaches
+ */
+
+class RLSSimulator {
+    /**
+     * @param {Object} model - Parsed TMDL model from TMDLParser
+     */
+    constructor(model) {
+        this.model = model;
+    }
+
+    /**
+     * Propagate one role's table filters over the relationships
+     * @param {string} roleName
+     * @returns {Object|null} { role, modelPermission, direct, indirect, uncovered, uncoveredFactTables, blocked }
+     *   direct: [{ table, expression }]
+     *   indirect: [{ table, from, depth, relationship }] — shortest path; `from` is the table the filter arrives from
+     *   blocked: [{ table, from, relationship, reason }] — why an uncovered table next to a covered one is not reached
+     */
+    simulate(roleName) {
+        const role = (this.model.roles || []).find(r => r.name === roleName);
+        if (!role) return null;
+
+        const direct = role.tablePermissions
+            .filter(tp => tp.filterExpression)
+            .map(tp => ({ table: tp.table, expression: tp.filterExpression }));
+        const covered = new Set(direct.map(d => d.table));
+        const indirect = [];
+
+        // Breadth-first, so each table keeps its shortest path from a filtered table
+        let frontier = [...covered];
+        for (let depth = 1; frontier.length > 0; depth++) {
+            const next = [];
+            for (const table of frontier) {
+                for (const step of RLSSimulator.steps(this.model.relationships || [], table)) {
+                    if (covered.has(step.table)) continue;
+                    covered.add(step.table);
+                    indirect.push({ table: step.table, from: table, depth, relationship: step.relationship });
+                    next.push(step.table);
+                }
+            }
+            frontier = next;
+        }
+
+        const blocked = [];
+        for (const table of covered) {
+            for (const stop of RLSSimulator.blockedSteps(this.model.relationships || [], table)) {
+                if (!covered.has(stop.table)) blocked.push({ ...stop, from: table });
+            }
+        }
+
+        const factTables = TMDLParser.factTables(this.model);
+        const uncovered = this.model.tables.map(t => t.name).filter(name => !covered.has(name));
+        return {
+            role: role.name,
+            modelPermission: role.modelPermission || null,
+            direct,
+            indirect,
+            uncovered,
+            uncoveredFactTables: uncovered.filter(name => factTables.has(name)),
+            blocked
+        };
+    }
+
+    /**
+     * Table-by-role coverage for every role
+     * @returns {Object} { roles: [name], tables: [{ table, isFact, roles: { [role]: 'direct'|'indirect'|null } }], uncoveredFactTables }
+     *   uncoveredFactTables: fact tables that no role filters
+     */
+    coverage() {
+        const roles = (this.model.roles || []).map(r => r.name);
+        const simulations = roles.map(name => this.simulate(name));
+        const factTables = TMDLParser.factTables(this.model);
+
+        const tables = this.model.tables.map(t => {
+            const byRole = {};
+            simulations.forEach((sim, i) => {
+                byRole[roles[i]] = sim.direct.some(d => d.table === t.name) ? 'direct'
+                    : sim.indirect.some(d => d.table === t.name) ? 'indirect' : null;
+            });
+            return { table: t.name, isFact: factTables.has(t.name), roles: byRole };
+        });
+
+        return {
+            roles,
+            tables,
+            uncoveredFactTables: roles.length === 0 ? [] : tables.filter(t => t.isFact && Object.values(t.roles).every(c => !c)).map(t => t.table)
+        };
+    }
+
+    /**
+     * Tables a security filter on `tableName` passes on to, one relationship away.
+     * Filters flow from the one side to the many side of an active relationship, and back only
+     * through bidirectional ones (see isBidirectional)
+     * @returns {Array<{table, relationship, direction: 'toMany'|'toOne'}>}
+     */
+    static steps(relationships, tableName) {
+        const steps = [];
+        for (const rel of relationships) {
+            if (!rel.isActive) continue;
+            if (rel.toTable === tableName) steps.push({ table: rel.fromTable, relationship: rel, direction: 'toMany' });
+            else if (rel.fromTable === tableName && RLSSimulator.isBidirectional(rel)) steps.push({ table: rel.toTable, relationship: rel, direction: 'toOne' });
+        }
+        return steps;
+    }
+
+    /**
+     * Relationships of `tableName` that a security filter on it cannot pass through, with the reason
+     * @returns {Array<{table, relationship, reason}>}
+     */
+    static blockedSteps(relationships, tableName) {
+        const stops = [];
+        for (const rel of relationships) {
+            const other = rel.toTable === tableName ? rel.fromTable : rel.fromTable === tableName ? rel.toTable : null;
+            if (!other || other === tableName) continue;
+            if (!rel.isActive) {
+                stops.push({ table: other, relationship: rel, reason: 'relationship is inactive' });
+            } else if (rel.fromTable === tableName && !RLSSimulator.isBidirectional(rel)) {
+                stops.push({
+                    table: other,
+                    relationship: rel,
+                    reason: RLSSimulator._crossFiltersBothWays(rel)
+                        ? 'cross-filters both ways, but applies security filters in one direction only'
+                        : 'filters flow from the one side to the many side only'
+                });
+            }
+        }
+        return stops;
+    }
+
+    /**
+     * True when a relationship passes security filters from its from side back to its to side:
+     * it must cross-filter both ways (one-to-one relationships always do) and apply security
+     * filters in both directions
+     */
+    static isBidirectional(rel) {
+        return RLSSimulator._crossFiltersBothWays(rel) && rel.securityFilteringBehavior === 'bothDirections';
+    }
+
+    static _crossFiltersBothWays(rel) {
+        const oneToOne = rel.fromCardinality === 'one' && (rel.toCardinality || 'one') === 'one';
+        return oneToOne || rel.crossFilteringBehavior === 'bothDirections';
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RLSSimulator;
+}
@@ -0,0 +1,111 @@
+'use strict';
+// Quick Node.js smoke test for annotation, extendedProperty and lineageTag parsing
+// Run: node tests/test-annotations.js
+
+const { TMDLParser } = require('../tmdl-parser.js');
+const DocGenerator = require('../doc-generator.js');
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+const files = {
+    'tables/Sales.tmdl': [
+        'table Sales',
+        '\tlineageTag: t-sales',
+        '',
+        '\tmeasure \'Total Sales\' = SUM(Sales[Amount])',
+        '\t\tformatString: #,0',
+        '\t\tdisplayFolder: Revenue',
+        '\t\tlineageTag: m-total',
+        '',
+        '\t\tannotation Owner = Finance Team',
+        '',
+        '\t\textendedProperty Certification =',
+        '\t\t\t\t{',
+        '\t\t\t\t  "status": "certified"',
+        '\t\t\t\t}',
+        '',
+        '\tmeasure Margin =',
+        '\t\t\tVAR x = [Total Sales]',
+        '\t\t\tRETURN x',
+        '\t\tlineageTag: m-margin',
+        '',
+        '\tcolumn Amount',
+        '\t\tdataType: double',
+        '\t\tlineageTag: c-amount',
+        '\t\tsourceLineageTag: Amount',
+        '\t\tsummarizeBy: sum',
+        '',
+        '\t\tannotation SummarizationSetBy = Automatic',
+        '',
+        '\tpartition Sales = m',
+        '\t\tmode: import',
+        '\t\tsource =',
+        '\t\t\t\tlet',
+        '\t\t\t\t\tSource = Sql.Database("srv", "db")',
+        '\t\t\t\tin',
+        '\t\t\t\t\tSource',
+        '',
+        '\tannotation PBI_ResultType = Table',
+        '',
+        '\tannotation Ticket = \'BI-1234\''
+    ].join('\n'),
+    'relationships.tmdl': [
+        'relationship r1',
+        '\tfromColumn: Sales.Amount',
+        '\ttoColumn: Other.Amount',
+        '',
+        '\tannotation Reviewed = yes'
+    ].join('\n'),
+    'expressions.tmdl': [
+        'expression Server = "srv" meta [IsParameterQuery=true, Type="Text"]',
+        '\tlineageTag: e-server',
+        '\tqueryGroup: Parameters',
+        '',
+        '\tannotation PBI_ResultType = Text'
+    ].join('\n')
+};
+
+const model = new TMDLParser().parseAll(files);
+const sales = model.tables[0];
+const total = sales.measures.find(m => m.name === 'Total Sales');
+const margin = sales.measures.find(m => m.name === 'Margin');
+
+console.log('--- tables, measures, columns ---');
+assert('table lineageTag', sales.lineageTag === 't-sales', sales.lineageTag);
+assert('table annotations after partitions', sales.annotations.Ticket === 'BI-1234' && sales.annotations.PBI_ResultType === 'Table', sales.annotations);
+assert('properties after a one-line measure', total.expression === 'SUM(Sales[Amount])' && total.formatString === '#,0' && total.displayFolder === 'Revenue', total);
+assert('measure lineageTag and annotation', total.lineageTag === 'm-total' && total.annotations.Owner === 'Finance Team', total);
+assert('multi-line extendedProperty parsed as JSON', total.extendedProperties.Certification?.status === 'certified', total.extendedProperties);
+assert('multi-line measure ends at its properties', margin.expression === 'VAR x = [Total Sales]\nRETURN x' && margin.lineageTag === 'm-margin', margin);
+const amount = sales.columns[0];
+assert('column lineage tags', amount.lineageTag === 'c-amount' && amount.sourceLineageTag === 'Amount', amount);
+assert('column annotation', amount.annotations.SummarizationSetBy === 'Automatic', amount.annotations);
+
+console.log('--- partitions ---');
+const partition = sales.partitions[0];
+assert('partition type from header', partition.sourceType === 'm' && partition.mode === 'import', partition);
+assert('partition source is only the M', partition.source.startsWith('let') && !partition.source.includes('mode:'), partition.source);
+assert('table PBI_ResultType reaches the partition', partition.lastRefreshState === 'Table', partition.lastRefreshState);
+
+console.log('--- relationships & expressions ---');
+assert('relationship annotation', model.relationships[0].annotations.Reviewed === 'yes', model.relationships[0]);
+const server = model.expressions[0];
+assert('expression lineageTag not in the M', server.lineageTag === 'e-server' && !server.expression.includes('lineageTag'), server);
+assert('expression query group and result type', server.queryGroup === 'Parameters' && server.resultType === 'Text', server);
+
+console.log('--- documentation ---');
+const gen = new DocGenerator(model, {}, {}, null);
+const rows = gen._getAnnotationRows(sales);
+assert('system annotations left out', !rows.some(r => r.name === 'PBI_ResultType' || r.name === 'SummarizationSetBy'), rows);
+assert('user annotations listed', rows.some(r => r.object === '[Total Sales]' && r.name === 'Owner'), rows);
+const json = JSON.parse(gen.generateJSON());
+assert('JSON export keeps table metadata', json.tables[0].lineageTag === 't-sales' && json.tables[0].annotations.Ticket === 'BI-1234', json.tables[0]);
+assert('JSON export keeps measure metadata', json.tables[0].measures.find(m => m.name === 'Total Sales').lineageTag === 'm-total', null);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
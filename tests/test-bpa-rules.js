@@ -0,0 +1,93 @@
+'use strict';
+// Quick Node.js smoke test for BPARuleLoader / BPAExpression (custom rules files)
+// Run: node tests/test-bpa-rules.js
+
+const { TMDLParser, DAXReferenceExtractor } = require('../tmdl-parser.js');
+global.TMDLParser = TMDLParser;
+global.DAXReferenceExtractor = DAXReferenceExtractor;
+global.BPAEngine = require('../bpa-engine.js');
+const { BPARuleLoader, BPAExpression } = require('../bpa-rules.js');
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+const model = {
+    database: { name: 'Demo' },
+    tables: [
+        {
+            name: 'Sales', isHidden: false,
+            columns: [
+                { name: 'Amount', dataType: 'decimal', sourceColumn: 'Amount', isHidden: false, displayFolder: 'Values' },
+                { name: 'Margin', dataType: 'double', isHidden: false, expression: '[Amount] * 0.2' }
+            ],
+            measures: [
+                { name: 'm_Total Sales', expression: 'SUM(Sales[Amount])', displayFolder: 'KPIs', description: 'Sum' },
+                { name: 'Units', expression: 'COUNTROWS(Sales)' }
+            ],
+            hierarchies: [], partitions: []
+        },
+        {
+            name: 'Customer', isHidden: false,
+            columns: [{ name: 'CustomerKey', dataType: 'int64', isHidden: true }],
+            measures: [], hierarchies: [], partitions: []
+        }
+    ],
+    relationships: [
+        { fromTable: 'Sales', fromColumn: 'CustomerKey', toTable: 'Customer', toColumn: 'CustomerKey',
+          crossFilteringBehavior: 'bothDirections', isActive: true }
+    ],
+    roles: [], expressions: []
+};
+
+// Tabular Editor's own file layout: top-level array, PascalCase keys, numeric severity
+const teRules = [
+    { ID: 'MEASURE_PREFIX', Name: 'Measures start with m_', Category: 'Naming', Severity: 3,
+      Scope: 'Measure', Expression: 'not Name.StartsWith("m_")' },
+    { ID: 'DISPLAY_FOLDER', Name: 'Visible objects need a display folder', Severity: 2,
+      Scope: 'Measure, DataColumn', Expression: 'not IsHidden and string.IsNullOrWhitespace(DisplayFolder)' },
+    { ID: 'CALC_DOUBLE', Name: 'Calculated double', Severity: 1,
+      Scope: 'CalculatedColumn', Expression: 'DataType == DataType.Double' },
+    { ID: 'BIDI', Name: 'Bidi', Scope: 'Relationship',
+      Expression: 'CrossFilteringBehavior = CrossFilteringBehavior.BothDirections && FromTable.Name == "Sales"' },
+    { ID: 'ALL_HIDDEN', Name: 'Table with only hidden columns', Scope: 'Table',
+      Expression: 'Columns.Count > 0 and Columns.All(IsHidden) and not Measures.Any()' },
+    { ID: 'BAD_SCOPE', Name: 'Model rule', Scope: 'Model', Expression: 'true' },
+    { ID: 'BAD_SYNTAX', Name: 'Broken', Scope: 'Measure', Expression: 'Name.StartsWith("x"' },
+    { ID: 'BAD_PROP', Name: 'Unknown property', Scope: 'Measure', Expression: 'ReferencedBy.Count == 0' }
+];
+
+const loaded = BPARuleLoader.parse(JSON.stringify(teRules), 'BPARules.json');
+
+console.log('--- loading ---');
+assert('valid rules compiled', loaded.rules.length === 6, loaded.rules.map(r => r.id));
+assert('bad scope reported', loaded.errors.some(e => e.rule === 'BAD_SCOPE'), loaded.errors);
+assert('syntax error reported', loaded.errors.some(e => e.rule === 'BAD_SYNTAX'), loaded.errors);
+assert('numeric severity mapped', loaded.rules.find(r => r.id === 'MEASURE_PREFIX').severity === 'error', loaded.rules[0].severity);
+assert('{ rules: [...] } wrapper accepted',
+    BPARuleLoader.parse({ rules: [{ id: 'x', scope: 'Table', expression: 'true', severity: 'info' }] }).rules.length === 1, null);
+
+const result = new BPAEngine(model, null, { rules: loaded.rules }).run();
+const hits = id => result.findings.filter(f => f.ruleId === id).map(f => f.label);
+
+console.log('--- evaluation ---');
+assert('naming prefix rule', hits('MEASURE_PREFIX').join() === '[Units]', hits('MEASURE_PREFIX'));
+assert('display folder rule skips calc columns', hits('DISPLAY_FOLDER').join() === '[Units]', hits('DISPLAY_FOLDER'));
+assert('enum literal comparison', hits('CALC_DOUBLE').join() === 'Sales[Margin]', hits('CALC_DOUBLE'));
+assert('relationship rule with nested table', hits('BIDI').length === 1, hits('BIDI'));
+assert('collection predicates', hits('ALL_HIDDEN').join() === 'Customer', hits('ALL_HIDDEN'));
+assert('unknown property reported once', result.ruleErrors.length === 1 && result.ruleErrors[0].rule === 'BAD_PROP', result.ruleErrors);
+assert('findings carry the rule file', result.findings.every(f => f.ruleSource === 'BPARules.json'), result.findings.map(f => f.ruleSource));
+
+console.log('--- expressions ---');
+const view = { Name: 'Sales Amount', Description: null, Expression: 'SUM(x)' };
+assert('RegEx.IsMatch', BPAExpression.compile('RegEx.IsMatch(Name, "^Sales")')(view) === true, null);
+assert('null-safe member calls', BPAExpression.compile('Description.Contains("x")')(view) === null, null);
+assert('string concat and ToLower', BPAExpression.compile('(Name + "!").ToLower() == "sales amount!"')(view) === true, null);
+assert('method args see the object', BPAExpression.compile('Expression.Contains(Name)')({ Name: 'x', Expression: 'max(x)' }) === true, null);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
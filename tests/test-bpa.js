@@ -0,0 +1,99 @@
+'use strict';
+// Quick Node.js smoke test for BPAEngine (built-in best-practice rules)
+// Run: node tests/test-bpa.js
+
+const { TMDLParser, DAXReferenceExtractor } = require('../tmdl-parser.js');
+global.TMDLParser = TMDLParser;
+global.DAXReferenceExtractor = DAXReferenceExtractor;
+global.MExpressionParser = require('../m-parser.js');
+const LineageEngine = require('../lineage-engine.js');
+global.UnusedObjects = require('../unused-objects.js');
+const BPAEngine = require('../bpa-engine.js');
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+const model = {
+    database: { name: 'Demo' },
+    tables: [
+        {
+            name: 'Sales', isHidden: false,
+            columns: [
+                { name: 'Amount', dataType: 'double', sourceColumn: 'Amount', isHidden: false },
+                { name: 'Qty', dataType: 'int64', sourceColumn: 'Qty', isHidden: false },
+                { name: 'CustomerKey', dataType: 'int64', sourceColumn: 'CustomerKey', isHidden: false },
+                { name: 'LoadId', dataType: 'int64', sourceColumn: 'LoadId', isHidden: true },
+                { name: 'SortKey', dataType: 'int64', sourceColumn: 'SortKey', isHidden: true },
+                { name: 'Label', dataType: 'string', sourceColumn: 'Label', isHidden: false, sortByColumn: 'SortKey' },
+                { name: 'Grand Total', dataType: 'double', isHidden: false, expression: 'CALCULATE(SUM(Sales[Qty]), ALL(Sales))' },
+                { name: 'Region Copy', dataType: 'string', isHidden: false, expression: 'RELATED(Customer[Region])' }
+            ],
+            measures: [
+                { name: 'Total Sales', expression: 'SUM(Sales[Amount])', formatString: '$#,0', description: 'Sum of sales amount' },
+                { name: 'Units', expression: 'SUM(Sales[Qty])' }
+            ],
+            hierarchies: [], partitions: []
+        },
+        {
+            name: 'Customer', isHidden: false,
+            columns: [
+                { name: 'CustomerKey', dataType: 'int64', sourceColumn: 'CustomerKey', isHidden: true },
+                { name: 'Region', dataType: 'string', sourceColumn: 'Region', isHidden: false },
+                { name: 'Segment', dataType: 'string', sourceColumn: 'Segment', isHidden: true }
+            ],
+            measures: [], hierarchies: [], partitions: []
+        },
+        {
+            name: 'LocalDateTable_123', isHidden: true, _isAutoDate: true,
+            columns: [{ name: 'Date', dataType: 'dateTime', isHidden: true }],
+            measures: [{ name: 'Auto Measure', expression: '1' }],
+            hierarchies: [], partitions: []
+        }
+    ],
+    relationships: [
+        { fromTable: 'Sales', fromColumn: 'CustomerKey', toTable: 'Customer', toColumn: 'CustomerKey',
+          crossFilteringBehavior: 'bothDirections', isActive: true }
+    ],
+    roles: [
+        { name: 'EU', tablePermissions: [{ table: 'Customer', filterExpression: '[Segment] = "EU"' }] }
+    ],
+    expressions: []
+};
+
+const parser = new TMDLParser();
+parser.model = model;
+const engine = new LineageEngine(model, null, parser.extractAllReferences());
+engine.buildGraph();
+
+const result = new BPAEngine(model, engine).run();
+const hits = ruleId => result.findings.filter(f => f.ruleId === ruleId).map(f => f.label);
+
+console.log('--- measures ---');
+assert('Units has no format string', hits('MEASURE_NO_FORMAT_STRING').includes('[Units]'), hits('MEASURE_NO_FORMAT_STRING'));
+assert('Total Sales has a format string', !hits('MEASURE_NO_FORMAT_STRING').includes('[Total Sales]'), hits('MEASURE_NO_FORMAT_STRING'));
+assert('Units has no description', hits('MEASURE_NO_DESCRIPTION').includes('[Units]'), hits('MEASURE_NO_DESCRIPTION'));
+assert('auto-date tables are skipped', !result.findings.some(f => f.table === 'LocalDateTable_123'), result.findings.filter(f => f.table === 'LocalDateTable_123'));
+
+console.log('--- relationships & keys ---');
+assert('bi-directional relationship flagged', hits('RELATIONSHIP_BIDIRECTIONAL').length === 1, hits('RELATIONSHIP_BIDIRECTIONAL'));
+assert('relationship label uses arrow form', hits('RELATIONSHIP_BIDIRECTIONAL')[0] === 'Sales[CustomerKey] → Customer[CustomerKey]', hits('RELATIONSHIP_BIDIRECTIONAL'));
+assert('visible FK on many side flagged', hits('FOREIGN_KEY_VISIBLE').join() === 'Sales[CustomerKey]', hits('FOREIGN_KEY_VISIBLE'));
+
+console.log('--- columns ---');
+assert('double currency column flagged', hits('CURRENCY_FLOATING_POINT').includes('Sales[Amount]'), hits('CURRENCY_FLOATING_POINT'));
+assert('double non-currency column not flagged', !hits('CURRENCY_FLOATING_POINT').includes('Sales[Grand Total]'), hits('CURRENCY_FLOATING_POINT'));
+assert('unused hidden column flagged', hits('HIDDEN_COLUMN_UNUSED').join() === 'Sales[LoadId]', hits('HIDDEN_COLUMN_UNUSED'));
+assert('aggregating calc column flagged', hits('CALC_COLUMN_COULD_BE_MEASURE').join() === 'Sales[Grand Total]', hits('CALC_COLUMN_COULD_BE_MEASURE'));
+
+console.log('--- result shape ---');
+assert('counts add up', result.counts.error + result.counts.warning + result.counts.info === result.counts.total, result.counts);
+assert('warnings sort before info', result.findings.findIndex(f => f.severity === 'info') > result.findings.findIndex(f => f.severity === 'warning'), result.findings.map(f => f.severity));
+const noLineage = new BPAEngine(model, null).run();
+assert('usage rule skipped without lineage', !noLineage.findings.some(f => f.ruleId === 'HIDDEN_COLUMN_UNUSED'), noLineage.counts);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
@@ -0,0 +1,83 @@
+'use strict';
+// Quick Node.js smoke test for the headless CLI against samples/SampleProject
+// Run: node tests/test-cli.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findPBIPStructure, readReportFiles, parseProject, findRulesFile, runBestPractices, applyPerspective, applyCulture, writeOutputs } = require('../cli.js');
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+const samplesDir = path.join(__dirname, '..', 'samples');
+
+console.log('--- findPBIPStructure ---');
+const found = findPBIPStructure(samplesDir);
+assert('model folder found',  found.modelPath.endsWith('SampleProject.SemanticModel'), found.modelPath);
+assert('report matched',      found.reportPath?.endsWith('SampleProject.Report'),       found.reportPath);
+const noReport = findPBIPStructure(samplesDir, { noReport: true });
+assert('--no-report skips report', noReport.reportPath === null, noReport.reportPath);
+const direct = findPBIPStructure(found.modelPath);
+assert('.SemanticModel folder directly', direct.modelPath === found.modelPath, direct.modelPath);
+let threw = false;
+try { findPBIPStructure(samplesDir, { model: 'Missing' }); } catch { threw = true; }
+assert('unknown --model throws', threw, threw);
+
+console.log('--- readReportFiles ---');
+const pages = readReportFiles(found.reportPath);
+assert('one page', pages.length === 1, pages.length);
+assert('visuals wrapped as { visualId, visualData }',
+    pages[0].visuals.every(v => v.visualId && v.visualData), pages[0].visuals.map(v => Object.keys(v)));
+
+console.log('--- parseProject + writeOutputs ---');
+const project = parseProject(found.modelPath, found.reportPath);
+assert('4 tables parsed',   project.parsedModel.tables.length === 4, project.parsedModel.tables.length);
+assert('visuals parsed',    project.visualData.visuals.length === 2, project.visualData?.visuals.length);
+assert('page filter read from page.json', project.visualData.pages[0].filters.length === 1, project.visualData.pages[0].filters);
+assert('bookmark read', project.visualData.bookmarks.map(b => b.name).join() === 'Germany Only', project.visualData.bookmarks);
+assert('lineage graph built', project.lineageEngine.nodes.size > 0, project.lineageEngine.nodes.size);
+
+const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pbip-doc-'));
+try {
+    const written = writeOutputs(project, outDir);
+    assert('three files written', written.length === 3, written.map(p => path.basename(p)));
+    const md = fs.readFileSync(written.find(p => p.endsWith('.md')), 'utf8');
+    assert('markdown has measure catalog', md.includes('Measure Catalog'), md.slice(0, 80));
+    const json = JSON.parse(fs.readFileSync(written.find(p => p.endsWith('.json')), 'utf8'));
+    assert('json overview table count', json.overview.tableCount === 4, json.overview.tableCount);
+
+    const onlyJson = writeOutputs(project, outDir, { formats: ['json'] });
+    assert('--format json writes one file', onlyJson.length === 1, onlyJson.length);
+
+    const rulesPath = path.join(outDir, 'BPARules.json');
+    fs.writeFileSync(rulesPath, JSON.stringify([
+        { ID: 'HOUSE_DESC', Name: 'Tables need a description', Severity: 3, Scope: 'Table', Expression: 'string.IsNullOrEmpty(Description)' }
+    ]));
+    assert('rules file found in project folder', findRulesFile([outDir]) === rulesPath, findRulesFile([outDir]));
+    const bpa = runBestPractices(project, rulesPath);
+    assert('custom rule findings reach the export',
+        JSON.parse(project.docGenerator.generateJSON()).bestPractices.findings.some(f => f.ruleId === 'HOUSE_DESC'), bpa.counts);
+
+    const salesView = applyPerspective(project, 'Sales');
+    const scopedJson = JSON.parse(salesView.docGenerator.generateJSON());
+    assert('perspective scopes the export', scopedJson.overview.perspective === 'Sales' && scopedJson.overview.tableCount === 3, scopedJson.overview);
+    const scopedFiles = writeOutputs(salesView, outDir, { formats: ['md'] });
+    assert('perspective name in file name', path.basename(scopedFiles[0]).includes('-Sales-documentation'), scopedFiles);
+
+    const german = applyCulture(salesView, 'de-de');
+    const germanMd = german.docGenerator.generateMarkdown('model');
+    assert('culture applied on top of the perspective', germanMd.includes('| Documentation Culture | de-DE |') && germanMd.includes('| Perspective | Sales |'), german.culture);
+    assert('translated caption shown next to the name', germanMd.includes('Gesamtumsatz (Total Revenue)'), germanMd.length);
+    const germanFiles = writeOutputs(german, outDir, { formats: ['md'] });
+    assert('culture in file name', path.basename(germanFiles[0]).includes('-Sales-de-DE-documentation'), germanFiles);
+} finally {
+    fs.rmSync(outDir, { recursive: true, force: true });
+}
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
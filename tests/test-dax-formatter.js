@@ -0,0 +1,65 @@
+'use strict';
+// Quick Node.js smoke test for the offline DAX formatter
+// Run: node tests/test-dax-formatter.js
+
+const { TMDLParser, DAXReferenceExtractor, DAXParser } = require('../tmdl-parser.js');
+global.TMDLParser = TMDLParser;
+global.DAXReferenceExtractor = DAXReferenceExtractor;
+global.DAXParser = DAXParser;
+global.DAXFormatter = require('../dax-formatter.js');
+const DAXFormatter = global.DAXFormatter;
+const DocGenerator = require('../doc-generator.js');
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+const longCalc = `calculate([Total Sales], filter(all(Sales), Sales[Amount] > 1000 && Sales[Region] = "West"), 'Date'[Year] = 2024, removefilters(Product))`;
+const varBlock = 'VAR _t = FILTER(Sales, [Amount] > 0) var x = -1 return IF(COUNTROWS(_t) > 0, DIVIDE(SUMX(_t, Sales[Qty] * RELATED(Product[Price])), [Total Sales] - x), BLANK())';
+
+console.log('--- layout ---');
+assert('short expression kept on one line', DAXFormatter.format('sum( Sales[Amount] )') === 'SUM(Sales[Amount])', DAXFormatter.format('sum( Sales[Amount] )'));
+const calc = DAXFormatter.format(longCalc);
+assert('long call broken at arguments', calc === [
+    'CALCULATE(',
+    '    [Total Sales],',
+    '    FILTER(ALL(Sales), Sales[Amount] > 1000 && Sales[Region] = "West"),',
+    "    'Date'[Year] = 2024,",
+    '    REMOVEFILTERS(Product)',
+    ')'
+].join('\n'), calc);
+const vars = DAXFormatter.format(varBlock);
+assert('VAR and RETURN on their own lines, body indented', vars.startsWith('VAR _t = FILTER(Sales, [Amount] > 0)\nVAR x = -1\nRETURN\n    IF(\n        COUNTROWS(_t) > 0,'), vars);
+assert('nested call indented a level deeper', vars.includes('\n        DIVIDE(\n            SUMX(_t, Sales[Qty] * RELATED(Product[Price])),\n            [Total Sales] - x\n        ),'), vars);
+assert('formatting is idempotent', DAXFormatter.format(vars) === vars && DAXFormatter.format(calc) === calc, null);
+assert('narrower width breaks earlier', DAXFormatter.format('SUM(Sales[Amount])', { width: 10 }) === 'SUM(\n    Sales[Amount]\n)', DAXFormatter.format('SUM(Sales[Amount])', { width: 10 }));
+
+console.log('--- text preserved ---');
+const commented = DAXFormatter.format('CALCULATE(\n  [Total Sales], // only west\n  Sales[Region] = "West" -- trailing\n)');
+assert('comments kept next to their argument', commented === 'CALCULATE(\n    [Total Sales], // only west\n    Sales[Region] = "West" -- trailing\n)', commented);
+const strings = DAXFormatter.format(`IF([x] > 0, "a  ""quoted""   (text)", 'My Table'[Col]]x])`);
+assert('strings and quoted names untouched', strings === `IF([x] > 0, "a  ""quoted""   (text)", 'My Table'[Col]]x])`, strings);
+assert('table and column names keep their casing', DAXFormatter.format('sumx(sales, sales[amount])') === 'SUMX(sales, sales[amount])', DAXFormatter.format('sumx(sales, sales[amount])'));
+assert('unbalanced expression returned as written', DAXFormatter.format('SUM(Sales[Amount]') === 'SUM(Sales[Amount]', DAXFormatter.format('SUM(Sales[Amount]'));
+
+console.log('--- DocGenerator ---');
+const parser = new TMDLParser();
+const model = parser.parseAll({
+    'tables/Sales.tmdl': [
+        'table Sales',
+        `\tmeasure 'Big Sales' = ${longCalc}`,
+        '\tcolumn Amount',
+        '\t\tdataType: double'
+    ].join('\n')
+});
+const docs = new DocGenerator(model, {}, parser.extractAllReferences(), null);
+assert('Markdown catalog formatted by default', docs.generateMarkdown('model').includes('```dax\n' + calc + '\n```'), null);
+assert('HTML report formatted', docs._highlightDAX(longCalc).includes('\n    '), docs._highlightDAX(longCalc));
+docs.daxFormat = 'original';
+assert('original DAX on request', docs.generateMarkdown('model').includes('```dax\n' + longCalc + '\n```'), null);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
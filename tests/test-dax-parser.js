@@ -0,0 +1,96 @@
+'use strict';
+// Quick Node.js smoke test for the DAX tokenizer/parser behind measure, column and table references
+// Run: node tests/test-dax-parser.js
+
+const { TMDLParser, DAXReferenceExtractor, DAXParser } = require('../tmdl-parser.js');
+global.TMDLParser = TMDLParser;
+global.DAXReferenceExtractor = DAXReferenceExtractor;
+global.MExpressionParser = require('../m-parser.js');
+const LineageEngine = require('../lineage-engine.js');
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+const files = {
+    'tables/Sales.tmdl': [
+        'table Sales',
+        '\tmeasure \'Total Sales\' = SUM(Sales[Amount])',
+        '\tmeasure \'Big Orders\' =',
+        '\t\t\tVAR _big = FILTER(Sales, [Amount] > 1000)',
+        '\t\t\tVAR Threshold = 5',
+        '\t\t\tRETURN IF(COUNTROWS(_big) > Threshold, [Total Sales])',
+        '\tmeasure Margin =',
+        '\t\t\tSUMX(',
+        '\t\t\t\tADDCOLUMNS(Sales, "Line Margin", [Amount] - [Cost]),',
+        '\t\t\t\t[Line Margin]',
+        '\t\t\t)',
+        '\tmeasure \'Band Count\' = SUMX({ (1, 10), (11, 100) }, [Value2] - [Value1])',
+        '\tmeasure Label = IF([Total Sales] > 0, "Sales[Amount] is ""positive"" in \'Date\'[Year]", "none")',
+        '\tmeasure \'Prior Year\' = CALCULATE([total sales], DATEADD(\'Date\'[Date], -1, YEAR)) // [Old Measure]',
+        '\tcolumn Amount',
+        '\t\tdataType: double',
+        '\tcolumn Cost',
+        '\t\tdataType: double',
+        '\tcolumn Profit = [Amount] - [Cost]',
+        '\t\tdataType: double'
+    ].join('\n'),
+    'tables/Date.tmdl': [
+        'table Date',
+        '\tcolumn Date',
+        '\t\tdataType: dateTime',
+        '\tcolumn Year',
+        '\t\tdataType: int64'
+    ].join('\n'),
+    'tables/Top Regions.tmdl': [
+        'table \'Top Regions\'',
+        '\tcolumn Amount',
+        '\t\tdataType: double',
+        '\tpartition \'Top Regions\' = calculated',
+        '\t\tmode: import',
+        '\t\tsource = VAR Sales = TOPN(10, Sales, Sales[Amount], DESC) RETURN Sales'
+    ].join('\n')
+};
+
+console.log('--- tokenizer ---');
+const tokens = DAXParser.tokenize(`'It''s'[Col]]x] & "a ""b"" c" -- note`);
+assert('escaped quotes and brackets unescaped', tokens.map(t => `${t.type}:${t.value}`).join('|') === "quoted:It's|bracket:Col]x|op:&|string:a \"b\" c|eof:", tokens);
+
+console.log('--- parser ---');
+const ast = DAXParser.parse('VAR x = SUM(Sales[Amount]) RETURN x * 2 + [Total Sales]');
+assert('VAR block with body', ast.body.type === 'VarBlock' && ast.body.vars[0].name === 'x' && ast.errors.length === 0, ast);
+assert('function call and qualified column', ast.body.vars[0].expression.type === 'FunctionCall' && ast.body.vars[0].expression.args[0].table === 'Sales', ast.body.vars[0]);
+assert('operator precedence', ast.body.body.operator === '+' && ast.body.body.left.operator === '*', ast.body.body);
+const broken = DAXParser.parse('SUM(Sales[Amount]');
+assert('unbalanced parenthesis reported, not thrown', broken.errors.length === 1 && broken.body.args[0].column === 'Amount', broken);
+
+console.log('--- extractAllReferences ---');
+const parser = new TMDLParser();
+const model = parser.parseAll(files);
+const refs = parser.extractAllReferences();
+assert('variable names are not tables', refs['Big Orders'].tableRefs.join() === 'Sales' && refs['Big Orders'].measureRefs.join() === 'Total Sales', refs['Big Orders']);
+assert('row context column inside FILTER', refs['Big Orders'].columnRefs.some(c => c.table === 'Sales' && c.column === 'Amount'), refs['Big Orders'].columnRefs);
+assert('ADDCOLUMNS columns are local, row context resolved', refs.Margin.measureRefs.length === 0 && refs.Margin.columnRefs.map(c => c.column).join() === 'Amount,Cost', refs.Margin);
+assert('table constructor columns are local', refs['Band Count'].measureRefs.length === 0 && refs['Band Count'].tableRefs.length === 0, refs['Band Count']);
+assert('references inside strings ignored', refs.Label.columnRefs.length === 0 && refs.Label.measureRefs.join() === 'Total Sales', refs.Label);
+assert('measure names matched case-insensitively', refs['Prior Year'].measureRefs.join() === 'Total Sales', refs['Prior Year']);
+assert('comments ignored, enum keywords are not tables', refs['Prior Year'].tableRefs.length === 0 && refs['Prior Year'].columnRefs.map(c => c.column).join() === 'Date', refs['Prior Year']);
+assert('calculated column bare refs qualified to own table', refs['Sales[Profit]'].columnRefs.map(c => `${c.table}[${c.column}]`).join() === 'Sales[Amount],Sales[Cost]' && refs['Sales[Profit]'].measureRefs.length === 0, refs['Sales[Profit]']);
+assert('without a model bare refs stay measures', DAXReferenceExtractor.extract('SUMX(Sales, [Amount])').measureRefs.join() === 'Amount', DAXReferenceExtractor.extract('SUMX(Sales, [Amount])'));
+assert('unknown names stay measure references', DAXReferenceExtractor.extract('[Gone] + 1', DAXReferenceExtractor.buildContext(model.tables)).measureRefs.join() === 'Gone', null);
+
+console.log('--- LineageEngine ---');
+const engine = new LineageEngine(model, { pages: [], visuals: [], fieldUsageMap: {} }, refs);
+engine.buildGraph();
+assert('no dependency edge to a local column', !engine.edges.some(e => e.from === 'measure:Sales.Margin' && e.type === 'depends_on_measure'), engine.edges.filter(e => e.from === 'measure:Sales.Margin'));
+assert('row-context column becomes a column edge', engine.edges.some(e => e.from === 'measure:Sales.Margin' && e.to === 'column:Sales.Cost'), engine.edges.filter(e => e.from === 'measure:Sales.Margin'));
+assert('calculated table variable shadowing a table name', engine.edges.some(e => e.from === 'table:Top Regions' && e.to === 'table:Sales' && e.type === 'derived_from_table'), engine.edges.filter(e => e.from === 'table:Top Regions'));
+
+console.log('--- _cleanDAX ---');
+assert('escaped quotes and comment markers inside strings', DAXReferenceExtractor._cleanDAX('"a ""//b"" c" & [x] // tail') === '"" & [x] ', DAXReferenceExtractor._cleanDAX('"a ""//b"" c" & [x] // tail'));
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
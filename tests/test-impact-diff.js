@@ -0,0 +1,122 @@
+'use strict';
+// Quick Node.js smoke test for ImpactDiff (which visuals a model change reaches)
+// Run: node tests/test-impact-diff.js
+
+const { TMDLParser, DAXReferenceExtractor } = require('../tmdl-parser.js');
+global.TMDLParser = TMDLParser;
+global.DAXReferenceExtractor = DAXReferenceExtractor;
+global.MExpressionParser = require('../m-parser.js');
+global.LineageEngine = require('../lineage-engine.js');
+global.ModelDiff = require('../model-diff.js');
+const ImpactDiff = require('../impact-diff.js');
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+function makeModel() {
+    return {
+        database: { name: 'Demo' },
+        tables: [
+            {
+                name: 'Sales', isHidden: false,
+                columns: [
+                    { name: 'Amount', dataType: 'decimal', sourceColumn: 'Amount' },
+                    { name: 'Qty', dataType: 'int64', sourceColumn: 'Qty' },
+                    { name: 'CustomerKey', dataType: 'int64', sourceColumn: 'CustomerKey' }
+                ],
+                measures: [
+                    { name: 'Total Sales', expression: 'SUM(Sales[Amount])' },
+                    { name: 'Avg Sales', expression: 'DIVIDE([Total Sales], COUNTROWS(Sales))' },
+                    { name: 'Units', expression: 'SUM(Sales[Qty])' }
+                ],
+                hierarchies: [], partitions: []
+            },
+            {
+                name: 'Customer', isHidden: false,
+                columns: [
+                    { name: 'CustomerKey', dataType: 'int64', sourceColumn: 'CustomerKey' },
+                    { name: 'Region', dataType: 'string', sourceColumn: 'Region' }
+                ],
+                measures: [], hierarchies: [], partitions: []
+            }
+        ],
+        relationships: [
+            { fromTable: 'Sales', fromColumn: 'CustomerKey', toTable: 'Customer', toColumn: 'CustomerKey',
+              fromCardinality: 'many', toCardinality: 'one', isActive: true }
+        ],
+        roles: [], expressions: []
+    };
+}
+
+const measureField = name => ({ type: 'measure', table: 'Sales', entity: 'Sales', name });
+const columnField = (table, column) => ({ type: 'column', table, column, name: column });
+const visualData = {
+    pages: [],
+    visuals: [
+        { visualName: 'Avg Card', visualType: 'card', pageName: 'Overview', fields: [measureField('Avg Sales')] },
+        { visualName: 'Units Card', visualType: 'card', pageName: 'Overview', fields: [measureField('Units')] },
+        { visualName: 'By Region', visualType: 'barChart', pageName: 'Detail', fields: [columnField('Customer', 'Region'), measureField('Units')] },
+        { visualName: 'Qty Table', visualType: 'tableEx', pageName: 'Detail', fields: [columnField('Sales', 'Qty')] }
+    ]
+};
+
+console.log('--- no changes ---');
+const none = ImpactDiff.fromModels(makeModel(), makeModel(), visualData).analyze();
+assert('all unaffected', none.summary.unaffected === 4 && none.summary.total === 4, none.summary);
+
+console.log('--- removed measure referenced by another measure ---');
+const v2 = makeModel();
+v2.tables[0].measures.splice(0, 1); // drop [Total Sales]; [Avg Sales] still references it
+const r2 = ImpactDiff.fromModels(makeModel(), v2, visualData).analyze();
+const avg = r2.pages.find(p => p.page === 'Overview').visuals.find(v => v.name === 'Avg Card');
+assert('Avg Card newly broken', avg.status === 'broken', avg);
+assert('reason names removed measure', avg.reasons[0].includes('[Total Sales]'), avg.reasons);
+assert('Units Card unaffected', r2.summary.unaffected === 3, r2.summary);
+
+console.log('--- renamed column ---');
+const v3 = makeModel();
+v3.tables[0].columns[1].name = 'Quantity';
+v3.tables[0].measures[2].expression = 'SUM(Sales[Quantity])';
+const r3 = ImpactDiff.fromModels(makeModel(), v3, visualData).analyze();
+const detail = r3.pages.find(p => p.page === 'Detail');
+const qtyTable = detail.visuals.find(v => v.name === 'Qty Table');
+assert('visual bound to old column is broken', qtyTable.status === 'broken', qtyTable);
+const byRegion = detail.visuals.find(v => v.name === 'By Region');
+assert('visual using the rewritten measure changed upstream', byRegion.status === 'changed', byRegion);
+assert('per-page counts', detail.broken === 1 && detail.changed === 1, detail);
+
+console.log('--- relationship change ---');
+const v4 = makeModel();
+v4.relationships[0].crossFilteringBehavior = 'bothDirections';
+const r4 = ImpactDiff.fromModels(makeModel(), v4, visualData).analyze();
+const region4 = r4.pages.find(p => p.page === 'Detail').visuals.find(v => v.name === 'By Region');
+assert('visual spanning both tables changed', region4.status === 'changed', region4);
+assert('single-table visuals unaffected', r4.summary.changed === 1, r4.summary);
+
+console.log('--- untitled visuals of the same type ---');
+// Untitled visuals fall back to their type as visualName — only the visual id tells them apart
+const untitled = {
+    pages: [],
+    visuals: [
+        { visualId: 'a1', visualName: 'card', visualType: 'card', pageName: 'Cards', fields: [columnField('Sales', 'Qty')] },
+        { visualId: 'b2', visualName: 'card', visualType: 'card', pageName: 'Cards', fields: [measureField('Total Sales')] }
+    ]
+};
+const r5 = ImpactDiff.fromModels(makeModel(), v3, untitled).analyze();
+const cards = r5.pages.find(p => p.page === 'Cards');
+assert('both untitled cards listed', r5.summary.total === 2 && cards.visuals.length === 2, r5.summary);
+assert('card bound to renamed column broken', cards.broken === 1, cards.visuals);
+assert('card on the other measure unaffected', cards.visuals.filter(v => v.status === 'unaffected').length === 1, cards.visuals);
+assert('display label kept', cards.visuals.every(v => v.name === 'card'), cards.visuals);
+
+console.log('--- generateMarkdown ---');
+const md = ImpactDiff.fromModels(makeModel(), v3, visualData).generateMarkdown();
+assert('impact heading',  md.startsWith('## Report Impact'), md.slice(0, 30));
+assert('page section',    md.includes('### Detail'), null);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
@@ -0,0 +1,137 @@
+'use strict';
+// Quick Node.js smoke test for PBIR-Legacy report.json conversion
+// Run: node tests/test-legacy-report.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const VisualParser = require('../visual-parser.js');
+const { readReportFiles } = require('../cli.js');
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+const chartConfig = {
+    name: 'a1b2c3',
+    layouts: [{ id: 0, position: { x: 20, y: 40, z: 1, width: 600, height: 300 } }],
+    singleVisual: {
+        visualType: 'clusteredColumnChart',
+        projections: {
+            Category: [{ queryRef: 'Product.Category', active: true }],
+            Y: [{ queryRef: 'Sales.Total Revenue' }, { queryRef: 'Sum(Sales.Quantity)' }]
+        },
+        prototypeQuery: {
+            Version: 2,
+            From: [
+                { Name: 'p', Entity: 'Product', Type: 0 },
+                { Name: 's', Entity: 'Sales', Type: 0 }
+            ],
+            Select: [
+                { Column: { Expression: { SourceRef: { Source: 'p' } }, Property: 'Category' }, Name: 'Product.Category' },
+                { Measure: { Expression: { SourceRef: { Source: 's' } }, Property: 'Total Revenue' }, Name: 'Sales.Total Revenue' },
+                {
+                    Aggregation: { Expression: { Column: { Expression: { SourceRef: { Source: 's' } }, Property: 'Quantity' } }, Function: 0 },
+                    Name: 'Sum(Sales.Quantity)'
+                }
+            ],
+            OrderBy: [{ Direction: 2, Expression: { Measure: { Expression: { SourceRef: { Source: 's' } }, Property: 'Total Revenue' } } }]
+        },
+        vcObjects: {
+            title: [{ properties: { text: { expr: { Literal: { Value: "'Revenue by Category'" } } } } }]
+        }
+    }
+};
+
+const slicerConfig = {
+    name: 'd4e5f6',
+    singleVisual: {
+        visualType: 'slicer',
+        projections: { Values: [{ queryRef: 'Date.Date Hierarchy.Year' }] },
+        prototypeQuery: {
+            From: [{ Name: 'd', Entity: 'Date', Type: 0 }],
+            Select: [{
+                HierarchyLevel: {
+                    Expression: { Hierarchy: { Expression: { SourceRef: { Source: 'd' } }, Hierarchy: 'Date Hierarchy' } },
+                    Level: 'Year'
+                },
+                Name: 'Date.Date Hierarchy.Year'
+            }]
+        }
+    }
+};
+
+const report = {
+    config: JSON.stringify({ version: '5.43' }),
+    sections: [
+        {
+            name: 'ReportSection1',
+            displayName: 'Overview',
+            width: 1280,
+            height: 720,
+            visualContainers: [
+                {
+                    x: 20, y: 40, z: 1, width: 600, height: 300,
+                    config: JSON.stringify(chartConfig),
+                    filters: JSON.stringify([{
+                        name: 'Filter1',
+                        expression: { Column: { Expression: { SourceRef: { Entity: 'Customer' } }, Property: 'Region' } },
+                        type: 'Categorical'
+                    }])
+                },
+                { x: 700, y: 40, width: 200, height: 100, config: JSON.stringify(slicerConfig), filters: '[]' },
+                { x: 0, y: 0, width: 10, height: 10, config: JSON.stringify({ name: 'g1', singleVisualGroup: { displayName: 'Group 1' } }) },
+                { x: 0, y: 0, width: 10, height: 10, config: '{not json' }
+            ]
+        },
+        { name: 'ReportSection2', displayName: 'Empty', visualContainers: [] }
+    ]
+};
+
+console.log('--- fromLegacyReport ---');
+const warnings = [];
+const pages = VisualParser.fromLegacyReport(JSON.stringify(report), msg => warnings.push(msg));
+assert('sections become pages', pages.map(p => p.displayName).join() === 'Overview,Empty', pages.map(p => p.displayName));
+assert('page id and size kept', pages[0].pageId === 'ReportSection1' && pages[0].pageWidth === 1280, pages[0]);
+assert('groups skipped, broken config warned', pages[0].visuals.length === 2 && warnings.length === 1, { visuals: pages[0].visuals.length, warnings });
+const chart = pages[0].visuals[0];
+assert('visual id from config name', chart.visualId === 'a1b2c3', chart.visualId);
+assert('position from layout', chart.visualData.position.width === 600 && chart.visualData.position.y === 40, chart.visualData.position);
+const category = chart.visualData.visual.query.queryState.Category.projections[0];
+assert('source alias resolved to table', category.field.Column.Expression.SourceRef.Entity === 'Product', category.field);
+assert('sort direction converted', chart.visualData.visual.query.sortDefinition.sort[0].direction === 'Descending', chart.visualData.visual.query.sortDefinition);
+const brokenFilters = { sections: [{ ...report.sections[0], filters: '[{"name": "Filter1",' }, report.sections[1]] };
+const filterWarnings = [];
+const keptPages = VisualParser.fromLegacyReport(brokenFilters, msg => filterWarnings.push(msg));
+assert('broken page filters warned, page and visuals kept', keptPages.length === 2 && keptPages[0].visuals.length === 2 && keptPages[0].filterConfig === null
+    && filterWarnings.some(w => /filters on page "Overview"/.test(w)), { pages: keptPages.length, filterWarnings });
+
+console.log('--- parseReport on converted pages ---');
+const parsed = new VisualParser().parseReport(pages);
+const usage = parsed.fieldUsageMap;
+assert('measure usage', usage['measure|Sales|Total Revenue']?.[0]?.visualName === 'Revenue by Category', usage['measure|Sales|Total Revenue']);
+assert('column usage', usage['column|Product|Category']?.[0]?.pageName === 'Overview', usage['column|Product|Category']);
+assert('implicit measure counts as its column', !!usage['column|Sales|Quantity'], Object.keys(usage));
+assert('hierarchy level counts as its hierarchy', !!usage['hierarchy|Date|Date Hierarchy'], Object.keys(usage));
+assert('visual-level filter field', usage['column|Customer|Region']?.[0]?.projectionName === 'filter', usage['column|Customer|Region']);
+assert('visual type kept', parsed.visuals[1].visualType === 'slicer', parsed.visuals[1].visualType);
+
+console.log('--- CLI reader ---');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pbip-legacy-'));
+try {
+    fs.writeFileSync(path.join(dir, 'report.json'), JSON.stringify(report));
+    const read = readReportFiles(dir);
+    assert('report.json read when definition/pages is missing', read.length === 2 && read[0].visuals.length === 2, read.length);
+    fs.writeFileSync(path.join(dir, 'report.json'), '{ broken');
+    const readWarnings = [];
+    const broken = readReportFiles(dir, msg => readWarnings.push(msg));
+    assert('unparseable report.json warns', broken.length === 0 && readWarnings.length === 1, readWarnings);
+} finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
@@ -0,0 +1,141 @@
+'use strict';
+// Quick Node.js smoke test for per-column Power Query lineage (traceColumnLineage, columnLineageFromModel)
+// Run: node tests/test-m-column-lineage.js
+
+const { TMDLParser, DAXReferenceExtractor } = require('../tmdl-parser.js');
+global.TMDLParser = TMDLParser;
+global.DAXReferenceExtractor = DAXReferenceExtractor;
+global.MExpressionParser = require('../m-parser.js');
+const MExpressionParser = global.MExpressionParser;
+const LineageEngine = require('../lineage-engine.js');
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+const products = [
+    'let',
+    '    Source = Sql.Database("srv", "DW"),',
+    '    dbo_DimProduct = Source{[Schema="dbo",Item="DimProduct"]}[Data],',
+    '    Renamed = Table.RenameColumns(dbo_DimProduct, {{"EnglishCategory", "Category"}})',
+    'in',
+    '    Renamed'
+].join('\n');
+
+const sales = [
+    'let',
+    '    Source = Sql.Database("srv", "DW"),',
+    '    dbo_FactSales = Source{[Schema="dbo",Item="FactSales"]}[Data],',
+    '    #"Renamed Columns" = Table.RenameColumns(dbo_FactSales, {{"SalesAmount", "Amount"}}),',
+    '    #"Added Net" = Table.AddColumn(#"Renamed Columns", "Net Amount", each [Amount] * (1 - [#"Discount Pct"]), type number),',
+    '    Merged = Table.NestedJoin(#"Added Net", {"ProductKey"}, Products, {"ProductKey"}, "Products", JoinKind.LeftOuter),',
+    '    Expanded = Table.ExpandTableColumn(Merged, "Products", {"Category"}, {"Product Category"})',
+    'in',
+    '    Expanded'
+].join('\n');
+
+const queries = { Products: MExpressionParser.parseMSteps(products) };
+const resolve = name => queries[name] || null;
+const steps = MExpressionParser.parseMSteps(sales);
+const trace = column => MExpressionParser.traceColumnLineage(steps, column, resolve);
+
+console.log('--- traceColumnLineage ---');
+assert('quoted step names parsed without trailing space', steps.map(s => s.name).join('|') === 'Source|dbo_FactSales|Renamed Columns|Added Net|Merged|Expanded', steps.map(s => s.name));
+
+const net = trace('Net Amount');
+assert('AddColumn formula fields traced through the rename', net.kind === 'computed' && net.sources.map(s => s.column).join() === 'SalesAmount,Discount Pct', net);
+assert('steps listed source side first', net.steps.map(s => s.kind).join() === 'Rename,AddColumn', net.steps);
+assert('formula kept as step detail', net.steps[1].detail === 'each [Amount] * (1 - [#"Discount Pct"])', net.steps[1]);
+
+const category = trace('Product Category');
+assert('expanded column followed through the join into the other query', category.kind === 'expanded'
+    && category.sources.length === 1 && category.sources[0].query === 'Products' && category.sources[0].column === 'EnglishCategory', category);
+assert('join and the other query\'s rename recorded', category.steps.map(s => `${s.query || ''}:${s.kind}`).join() === 'Products:Rename,:Join,:Expand', category.steps);
+
+const key = trace('ProductKey');
+assert('untouched column passes through to the navigation step', key.kind === 'source' && key.steps.length === 0 && key.sources[0].step === 'dbo_FactSales' && key.sources[0].column === 'ProductKey', key);
+
+const grouped = MExpressionParser.parseMSteps(sales.replace(/\nin\n    Expanded$/, [
+    ',',
+    '    Grouped = Table.Group(Expanded, {"Product Category"}, {{"Total", each List.Sum([Net Amount]), type number}, {"Rows", each Table.RowCount(_), Int64.Type}}),',
+    '    Unpivoted = Table.UnpivotOtherColumns(Grouped, {"Product Category"}, "Measure", "Value")',
+    'in',
+    '    Unpivoted'
+].join('\n')));
+const traceGrouped = column => MExpressionParser.traceColumnLineage(grouped, column, resolve);
+const value = traceGrouped('Value');
+assert('unpivoted values come from every other column', value.kind === 'unpivoted' && value.sources[0].column === null && value.sources[0].otherThan.join() === 'Product Category', value);
+assert('unpivot attribute has no source column', traceGrouped('Measure').sources.length === 0, traceGrouped('Measure'));
+assert('group key passes through the group and unpivot', traceGrouped('Product Category').sources[0]?.column === 'EnglishCategory', traceGrouped('Product Category'));
+
+const appended = MExpressionParser.parseMSteps('let A = Sql.Database("s","d"){[Schema="dbo",Item="Y2023"]}[Data], B = Sql.Database("s","d"){[Schema="dbo",Item="Y2024"]}[Data], C = Table.Combine({A, B}) in C');
+const combined = MExpressionParser.traceColumnLineage(appended, 'Amount');
+assert('appended column comes from both tables', combined.kind === 'combined' && combined.sources.map(s => s.step).join() === 'A,B', combined);
+
+const rowFields = formula => MExpressionParser._rowFields(MExpressionParser.parse(formula).body);
+assert('row fields only, not lookups on other values', rowFields('each if [A] > 0 then _[B] else Source[C] + [#"D ""x"""]').join('|') === 'A|B|D "x"',
+    rowFields('each if [A] > 0 then _[B] else Source[C] + [#"D ""x"""]'));
+assert('rows of a nested each are not fields', rowFields('each List.Sum(Table.SelectRows(Other, each [Y] > 0)[Z]) + [X]').join('|') === 'X',
+    rowFields('each List.Sum(Table.SelectRows(Other, each [Y] > 0)[Z]) + [X]'));
+
+const withFormula = formula => MExpressionParser.parseMSteps([
+    'let',
+    '    Source = Sql.Database("srv", "DW"){[Schema="dbo",Item="FactSales"]}[Data],',
+    `    Added = Table.AddColumn(Source, "Net", ${formula}, type number)`,
+    'in',
+    '    Added'
+].join('\n'));
+const lineComment = MExpressionParser.traceColumnLineage(withFormula('each [Amount] // gross, see "Pricing :)\n        - [Discount]'), 'Net');
+assert('line comment with brackets and quotes inside AddColumn', lineComment.kind === 'computed' && lineComment.sources.map(s => s.column).join() === 'Amount,Discount', lineComment);
+const blockComment = MExpressionParser.traceColumnLineage(withFormula('each [Amount] /* ) */ - [Discount]'), 'Net');
+assert('bracket in a block comment inside AddColumn', blockComment.kind === 'computed' && blockComment.sources.map(s => s.column).join() === 'Amount,Discount', blockComment);
+const lambda = MExpressionParser.traceColumnLineage(withFormula('(r) => r[Amount] - r[Discount]'), 'Net');
+assert('function formula fields read through its row parameter', lambda.kind === 'computed' && lambda.sources.map(s => s.column).join() === 'Amount,Discount', lambda);
+assert('function formula kept as step detail', lambda.steps[0].detail === '(r) => r[Amount] - r[Discount]', lambda.steps);
+
+console.log('--- columnLineageFromModel / LineageEngine ---');
+const indent = (text, tabs) => text.split('\n').map(l => '\t'.repeat(tabs) + l.trim()).join('\n');
+const files = {
+    'tables/Sales.tmdl': [
+        'table Sales',
+        '\tcolumn Amount',
+        '\t\tsourceColumn: Amount',
+        '\tcolumn \'Net Amount\'',
+        '\t\tsourceColumn: Net Amount',
+        '\tcolumn \'Product Category\'',
+        '\t\tsourceColumn: Product Category',
+        '\tpartition Sales = m',
+        '\t\tmode: import',
+        '\t\tsource =',
+        indent(sales, 3)
+    ].join('\n'),
+    'tables/Products.tmdl': [
+        'table Products',
+        '\tcolumn Category',
+        '\tpartition Products = m',
+        '\t\tmode: import',
+        '\t\tsource =',
+        indent(products, 3)
+    ].join('\n')
+};
+const model = new TMDLParser().parseAll(files);
+const lineage = MExpressionParser.columnLineageFromModel(model);
+const netLineage = lineage.get('Sales')?.get('Net Amount');
+assert('physical table attached to each source', netLineage?.sources.every(s => s.physicalSchema === 'dbo' && s.physicalTable === 'FactSales'), netLineage?.sources);
+assert('one-line description', MExpressionParser.describeColumnLineage(netLineage) === 'AddColumn over physical SalesAmount and Discount Pct from dbo.FactSales', MExpressionParser.describeColumnLineage(netLineage));
+assert('description for a column from another query', MExpressionParser.describeColumnLineage(lineage.get('Sales').get('Product Category')) === 'Expanded from physical EnglishCategory from dbo.DimProduct',
+    MExpressionParser.describeColumnLineage(lineage.get('Sales').get('Product Category')));
+
+const engine = new LineageEngine(model, null, {});
+engine.buildGraph();
+const physical = engine.getColumnImpact('Sales', 'Net Amount').physicalColumns.map(p => `${p.physicalTable}.${p.name}`);
+assert('computed column maps to every physical column it reads', physical.join() === 'FactSales.SalesAmount,FactSales.Discount Pct', physical);
+const expanded = engine.getColumnImpact('Sales', 'Product Category').physicalColumns.map(p => `${p.physicalTable}.${p.name}`);
+assert('expanded column maps to the joined table\'s physical column', expanded.join() === 'DimProduct.EnglishCategory', expanded);
+assert('column impact carries the M lineage', engine.getColumnImpact('Sales', 'Amount').mLineage?.kind === 'renamed', engine.getColumnImpact('Sales', 'Amount').mLineage);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
@@ -0,0 +1,83 @@
+'use strict';
+// Quick Node.js smoke test for the M tokenizer/parser and the step, source and lineage extraction built on it
+// Run: node tests/test-m-parser-ast.js
+
+const MExpressionParser = require('../m-parser.js');
+MExpressionParser._declaredParams = new Set();
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+console.log('--- Tokenizer ---');
+const tokens = MExpressionParser.tokenize('#"Sales, Net" = Table.AddColumn(x, "a""b") // note\n/* block */ 0x1F');
+assert('quoted identifier keeps its comma', tokens[0].type === 'quoted' && tokens[0].value === 'Sales, Net', tokens[0]);
+assert('dotted library name is one token', tokens[2].value === 'Table.AddColumn', tokens[2]);
+assert('doubled quotes unescaped', tokens.find(t => t.type === 'string').value === 'a"b', tokens);
+assert('comments dropped, hex number kept', tokens.filter(t => t.type === 'number').map(t => t.value).join() === '0x1F' && !tokens.some(t => /note|block/.test(t.value)), tokens);
+
+console.log('--- Parser ---');
+const ast = MExpressionParser.parse('let a = [x = 1, #"y z" = {1..3}], b = a[#"y z"]{0}?, f = (n as number, optional m) => n * 2 in f(b)');
+assert('parses without errors', ast.errors.length === 0, ast.errors);
+assert('let bindings', ast.body.type === 'Let' && ast.body.bindings.map(b => b.name).join() === 'a,b,f', ast.body.bindings.map(b => b.name));
+assert('record with generalized field name', ast.body.bindings[0].value.fields[1].name === 'y z' && ast.body.bindings[0].value.fields[1].value.items[0].type === 'Range', ast.body.bindings[0].value);
+assert('optional item access over field access', ast.body.bindings[1].value.type === 'ItemAccess' && ast.body.bindings[1].value.optional && ast.body.bindings[1].value.target.field === 'y z', ast.body.bindings[1].value);
+assert('function params', ast.body.bindings[2].value.type === 'Function' && ast.body.bindings[2].value.params.join() === 'n,m', ast.body.bindings[2].value);
+assert('body is an invocation', ast.body.body.type === 'Invoke' && ast.body.body.callee.name === 'f', ast.body.body);
+assert('malformed input reports errors without throwing', MExpressionParser.parse('let a = (1, in a').errors.length > 0, null);
+
+console.log('--- parseMSteps ---');
+const m1 = [
+    '// Sales from BigQuery',
+    'let',
+    '    Source = GoogleBigQuery.Database([BillingProject = "acme-bi"]),',
+    '    #"acme-bi" = Source{[Name = "acme-bi"]}[Data],',
+    '    sales_Schema = #"acme-bi"{[Name = "sales", Kind = "Schema"]}[Data],',
+    '    orders_Table = sales_Schema{[Name = "orders", Kind = "Table"]}[Data],',
+    '    #"Renamed Columns, Cleaned" = Table.RenameColumns(orders_Table, {{"amt", "Amount"}}),',
+    '    /* keep open orders only */',
+    '    #"Open Rows" = Table.SelectRows(#"Renamed Columns, Cleaned", each [status] = "open" and [#"order, id"] <> null),',
+    '    Tagged = Table.AddColumn(#"Open Rows", "Meta", each [Source = "bq", Rows = List.Count({_})]),',
+    '    Buckets = let',
+    '        step = Table.Group(Tagged, {"Region"}, {{"Rows", each Table.RowCount(_), Int64.Type}}),',
+    '        sorted = Table.Sort(step, {{"Region", Order.Ascending}})',
+    '    in',
+    '        sorted,',
+    '    Joined = Table.Join(Tagged, "Region", Buckets, "Region"),',
+    '    Typed = Table.TransformColumnTypes(Joined, {{"Amount", type nullable number}})',
+    'in',
+    '    Typed'
+].join('\n');
+assert('whole query parses without errors', MExpressionParser.parse(m1).errors.length === 0, MExpressionParser.parse(m1).errors);
+const steps = MExpressionParser.parseMSteps(m1);
+const kinds = Object.fromEntries(steps.map(s => [s.name, s.kind]));
+assert('leading comment and nested let do not break the step list', steps.map(s => s.name).join('|') === 'Source|acme-bi|sales_Schema|orders_Table|Renamed Columns, Cleaned|Open Rows|Tagged|Buckets|Joined|Typed', steps.map(s => s.name));
+assert('BigQuery connector is a Source step', kinds.Source === 'Source', kinds);
+assert('quoted navigation step classified', kinds['acme-bi'] === 'Navigation' && kinds.sales_Schema === 'Navigation', kinds);
+assert('comma inside #"…" step name', kinds['Renamed Columns, Cleaned'] === 'Rename', kinds);
+assert('each with a record is an AddColumn', kinds.Tagged === 'AddColumn', kinds);
+assert('nested let classified by the step it returns', kinds.Buckets === 'Custom', kinds);
+assert('Table.Join is a Join', kinds.Joined === 'Join' && kinds.Typed === 'TypeChange', kinds);
+const refsOf = name => steps.find(s => s.name === name).refs;
+assert('refs skip library functions and row fields', refsOf('Open Rows').join() === 'Renamed Columns, Cleaned', refsOf('Open Rows'));
+assert('refs skip names bound inside the step', refsOf('Buckets').join() === 'Tagged', refsOf('Buckets'));
+assert('step text excludes the comment after it', !steps.find(s => s.name === 'Renamed Columns, Cleaned').exprText.includes('keep open'), steps.find(s => s.name === 'Renamed Columns, Cleaned').exprText);
+assert('a nested let returning a filter is a Filter', MExpressionParser._classifyStepKind('let x = Table.SelectRows(t, each true) in x') === 'Filter', null);
+
+console.log('--- Sources and lineage ---');
+const lineage = MExpressionParser.extractTableLineage(m1);
+assert('BigQuery Name/Kind navigation chain', lineage.physicalTable === 'orders' && lineage.physicalDataset === 'sales' && lineage.physicalProject === 'acme-bi', lineage);
+assert('rename read from the list argument only', lineage.renames.length === 1 && lineage.renames[0].modelName === 'Amount', lineage.renames);
+const sources = MExpressionParser.extractDataSources(m1);
+assert('BigQuery source with a record argument', sources.length === 1 && sources[0].type === 'Google BigQuery' && sources[0].server === null, sources);
+const native = MExpressionParser.extractDataSources('let Source = Value.NativeQuery(Sql.Database(ServerName, "DW"), "SELECT ""id"" FROM dbo.Orders", null, [EnableFolding = true]) in Source');
+assert('native query reported once on its connector', native.length === 1 && native[0].isNativeQuery && native[0].nativeQuery === 'SELECT "id" FROM dbo.Orders', native);
+assert('identifier argument is a parameter', native[0].server === 'ServerName' && native[0].parameterized && native[0].parameters.join() === 'ServerName', native[0]);
+const commented = MExpressionParser.extractDataSources('let\n  // Source = Oracle.Database("old")\n  Source = Sql.Database("srv", "db")\nin Source');
+assert('commented-out connector ignored', commented.length === 1 && commented[0].type === 'SQL Server', commented);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
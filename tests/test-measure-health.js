@@ -0,0 +1,99 @@
+'use strict';
+// Quick Node.js smoke test for per-measure complexity metrics and the Measure Health ranking
+// Run: node tests/test-measure-health.js
+
+const { TMDLParser, DAXReferenceExtractor, DAXParser } = require('../tmdl-parser.js');
+global.TMDLParser = TMDLParser;
+global.DAXReferenceExtractor = DAXReferenceExtractor;
+global.DAXParser = DAXParser;
+global.MExpressionParser = require('../m-parser.js');
+global.MeasureHealth = require('../measure-health.js');
+const MeasureHealth = global.MeasureHealth;
+const LineageEngine = require('../lineage-engine.js');
+const DocGenerator = require('../doc-generator.js');
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+const files = {
+    'relationships.tmdl': [
+        'relationship r1',
+        '\tfromColumn: Sales.ProductKey',
+        '\ttoColumn: Product.ProductKey'
+    ].join('\n'),
+    'tables/Sales.tmdl': [
+        'table Sales',
+        '\tmeasure \'Total Sales\' = SUM(Sales[Amount])',
+        '\tmeasure Level1 = [Total Sales] * 1.1',
+        '\tmeasure Level2 = [Level1] + 1',
+        '\tmeasure Level3 = [Level2] + 1',
+        '\tmeasure Level4 = [Level3] + 1',
+        '\tmeasure Level5 = [Level4] + 1',
+        '\tmeasure \'Big Sales\' =',
+        '\t\t\tVAR Unused = 42',
+        '\t\t\tVAR Result = CALCULATE([Total Sales], FILTER(ALL(Sales), Sales[Amount] > 1000))',
+        '\t\t\tRETURN IFERROR(Result / [Total Sales], 0)',
+        '\tmeasure \'List Value\' = SUMX(Sales, Sales[Qty] * RELATED(Product[Price]))',
+        '\tmeasure \'Column Filter\' = CALCULATE([Total Sales], FILTER(ALL(Sales[Region]), Sales[Region] = "West"))',
+        '\tmeasure Half = [Total Sales] / 2',
+        '\tcolumn Amount',
+        '\t\tdataType: double',
+        '\tcolumn Qty',
+        '\t\tdataType: int64',
+        '\tcolumn Region',
+        '\t\tdataType: string',
+        '\tcolumn ProductKey',
+        '\t\tdataType: int64'
+    ].join('\n'),
+    'tables/Product.tmdl': [
+        'table Product',
+        '\tmeasure \'Avg Price\' = AVERAGEX(Product, RELATED(Sales[Amount]))',
+        '\tcolumn ProductKey',
+        '\t\tdataType: int64',
+        '\tcolumn Price',
+        '\t\tdataType: double'
+    ].join('\n')
+};
+
+const parser = new TMDLParser();
+const model = parser.parseAll(files);
+const measureRefs = parser.extractAllReferences();
+const engine = new LineageEngine(model, null, measureRefs);
+engine.buildGraph();
+
+console.log('--- measureMetrics ---');
+const nested = MeasureHealth.measureMetrics('IF(A(), B(C(D(E(1)))))');
+assert('nesting depth counts function calls', nested.nestingDepth === 5, nested);
+const constants = MeasureHealth.measureMetrics('[Total Sales] / (2 * 12) + DIVIDE([A], [B])');
+assert('division by a constant is fine', constants.divisionOperators === 0, constants);
+
+console.log('--- MeasureHealth.analyze ---');
+const health = new MeasureHealth(model, engine);
+const result = health.analyze();
+const big = health.getMeasure('Sales', 'Big Sales');
+assert('FILTER over a whole table', big.metrics.filterAllTables === 1, big.metrics);
+assert('IFERROR and / counted', big.metrics.iferrorCount === 1 && big.metrics.divisionOperators === 1, big.metrics);
+assert('unused VAR named', big.metrics.unusedVariableNames.join() === 'Unused' && big.metrics.calculateCount === 1, big.metrics);
+assert('FILTER over one column is not flagged', health.getMeasure('Sales', 'Column Filter').metrics.filterAllTables === 0, health.getMeasure('Sales', 'Column Filter').metrics);
+assert('RELATED in a fact-table iterator', health.getMeasure('Sales', 'List Value').metrics.relatedInFactIterators === 1, health.getMeasure('Sales', 'List Value').metrics);
+assert('dimension iterator not flagged', health.getMeasure('Product', 'Avg Price').metrics.relatedInFactIterators === 0, health.getMeasure('Product', 'Avg Price').metrics);
+const level5 = health.getMeasure('Sales', 'Level5');
+assert('dependency chain depth from LineageEngine', level5.metrics.dependencyDepth === 5 && level5.smells.some(s => s.id === 'chain'), level5);
+assert('ranked worst first', result.measures[0].name === 'Big Sales' && result.measures[0].level === 'refactor', result.measures.map(m => `${m.name}:${m.score}`));
+assert('clean measure is healthy', health.getMeasure('Sales', 'Total Sales').score === 0 && health.getMeasure('Sales', 'Total Sales').level === 'healthy', health.getMeasure('Sales', 'Total Sales'));
+assert('summary counts', result.summary.measures === 11 && result.summary.needsAttention === result.summary.review + result.summary.refactor, result.summary);
+
+console.log('--- DocGenerator ---');
+const docs = new DocGenerator(model, {}, measureRefs, engine);
+const md = docs.generateMarkdown('model');
+assert('complexity line in the Markdown catalog', md.includes('**Complexity:** 0 (healthy)') && /\*\*Complexity:\*\* \d+ \(refactor\) — FILTER over a whole table/.test(md), md.split('\n').filter(l => l.startsWith('**Complexity')));
+const json = JSON.parse(docs.generateJSON());
+const bigJson = json.tables.find(t => t.name === 'Sales').measures.find(m => m.name === 'Big Sales');
+assert('score in the JSON export', bigJson.health?.score === big.score && bigJson.health.smells.length === big.smells.length, bigJson.health);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
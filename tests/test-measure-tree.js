@@ -0,0 +1,108 @@
+'use strict';
+// Quick Node.js smoke test for measure dependency trees (dependencies, dependents, cycles, depth flags)
+// Run: node tests/test-measure-tree.js
+
+const { TMDLParser, DAXReferenceExtractor } = require('../tmdl-parser.js');
+global.TMDLParser = TMDLParser;
+global.DAXReferenceExtractor = DAXReferenceExtractor;
+global.MExpressionParser = require('../m-parser.js');
+const LineageEngine = require('../lineage-engine.js');
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+// A seven-level time-intelligence stack, a measure two others share, and a cycle
+const files = {
+    'tables/Sales.tmdl': [
+        'table Sales',
+        '\tmeasure Revenue = SUM(Sales[Amount])',
+        '\tmeasure Cost = SUM(Sales[Cost])',
+        '\tmeasure Margin = [Revenue] - [Cost]',
+        '\tmeasure \'Margin LY\' = CALCULATE([Margin], SAMEPERIODLASTYEAR(\'Date\'[Date]))',
+        '\tmeasure \'Margin YoY\' = [Margin] - [Margin LY]',
+        '\tmeasure \'Margin YoY %\' = DIVIDE([Margin YoY], [Margin LY])',
+        '\tmeasure \'Margin YoY % MTD\' = CALCULATE([Margin YoY %], DATESMTD(\'Date\'[Date]))',
+        '\tmeasure \'Margin YoY % MTD Rank\' = RANKX(ALL(\'Date\'[Date]), [Margin YoY % MTD])',
+        '\tmeasure \'Margin Flag\' = IF([Margin YoY % MTD Rank] = 1, "Top")',
+        '\tmeasure Ping = [Pong] + 1',
+        '\tmeasure Pong = [Ping] * 2',
+        '\tcolumn Amount',
+        '\t\tdataType: double',
+        '\tcolumn Cost',
+        '\t\tdataType: double'
+    ].join('\n'),
+    'tables/Date.tmdl': [
+        'table Date',
+        '\tcolumn Date',
+        '\t\tdataType: dateTime'
+    ].join('\n')
+};
+
+const parser = new TMDLParser();
+const model = parser.parseAll(files);
+const measureRefs = parser.extractAllReferences();
+const engine = new LineageEngine(model, null, measureRefs);
+engine.buildGraph();
+
+const names = node => node.children.map(c => c.type === 'measure' ? `[${c.name}]` : `${c.table}[${c.name}]`);
+const find = (node, name) => node.name === name ? node : node.children.map(c => find(c, name)).find(Boolean);
+
+console.log('--- Dependencies ---');
+const margin = engine.getMeasureDependencyTree('Margin');
+assert('children are the referenced measures', names(margin.root).join() === '[Revenue],[Cost]', names(margin.root));
+assert('expanded down to base columns', names(margin.root.children[0]).join() === 'Sales[Amount]', names(margin.root.children[0]));
+assert('depth counts measure levels only', margin.maxDepth === 1 && margin.deepNodes === 0, margin);
+const shared = engine.getMeasureDependencyTree('Margin YoY');
+const repeatedMargin = shared.root.children[1].children.find(c => c.name === 'Margin');
+assert('a shared measure is expanded once, then marked repeated', find(shared.root.children[0], 'Revenue') && repeatedMargin?.repeated && repeatedMargin.children.length === 0, repeatedMargin);
+assert('filter columns become leaves', names(find(shared.root, 'Margin LY')).join() === '[Margin],Date[Date]', names(find(shared.root, 'Margin LY')));
+
+console.log('--- Depth threshold ---');
+const flag = engine.getMeasureDependencyTree('Margin Flag');
+assert('seven levels below the root', flag.maxDepth === 7, flag.maxDepth);
+const deep = find(flag.root, 'Revenue');
+assert('nodes beyond the threshold are flagged', deep.deep && deep.level === 6, deep);
+assert('nodes within the threshold are not', !find(flag.root, 'Margin YoY %').deep, find(flag.root, 'Margin YoY %'));
+assert('deep nodes counted', flag.deepNodes > 0, flag.deepNodes);
+const strict = engine.getMeasureDependencyTree('Margin', { depthWarning: 0 });
+assert('threshold can be overridden', strict.deepNodes === 2, strict.deepNodes);
+
+console.log('--- Cycles ---');
+const ping = engine.getMeasureDependencyTree('Ping');
+assert('cycle reported once', ping.cycles.length === 1 && ping.cycles[0].join() === 'Ping,Pong,Ping', ping.cycles);
+const closing = ping.root.children[0].children[0];
+assert('closing node marked circular and not expanded', closing.name === 'Ping' && closing.circular && closing.children.length === 0, closing);
+assert('no cycle in an acyclic tree', margin.cycles.length === 0, margin.cycles);
+
+console.log('--- Dependents ---');
+const revenue = engine.getMeasureDependencyTree('Revenue', { reverse: true });
+assert('reverse children are the measures using it', names(revenue.root).join() === '[Margin]', names(revenue.root));
+assert('reverse tree reaches the top of the stack', !!find(revenue.root, 'Margin Flag'), null);
+assert('reverse tree has no column leaves', !JSON.stringify(revenue).includes('"type":"column"'), null);
+const pong = engine.getMeasureDependencyTree('Pong', { reverse: true });
+assert('cycle reported in reverse', pong.cycles.length === 1 && pong.root.children[0].children[0].circular, pong.cycles);
+assert('unknown measure gives null', engine.getMeasureDependencyTree('Nope') === null, null);
+
+console.log('--- Diamonds ---');
+// Each layer's two measures both use both measures of the layer below: 2^20 paths to Base
+const diamond = ['table Calc', '\tmeasure Base = 1', '\tmeasure A0 = [Base]', '\tmeasure B0 = [Base] * 2'];
+for (let i = 1; i <= 20; i++) {
+    diamond.push(`\tmeasure A${i} = [A${i - 1}] + [B${i - 1}]`, `\tmeasure B${i} = [A${i - 1}] - [B${i - 1}]`);
+}
+const diamondParser = new TMDLParser();
+const diamondModel = diamondParser.parseAll({ 'tables/Calc.tmdl': diamond.join('\n') });
+const diamondEngine = new LineageEngine(diamondModel, null, diamondParser.extractAllReferences());
+diamondEngine.buildGraph();
+const count = node => 1 + node.children.reduce((s, c) => s + count(c), 0);
+const base = diamondEngine.getMeasureDependencyTree('Base', { reverse: true });
+assert('reverse tree over a diamond stays small', count(base.root) < 100 && base.maxDepth === 21 && base.cycles.length === 0, { nodes: count(base.root), maxDepth: base.maxDepth });
+const top = diamondEngine.getMeasureDependencyTree('A20');
+assert('each measure expanded once, the rest repeated', count(top.root) < 100 && top.maxDepth === 21, { nodes: count(top.root), maxDepth: top.maxDepth });
+
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
@@ -0,0 +1,140 @@
+'use strict';
+// Quick Node.js smoke test for ModelDiff (semantic model comparison + change log)
+// Run: node tests/test-model-diff.js
+
+const ModelDiff = require('../model-diff.js');
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+function makeModel(overrides = {}) {
+    return {
+        database: { name: 'Demo' },
+        tables: [
+            {
+                name: 'Sales', description: null, isHidden: false,
+                columns: [
+                    { name: 'Amount', dataType: 'decimal', isHidden: false },
+                    { name: 'ProductKey', dataType: 'int64', isHidden: true }
+                ],
+                measures: [
+                    { name: 'Total Sales', expression: 'SUM(Sales[Amount])', formatString: '#,0' },
+                    { name: 'Order Count', expression: 'COUNTROWS(Sales)' }
+                ],
+                hierarchies: [], partitions: []
+            },
+            {
+                name: 'Product', description: null, isHidden: false,
+                columns: [{ name: 'ProductKey', dataType: 'int64' }],
+                measures: [], hierarchies: [], partitions: []
+            }
+        ],
+        relationships: [
+            { id: 'r1', fromTable: 'Sales', fromColumn: 'ProductKey', toTable: 'Product', toColumn: 'ProductKey',
+              fromCardinality: 'many', toCardinality: 'one', crossFilteringBehavior: null, isActive: true }
+        ],
+        roles: [{ name: 'Reader', modelPermission: 'read', tablePermissions: [] }],
+        expressions: [],
+        ...overrides
+    };
+}
+
+console.log('--- identical models ---');
+const same = new ModelDiff(makeModel(), makeModel()).compare();
+assert('no changes', same.summary.total === 0, same.summary);
+
+console.log('--- measure, column and relationship changes ---');
+const curr = makeModel();
+curr.tables[0].measures[0].expression = 'SUMX(Sales,\n    Sales[Amount]\n)';
+curr.tables[0].measures.splice(1, 1);
+curr.tables[0].measures.push({ name: 'Avg Sale', expression: 'AVERAGE(Sales[Amount])' });
+curr.tables[0].columns[0].dataType = 'double';
+curr.relationships[0].id = 'regenerated-guid';
+curr.relationships[0].crossFilteringBehavior = 'bothDirections';
+curr.roles[0].tablePermissions.push({ table: 'Sales', filterExpression: '[Region] = "West"' });
+curr.tables.push({ name: 'Store', columns: [{ name: 'StoreKey' }], measures: [], hierarchies: [], partitions: [] });
+
+const r = new ModelDiff(makeModel(), curr).compare();
+assert('table Store added',       r.tables.added.map(e => e.label).join() === 'Store', r.tables.added);
+assert('new table columns not listed', r.columns.added.length === 0, r.columns.added);
+assert('measure added',           r.measures.added[0]?.label === '[Avg Sale]', r.measures.added);
+assert('measure removed',         r.measures.removed[0]?.label === '[Order Count]', r.measures.removed);
+const exprChange = r.measures.changed[0]?.changes.find(c => c.property === 'expression');
+assert('DAX text diff present',   exprChange && exprChange.textDiff.some(op => op.op === 'add'), exprChange);
+assert('dataType change',         r.columns.changed[0]?.changes[0]?.to === 'double', r.columns.changed);
+assert('relationship matched despite new id', r.relationships.added.length === 0 && r.relationships.changed.length === 1, r.relationships);
+const cf = r.relationships.changed[0].changes[0];
+assert('bidirectional flip recorded', cf.from === 'oneDirection' && cf.to === 'bothDirections', cf);
+assert('bidirectional flip is risky', ModelDiff.isRiskyChange('relationships', cf), cf);
+assert('RLS filter change on role', r.roles.changed[0]?.changes[0]?.property === 'filter on Sales', r.roles.changed);
+
+console.log('--- whitespace-only edits ---');
+const ws = makeModel();
+ws.tables[0].measures[0].expression = 'SUM(Sales[Amount])   \r\n';
+assert('trailing whitespace ignored', new ModelDiff(makeModel(), ws).compare().summary.total === 0, null);
+
+console.log('--- diffLines ---');
+const ops = ModelDiff.diffLines('a\nb\nc', 'a\nx\nc');
+assert('same/del/add/same', ops.map(o => o.op).join() === 'same,del,add,same', ops);
+
+console.log('--- fromJSONExport ---');
+const exported = {
+    overview: { databaseName: 'Demo' },
+    tables: makeModel().tables.map(t => ({
+        ...t,
+        columns: t.columns.map(c => ({ ...c, whereUsed: { measures: ['Total Sales'] } })),
+        measures: t.measures.map(m => ({ ...m, references: {}, visualUsage: [] }))
+    })),
+    relationships: makeModel().relationships,
+    roles: makeModel().roles,
+    expressions: []
+};
+const fromJson = ModelDiff.fromJSONExport(JSON.stringify(exported));
+assert('export strips whereUsed', !('whereUsed' in fromJson.tables[0].columns[0]), fromJson.tables[0].columns[0]);
+assert('export diff is empty', new ModelDiff(fromJson, makeModel()).compare().summary.total === 0, null);
+
+console.log('--- lineageTag renames & annotations ---');
+const tagged = () => {
+    const m = makeModel();
+    m.tables[0].measures[1].lineageTag = 'tag-orders';
+    m.tables[0].measures[1].annotations = { Owner: 'Sales Ops' };
+    return m;
+};
+const renamed = tagged();
+renamed.tables[0].measures[1].name = 'Orders';
+renamed.tables[0].measures[1].annotations = { Owner: 'Finance', Ticket: 'BI-42' };
+const rr = new ModelDiff(tagged(), renamed).compare();
+assert('rename is not add + remove', rr.measures.added.length === 0 && rr.measures.removed.length === 0, rr.measures);
+const renameEntry = rr.measures.changed[0];
+assert('rename recorded', renameEntry?.renamedFrom === '[Order Count]' && renameEntry.changes[0].property === 'name', renameEntry);
+assert('annotation changes listed', renameEntry.changes.some(c => c.property === 'annotation Owner' && c.to === 'Finance')
+    && renameEntry.changes.some(c => c.property === 'annotation Ticket' && c.from === null), renameEntry.changes);
+assert('rename shown in change log', new ModelDiff(tagged(), renamed).generateMarkdown().includes('(renamed from `[Order Count]`)'), null);
+
+const withTableTag = () => {
+    const m = makeModel();
+    m.tables[0].lineageTag = 'tag-sales';
+    return m;
+};
+const renamedTable = withTableTag();
+renamedTable.tables[0].name = 'Fact Sales';
+renamedTable.tables[0].columns[0].dataType = 'double';
+const rt = new ModelDiff(withTableTag(), renamedTable).compare();
+assert('table rename paired', rt.tables.changed[0]?.renamedFrom === 'Sales', rt.tables);
+assert('column change in renamed table reported', rt.columns.changed.length === 1
+    && rt.columns.changed[0].label === `Fact Sales[${renamedTable.tables[0].columns[0].name}]`
+    && rt.columns.changed[0].changes[0].to === 'double', rt.columns.changed);
+assert('renamed table columns not added/removed', rt.columns.added.length === 0 && rt.columns.removed.length === 0, rt.columns);
+
+console.log('--- generateMarkdown ---');
+const md = new ModelDiff(makeModel(), curr).generateMarkdown();
+assert('change log title',  md.startsWith('# Demo — Change Log'), md.slice(0, 40));
+assert('fenced diff block', md.includes('```diff'), null);
+assert('risky marker',      md.includes('`bothDirections` ⚠'), null);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
@@ -0,0 +1,110 @@
+'use strict';
+// Quick Node.js smoke test for usage aggregated across several reports on one model
+// Run: node tests/test-multi-report.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TMDLParser, DAXReferenceExtractor } = require('../tmdl-parser.js');
+global.TMDLParser = TMDLParser;
+global.DAXReferenceExtractor = DAXReferenceExtractor;
+global.MExpressionParser = require('../m-parser.js');
+global.VisualParser = require('../visual-parser.js');
+const VisualParser = global.VisualParser;
+const LineageEngine = require('../lineage-engine.js');
+const DocGenerator = require('../doc-generator.js');
+const { findPBIPStructure } = require('../cli.js');
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+const files = {
+    'tables/Sales.tmdl': [
+        'table Sales',
+        '\tmeasure \'Total Sales\' = SUM(Sales[Amount])',
+        '\tcolumn Amount',
+        '\t\tdataType: double',
+        '\tcolumn Region',
+        '\t\tdataType: string'
+    ].join('\n')
+};
+
+const column = (table, name) => ({ Column: { Expression: { SourceRef: { Entity: table } }, Property: name } });
+const measure = (table, name) => ({ Measure: { Expression: { SourceRef: { Entity: table } }, Property: name } });
+const card = (id, field, visualType = 'card') => ({
+    visualId: id,
+    visualData: { visual: { visualType, query: { queryState: { Values: { projections: [{ field }] } } } } }
+});
+
+// Two reports copied from the same template: same page folder, page name and card
+const report = (reportName, extraVisuals = []) => ({
+    reportName,
+    pages: [{
+        pageId: 'page1', pageName: 'ReportSection1', displayName: 'Overview',
+        visuals: [card('card1', measure('Sales', 'Total Sales')), ...extraVisuals]
+    }],
+    definition: {
+        filterConfig: { filters: [{ name: 'r1', field: column('Sales', 'Region'), type: 'Categorical' }] },
+        bookmarks: [{ name: 'bm1', displayName: 'Default', explorationState: { activeSection: 'ReportSection1' } }]
+    }
+});
+
+const parser = new TMDLParser();
+const model = parser.parseAll(files);
+const measureRefs = parser.extractAllReferences();
+const visualData = new VisualParser().parseReports([
+    report('Sales Overview'),
+    report('Regional', [card('slicer1', column('Sales', 'Region'), 'slicer')])
+]);
+
+console.log('--- VisualParser.parseReports ---');
+assert('report names listed', visualData.reports.join() === 'Sales Overview,Regional', visualData.reports);
+assert('page names qualified by report', visualData.pages.map(p => p.displayName).join() === 'Sales Overview › Overview,Regional › Overview', visualData.pages.map(p => p.displayName));
+assert('page ids unique', new Set(visualData.pages.map(p => p.id)).size === 2, visualData.pages.map(p => p.id));
+assert('visuals tagged with report', visualData.visuals.map(v => v.reportName).join() === 'Sales Overview,Regional,Regional', visualData.visuals.map(v => v.reportName));
+const measureUsage = visualData.fieldUsageMap['measure|Sales|Total Sales'];
+assert('usage aggregated across reports', measureUsage.length === 2 && measureUsage.map(u => u.reportName).join() === 'Sales Overview,Regional', measureUsage);
+assert('report filters kept per report', visualData.reportFilters.map(f => f.reportName).join() === 'Sales Overview,Regional', visualData.reportFilters);
+assert('bookmark ids unique', visualData.bookmarks.map(b => b.id).join() === 'Sales Overview/bm1,Regional/bm1', visualData.bookmarks.map(b => b.id));
+assert('bookmark page resolved within its report', visualData.bookmarks[1].pageName === 'Regional › Overview', visualData.bookmarks[1].pageName);
+const single = new VisualParser().parseReports([report('Only')]);
+assert('single report keeps plain page names', single.pages[0].displayName === 'Overview' && single.visuals[0].reportName === 'Only', single.pages[0]);
+
+console.log('--- LineageEngine ---');
+const engine = new LineageEngine(model, visualData, measureRefs);
+engine.buildGraph();
+const visualNodes = [...engine.nodes.values()].filter(n => n.type === 'visual');
+assert('same-named visuals stay separate nodes', visualNodes.length === 3, visualNodes.map(n => n.id));
+const top = engine.getTopMeasuresByVisualCount(1)[0];
+assert('top measure counted across reports', top.visualCount === 2 && top.reportCount === 2, top);
+const region = engine.getColumnConsumers('Sales', 'Region');
+assert('column consumers list their reports', region.reports.join() === 'Regional,Sales Overview', region.reports);
+assert('one report filter node per report', engine.nodes.has('filter:report|Sales Overview') && engine.nodes.has('filter:report|Regional'), [...engine.nodes.keys()].filter(k => k.startsWith('filter:')));
+const amount = engine.getColumnImpact('Sales', 'Amount');
+assert('transitive visuals carry their report', amount.transitiveVisuals.map(v => v.report).join() === 'Sales Overview,Regional', amount.transitiveVisuals);
+
+console.log('--- DocGenerator ---');
+const md = new DocGenerator(model, visualData.fieldUsageMap, measureRefs, engine).generateMarkdown('all', visualData);
+assert('visual usage table has a reports column', md.includes('| Field | Type | Table | Reports | Used In |'), md.split('\n').find(l => l.startsWith('| Field')));
+assert('reports column counts per report', md.includes('Sales Overview (1), Regional (1)'), null);
+
+console.log('--- CLI findPBIPStructure ---');
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pbip-multi-'));
+try {
+    fs.mkdirSync(path.join(root, 'Sales.SemanticModel', 'definition', 'tables'), { recursive: true });
+    fs.mkdirSync(path.join(root, 'Sales.Report'));
+    fs.mkdirSync(path.join(root, 'Sales Regional.Report'));
+    const all = findPBIPStructure(root, { allReports: true });
+    assert('--all-reports includes every matching report', all.reportPaths.length === 2, all.reportPaths);
+    const picked = findPBIPStructure(root, { report: ['Sales', 'Sales Regional'] });
+    assert('--report can be repeated', picked.reportPaths.map(p => path.basename(p)).join() === 'Sales.Report,Sales Regional.Report', picked.reportPaths);
+} finally {
+    fs.rmSync(root, { recursive: true, force: true });
+}
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
@@ -0,0 +1,111 @@
+'use strict';
+// Quick Node.js smoke test for perspective parsing and Perspectives scoping
+// Run: node tests/test-perspectives.js
+
+const { TMDLParser } = require('../tmdl-parser.js');
+const Perspectives = require('../perspectives.js');
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+const files = {
+    'tables/Sales.tmdl': [
+        'table Sales',
+        '\tmeasure \'Total Sales\' = SUM(Sales[Amount])',
+        '\tmeasure Margin = 1',
+        '\tcolumn Amount',
+        '\t\tdataType: double',
+        '\tcolumn CustomerKey',
+        '\t\tdataType: int64',
+        '\tcolumn Cost',
+        '\t\tdataType: double'
+    ].join('\n'),
+    'tables/Customer.tmdl': [
+        'table Customer',
+        '\tcolumn CustomerKey',
+        '\t\tdataType: int64',
+        '\tcolumn Region',
+        '\t\tdataType: string'
+    ].join('\n'),
+    'tables/Budget.tmdl': [
+        'table Budget',
+        '\tcolumn Target',
+        '\t\tdataType: double'
+    ].join('\n'),
+    'relationships.tmdl': [
+        'relationship r1',
+        '\tfromColumn: Sales.CustomerKey',
+        '\ttoColumn: Customer.CustomerKey'
+    ].join('\n'),
+    'perspectives/Finance.tmdl': [
+        '/// Margin reporting',
+        'perspective Finance',
+        '\tperspectiveTable Sales',
+        '\t\tperspectiveColumn Amount',
+        '\t\tperspectiveColumn Cost',
+        '\t\tperspectiveMeasure Margin',
+        '\t\tperspectiveMeasure \'Old Margin\'',
+        '\tperspectiveTable Budget',
+        '\t\tincludeAll'
+    ].join('\n'),
+    'perspectives/Sales Team.tmdl': [
+        'perspective \'Sales Team\'',
+        '\tperspectiveTable Sales',
+        '\t\tincludeAll',
+        '\tperspectiveTable Customer',
+        '\t\tincludeAll'
+    ].join('\n')
+};
+
+const model = new TMDLParser().parseAll(files);
+
+console.log('--- parsing ---');
+assert('two perspectives parsed', model.perspectives.length === 2, model.perspectives.map(p => p.name));
+const finance = model.perspectives.find(p => p.name === 'Finance');
+assert('description from /// comment', finance.description === 'Margin reporting', finance.description);
+assert('listed columns kept', finance.tables[0].columns.join() === 'Amount,Cost', finance.tables[0]);
+assert('includeAll flag', finance.tables[1].includeAll === true, finance.tables[1]);
+assert('quoted perspective name', model.perspectives.some(p => p.name === 'Sales Team'), model.perspectives.map(p => p.name));
+
+console.log('--- resolve ---');
+const resolved = Perspectives.resolve(model, finance);
+assert('includeAll expands to every column', resolved.tables.find(t => t.name === 'Budget').columns.join() === 'Target', resolved.tables);
+assert('counts', resolved.counts.tables === 2 && resolved.counts.columns === 3 && resolved.counts.measures === 1, resolved.counts);
+assert('renamed measure reported missing', resolved.missing.join() === '[Old Margin]', resolved.missing);
+
+console.log('--- scopeModel ---');
+const scoped = Perspectives.scopeModel(model, 'finance');
+assert('only perspective tables', scoped.tables.map(t => t.name).join() === 'Budget,Sales', scoped.tables.map(t => t.name));
+assert('only listed measures', scoped.tables.find(t => t.name === 'Sales').measures.map(m => m.name).join() === 'Margin', scoped.tables);
+assert('relationship to excluded table dropped', scoped.relationships.length === 0, scoped.relationships);
+assert('full model untouched', model.tables.find(t => t.name === 'Sales').columns.length === 3, model.tables);
+const salesTeam = Perspectives.scopeModel(model, 'Sales Team');
+assert('relationship kept between included tables', salesTeam.relationships.length === 1, salesTeam.relationships);
+let threw = false;
+try { Perspectives.scopeModel(model, 'Missing'); } catch { threw = true; }
+assert('unknown perspective throws', threw, threw);
+
+console.log('--- findings & matrix ---');
+const bpa = {
+    findings: [
+        { objectType: 'measure', table: 'Sales', name: 'Margin', severity: 'warning' },
+        { objectType: 'measure', table: 'Sales', name: 'Total Sales', severity: 'info' },
+        { objectType: 'column', table: 'Customer', name: 'Region', severity: 'warning' }
+    ],
+    counts: { error: 0, warning: 2, info: 1, total: 3 },
+    ruleErrors: []
+};
+const scopedBpa = Perspectives.scopeBPAResults(bpa, scoped);
+assert('findings outside the perspective dropped', scopedBpa.findings.map(f => f.name).join() === 'Margin', scopedBpa.findings);
+assert('counts recomputed', scopedBpa.counts.total === 1 && scopedBpa.counts.warning === 1, scopedBpa.counts);
+const matrix = Perspectives.tableMatrix(model);
+const salesRow = matrix.find(r => r.table === 'Sales');
+assert('matrix marks partial and full tables', salesRow.cells.Finance === 'partial' && salesRow.cells['Sales Team'] === 'all', salesRow);
+assert('matrix marks absent tables', matrix.find(r => r.table === 'Budget').cells['Sales Team'] === null, matrix);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
@@ -0,0 +1,107 @@
+'use strict';
+// Quick Node.js smoke test for the Power Query dependency graph and its draw.io/Mermaid exports
+// Run: node tests/test-query-dependencies.js
+
+const { TMDLParser, DAXReferenceExtractor } = require('../tmdl-parser.js');
+global.TMDLParser = TMDLParser;
+global.DAXReferenceExtractor = DAXReferenceExtractor;
+global.MExpressionParser = require('../m-parser.js');
+global.RLSSimulator = require('../rls-simulator.js');
+const LineageEngine = require('../lineage-engine.js');
+const DrawioExporter = require('../drawio-exporter.js');
+const MermaidExporter = require('../mermaid-exporter.js');
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+const files = {
+  'expressions.tmdl': [
+    'expression ServerName = "srv.database.windows.net" meta [IsParameterQuery=true, Type="Text", IsParameterQueryRequired=true]',
+    '\tkind: m',
+    '',
+    'expression RawOrders =',
+    '\t\tlet',
+    '\t\t\tSource = Sql.Database(ServerName, "DW"),',
+    '\t\t\tOrders = Source{[Schema="dbo",Item="Orders"]}[Data]',
+    '\t\tin',
+    '\t\t\tOrders',
+    '\tkind: m',
+    '\tqueryGroup: Staging',
+    '',
+    'expression RawReturns =',
+    '\t\tlet',
+    '\t\t\tSource = Sql.Database(ServerName, "DW"),',
+    '\t\t\tReturns = Source{[Schema="dbo",Item="Returns"]}[Data]',
+    '\t\tin',
+    '\t\t\tReturns',
+    '\tkind: m',
+    '',
+    'expression fnClean =',
+    '\t\t(t as table, col as text) => Table.SelectRows(t, each Record.Field(_, col) <> null)',
+    '\tkind: m',
+  ].join('\n'),
+  'tables/Sales.tmdl': [
+    'table Sales',
+    '\tcolumn Amount',
+    '\t\tdataType: double',
+    '\tpartition Sales = m',
+    '\t\tmode: import',
+    '\t\tsource =',
+    '\t\t\tlet',
+    '\t\t\t\tAll = Table.Combine({RawOrders, RawReturns}),',
+    '\t\t\t\tClean = fnClean(All, "Amount"),',
+    '\t\t\t\tJoined = Table.NestedJoin(Clean, {"Id"}, Product, {"Id"}, "P", JoinKind.LeftOuter)',
+    '\t\t\tin',
+    '\t\t\t\tJoined'
+  ].join('\n'),
+  'tables/Product.tmdl': 'table Product\n\tcolumn Id\n\t\tdataType: int64\n\tpartition Product = m\n\t\tmode: import\n\t\tsource =\n\t\t\tlet\n\t\t\t\tSource = RawOrders\n\t\t\tin\n\t\t\t\tSource'
+};
+const parser = new TMDLParser();
+const model = parser.parseAll(files);
+const graph = MExpressionParser.buildQueryDependencyGraph(model);
+const node = name => graph.nodes.find(n => n.name === name);
+const edge = (from, to) => graph.edges.find(e => e.from === `query:${from}` && e.to === `query:${to}`);
+
+console.log('--- Nodes ---');
+assert('parameter query', node('ServerName')?.kind === 'parameter', node('ServerName'));
+assert('function query', node('fnClean')?.kind === 'function', node('fnClean'));
+assert('staging queries keep their query group', node('RawOrders')?.kind === 'staging' && node('RawOrders').group === 'Staging' && node('RawReturns')?.kind === 'staging', graph.nodes);
+assert('partitions become table nodes', node('Sales')?.kind === 'table' && node('Product')?.kind === 'table', graph.nodes);
+const sources = graph.nodes.filter(n => n.kind === 'source');
+assert('one SQL Server source shared by both staging queries', sources.length === 1 && sources[0].sourceType === 'SQL Server', sources);
+assert('layers follow the longest chain', node('ServerName').layer === 0 && node('RawOrders').layer === 1 && node('Product').layer === 2 && node('Sales').layer === 3, graph.nodes.map(n => [n.name, n.layer]));
+
+console.log('--- Edges ---');
+assert('parameter edge', edge('ServerName', 'RawOrders')?.type === 'parameter' && edge('ServerName', 'RawReturns')?.type === 'parameter', graph.edges);
+assert('Table.Combine across queries', edge('RawOrders', 'Sales')?.type === 'combine' && edge('RawReturns', 'Sales')?.type === 'combine', graph.edges);
+assert('function invoked with its arguments', edge('fnClean', 'Sales')?.type === 'invoke' && edge('fnClean', 'Sales').args.join() === 'All,"Amount"', edge('fnClean', 'Sales'));
+assert('NestedJoin against another query', edge('Product', 'Sales')?.type === 'join', graph.edges);
+assert('plain reference', edge('RawOrders', 'Product')?.type === 'reference', graph.edges);
+assert('source edges from the connector', graph.edges.filter(e => e.type === 'source').map(e => e.to).sort().join() === 'query:RawOrders,query:RawReturns', graph.edges);
+assert('step names are not queries', !graph.edges.some(e => ['query:All', 'query:Clean', 'query:Joined'].includes(e.from)), graph.edges);
+
+console.log('--- Lineage engine ---');
+const engine = new LineageEngine(model, null, parser.extractAllReferences());
+engine.buildGraph();
+assert('engine keeps the query graph', engine.queryGraph && engine.queryGraph.nodes.length === graph.nodes.length, engine.queryGraph);
+const consumers = name => [...(engine._expressionConsumers.get(name) || [])].sort().join();
+assert('staging query consumers followed through other queries', consumers('RawOrders') === 'Product,Sales', consumers('RawOrders'));
+assert('parameter consumers reach the tables', consumers('ServerName') === 'Product,Sales', consumers('ServerName'));
+
+console.log('--- Exports ---');
+const mermaid = new MermaidExporter(model, engine).generateQueryDependencyFlowchart();
+assert('Mermaid subgraphs per kind', /subgraph Parameters/.test(mermaid) && /subgraph Staging/.test(mermaid) && /subgraph Tables/.test(mermaid), mermaid);
+assert('Mermaid dashed parameter edge', mermaid.includes('query_ServerName -.-> query_RawOrders'), mermaid);
+assert('Mermaid invoke label', mermaid.includes('query_fnClean -. "invoke(All, \'Amount\')" .-> query_Sales'), mermaid);
+assert('Mermaid join label', mermaid.includes('query_Product -- join --> query_Sales'), mermaid);
+const xml = new DrawioExporter(model, null).generateQueryDependencies();
+assert('draw.io diagram with every query', xml.includes('id="query-dependencies"') && ['ServerName', 'RawOrders', 'fnClean', 'Sales'].every(n => xml.includes(n)), xml.slice(0, 200));
+const ids = [...xml.matchAll(/mxCell id="([^"]+)"/g)].map(m => m[1]);
+assert('draw.io cell ids are unique', ids.length === new Set(ids).size, ids);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
@@ -0,0 +1,130 @@
+'use strict';
+// Quick Node.js smoke test for query folding risk analysis
+// Run: node tests/test-query-folding.js
+
+const { TMDLParser, DAXReferenceExtractor } = require('../tmdl-parser.js');
+global.DAXReferenceExtractor = DAXReferenceExtractor;
+global.MExpressionParser = require('../m-parser.js');
+const MExpressionParser = global.MExpressionParser;
+global.RefreshStorage = require('../refresh-storage.js');
+const LineageEngine = require('../lineage-engine.js');
+const DocGenerator = require('../doc-generator.js');
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+// Folding analysis of a single query
+const fold = (m, resolveSources) => MExpressionParser.analyzeFolding(MExpressionParser.parseMSteps(m), MExpressionParser.extractDataSources(m), resolveSources);
+const sql = 'Sql.Database("srv", "DW")';
+
+console.log('--- Steps that fold ---');
+const clean = fold(`let Source = ${sql}, Orders = Source{[Schema="dbo",Item="Orders"]}[Data], Kept = Table.SelectColumns(Orders, {"Id", "Amount"}), Filtered = Table.SelectRows(Kept, each [Amount] > 0) in Filtered`);
+assert('every step folds', clean.foldable && clean.breakingStep === null && clean.steps.every(s => s.folding === 'folds') && clean.steps.length === 4, clean);
+assert('summary line', MExpressionParser.describeFolding(clean) === 'All 4 steps fold to SQL Server', MExpressionParser.describeFolding(clean));
+
+console.log('--- Breaking steps ---');
+const indexed = fold(`let Source = ${sql}, Orders = Source{[Schema="dbo",Item="Orders"]}[Data], Indexed = Table.AddIndexColumn(Orders, "Row", 1, 1), Kept = Table.SelectColumns(Indexed, {"Row"}) in Kept`);
+assert('index column breaks folding', indexed.breakingStep === 'Indexed' && indexed.function === 'Table.AddIndexColumn', indexed);
+assert('steps before fold, steps after run locally', indexed.steps.map(s => s.folding).join(',') === 'folds,folds,breaks,local', indexed.steps);
+assert('summary names the step', /^Folding stops at step "Indexed" \(Table\.AddIndexColumn: /.test(MExpressionParser.describeFolding(indexed)), MExpressionParser.describeFolding(indexed));
+assert('Table.Buffer', fold(`let Source = ${sql}, B = Table.Buffer(Source) in B`).function === 'Table.Buffer', null);
+assert('custom function', fold(`let Source = ${sql}, C = #"fn Clean"(Source) in C`).function === 'fn Clean', null);
+const text = fold(`let Source = ${sql}, Upper = Table.AddColumn(Source, "U", each Text.Upper([Name])) in Upper`);
+assert('Text function inside each', text.breakingStep === 'Upper' && text.function === 'Text.Upper', text);
+assert('Text function outside each folds', fold(`let Source = ${sql}, R = Table.RenameColumns(Source, {{"A", Text.Upper("b")}}) in R`).breakingStep === null, null);
+assert('function definition step is not a breaker', fold(`let Source = ${sql}, fx = (t) => Table.Buffer(t), Kept = Table.SelectRows(Source, each [A] > 1) in Kept`).breakingStep === null, null);
+
+console.log('--- Native queries ---');
+const native = fold(`let Source = Value.NativeQuery(${sql}, "SELECT * FROM dbo.Orders"), F = Table.SelectRows(Source, each [A] > 1) in F`);
+assert('native query without EnableFolding', native.foldable && native.breakingStep === 'Source' && native.function === 'Value.NativeQuery', native);
+const enabled = fold(`let Source = Value.NativeQuery(${sql}, "SELECT * FROM dbo.Orders", null, [EnableFolding = true]), F = Table.SelectRows(Source, each [A] > 1) in F`);
+assert('native query with EnableFolding = true', enabled.breakingStep === null, enabled);
+
+console.log('--- Non-relational sources ---');
+const csv = fold('let Source = Csv.Document(File.Contents("C:\\\\data.csv")), Indexed = Table.AddIndexColumn(Source, "Row", 1, 1) in Indexed');
+assert('CSV never folds, no step flagged', !csv.foldable && csv.breakingStep === null && csv.steps.every(s => s.folding === 'none'), csv);
+assert('CSV summary', MExpressionParser.describeFolding(csv) === 'CSV sources do not fold', MExpressionParser.describeFolding(csv));
+
+console.log('--- Combine across sources ---');
+const other = { Budget: [{ type: 'Excel', path: 'budget.xlsx' }], Archive: [{ type: 'SQL Server', server: 'srv', database: 'DW' }] };
+const resolve = name => other[name] || null;
+const mixed = fold(`let Source = ${sql}, All = Table.Combine({Source, Budget}) in All`, resolve);
+assert('Table.Combine with a different source breaks', mixed.breakingStep === 'All' && mixed.function === 'Table.Combine', mixed);
+assert('Table.Combine on the same source folds', fold(`let Source = ${sql}, All = Table.Combine({Source, Archive}) in All`, resolve).breakingStep === null, null);
+assert('merge across sources breaks', fold(`let Source = ${sql}, M = Table.NestedJoin(Source, {"K"}, Budget, {"K"}, "B", JoinKind.LeftOuter) in M`, resolve).function === 'Table.NestedJoin', null);
+
+console.log('--- Model ---');
+const files = {
+    'expressions.tmdl': [
+        'expression Staging =',
+        '\t\tlet',
+        `\t\t    Source = ${sql},`,
+        '\t\t    Orders = Source{[Schema="dbo",Item="Orders"]}[Data]',
+        '\t\tin',
+        '\t\t    Orders',
+        '\tkind: m'
+    ].join('\n'),
+    'tables/Orders.tmdl': [
+        'table Orders',
+        '\tcolumn Id',
+        '\t\tdataType: int64',
+        '',
+        '\tpartition Orders = m',
+        '\t\tmode: import',
+        '\t\tsource =',
+        '\t\t\t\tlet',
+        '\t\t\t\t    Source = Staging,',
+        '\t\t\t\t    Buffered = Table.Buffer(Source)',
+        '\t\t\t\tin',
+        '\t\t\t\t    Buffered',
+        ''
+    ].join('\n'),
+    'tables/Notes.tmdl': [
+        'table Notes',
+        '\tcolumn Id',
+        '\t\tdataType: int64',
+        '',
+        '\tpartition Notes = m',
+        '\t\tmode: import',
+        '\t\tsource =',
+        '\t\t\t\tlet',
+        '\t\t\t\t    Source = Excel.Workbook(File.Contents("notes.xlsx"))',
+        '\t\t\t\tin',
+        '\t\t\t\t    Source',
+        ''
+    ].join('\n')
+};
+const model = new TMDLParser().parseAll(files);
+const folding = MExpressionParser.analyzeFoldingFromModel(model);
+assert('source taken from the staging query', folding.get('Orders')?.sourceType === 'SQL Server' && folding.get('Orders').breakingStep === 'Buffered', folding.get('Orders'));
+assert('Excel table is not foldable', folding.get('Notes') && !folding.get('Notes').foldable, folding.get('Notes'));
+
+console.log('--- Refresh & Storage shares the breaker list ---');
+const range = RefreshStorage.analyze({ tables: [{ name: 'T', partitions: [{ mode: 'import', sourceType: 'm', source: `let S = ${sql}, T = Text.Upper("x"), F = Table.SelectRows(S, each [D] >= RangeStart and [D] < RangeEnd), I = Table.AddIndexColumn(F, "R", 1, 1) in I` }] }] }).tables[0];
+assert('same breaker and reason', range.foldingRisks.length === 1 && range.foldingRisks[0].reason === MExpressionParser.FOLDING_BREAKERS['Table.AddIndexColumn'], range.foldingRisks);
+
+console.log('--- Exports ---');
+const engine = new LineageEngine(model, { visuals: [] }, {});
+engine.buildGraph();
+assert('lineage engine keeps the analysis', engine.folding.get('Orders')?.breakingStep === 'Buffered', [...engine.folding.keys()]);
+const refresh = RefreshStorage.analyze(model, new Date(), engine.folding);
+const agree = refresh.tables.every(entry => {
+    const f = engine.folding.get(entry.table);
+    return f?.breakingStep ? entry.foldingRisks.length === 1 && entry.foldingRisks[0].step === f.breakingStep && entry.foldingRisks[0].function === f.function
+        : entry.foldingRisks.length === 0;
+});
+assert('Refresh & Storage agrees with the step badges', agree && refresh.tables.find(t => t.table === 'Orders').foldingRisks[0]?.step === 'Buffered', refresh.tables.map(t => [t.table, t.foldingRisks]));
+assert('Refresh & Storage without a lineage engine agrees too', JSON.stringify(RefreshStorage.analyze(model).tables.map(t => t.foldingRisks)) === JSON.stringify(refresh.tables.map(t => t.foldingRisks)), null);
+const gen = new DocGenerator(model, {}, {}, engine);
+const md = gen.generateMarkdown('model');
+assert('Markdown marks the breaking step', md.includes('*Query folding: Folding stops at step "Buffered"') && md.includes('**Buffered** `[Custom]` ⚠ breaks folding'), md.slice(md.indexOf('#### Power Query Steps'), md.indexOf('#### Power Query Steps') + 300));
+const json = JSON.parse(gen.generateJSON());
+const ordersJson = json.tables.find(t => t.name === 'Orders');
+assert('JSON carries the analysis per table', ordersJson?.queryFolding?.breakingStep === 'Buffered', ordersJson?.queryFolding);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
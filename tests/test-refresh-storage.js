@@ -0,0 +1,169 @@
+'use strict';
+// Quick Node.js smoke test for refresh policy parsing and the Refresh & Storage checks
+// Run: node tests/test-refresh-storage.js
+
+const { TMDLParser } = require('../tmdl-parser.js');
+global.MExpressionParser = require('../m-parser.js');
+global.RefreshStorage = require('../refresh-storage.js');
+const RefreshStorage = global.RefreshStorage;
+const DocGenerator = require('../doc-generator.js');
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+const policy = (periods, sourceLines, extra = []) => [
+    '\trefreshPolicy',
+    '\t\tpolicyType: basic',
+    '\t\trollingWindowGranularity: year',
+    `\t\trollingWindowPeriods: ${periods}`,
+    '\t\tincrementalGranularity: day',
+    '\t\tincrementalPeriods: 10',
+    ...extra,
+    '\t\tsourceExpression =',
+    ...sourceLines.map(l => `\t\t\t\t${l}`),
+    ''
+];
+const partition = (name, mode, m = ['let', '    Source = Sql.Database("srv", "DW")', 'in', '    Source']) => [
+    `\tpartition ${name} = m`,
+    `\t\tmode: ${mode}`,
+    '\t\tsource =',
+    ...m.map(l => `\t\t\t\t${l}`),
+    ''
+];
+
+const files = {
+    'expressions.tmdl': [
+        'expression RangeStart = #datetime(2024, 1, 1, 0, 0, 0) meta [IsParameterQuery=true, Type="DateTime", IsParameterQueryRequired=true]',
+        '\tkind: m',
+        '',
+        'expression RangeEnd = #date(2024, 2, 1) meta [IsParameterQuery=true, Type="Date", IsParameterQueryRequired=true]',
+        '\tkind: m'
+    ].join('\n'),
+    'tables/Sales.tmdl': [
+        'table Sales',
+        '\tcolumn OrderDate',
+        '\t\tdataType: dateTime',
+        '',
+        ...partition('Sales-2024', 'import'),
+        ...policy(3, [
+            'let',
+            '    Source = Sql.Database("srv", "DW"),',
+            '    Orders = Source{[Schema="dbo",Item="Orders"]}[Data],',
+            '    Filtered = Table.SelectRows(Orders, each [OrderDate] >= RangeStart and [OrderDate] < RangeEnd),',
+            '    Indexed = Table.AddIndexColumn(Filtered, "Row", 1, 1)',
+            'in',
+            '    Indexed'
+        ], [
+            '\t\tmode: hybrid',
+            '\t\tpollingExpression =',
+            '\t\t\t\tlet',
+            '\t\t\t\t    MaxDate = List.Max(Sql.Database("srv", "DW"){[Schema="dbo",Item="Orders"]}[Data][ModifiedAt])',
+            '\t\t\t\tin',
+            '\t\t\t\t    MaxDate',
+            ''
+        ])
+    ].join('\n'),
+    'tables/Returns.tmdl': [
+        'table Returns',
+        '\tcolumn ReturnDate',
+        '\t\tdataType: dateTime',
+        '',
+        ...partition('Returns', 'import'),
+        ...policy(1, [
+            'let',
+            '    Source = Sql.Database("srv", "DW"),',
+            '    Buffered = Table.Buffer(Source{[Schema="dbo",Item="Returns"]}[Data]),',
+            '    Filtered = Table.SelectRows(Buffered, each RangeStart <= Date.From([ReturnDate]) and [ReturnDate] <= RangeEnd)',
+            'in',
+            '    Filtered'
+        ]).map(l => l.replace('incrementalGranularity: day', 'incrementalGranularity: year').replace('incrementalPeriods: 10', 'incrementalPeriods: 3'))
+    ].join('\n'),
+    'tables/Stock.tmdl': [
+        'table Stock',
+        '\tcolumn Qty',
+        '\t\tdataType: int64',
+        '',
+        ...partition('Stock', 'import'),
+        ...policy(2, ['let', '    Source = Sql.Database("srv", "DW")', 'in', '    Source'])
+    ].join('\n'),
+    'tables/Customer.tmdl': ['table Customer', '\tcolumn Key', '\t\tdataType: int64', '', ...partition('Customer', 'dual')].join('\n'),
+    'tables/Live.tmdl': [
+        'table Live', '\tcolumn Key', '\t\tdataType: int64', '',
+        ...partition('Live-1', 'directQuery'), ...partition('Live-2', 'import')
+    ].join('\n'),
+    'tables/Lake.tmdl': ['table Lake', '\tcolumn Key', '\t\tdataType: int64', '', '\tpartition Lake = entity', '\t\tmode: directLake', '\t\tsource', '\t\t\tentityName: lake', ''].join('\n')
+};
+
+const model = new TMDLParser().parseAll(files);
+const sales = model.tables.find(t => t.name === 'Sales');
+
+console.log('--- Parser ---');
+assert('policy periods and hybrid mode', sales.refreshPolicy.rollingWindowPeriods === 3 && sales.refreshPolicy.incrementalGranularity === 'day' && sales.refreshPolicy.mode === 'hybrid', sales.refreshPolicy);
+assert('polling and source expressions kept apart', /List\.Max/.test(sales.refreshPolicy.pollingExpression) && !/List\.Max/.test(sales.refreshPolicy.sourceExpression) && /^let/.test(sales.refreshPolicy.sourceExpression), sales.refreshPolicy);
+assert('partition still parsed before the policy', sales.partitions.length === 1 && sales.partitions[0].mode === 'import', sales.partitions);
+
+console.log('--- Storage modes ---');
+const r = RefreshStorage.analyze(model, new Date(2026, 9, 19));
+const entry = name => r.tables.find(t => t.table === name);
+assert('hybrid, dual, mixed and Direct Lake', entry('Sales').storageMode === 'hybrid' && entry('Customer').storageMode === 'dual'
+    && entry('Live').storageMode === 'mixed' && entry('Lake').storageMode === 'directLake' && entry('Stock').storageMode === 'import', r.tables.map(t => [t.table, t.storageMode]));
+assert('summary counts policies and modes', r.summary.policies === 3 && r.summary.modes.import === 2 && entry('Live').partitions.length === 2, r.summary);
+
+console.log('--- Policy window ---');
+const w = entry('Sales').window;
+assert('archive from the start of the year 3 years back', w.archiveStart === '2023-01-01', w);
+assert('refresh the last 10 days including today', w.refreshStart === '2026-10-10' && w.end === '2026-10-20' && w.refreshDays === 10, w);
+assert('quarter granularity starts on a quarter', RefreshStorage.policyWindow({ rollingWindowPeriods: 1, rollingWindowGranularity: 'quarter', incrementalPeriods: 1, incrementalGranularity: 'month' }, new Date(2026, 7, 5)).archiveStart === '2026-04-01', null);
+assert('incomplete policy has no window', RefreshStorage.policyWindow({ rollingWindowPeriods: 3, rollingWindowGranularity: 'year' }) === null, null);
+
+console.log('--- RangeStart / RangeEnd filter ---');
+const f = entry('Sales').rangeFilter;
+assert('filter step and operators', f.step === 'Filtered' && f.stepKind === 'Filter' && f.startOperator === '>=' && f.endOperator === '<', f);
+const rf = entry('Returns').rangeFilter;
+assert('mirrored comparison through Date.From', rf.startOperator === '>=' && rf.endOperator === '<=', rf);
+const messages = name => entry(name).issues.map(i => `${i.severity}: ${i.message}`);
+assert('inclusive RangeEnd flagged', messages('Returns').some(m => /^error: .*<= RangeEnd/.test(m)), messages('Returns'));
+assert('incremental window longer than the rolling window', messages('Returns').some(m => /longer than the rolling window/.test(m)), messages('Returns'));
+assert('policy without a range filter', messages('Stock').some(m => /never uses RangeStart\/RangeEnd/.test(m)), messages('Stock'));
+assert('RangeEnd parameter of type Date', messages('Sales').some(m => /RangeEnd is a Date parameter/.test(m)), messages('Sales'));
+
+console.log('--- Folding ---');
+assert('breaker after the filter is a warning', entry('Sales').foldingRisks.length === 1 && entry('Sales').foldingRisks[0].function === 'Table.AddIndexColumn' && !entry('Sales').foldingRisks[0].beforeFilter
+    && messages('Sales').some(m => /^warning: Step "Indexed"/.test(m)), entry('Sales').foldingRisks);
+assert('breaker before the filter is an error', entry('Returns').foldingRisks[0]?.beforeFilter && messages('Returns').some(m => /^error: Step "Buffered" \(Table.Buffer\) comes before/.test(m)), entry('Returns').foldingRisks);
+const single = m => RefreshStorage.analyze({ tables: [{ name: 'T', partitions: [{ mode: 'import', sourceType: 'm', source: m }] }] }).tables[0];
+assert('custom function counts as a breaker', single('let S = Sql.Database("srv", "DW"), C = fnClean(S), F = Table.SelectRows(C, each [D] >= RangeStart and [D] < RangeEnd) in F').foldingRisks[0]?.function === 'fnClean', null);
+const csvModel = new TMDLParser().parseAll({
+    'expressions.tmdl': files['expressions.tmdl'],
+    'tables/Files.tmdl': [
+        'table Files', '\tcolumn D', '\t\tdataType: dateTime', '',
+        ...partition('Files', 'import'),
+        ...policy(1, [
+            'let',
+            '    Source = Csv.Document(File.Contents("C:\\\\data\\\\files.csv")),',
+            '    Buffered = Table.Buffer(Source),',
+            '    Filtered = Table.SelectRows(Buffered, each [D] >= RangeStart and [D] < RangeEnd)',
+            'in',
+            '    Filtered'
+        ])
+    ].join('\n')
+});
+const csv = RefreshStorage.analyze(csvModel).tables[0];
+assert('CSV source has no folding risks', csv.foldingRisks.length === 0 && !csv.issues.some(i => /folding/.test(i.message)), csv.issues);
+assert('range filter without a policy', entry('Customer').issues.length === 0
+    && RefreshStorage.analyze({ tables: [{ name: 'T', partitions: [{ mode: 'import', sourceType: 'm', source: 'let S = Table.SelectRows(X, each [D] >= RangeStart and [D] < RangeEnd) in S' }] }] }).tables[0].issues[0]?.severity === 'warning', null);
+
+console.log('--- Exports ---');
+const gen = new DocGenerator(model, {}, {}, null);
+const md = gen.generateMarkdown('model');
+assert('Markdown section with the policy dates', md.includes('## Refresh & Storage') && md.includes('keep 3 years (from ') && md.includes('Filtered: >= RangeStart and < RangeEnd'), md.slice(md.indexOf('## Refresh'), md.indexOf('## Refresh') + 400));
+assert('Markdown issues list', md.includes('### Refresh Issues') && md.includes('- **Stock** (error):'), null);
+const json = JSON.parse(gen.generateJSON());
+assert('JSON export', json.refreshStorage && json.refreshStorage.tables.length === 6 && json.refreshStorage.summary.policies === 3, json.refreshStorage?.summary);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
@@ -0,0 +1,71 @@
+'use strict';
+// Quick Node.js smoke test for definition.pbir binding and report discovery
+// Run: node tests/test-report-binding.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ReportBinding = require('../report-binding.js');
+const { findPBIPStructure } = require('../cli.js');
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+const byPath = p => ({ version: '4.0', datasetReference: { byPath: { path: p } } });
+const byConnection = (workspace, catalog) => ({
+    version: '4.0',
+    datasetReference: {
+        byConnection: {
+            connectionString: `Data Source="powerbi://api.powerbi.com/v1.0/myorg/${encodeURIComponent(workspace)}";initial catalog=${catalog};access mode=readonly;integrated security=ClaimsToken;semanticmodelid=0000`
+        }
+    }
+});
+
+console.log('--- parse ---');
+const local = ReportBinding.parse(JSON.stringify(byPath('..\\Sales.SemanticModel')));
+assert('byPath model folder', local.type === 'byPath' && local.modelName === 'Sales', local);
+const live = ReportBinding.parse(byConnection('Finance Team', 'Sales'));
+assert('byConnection catalog and workspace', live.type === 'byConnection' && live.modelName === 'Sales' && live.workspace === 'Finance Team', live);
+assert('describe live', ReportBinding.describe(live) === 'Live: Finance Team / Sales', ReportBinding.describe(live));
+const quoted = ReportBinding.parseConnectionString('Data Source=x;Initial Catalog="A; B ""C""";');
+assert('quoted connection values', quoted['initial catalog'] === 'A; B "C"', quoted);
+assert('missing datasetReference', ReportBinding.parse({}).type === null, ReportBinding.parse({}));
+
+console.log('--- relation ---');
+assert('byPath to this model', ReportBinding.relation(local, 'Sales.SemanticModel', 'Anything.Report') === 'bound', null);
+assert('byPath to another model', ReportBinding.relation(local, 'HR.SemanticModel', 'HR.Report') === null, null);
+assert('live to same-named model', ReportBinding.relation(live, 'Sales.SemanticModel', 'Exec.Report') === 'live', null);
+assert('live to another model is thin', ReportBinding.relation(live, 'HR.SemanticModel', 'HR.Report') === 'thin', null);
+assert('no pbir falls back to name prefix', ReportBinding.relation(null, 'Sales.SemanticModel', 'Sales.Report') === 'prefix', null);
+
+console.log('--- findPBIPStructure ---');
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pbip-binding-'));
+const write = (folder, pbir) => {
+    fs.mkdirSync(path.join(root, folder), { recursive: true });
+    if (pbir) fs.writeFileSync(path.join(root, folder, 'definition.pbir'), JSON.stringify(pbir));
+};
+try {
+    fs.mkdirSync(path.join(root, 'Sales.SemanticModel', 'definition', 'tables'), { recursive: true });
+    write('Executive Dashboard.Report', byPath('../Sales.SemanticModel'));
+    write('Regional Thin.Report', byConnection('Other', 'Published Sales'));
+
+    const found = findPBIPStructure(root);
+    assert('report bound by path despite different name', found.reportPath?.endsWith('Executive Dashboard.Report'), found.reportPath);
+    assert('binding returned', found.reportBinding?.type === 'byPath', found.reportBinding);
+    const thin = findPBIPStructure(root, { report: 'Regional Thin' });
+    assert('thin report can be picked explicitly', thin.reportBinding?.modelName === 'Published Sales', thin.reportBinding);
+
+    write('Sales Extra.Report', byConnection('Finance', 'Sales'));
+    let message = '';
+    try { findPBIPStructure(root); } catch (err) { message = err.message; }
+    assert('several bound reports need --report', message.includes('Executive Dashboard.Report') && message.includes('Sales Extra.Report') && !message.includes('Regional Thin'), message);
+} finally {
+    fs.rmSync(root, { recursive: true, force: true });
+}
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
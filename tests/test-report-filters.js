@@ -0,0 +1,163 @@
+'use strict';
+// Quick Node.js smoke test for page/report filters, bookmarks and slicer sync groups
+// Run: node tests/test-report-filters.js
+
+const { TMDLParser, DAXReferenceExtractor } = require('../tmdl-parser.js');
+global.TMDLParser = TMDLParser;
+global.DAXReferenceExtractor = DAXReferenceExtractor;
+global.MExpressionParser = require('../m-parser.js');
+global.VisualParser = require('../visual-parser.js');
+const VisualParser = global.VisualParser;
+const LineageEngine = require('../lineage-engine.js');
+const UnusedObjects = require('../unused-objects.js');
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+const files = {
+    'tables/Sales.tmdl': [
+        'table Sales',
+        '\tmeasure \'Total Sales\' = SUM(Sales[Amount])',
+        '\tmeasure Units = SUM(Sales[Qty])',
+        '\tcolumn Amount',
+        '\t\tdataType: double',
+        '\tcolumn Qty',
+        '\t\tdataType: int64',
+        '\tcolumn Channel',
+        '\t\tdataType: string',
+        '\tcolumn Region',
+        '\t\tdataType: string',
+        '\tcolumn Status',
+        '\t\tdataType: string',
+        '\tcolumn Notes',
+        '\t\tdataType: string'
+    ].join('\n'),
+    'tables/Metric Picker.tmdl': [
+        'table \'Metric Picker\'',
+        '\tcolumn \'Metric Picker\'',
+        '\t\tdataType: string',
+        '\t\tsourceColumn: [Value1]',
+        '\tcolumn \'Metric Picker Fields\'',
+        '\t\tdataType: string',
+        '\t\tsourceColumn: [Value2]',
+        '\tpartition \'Metric Picker\' = calculated',
+        '\t\tmode: import',
+        '\t\tsource =',
+        '\t\t\t\t{',
+        '\t\t\t\t\t("Revenue", NAMEOF(\'Sales\'[Total Sales]), 0),',
+        '\t\t\t\t\t("Units", NAMEOF(\'Sales\'[Units]), 1)',
+        '\t\t\t\t}'
+    ].join('\n')
+};
+
+const column = (table, name) => ({ Column: { Expression: { SourceRef: { Entity: table } }, Property: name } });
+const measure = (table, name) => ({ Measure: { Expression: { SourceRef: { Entity: table } }, Property: name } });
+const slicer = (name, field) => ({
+    visualId: name,
+    visualData: {
+        name,
+        visual: {
+            visualType: 'slicer',
+            query: { queryState: { Values: { projections: [{ field }] } } },
+            syncGroup: { groupName: 'Region', fieldChanges: true, filterChanges: true }
+        }
+    }
+});
+
+const pages = [
+    {
+        pageId: 'page1', pageName: 'ReportSection1', displayName: 'Overview',
+        filterConfig: { filters: [{ name: 'f1', field: column('Sales', 'Channel'), type: 'Categorical' }] },
+        visuals: [
+            { visualId: 'card1', visualData: { visual: { visualType: 'card', query: { queryState: { Values: { projections: [{ field: measure('Sales', 'Total Sales') }] } } } } } },
+            slicer('slicer1', column('Sales', 'Region'))
+        ]
+    },
+    {
+        pageId: 'page2', pageName: 'ReportSection2', displayName: 'Detail',
+        filterConfig: { filters: [{ name: 'f2', field: column('Sales', 'Gone'), type: 'Categorical' }] },
+        visuals: [slicer('slicer2', column('Sales', 'Region'))]
+    }
+];
+
+const definition = {
+    filterConfig: { filters: [{ name: 'r1', field: column('Sales', 'Status'), type: 'Advanced' }] },
+    bookmarks: [{
+        name: 'bm1',
+        displayName: 'Units View',
+        explorationState: {
+            activeSection: 'ReportSection1',
+            filters: {
+                byExpr: [{
+                    expression: column('Metric Picker', 'Metric Picker'),
+                    filter: {
+                        From: [{ Name: 'm', Entity: 'Metric Picker' }],
+                        Where: [{ Condition: { In: {
+                            Expressions: [{ Column: { Expression: { SourceRef: { Source: 'm' } }, Property: 'Metric Picker' } }],
+                            Values: [[{ Literal: { Value: "'Units'" } }]]
+                        } } }]
+                    }
+                }]
+            },
+            sections: {
+                ReportSection1: { visualContainers: { card1: { singleVisual: { display: { mode: 'hidden' } } } } }
+            }
+        }
+    }]
+};
+
+const model = new TMDLParser().parseAll(files);
+const visualData = new VisualParser().parseReport(pages, definition);
+
+console.log('--- VisualParser ---');
+assert('page filter fields', visualData.pages[0].filters.map(f => f.name).join() === 'Channel', visualData.pages[0].filters);
+assert('report filter fields', visualData.reportFilters.map(f => f.name).join() === 'Status', visualData.reportFilters);
+const bookmark = visualData.bookmarks[0];
+assert('bookmark page resolved by page name', bookmark.pageName === 'Overview', bookmark.pageName);
+assert('bookmark hidden visual named', bookmark.hiddenVisuals.join() === 'Overview: card', bookmark.hiddenVisuals);
+assert('bookmark selection values', bookmark.selections[0]?.values.join() === 'Units' && bookmark.selections[0].table === 'Metric Picker', bookmark.selections);
+assert('filters in field usage map', visualData.fieldUsageMap['column|Sales|Channel']?.[0]?.visualName === 'Page filters', visualData.fieldUsageMap['column|Sales|Channel']);
+assert('report filter usage on all pages', visualData.fieldUsageMap['column|Sales|Status']?.[0]?.pageName === 'All pages', visualData.fieldUsageMap['column|Sales|Status']);
+const group = visualData.syncGroups[0];
+assert('sync group across pages', visualData.syncGroups.length === 1 && group.slicers.map(s => s.pageName).join() === 'Overview,Detail', visualData.syncGroups);
+assert('sync group fields deduplicated', group.fields.length === 1, group.fields);
+
+console.log('--- LineageEngine ---');
+const engine = new LineageEngine(model, visualData, {});
+engine.buildGraph();
+const channel = engine.getColumnImpact('Sales', 'Channel');
+assert('page filter is a column consumer', channel.filters.length === 1 && channel.filters[0].page === 'Overview' && channel.directVisuals.length === 0, channel);
+assert('report filter is a column consumer', engine.getColumnConsumers('Sales', 'Status').filters[0]?.name === 'Report filters', engine.getColumnConsumers('Sales', 'Status'));
+const bmNode = engine.nodes.get('bookmark:bm1');
+assert('bookmark field parameter selection resolved', bmNode.fieldParameterSelections[0]?.items.map(i => i.column).join() === 'Units', bmNode.fieldParameterSelections);
+assert('missing page filter field is a broken reference', engine.brokenRefs.some(b => b.visual === 'filter:page|Detail' && b.target === 'column:Sales.Gone'), engine.brokenRefs);
+
+console.log('--- UnusedObjects ---');
+const unused = new UnusedObjects(model, engine).analyze();
+const unusedColumns = unused.columns.filter(c => c.table === 'Sales').map(c => c.name);
+assert('filter-only columns are not unused', !unusedColumns.includes('Channel') && !unusedColumns.includes('Status'), unusedColumns);
+assert('truly unused column still reported', unusedColumns.includes('Notes'), unusedColumns);
+
+console.log('--- legacy report.json ---');
+const legacy = {
+    filters: JSON.stringify([{ name: 'r1', expression: column('Sales', 'Status'), type: 'Categorical' }]),
+    config: JSON.stringify({
+        bookmarks: [{ name: 'grp', displayName: 'Group', children: [{ name: 'bm2', displayName: 'Legacy', explorationState: { activeSection: 'ReportSection1' } }] }]
+    }),
+    sections: [{
+        name: 'ReportSection1', displayName: 'Overview',
+        filters: JSON.stringify([{ name: 'p1', expression: column('Sales', 'Channel'), type: 'Categorical' }]),
+        visualContainers: []
+    }]
+};
+const legacyData = new VisualParser().parseReport(VisualParser.fromLegacyReport(legacy), VisualParser.fromLegacyReportDefinition(legacy));
+assert('legacy page filters', legacyData.pages[0].filters.map(f => f.name).join() === 'Channel', legacyData.pages[0].filters);
+assert('legacy report filters', legacyData.reportFilters.map(f => f.name).join() === 'Status', legacyData.reportFilters);
+assert('legacy bookmark groups flattened', legacyData.bookmarks.map(b => `${b.name}@${b.pageName}`).join() === 'Legacy@Overview', legacyData.bookmarks);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
@@ -0,0 +1,114 @@
+'use strict';
+// Quick Node.js smoke test for row-level security lineage (role nodes, filter propagation, column impact)
+// Run: node tests/test-rls-lineage.js
+
+const { TMDLParser, DAXReferenceExtractor } = require('../tmdl-parser.js');
+global.TMDLParser = TMDLParser;
+global.DAXReferenceExtractor = DAXReferenceExtractor;
+global.MExpressionParser = require('../m-parser.js');
+global.RLSSimulator = require('../rls-simulator.js');
+const LineageEngine = require('../lineage-engine.js');
+const DocGenerator = require('../doc-generator.js');
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+// Region filters Store; Store filters Sales one way and Inventory in both directions for security
+const files = {
+    'tables/Region.tmdl': 'table Region\n\tcolumn Region\n\t\tdataType: string\n\tcolumn Manager\n\t\tdataType: string',
+    'tables/Store.tmdl': 'table Store\n\tcolumn StoreKey\n\t\tdataType: int64\n\tcolumn Region\n\t\tdataType: string',
+    'tables/Sales.tmdl': 'table Sales\n\tmeasure \'Total Sales\' = SUM(Sales[Amount])\n\tcolumn StoreKey\n\t\tdataType: int64\n\tcolumn Amount\n\t\tdataType: double',
+    'tables/Inventory.tmdl': 'table Inventory\n\tcolumn StoreKey\n\t\tdataType: int64',
+    'tables/Audit.tmdl': 'table Audit\n\tcolumn StoreKey\n\t\tdataType: int64',
+    'relationships.tmdl': [
+        'relationship r1',
+        '\tfromColumn: Store.Region',
+        '\ttoColumn: Region.Region',
+        'relationship r2',
+        '\tfromColumn: Sales.StoreKey',
+        '\ttoColumn: Store.StoreKey',
+        'relationship r3',
+        '\tfromColumn: Store.StoreKey',
+        '\ttoColumn: Inventory.StoreKey',
+        '\tfromCardinality: one',
+        '\tcrossFilteringBehavior: bothDirections',
+        '\tsecurityFilteringBehavior: bothDirections',
+        'relationship r4',
+        '\tisActive: false',
+        '\tfromColumn: Audit.StoreKey',
+        '\ttoColumn: Store.StoreKey'
+    ].join('\n'),
+    'roles/Managers.tmdl': [
+        'role Managers',
+        '\tmodelPermission: read',
+        '',
+        '\ttablePermission Region =',
+        '\t\tfilterExpression: [Manager] = USERPRINCIPALNAME()'
+    ].join('\n'),
+    'roles/Legacy.tmdl': [
+        'role Legacy',
+        '\tmodelPermission: read',
+        '',
+        '\ttablePermission Store =',
+        '\t\tfilterExpression: Store[Territory] = "West" && [Total Sales] > 0'
+    ].join('\n')
+};
+
+const parser = new TMDLParser();
+const model = parser.parseAll(files);
+const engine = new LineageEngine(model, null, parser.extractAllReferences());
+engine.buildGraph();
+
+console.log('--- Graph ---');
+assert('role node added', engine.nodes.get('role:Managers')?.type === 'role', engine.nodes.get('role:Managers'));
+const edgesFrom = id => engine.edges.filter(e => e.from === id).map(e => `${e.type}>${e.to}`);
+assert('filters_table edge', edgesFrom('role:Managers').includes('filters_table>table:Region'), edgesFrom('role:Managers'));
+assert('bare column resolved in the row context of the filtered table', edgesFrom('role:Managers').includes('references_column>column:Region.Manager'), edgesFrom('role:Managers'));
+assert('measure in a filter gives depends_on_measure', edgesFrom('role:Legacy').includes('depends_on_measure>measure:Sales.Total Sales'), edgesFrom('role:Legacy'));
+assert('missing filter column is a broken reference', engine.brokenRefs.some(r => r.visual === 'role:Legacy' && r.target === 'column:Store.Territory'), engine.brokenRefs);
+
+console.log('--- Propagation ---');
+const managers = engine.getRoleLineage('Managers');
+const secured = managers.securedTables.map(t => `${t.table}<${t.from}@${t.depth}`);
+assert('filter flows from the one side to the many side', secured.includes('Store<Region@1') && secured.includes('Sales<Store@2'), secured);
+assert('bothDirections security filter flows back to the one side', secured.includes('Inventory<Store@2'), secured);
+assert('inactive relationship is not followed', !secured.some(s => s.startsWith('Audit')), secured);
+assert('filter columns listed', managers.filters[0].columns.map(c => `${c.table}[${c.column}]`).join() === 'Region[Manager]', managers.filters[0]);
+const legacy = engine.getRoleLineage('Legacy');
+assert('missing column flagged in role lineage', legacy.brokenRefs.length === 1 && legacy.brokenRefs[0].column === 'Territory' && legacy.brokenRefs[0].filterTable === 'Store', legacy.brokenRefs);
+assert('one-way relationship does not secure the one side', !legacy.securedTables.some(t => t.table === 'Region'), legacy.securedTables);
+assert('unknown role gives null', engine.getRoleLineage('Nope') === null, null);
+
+const dotted = new TMDLParser().parseAll({
+    "tables/dim.Customer.tmdl": "table 'dim.Customer'\n\tcolumn Region\n\t\tdataType: string",
+    'roles/West.tmdl': [
+        'role West',
+        '\tmodelPermission: read',
+        '',
+        "\ttablePermission 'dim.Customer' =",
+        "\t\tfilterExpression: [Region] = \"West\" && 'dim.Customer'[Territory] = \"W\""
+    ].join('\n')
+});
+const dottedEngine = new LineageEngine(dotted, null, {});
+dottedEngine.buildGraph();
+const west = dottedEngine.getRoleLineage('West');
+assert('table names with dots keep their columns', west.filters[0].table === 'dim.Customer'
+    && west.filters[0].columns.map(c => `${c.table}[${c.column}]${c.missing ? '?' : ''}`).sort().join() === 'dim.Customer[Region],dim.Customer[Territory]?', west.filters[0]);
+
+console.log('--- Column Impact ---');
+const impact = engine.getColumnImpact('Region', 'Manager');
+assert('column impact lists the role', impact.roles.length === 1 && impact.roles[0].role === 'Managers' && impact.roles[0].table === 'Region', impact.roles);
+assert('roles are not counted as measures', impact.directMeasures.length === 0, impact.directMeasures);
+assert('role filter expression carried', impact.roles[0].expression.includes('USERPRINCIPALNAME'), impact.roles[0]);
+
+console.log('--- DocGenerator ---');
+const md = new DocGenerator(model, {}, parser.extractAllReferences(), engine).generateMarkdown('all');
+assert('markdown lists secured tables', md.includes('**Also secured through relationships:** Store (via Region)'), md.split('\n').filter(l => l.includes('secured')));
+assert('markdown warns about the missing column', md.includes('reads `Store[Territory]`, which is not in the model'), null);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
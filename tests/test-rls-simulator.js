@@ -0,0 +1,124 @@
+'use strict';
+// Quick Node.js smoke test for the RLS filter propagation simulator
+// Run: node tests/test-rls-simulator.js
+
+const { TMDLParser, DAXReferenceExtractor } = require('../tmdl-parser.js');
+global.TMDLParser = TMDLParser;
+global.DAXReferenceExtractor = DAXReferenceExtractor;
+global.RLSSimulator = require('../rls-simulator.js');
+const RLSSimulator = global.RLSSimulator;
+const DocGenerator = require('../doc-generator.js');
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+// Region → Store → Sales/Inventory; Returns hangs off Store through an inactive relationship,
+// Product cross-filters Sales both ways but secures one way, Calendar filters Sales one way
+// and Budget secures Region both ways
+const table = name => `table ${name}\n\tcolumn Key\n\t\tdataType: int64`;
+const files = {
+    'tables/Region.tmdl': table('Region'),
+    'tables/Store.tmdl': table('Store'),
+    'tables/Sales.tmdl': table('Sales'),
+    'tables/Inventory.tmdl': table('Inventory'),
+    'tables/Returns.tmdl': table('Returns'),
+    'tables/Product.tmdl': table('Product'),
+    'tables/Budget.tmdl': table('Budget'),
+    'tables/Calendar.tmdl': table('Calendar'),
+    'tables/Notes.tmdl': table('Notes'),
+    'relationships.tmdl': [
+        'relationship r1',
+        '\tfromColumn: Store.Key',
+        '\ttoColumn: Region.Key',
+        'relationship r2',
+        '\tfromColumn: Sales.Key',
+        '\ttoColumn: Store.Key',
+        'relationship r3',
+        '\tfromColumn: Inventory.Key',
+        '\ttoColumn: Store.Key',
+        'relationship r4',
+        '\tisActive: false',
+        '\tfromColumn: Returns.Key',
+        '\ttoColumn: Store.Key',
+        'relationship r5',
+        '\tfromColumn: Sales.Key',
+        '\ttoColumn: Product.Key',
+        '\tcrossFilteringBehavior: bothDirections',
+        'relationship r6',
+        '\tfromColumn: Budget.Key',
+        '\ttoColumn: Region.Key',
+        '\tcrossFilteringBehavior: bothDirections',
+        '\tsecurityFilteringBehavior: bothDirections',
+        'relationship r7',
+        '\tfromColumn: Sales.Key',
+        '\ttoColumn: Calendar.Key'
+    ].join('\n'),
+    'roles/Region.tmdl': [
+        'role Region',
+        '\tmodelPermission: read',
+        '',
+        '\ttablePermission Region =',
+        '\t\tfilterExpression: [Key] = 1'
+    ].join('\n'),
+    'roles/Planners.tmdl': [
+        'role Planners',
+        '\tmodelPermission: read',
+        '',
+        '\ttablePermission Budget =',
+        '\t\tfilterExpression: [Key] = 2'
+    ].join('\n'),
+    'roles/Readers.tmdl': 'role Readers\n\tmodelPermission: read'
+};
+
+const model = new TMDLParser().parseAll(files);
+const simulator = new RLSSimulator(model);
+
+console.log('--- simulate ---');
+const region = simulator.simulate('Region');
+assert('direct filter listed with its expression', region.direct.length === 1 && region.direct[0].table === 'Region' && region.direct[0].expression === '[Key] = 1', region.direct);
+const reached = region.indirect.map(t => `${t.table}<${t.from}@${t.depth}`);
+assert('filter flows one → many, hop by hop', reached.includes('Store<Region@1') && reached.includes('Budget<Region@1') && reached.includes('Sales<Store@2') && reached.includes('Inventory<Store@2'), reached);
+assert('one-way security does not reach the one side', !reached.some(r => r.startsWith('Product') || r.startsWith('Calendar')), reached);
+assert('inactive relationship does not carry the filter', region.uncovered.includes('Returns'), region.uncovered);
+assert('uncovered tables listed', [...region.uncovered].sort().join() === 'Calendar,Notes,Product,Returns', region.uncovered);
+assert('uncovered fact tables flagged', region.uncoveredFactTables.join() === 'Returns', region.uncoveredFactTables);
+
+const reasons = Object.fromEntries(region.blocked.map(b => [b.table, b.reason]));
+assert('inactive relationship explained', reasons.Returns === 'relationship is inactive', region.blocked);
+assert('one-way security on a two-way cross-filter explained', /security filters in one direction only/.test(reasons.Product), region.blocked);
+assert('single direction explained', /one side to the many side only/.test(reasons.Calendar), region.blocked);
+
+const planners = simulator.simulate('Planners');
+const plannerReach = planners.indirect.map(t => `${t.table}<${t.from}@${t.depth}`);
+assert('security filter in both directions flows back to the one side', plannerReach[0] === 'Region<Budget@1', plannerReach);
+assert('and on from there', plannerReach.includes('Sales<Store@3'), plannerReach);
+
+const readers = simulator.simulate('Readers');
+assert('role without filters covers nothing', readers.direct.length === 0 && readers.uncovered.length === model.tables.length, readers);
+assert('unknown role', simulator.simulate('Nobody') === null, null);
+
+console.log('--- isBidirectional ---');
+assert('one-to-one cross-filters both ways', RLSSimulator.isBidirectional({ fromCardinality: 'one', toCardinality: 'one', securityFilteringBehavior: 'bothDirections' }), null);
+assert('security setting alone is not enough', !RLSSimulator.isBidirectional({ securityFilteringBehavior: 'bothDirections' }), null);
+
+console.log('--- coverage ---');
+const coverage = simulator.coverage();
+assert('one column per role', coverage.roles.join() === 'Region,Planners,Readers', coverage.roles);
+const row = name => coverage.tables.find(t => t.table === name);
+assert('direct and indirect cells', row('Region').roles.Region === 'direct' && row('Region').roles.Planners === 'indirect' && row('Region').roles.Readers === null, row('Region'));
+assert('fact flag', row('Sales').isFact && !row('Notes').isFact, [row('Sales'), row('Notes')]);
+assert('fact tables no role covers', coverage.uncoveredFactTables.join() === 'Returns', coverage.uncoveredFactTables);
+
+console.log('--- DocGenerator ---');
+const doc = new DocGenerator(model, {}, {}, null);
+const md = doc.generateMarkdown('all');
+assert('coverage table in markdown', md.includes('### RLS Coverage') && md.includes('| Sales | Yes | Via relationship | Via relationship | — |'), md.slice(md.indexOf('### RLS Coverage'), md.indexOf('### RLS Coverage') + 400));
+assert('uncovered fact tables called out', md.includes('Fact tables no role filters: Returns'), null);
+assert('coverage in JSON', JSON.parse(doc.generateJSON()).rlsCoverage?.uncoveredFactTables?.join() === 'Returns', null);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
@@ -0,0 +1,113 @@
+'use strict';
+// Quick Node.js smoke test for culture parsing and Translations coverage / applyCulture
+// Run: node tests/test-translations.js
+
+const { TMDLParser } = require('../tmdl-parser.js');
+const Translations = require('../translations.js');
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+const files = {
+    'model.tmdl': [
+        'model Model',
+        '\tculture: en-US'
+    ].join('\n'),
+    'tables/Sales.tmdl': [
+        '/// Sales transactions',
+        'table Sales',
+        '\tmeasure \'Total Sales\' = SUM(Sales[Amount])',
+        '\tcolumn Amount',
+        '\t\tdataType: double',
+        '\t\tdisplayFolder: Values',
+        '\tcolumn Key',
+        '\t\tdataType: int64',
+        '\t\tisHidden',
+        '\thierarchy Period',
+        '\t\tlevel Amount',
+        '\t\t\tcolumn: Amount'
+    ].join('\n'),
+    'cultures/en-US.tmdl': [
+        'cultureInfo en-US'
+    ].join('\n'),
+    'cultures/de-DE.tmdl': [
+        'cultureInfo de-DE',
+        '',
+        '\tlinguisticMetadata =',
+        '\t\t\t{',
+        '\t\t\t  "Version": "1.0.0",',
+        '\t\t\t  "Entities": { "table": { "caption": "not a translation" } }',
+        '\t\t\t}',
+        '\t\tcontentType: json',
+        '',
+        '\ttranslations',
+        '\t\tmodel Model',
+        '\t\t\tcaption: Modell',
+        '\t\t\ttable Sales',
+        '\t\t\t\tcaption: Verkäufe',
+        '\t\t\t\tdescription: Verkaufstransaktionen',
+        '\t\t\t\tmeasure \'Total Sales\'',
+        '\t\t\t\t\tcaption: "Gesamtumsatz"',
+        '\t\t\t\tcolumn Amount',
+        '\t\t\t\t\tcaption: Betrag',
+        '\t\t\t\t\tdisplayFolder: Werte',
+        '\t\t\t\thierarchy Period',
+        '\t\t\t\t\tcaption: Zeitraum',
+        '\t\t\t\t\tlevel Amount',
+        '\t\t\t\t\t\tcaption: Betrag'
+    ].join('\n'),
+    'cultures/ko-KR.tmdl': [
+        'cultureInfo ko-KR',
+        '\ttranslations',
+        '\t\tmodel Model',
+        '\t\t\ttable Sales',
+        '\t\t\t\tcaption: 판매',
+        '\t\t\t\tcolumn Amount',
+        '\t\t\t\t\tcaption: 금액'
+    ].join('\n')
+};
+
+const model = new TMDLParser().parseAll(files);
+
+console.log('--- parsing ---');
+assert('three cultures parsed, sorted', model.cultures.map(c => c.name).join() === 'de-DE,en-US,ko-KR', model.cultures.map(c => c.name));
+const de = model.cultures.find(c => c.name === 'de-DE');
+assert('linguistic metadata flagged and skipped', de.hasLinguisticMetadata && !de.translations.tables.table, de);
+assert('model caption', de.translations.model.caption === 'Modell', de.translations.model);
+assert('table caption and description', de.translations.tables.Sales.caption === 'Verkäufe' && de.translations.tables.Sales.description === 'Verkaufstransaktionen', de.translations.tables.Sales);
+assert('quoted measure caption unquoted', de.translations.tables.Sales.measures['Total Sales'].caption === 'Gesamtumsatz', de.translations.tables.Sales.measures);
+assert('hierarchy level nested', de.translations.tables.Sales.hierarchies.Period.levels.Amount.caption === 'Betrag', de.translations.tables.Sales.hierarchies);
+
+console.log('--- coverage ---');
+const coverage = Translations.coverage(model);
+assert('base culture excluded', coverage.cultures.join() === 'de-DE,ko-KR', coverage.cultures);
+assert('hidden column not checked', !coverage.rows.some(r => r.name === 'Key'), coverage.rows.map(r => r.label));
+assert('de-DE fully translated', coverage.summary['de-DE'].percent === 100, coverage.summary['de-DE']);
+const columnRow = coverage.rows.find(r => r.type === 'column');
+assert('ko-KR missing column display folder', columnRow.missing['ko-KR'].join() === 'displayFolder', columnRow);
+const measureRow = coverage.rows.find(r => r.type === 'measure');
+assert('ko-KR missing measure caption', measureRow.missing['ko-KR'].join() === 'caption', measureRow);
+const tableRow = coverage.rows.find(r => r.type === 'table');
+assert('ko-KR missing table description', tableRow.missing['ko-KR'].join() === 'description', tableRow);
+assert('ko-KR summary', coverage.summary['ko-KR'].complete === 0 && coverage.summary['ko-KR'].incomplete === 4, coverage.summary['ko-KR']);
+
+console.log('--- applyCulture ---');
+const german = Translations.applyCulture(model, 'DE-de');
+const sales = german.tables[0];
+assert('culture recorded', german._culture === 'de-DE', german._culture);
+assert('caption and translated description', sales.caption === 'Verkäufe' && sales.description === 'Verkaufstransaktionen', sales);
+assert('names unchanged', sales.name === 'Sales' && sales.measures[0].name === 'Total Sales', sales.measures[0]);
+assert('display folder translated', sales.columns[0].displayFolder === 'Werte' && sales.columns[0].caption === 'Betrag', sales.columns[0]);
+const korean = Translations.applyCulture(model, 'ko-KR');
+assert('untranslated description falls back', korean.tables[0].description === 'Sales transactions', korean.tables[0].description);
+assert('full model untouched', model.tables[0].caption === undefined && model.tables[0].columns[0].displayFolder === 'Values', model.tables[0]);
+let threw = false;
+try { Translations.applyCulture(model, 'fr-FR'); } catch { threw = true; }
+assert('unknown culture throws', threw, threw);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
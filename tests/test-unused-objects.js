@@ -0,0 +1,127 @@
+'use strict';
+// Quick Node.js smoke test for UnusedObjects (dead tables, columns and measures)
+// Run: node tests/test-unused-objects.js
+
+const { TMDLParser, DAXReferenceExtractor } = require('../tmdl-parser.js');
+global.TMDLParser = TMDLParser;
+global.DAXReferenceExtractor = DAXReferenceExtractor;
+global.MExpressionParser = require('../m-parser.js');
+const LineageEngine = require('../lineage-engine.js');
+const UnusedObjects = require('../unused-objects.js');
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+const model = {
+    database: { name: 'Demo' },
+    tables: [
+        {
+            name: 'Sales', isHidden: false,
+            columns: [
+                { name: 'Amount', dataType: 'decimal', sourceColumn: 'Amount' },
+                { name: 'Qty', dataType: 'int64', sourceColumn: 'Qty' },
+                { name: 'Cost', dataType: 'decimal', sourceColumn: 'Cost' },
+                { name: 'CustomerKey', dataType: 'int64', sourceColumn: 'CustomerKey', isHidden: true },
+                { name: 'LoadId', dataType: 'int64', sourceColumn: 'LoadId', isHidden: true },
+                { name: 'Margin', dataType: 'decimal', expression: 'Sales[Amount] - Sales[Cost]' }
+            ],
+            measures: [
+                { name: 'Total Sales', expression: 'SUM(Sales[Amount])' },
+                { name: 'Old Margin', expression: 'SUM(Sales[Margin])' },
+                { name: 'Margin %', expression: 'DIVIDE([Old Margin], [Total Sales])' },
+                { name: 'Units', expression: 'SUM(Sales[Qty])' }
+            ],
+            hierarchies: [], partitions: []
+        },
+        {
+            name: 'Customer', isHidden: false,
+            columns: [
+                { name: 'CustomerKey', dataType: 'int64', sourceColumn: 'CustomerKey', isHidden: true },
+                { name: 'Region', dataType: 'string', sourceColumn: 'Region' },
+                { name: 'Segment', dataType: 'string', sourceColumn: 'Segment' },
+                { name: 'Country', dataType: 'string', sourceColumn: 'Country' },
+                { name: 'CountryCode', dataType: 'string', sourceColumn: 'CountryCode' },
+                { name: 'City', dataType: 'string', sourceColumn: 'City' }
+            ],
+            measures: [],
+            hierarchies: [{ name: 'Geo', levels: [{ name: 'City', column: 'City' }] }],
+            partitions: []
+        },
+        {
+            name: 'Staging', isHidden: true,
+            columns: [{ name: 'Raw', dataType: 'string', sourceColumn: 'Raw' }],
+            measures: [], hierarchies: [], partitions: [{ name: 'Staging', sourceType: 'm', source: 'let x = 1 in x' }]
+        }
+    ],
+    relationships: [
+        { fromTable: 'Sales', fromColumn: 'CustomerKey', toTable: 'Customer', toColumn: 'CustomerKey', isActive: true }
+    ],
+    roles: [
+        { name: 'EU', tablePermissions: [{ table: 'Customer', filterExpression: '[Segment] = "EU"' }] }
+    ],
+    expressions: []
+};
+model.tables[1].columns.find(c => c.name === 'Country').sortByColumn = 'CountryCode';
+
+const parser = new TMDLParser();
+parser.model = model;
+const visualData = {
+    pages: [],
+    visuals: [{ visualName: 'Sales by Region', visualType: 'barChart', pageName: 'Overview',
+        fields: [{ type: 'measure', table: 'Sales', name: 'Total Sales' }, { type: 'column', table: 'Customer', name: 'Region' }] }],
+    fieldUsageMap: {
+        'measure|Sales|Total Sales': [{ visualName: 'Sales by Region', pageName: 'Overview' }],
+        'column|Customer|Region': [{ visualName: 'Sales by Region', pageName: 'Overview' }]
+    }
+};
+const engine = new LineageEngine(model, visualData, parser.extractAllReferences());
+engine.buildGraph();
+
+const unused = new UnusedObjects(model, engine);
+const r = unused.analyze();
+const labels = list => list.map(e => e.label);
+
+console.log('--- usage kinds ---');
+assert('visual measure kept', !labels(r.measures).includes('[Total Sales]'), labels(r.measures));
+assert('measure-referenced column kept', !labels(r.columns).includes('Sales[Amount]'), labels(r.columns));
+assert('relationship keys kept', !labels(r.columns).some(l => l.endsWith('[CustomerKey]')), labels(r.columns));
+assert('RLS column kept', !labels(r.columns).includes('Customer[Segment]'), labels(r.columns));
+assert('hierarchy level kept', !labels(r.columns).includes('Customer[City]'), labels(r.columns));
+assert('unreferenced imported column listed', labels(r.columns).includes('Sales[LoadId]'), labels(r.columns));
+
+console.log('--- cascade ---');
+assert('measure used by nothing listed', labels(r.measures).includes('[Margin %]'), labels(r.measures));
+const oldMargin = r.measures.find(m => m.name === 'Old Margin');
+assert('measure only used by a dead measure cascades', oldMargin?.reason === 'cascade' && oldMargin.usedBy.join() === '[Margin %]', oldMargin);
+const margin = r.columns.find(c => c.name === 'Margin');
+assert('calc column behind dead measures cascades', margin?.reason === 'cascade' && margin.kind === 'calculated', margin);
+assert('sort-by target of unused column cascades', r.columns.find(c => c.name === 'CountryCode')?.reason === 'cascade', r.columns.find(c => c.name === 'CountryCode'));
+assert('sort-by target counts as referenced', !unused.isColumnUnreferenced('Customer', 'CountryCode'), null);
+
+console.log('--- tables & summary ---');
+assert('dead table listed once', labels(r.tables).join() === 'Staging' && !labels(r.columns).includes('Staging[Raw]'), labels(r.tables));
+assert('imported column estimate includes dead tables', r.summary.importedColumns === r.columns.filter(c => c.kind === 'imported').length + 1, r.summary);
+assert('markdown has cleanup table', unused.generateMarkdown().includes('## Estimated Cleanup'), null);
+
+console.log('--- DAX resolved against the model ---');
+const withDax = JSON.parse(JSON.stringify(model));
+withDax.roles = [{ name: 'Sellers', tablePermissions: [{ table: 'Customer', filterExpression: '[Segment] = "EU" && [Units] > 0' }] }];
+withDax.tables.push({
+    name: 'Load Audit', isHidden: false, columns: [], measures: [], hierarchies: [],
+    partitions: [{ name: 'Load Audit', sourceType: 'calculated', source: 'SELECTCOLUMNS(Sales, "Load", [LoadId])' }]
+});
+const daxParser = new TMDLParser();
+daxParser.model = withDax;
+const daxEngine = new LineageEngine(withDax, visualData, daxParser.extractAllReferences());
+daxEngine.buildGraph();
+const rd = new UnusedObjects(withDax, daxEngine).analyze();
+assert('RLS filter: bare column and measure both resolved', !labels(rd.columns).includes('Customer[Segment]') && !labels(rd.measures).includes('[Units]'), { columns: labels(rd.columns), measures: labels(rd.measures) });
+const loadId = rd.columns.find(c => c.label === 'Sales[LoadId]');
+assert('calculated table row context column resolved', loadId?.reason === 'cascade' && loadId.usedBy.includes('Load Audit'), loadId);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
@@ -0,0 +1,142 @@
+'use strict';
+// Quick Node.js smoke test for implicit aggregations, hierarchy levels and calculated projections
+// Run: node tests/test-visual-projections.js
+
+const { TMDLParser, DAXReferenceExtractor } = require('../tmdl-parser.js');
+global.TMDLParser = TMDLParser;
+global.DAXReferenceExtractor = DAXReferenceExtractor;
+global.MExpressionParser = require('../m-parser.js');
+global.VisualParser = require('../visual-parser.js');
+const VisualParser = global.VisualParser;
+const LineageEngine = require('../lineage-engine.js');
+const UnusedObjects = require('../unused-objects.js');
+
+let pass = 0, fail = 0;
+
+function assert(label, cond, got) {
+    if (cond) { console.log('  PASS:', label); pass++; }
+    else       { console.log('  FAIL:', label, '→ got:', JSON.stringify(got)); fail++; }
+}
+
+const files = {
+    'tables/Sales.tmdl': [
+        'table Sales',
+        '\tmeasure \'Total Sales\' = SUM(Sales[Amount])',
+        '\tcolumn Amount',
+        '\t\tdataType: double',
+        '\tcolumn Cost',
+        '\t\tdataType: double',
+        '\tcolumn Qty',
+        '\t\tdataType: int64',
+        '\tcolumn OrderDate',
+        '\t\tdataType: dateTime',
+        '\tcolumn Notes',
+        '\t\tdataType: string'
+    ].join('\n'),
+    'tables/Date.tmdl': [
+        'table Date',
+        '\tcolumn Year',
+        '\t\tdataType: int64',
+        '\tcolumn Month',
+        '\t\tdataType: string',
+        '\thierarchy Calendar',
+        '\t\tlevel Year',
+        '\t\t\tcolumn: Year',
+        '\t\tlevel Month',
+        '\t\t\tcolumn: Month'
+    ].join('\n')
+};
+
+const column = (table, name) => ({ Column: { Expression: { SourceRef: { Entity: table } }, Property: name } });
+const measure = (table, name) => ({ Measure: { Expression: { SourceRef: { Entity: table } }, Property: name } });
+const aggregate = (table, name, fn) => ({ Aggregation: { Expression: column(table, name), Function: fn } });
+const level = (hierarchyExpr, name) => ({ HierarchyLevel: { Expression: { Hierarchy: { Expression: hierarchyExpr, Hierarchy: 'Calendar' } }, Level: name } });
+
+const pages = [{
+    pageId: 'page1', pageName: 'ReportSection1', displayName: 'Overview',
+    visuals: [{
+        visualId: 'chart1',
+        visualData: {
+            visual: {
+                visualType: 'lineChart',
+                query: {
+                    queryState: {
+                        Category: { projections: [
+                            { field: level({ SourceRef: { Entity: 'Date' } }, 'Year') },
+                            { field: level({ SourceRef: { Entity: 'Date' } }, 'Month') }
+                        ] },
+                        Y: { projections: [
+                            { field: aggregate('Sales', 'Amount', 0), queryRef: 'Sum(Sales.Amount)' },
+                            { field: aggregate('Sales', 'Qty', 5), queryRef: 'Count(Sales.Qty)' },
+                            {
+                                field: { Arithmetic: { Left: measure('Sales', 'Total Sales'), Right: aggregate('Sales', 'Cost', 0), Operator: 1 } },
+                                queryRef: 'select', displayName: 'Margin'
+                            },
+                            {
+                                field: { NativeVisualCalculation: { Language: 'dax', Expression: 'RUNNINGSUM([Sum of Amount])', Name: 'Running total' } },
+                                queryRef: 'select1'
+                            }
+                        ] }
+                    }
+                }
+            }
+        }
+    }, {
+        visualId: 'slicer1',
+        visualData: {
+            visual: {
+                visualType: 'slicer',
+                query: { queryState: { Values: { projections: [{
+                    field: {
+                        HierarchyLevel: {
+                            Expression: { Hierarchy: {
+                                Expression: { PropertyVariationSource: { Expression: { SourceRef: { Entity: 'Sales' } }, Name: 'Variation', Property: 'OrderDate' } },
+                                Hierarchy: 'Date Hierarchy'
+                            } },
+                            Level: 'Year'
+                        }
+                    }
+                }] } } }
+            }
+        }
+    }]
+}];
+
+const parser = new TMDLParser();
+const model = parser.parseAll(files);
+const measureRefs = parser.extractAllReferences();
+const visualData = new VisualParser().parseReport(pages);
+const [chart, slicer] = visualData.visuals;
+const field = (visual, type, table, name) => visual.fields.find(f => f.type === type && f.table === table && f.name === name);
+
+console.log('--- VisualParser ---');
+const amount = field(chart, 'column', 'Sales', 'Amount');
+assert('implicit SUM captured', amount?.aggregations?.join() === 'SUM', amount);
+assert('count of values named COUNT', field(chart, 'column', 'Sales', 'Qty')?.aggregations?.join() === 'COUNT', field(chart, 'column', 'Sales', 'Qty'));
+const calendar = field(chart, 'hierarchy', 'Date', 'Calendar');
+assert('hierarchy levels collected', calendar?.levels?.join() === 'Year,Month', calendar);
+assert('arithmetic operands registered', !!field(chart, 'measure', 'Sales', 'Total Sales') && field(chart, 'column', 'Sales', 'Cost')?.aggregations?.join() === 'SUM', chart.fields);
+assert('auto date hierarchy resolves to its column', field(slicer, 'column', 'Sales', 'OrderDate')?.levels?.join() === 'Year', slicer.fields);
+const calcs = chart.calculations;
+assert('arithmetic recorded as a calculation', calcs[0]?.kind === 'arithmetic' && calcs[0].name === 'Margin' && calcs[0].expression === 'Sales[Total Sales] - implicit SUM of Sales[Cost]', calcs[0]);
+assert('visual calculation recorded', calcs[1]?.kind === 'visualCalculation' && calcs[1].name === 'Running total' && calcs[1].expression === 'RUNNINGSUM([Sum of Amount])', calcs[1]);
+assert('describeField for implicit measure', VisualParser.describeField(amount) === 'implicit SUM of Sales[Amount]', VisualParser.describeField(amount));
+assert('describeField for hierarchy levels', VisualParser.describeField(calendar) === 'Date[Calendar] › Year, Month', VisualParser.describeField(calendar));
+assert('usage entry keeps aggregation', visualData.fieldUsageMap['column|Sales|Amount']?.[0]?.aggregations?.join() === 'SUM', visualData.fieldUsageMap['column|Sales|Amount']);
+
+console.log('--- LineageEngine ---');
+const engine = new LineageEngine(model, visualData, measureRefs);
+engine.buildGraph();
+const lineage = engine.getVisualLineage('Overview', 'lineChart');
+const amountCol = lineage.columns.find(c => c.column === 'Amount');
+assert('visual lineage column carries aggregation', amountCol?.aggregations?.join() === 'SUM', lineage.columns);
+assert('implicit measure column is a direct consumer', engine.getColumnImpact('Sales', 'Cost').directVisuals.length === 1, engine.getColumnImpact('Sales', 'Cost'));
+
+console.log('--- UnusedObjects ---');
+const unused = new UnusedObjects(model, engine).analyze();
+const unusedColumns = unused.columns.filter(c => c.table === 'Sales').map(c => c.name);
+assert('aggregated and date-hierarchy columns are in use', !unusedColumns.includes('Qty') && !unusedColumns.includes('Cost') && !unusedColumns.includes('OrderDate'), unusedColumns);
+assert('truly unused column still reported', unusedColumns.includes('Notes'), unusedColumns);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
@@ -1,7 +1,8 @@
 /**
  * TMDL Parser Module
  * Line-by-line state machine parser for TMDL files
- * Handles: database.tmdl, model.tmdl, tables/*.tmdl, relationships.tmdl, roles/*.tmdl, expressions.tmdl
+ * Handles: database.tmdl, model.tmdl, tables/*.tmdl, relationships.tmdl, roles/*.tmdl, perspectives/*.tmdl,
+ * cultures/*.tmdl, expressions.tmdl
  */
 
 class TMDLParser {
@@ -12,6 +13,8 @@ class TMDLParser {
             tables: [],
             relationships: [],
             roles: [],
+            perspectives: [],
+            cultures: [],
             expressions: []
         };
         this.errors = [];
@@ -85,6 +88,34 @@ class TMDLParser {
             }
         }
 
+        // Parse perspective files
+        const perspectiveFiles = Object.keys(files).filter(f => f.startsWith('perspectives/'));
+        for (const perspectiveFile of perspectiveFiles) {
+            try {
+                const perspective = this.parsePerspective(files[perspectiveFile], perspectiveFile);
+                if (perspective) {
+                    this.model.perspectives.push(perspective);
+                }
+            } catch (err) {
+                this.errors.push({ file: perspectiveFile, line: null, message: err.message });
+            }
+        }
+        this.model.perspectives.sort((a, b) => a.name.localeCompare(b.name));
+
+        // Parse culture files (translations)
+        const cultureFiles = Object.keys(files).filter(f => f.startsWith('cultures/'));
+        for (const cultureFile of cultureFiles) {
+            try {
+                const culture = this.parseCulture(files[cultureFile], cultureFile);
+                if (culture) {
+                    this.model.cultures.push(culture);
+                }
+            } catch (err) {
+                this.errors.push({ file: cultureFile, line: null, message: err.message });
+            }
+        }
+        this.model.cultures.sort((a, b) => a.name.localeCompare(b.name));
+
         // Sort tables alphabetically
         this.model.tables.sort((a, b) => a.name.localeCompare(b.name));
 
@@ -149,15 +180,21 @@ class TMDLParser {
             hierarchies: [],
             partitions: [],
             calculationGroup: null,
-            refreshPolicy: null
+            refreshPolicy: null,
+            lineageTag: null,
+            sourceLineageTag: null,
+            annotations: {},
+            extendedProperties: {}
         };
 
         let state = 'IDLE';
         let currentObject = null;
         let currentExpression = [];
         let pendingDescription = null;
+        let pendingMetadata = null;  // annotation / extendedProperty whose value continues on deeper lines
         let baseIndent = 0;
-        let expressionIndent = 0;
+        let childIndent = -1;        // indent of the table's own children and properties
+        let exprBodyIndent = -1;     // indent of the first expression line below the header
         let inBacktickBlock = false;
 
         for (let i = 0; i < lines.length; i++) {
@@ -195,6 +232,16 @@ class TMDLParser {
                 continue;
             }
 
+            if (pendingMetadata) {
+                if (indent > pendingMetadata.indent) {
+                    pendingMetadata.lines.push(trimmed);
+                    continue;
+                }
+                this._finishMetadata(pendingMetadata);
+                pendingMetadata = null;
+            }
+            if (state !== 'IDLE' && indent > 0 && childIndent < 0) childIndent = indent;
+
             // Top-level: table declaration
             if (indent === 0 && trimmed.startsWith('table')) {
                 this._finishCurrentObject(state, currentObject, currentExpression, table);
@@ -224,20 +271,26 @@ class TMDLParser {
                         type: objectType,
                         name: name,
                         description: pendingDescription || null,
-                        properties: {}
+                        properties: {},
+                        annotations: {},
+                        extendedProperties: {}
                     };
                     pendingDescription = null;
                     baseIndent = indent;
+                    exprBodyIndent = -1;
 
                     // Check if line contains '=' (expression follows on same line or next)
-                    if (trimmed.includes('=')) {
+                    if (objectType === 'partition' && trimmed.includes('=')) {
+                        // partition Name = m | calculated | entity — the source follows in `source =`
+                        currentObject.properties.type = trimmed.substring(trimmed.indexOf('=') + 1).trim() || null;
+                        state = 'PROPERTIES';
+                    } else if (trimmed.includes('=')) {
                         const eqIndex = trimmed.indexOf('=');
                         const afterEq = trimmed.substring(eqIndex + 1).trim();
                         if (afterEq) {
                             currentExpression.push(afterEq);
                         }
                         state = 'EXPRESSION';
-                        expressionIndent = indent + 1;
                     } else {
                         state = 'PROPERTIES';
                     }
@@ -247,8 +300,11 @@ class TMDLParser {
 
             // Inside expression (multi-line DAX, M, etc.)
             if (state === 'EXPRESSION') {
+                // Properties after the expression sit at or above the expression's own indent
+                const endsExpression = this._isPropertyLine(trimmed) && (exprBodyIndent < 0 || indent <= exprBodyIndent);
                 // Expression continues while indent is deeper than object or we're collecting
-                if (indent > baseIndent || trimmed === '') {
+                if ((indent > baseIndent || trimmed === '') && !endsExpression) {
+                    if (exprBodyIndent < 0) exprBodyIndent = indent;
                     currentExpression.push(line);
                     continue;
                 } else {
@@ -260,6 +316,27 @@ class TMDLParser {
 
             // Properties
             if (state === 'PROPERTIES' || state === 'TABLE_BODY') {
+                // annotation / extendedProperty: on the object above, or on the table at the table's child indent
+                const metadata = this._parseMetadataLine(trimmed);
+                if (metadata) {
+                    if (indent === childIndent && currentObject) {
+                        this._finishCurrentObject(state, currentObject, currentExpression, table);
+                        currentObject = null;
+                        currentExpression = [];
+                        state = 'TABLE_BODY';
+                        baseIndent = 0;
+                    }
+                    const target = indent === childIndent || !currentObject ? table
+                        : indent > baseIndent ? currentObject : null;
+                    // Capture PBI_ResultType for partition refresh state
+                    if (target === currentObject && metadata.name === 'PBI_ResultType') {
+                        currentObject.properties.pbiResultType = this._unquote(metadata.value);
+                    }
+                    if (target) pendingMetadata = { target, ...metadata, indent, lines: [] };
+                    continue;
+                }
+                if (/^changedProperty\b/.test(trimmed)) continue;
+
                 // Bare boolean flags (no colon, no value) — e.g. isHidden, isNameInferred
                 if (indent > baseIndent && /^(isHidden|isNameInferred|isKey|isNullable)$/.test(trimmed)) {
                     if (currentObject) {
@@ -269,18 +346,20 @@ class TMDLParser {
                     }
                     continue;
                 }
-                if (indent > baseIndent && trimmed.includes(':')) {
-                    // Check for 'expression =' or 'source =' which starts a new expression block
-                    if (/^(?:expression|source|sourceExpression)\s*=/.test(trimmed)) {
-                        const afterEq = trimmed.split('=').slice(1).join('=').trim();
-                        if (afterEq) {
-                            currentExpression.push(afterEq);
-                        }
-                        state = 'EXPRESSION';
-                        expressionIndent = indent + 1;
-                        continue;
+                // 'expression =' or 'source =' starts a new expression block
+                if (indent > baseIndent && currentObject && /^(?:expression|source|sourceExpression|pollingExpression)\s*=/.test(trimmed)) {
+                    // A refresh policy holds two expressions; remember where each one starts
+                    (currentObject.expressionBlocks = currentObject.expressionBlocks || [])
+                        .push({ key: trimmed.match(/^\w+/)[0], start: currentExpression.length });
+                    const afterEq = trimmed.split('=').slice(1).join('=').trim();
+                    if (afterEq) {
+                        currentExpression.push(afterEq);
                     }
-
+                    state = 'EXPRESSION';
+                    exprBodyIndent = -1;
+                    continue;
+                }
+                if (indent > baseIndent && trimmed.includes(':')) {
                     const colonIndex = trimmed.indexOf(':');
                     const key = trimmed.substring(0, colonIndex).trim();
                     const value = trimmed.substring(colonIndex + 1).trim();
@@ -289,6 +368,8 @@ class TMDLParser {
                         // Table-level properties
                         if (key === 'isHidden') {
                             table.isHidden = value === 'true';
+                        } else if (key === 'lineageTag' || key === 'sourceLineageTag') {
+                            table[key] = value;
                         }
                     } else if (currentObject) {
                         currentObject.properties[key] = value;
@@ -296,15 +377,6 @@ class TMDLParser {
                     continue;
                 }
 
-                // Check for annotation or extendedProperty blocks
-                if (indent > baseIndent && (trimmed.startsWith('annotation') || trimmed.startsWith('extendedProperty'))) {
-                    // Capture PBI_ResultType for partition refresh state
-                    if (currentObject && trimmed.startsWith('annotation PBI_ResultType =')) {
-                        const val = trimmed.split('=')[1]?.trim().replace(/^['"]|['"]$/g, '');
-                        currentObject.properties.pbiResultType = val;
-                    }
-                    continue;
-                }
             }
 
             // Handle expression start on property lines
@@ -315,15 +387,23 @@ class TMDLParser {
                         currentExpression.push(afterEq);
                     }
                     state = 'EXPRESSION';
-                    expressionIndent = indent + 1;
+                    exprBodyIndent = -1;
                     continue;
                 }
             }
         }
 
         // Finish last object
+        if (pendingMetadata) this._finishMetadata(pendingMetadata);
         this._finishCurrentObject(state, currentObject, currentExpression, table);
 
+        // Power BI Desktop writes PBI_ResultType on the table rather than the partition
+        if (table.annotations.PBI_ResultType) {
+            for (const p of table.partitions) {
+                if (!p.lastRefreshState) p.lastRefreshState = this._unquote(table.annotations.PBI_ResultType);
+            }
+        }
+
         return table;
     }
 
@@ -363,7 +443,8 @@ class TMDLParser {
                     sortByColumn: currentObject.properties.sortByColumn || null,
                     displayFolder: currentObject.properties.displayFolder || null,
                     dataCategory: currentObject.properties.dataCategory || null,
-                    expression: expressionText
+                    expression: expressionText,
+                    ...this._objectMetadata(currentObject)
                 });
                 break;
 
@@ -375,7 +456,8 @@ class TMDLParser {
                     displayFolder: currentObject.properties.displayFolder || null,
                     formatString: currentObject.properties.formatString || null,
                     formatStringExpression: currentObject.properties.formatStringExpression || null,
-                    dataCategory: currentObject.properties.dataCategory || null
+                    dataCategory: currentObject.properties.dataCategory || null,
+                    ...this._objectMetadata(currentObject)
                 });
                 break;
 
@@ -383,7 +465,8 @@ class TMDLParser {
                 table.hierarchies.push({
                     name: currentObject.name,
                     description: currentObject.description,
-                    levels: [] // Levels are parsed as sub-objects
+                    levels: [], // Levels are parsed as sub-objects
+                    ...this._objectMetadata(currentObject)
                 });
                 break;
 
@@ -404,7 +487,9 @@ class TMDLParser {
                     mode: currentObject.properties.mode || null,
                     source: expressionText,
                     sourceType: currentObject.properties.type || null,
-                    lastRefreshState: currentObject.properties.pbiResultType || null
+                    lastRefreshState: currentObject.properties.pbiResultType || null,
+                    annotations: currentObject.annotations,
+                    extendedProperties: currentObject.extendedProperties
                 });
                 break;
 
@@ -428,20 +513,75 @@ class TMDLParser {
                 }
                 break;
 
-            case 'refreshPolicy':
+            case 'refreshPolicy': {
+                const blocks = {};
+                (currentObject.expressionBlocks || []).forEach((block, i, all) => {
+                    blocks[block.key] = this._cleanExpression(currentExpression.slice(block.start, all[i + 1]?.start));
+                });
                 table.refreshPolicy = {
                     policyType: currentObject.properties.policyType || null,
+                    mode: currentObject.properties.mode || null,
                     rollingWindowGranularity: currentObject.properties.rollingWindowGranularity || null,
                     rollingWindowPeriods: currentObject.properties.rollingWindowPeriods != null
                         ? parseInt(currentObject.properties.rollingWindowPeriods, 10) : null,
                     incrementalGranularity: currentObject.properties.incrementalGranularity || null,
                     incrementalPeriods: currentObject.properties.incrementalPeriods != null
                         ? parseInt(currentObject.properties.incrementalPeriods, 10) : null,
-                    pollingExpression: currentObject.properties.pollingExpression || null,
-                    sourceExpression: expressionText
+                    pollingExpression: blocks.pollingExpression || currentObject.properties.pollingExpression || null,
+                    sourceExpression: blocks.sourceExpression || (blocks.pollingExpression ? null : expressionText)
                 };
                 break;
+            }
+        }
+    }
+
+    /**
+     * lineageTag, sourceLineageTag, annotations and extendedProperties of a parsed object
+     */
+    _objectMetadata(obj) {
+        return {
+            lineageTag: obj.properties.lineageTag || null,
+            sourceLineageTag: obj.properties.sourceLineageTag || null,
+            annotations: obj.annotations,
+            extendedProperties: obj.extendedProperties
+        };
+    }
+
+    /**
+     * A property line (key: value, bare flag, annotation …) — ends a DAX/M expression above it
+     */
+    _isPropertyLine(trimmed) {
+        return /^[A-Za-z_]\w*\s*:/.test(trimmed)
+            || /^(isHidden|isNameInferred|isKey|isNullable)$/.test(trimmed)
+            || /^(annotation|extendedProperty|changedProperty)\b/.test(trimmed)
+            || /^(sourceExpression|pollingExpression)\s*=/.test(trimmed);
+    }
+
+    /**
+     * `annotation Name = value` / `extendedProperty Name = value`
+     * @returns {Object|null} { bucket: 'annotations'|'extendedProperties', name, value }
+     */
+    _parseMetadataLine(trimmed) {
+        const m = trimmed.match(/^(annotation|extendedProperty)\s+('[^']*'|[^\s=]+)\s*=\s*(.*)$/);
+        if (!m) return null;
+        return {
+            bucket: m[1] === 'annotation' ? 'annotations' : 'extendedProperties',
+            name: this._unquote(m[2]),
+            value: m[3]
+        };
+    }
+
+    /**
+     * Store a parsed annotation / extendedProperty on its object. Values spread over several
+     * lines (JSON) are joined; extended properties are parsed as JSON when they are valid JSON.
+     */
+    _finishMetadata(pending) {
+        const text = [pending.value, ...pending.lines].filter(Boolean).join('\n');
+        let value = pending.lines.length > 0 ? text : this._unquote(text);
+        if (pending.bucket === 'extendedProperties') {
+            try { value = JSON.parse(text); } catch { /* keep the text */ }
         }
+        pending.target[pending.bucket][pending.name] = value;
     }
 
     /**
@@ -479,10 +619,21 @@ class TMDLParser {
         const relationships = [];
         const lines = content.split('\n');
         let currentRel = null;
+        let pendingMetadata = null;
 
         for (const line of lines) {
             const trimmed = line.trim();
             const indent = line.search(/\S/);
+            if (!trimmed) continue;
+
+            if (pendingMetadata) {
+                if (indent > pendingMetadata.indent) {
+                    pendingMetadata.lines.push(trimmed);
+                    continue;
+                }
+                this._finishMetadata(pendingMetadata);
+                pendingMetadata = null;
+            }
 
             if (indent === 0 && trimmed.startsWith('relationship')) {
                 if (currentRel) relationships.push(this._finalizeRel(currentRel));
@@ -496,11 +647,19 @@ class TMDLParser {
                     toCardinality: null,
                     crossFilteringBehavior: null,
                     securityFilteringBehavior: null,
-                    isActive: true
+                    isActive: true,
+                    annotations: {},
+                    extendedProperties: {}
                 };
                 continue;
             }
 
+            const metadata = currentRel && indent > 0 ? this._parseMetadataLine(trimmed) : null;
+            if (metadata) {
+                pendingMetadata = { target: currentRel, ...metadata, indent, lines: [] };
+                continue;
+            }
+
             if (currentRel && indent > 0 && trimmed.includes(':')) {
                 const colonIndex = trimmed.indexOf(':');
                 const key = trimmed.substring(0, colonIndex).trim();
@@ -536,6 +695,7 @@ class TMDLParser {
             }
         }
 
+        if (pendingMetadata) this._finishMetadata(pendingMetadata);
         if (currentRel) relationships.push(this._finalizeRel(currentRel));
         return relationships;
     }
@@ -641,6 +801,162 @@ class TMDLParser {
         return role;
     }
 
+    /**
+     * Parse perspectives/*.tmdl
+     * A perspectiveTable with includeAll shows every column, measure and hierarchy of the table;
+     * otherwise only the listed ones.
+     */
+    parsePerspective(content, fileName) {
+        const lines = content.split('\n');
+        const perspective = {
+            name: null,
+            description: null,
+            tables: []
+        };
+
+        let currentTable = null;
+        let pendingDescription = null;
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            const indent = line.search(/\S/);
+            if (!trimmed) continue;
+
+            if (trimmed.startsWith('///')) {
+                pendingDescription = pendingDescription
+                    ? pendingDescription + '\n' + trimmed.substring(3).trim()
+                    : trimmed.substring(3).trim();
+                continue;
+            }
+
+            if (indent === 0 && /^perspective\s/.test(trimmed)) {
+                perspective.name = this._extractName(trimmed, 'perspective');
+                perspective.description = pendingDescription;
+                pendingDescription = null;
+                continue;
+            }
+            pendingDescription = null;
+
+            if (/^perspectiveTable\s/.test(trimmed)) {
+                currentTable = {
+                    name: this._extractName(trimmed, 'perspectiveTable'),
+                    includeAll: false,
+                    columns: [],
+                    measures: [],
+                    hierarchies: []
+                };
+                perspective.tables.push(currentTable);
+                continue;
+            }
+
+            if (!currentTable) continue;
+
+            if (trimmed === 'includeAll' || /^includeAll\s*:\s*true$/i.test(trimmed)) {
+                currentTable.includeAll = true;
+            } else if (/^perspectiveColumn\s/.test(trimmed)) {
+                currentTable.columns.push(this._extractName(trimmed, 'perspectiveColumn'));
+            } else if (/^perspectiveMeasure\s/.test(trimmed)) {
+                currentTable.measures.push(this._extractName(trimmed, 'perspectiveMeasure'));
+            } else if (/^perspectiveHierarchy\s/.test(trimmed)) {
+                currentTable.hierarchies.push(this._extractName(trimmed, 'perspectiveHierarchy'));
+            }
+        }
+
+        return perspective.name ? perspective : null;
+    }
+
+    /**
+     * Parse cultures/*.tmdl
+     * Keeps the translated caption, description and display folder of each object, nested the
+     * same way as the TMDL translations block. The linguistic metadata (Q&A synonyms) is skipped.
+     */
+    parseCulture(content, fileName) {
+        const lines = content.split('\n');
+        const culture = {
+            name: null,
+            hasLinguisticMetadata: false,
+            translations: { model: {}, tables: {}, perspectives: {} }
+        };
+
+        // Translatable objects, keyed by their TMDL keyword: where they live on the parent
+        const CONTAINERS = {
+            table: 'tables', column: 'columns', measure: 'measures',
+            hierarchy: 'hierarchies', level: 'levels', perspective: 'perspectives'
+        };
+        const PROPERTIES = ['caption', 'description', 'displayFolder'];
+
+        let skipIndent = -1;  // skip lines deeper than this (linguisticMetadata JSON)
+        let stack = [];       // [{ indent, kind, node }] — node is null for untracked objects
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            const indent = line.search(/\S/);
+            if (!trimmed || trimmed.startsWith('//')) continue;
+
+            if (skipIndent >= 0) {
+                if (indent > skipIndent) continue;
+                skipIndent = -1;
+            }
+
+            if (indent === 0 && /^cultureInfo\s/.test(trimmed)) {
+                culture.name = this._extractName(trimmed, 'cultureInfo');
+                continue;
+            }
+
+            if (/^linguisticMetadata\b/.test(trimmed)) {
+                culture.hasLinguisticMetadata = true;
+                skipIndent = indent;
+                continue;
+            }
+
+            if (trimmed === 'translations') {
+                stack = [{ indent, kind: 'translations', node: null }];
+                continue;
+            }
+            if (stack.length === 0) continue;
+
+            while (stack.length > 1 && stack[stack.length - 1].indent >= indent) stack.pop();
+            if (indent <= stack[0].indent) {
+                stack = [];
+                continue;
+            }
+            const parent = stack[stack.length - 1];
+
+            const propMatch = trimmed.match(/^(\w+)\s*:\s*(.*)$/);
+            if (propMatch) {
+                if (parent.node && PROPERTIES.includes(propMatch[1])) {
+                    parent.node[propMatch[1]] = this._unquote(propMatch[2]);
+                }
+                continue;
+            }
+
+            const keyword = trimmed.split(/\s/)[0];
+            const key = CONTAINERS[keyword];
+            let node = null;
+            if (keyword === 'model') {
+                node = culture.translations.model;
+            } else if (key && (parent.kind === 'model' || parent.kind === 'translations')) {
+                // Tables and perspectives hang off the model
+                const bucket = culture.translations[key];
+                if (bucket) node = bucket[this._extractName(trimmed, keyword)] = {};
+            } else if (key && parent.node) {
+                if (!parent.node[key]) parent.node[key] = {};
+                node = parent.node[key][this._extractName(trimmed, keyword)] = {};
+            }
+            stack.push({ indent, kind: keyword, node });
+        }
+
+        return culture.name ? culture : null;
+    }
+
+    _unquote(value) {
+        const v = value.trim();
+        if (v.length >= 2 && ((v[0] === '"' && v.endsWith('"')) || (v[0] === "'" && v.endsWith("'")))) {
+            return v.slice(1, -1).replace(v[0] === '"' ? /""/g : /''/g, v[0]);
+        }
+        return v;
+    }
+
     /**
      * Parse expressions.tmdl
      */
@@ -651,11 +967,22 @@ class TMDLParser {
         let exprLines = [];
         let inExpression = false;
         let inBacktickBlock = false;
+        let pendingMetadata = null;
+        let bodyIndent = -1;
 
         for (const line of lines) {
             const trimmed = line.trim();
             const indent = line.search(/\S/);
 
+            if (pendingMetadata && trimmed) {
+                if (indent > pendingMetadata.indent) {
+                    pendingMetadata.lines.push(trimmed);
+                    continue;
+                }
+                this._finishMetadata(pendingMetadata);
+                pendingMetadata = null;
+            }
+
             // Triple-backtick fence toggle
             if (trimmed === '```') {
                 if (inBacktickBlock) {
@@ -683,10 +1010,16 @@ class TMDLParser {
                     name: this._extractName(trimmed, 'expression'),
                     kind: null,
                     expression: null,
-                    resultType: null
+                    resultType: null,
+                    lineageTag: null,
+                    sourceLineageTag: null,
+                    queryGroup: null,
+                    annotations: {},
+                    extendedProperties: {}
                 };
                 exprLines = [];
                 inExpression = false;
+                bodyIndent = -1;
 
                 // Check for '=' on the same line (may be followed by ``` or inline M)
                 if (trimmed.includes('=')) {
@@ -710,15 +1043,24 @@ class TMDLParser {
                     continue;
                 }
 
-                if (trimmed.startsWith('annotation ')) {
+                // Properties below the M body (lineageTag, queryGroup, …), not part of the expression
+                const propMatch = trimmed.match(/^(lineageTag|sourceLineageTag|queryGroup)\s*:\s*(.*)$/);
+                if (propMatch && (bodyIndent < 0 || indent <= bodyIndent)) {
+                    currentExpr[propMatch[1]] = this._unquote(propMatch[2]);
+                    continue;
+                }
+
+                const metadata = this._parseMetadataLine(trimmed);
+                if (metadata) {
                     // Capture PBI_ResultType so downstream code can distinguish
                     // table-returning expressions from parameters, functions, lists, etc.
-                    const m = trimmed.match(/^annotation\s+PBI_ResultType\s*=\s*(.+)$/);
-                    if (m) {
-                        currentExpr.resultType = m[1].trim().replace(/^["']|["']$/g, '');
+                    if (metadata.name === 'PBI_ResultType') {
+                        currentExpr.resultType = metadata.value.trim().replace(/^["']|["']$/g, '');
                     }
+                    pendingMetadata = { target: currentExpr, ...metadata, indent, lines: [] };
                     continue;
                 }
+                if (trimmed.startsWith('changedProperty')) continue;
 
                 if (indent > 0 && (inExpression || trimmed.startsWith('='))) {
                     if (trimmed.startsWith('=')) {
@@ -729,6 +1071,7 @@ class TMDLParser {
                             inBacktickBlock = true;
                         }
                     } else {
+                        if (bodyIndent < 0) bodyIndent = indent;
                         exprLines.push(trimmed);
                     }
                     inExpression = true;
@@ -736,6 +1079,7 @@ class TMDLParser {
             }
         }
 
+        if (pendingMetadata) this._finishMetadata(pendingMetadata);
         if (currentExpr) {
             currentExpr.expression = exprLines.join('\n').trim();
             expressions.push(currentExpr);
@@ -770,11 +1114,12 @@ class TMDLParser {
      */
     extractAllReferences() {
         const refs = {};
+        const context = DAXReferenceExtractor.buildContext(this.model.tables);
 
         for (const table of this.model.tables) {
             for (const measure of table.measures) {
                 if (measure.expression) {
-                    refs[measure.name] = DAXReferenceExtractor.extract(measure.expression);
+                    refs[measure.name] = DAXReferenceExtractor.extract(measure.expression, context);
                     refs[measure.name].table = table.name;
                 }
             }
@@ -782,7 +1127,7 @@ class TMDLParser {
             for (const col of table.columns) {
                 if (col.expression) {
                     const key = `${table.name}[${col.name}]`;
-                    refs[key] = DAXReferenceExtractor.extract(col.expression);
+                    refs[key] = DAXReferenceExtractor.extract(col.expression, { ...context, table: table.name });
                     refs[key].table = table.name;
                     refs[key].isCalculatedColumn = true;
                 }
@@ -791,78 +1136,589 @@ class TMDLParser {
 
         return refs;
     }
+
+    /**
+     * Tables on the many side of a relationship — the model's fact tables
+     * @param {Object} model - Parsed model
+     * @returns {Set<string>}
+     */
+    static factTables(model) {
+        const facts = new Set();
+        for (const rel of (model.relationships || [])) {
+            if ((rel.fromCardinality || 'many') === 'many' && rel.fromTable) facts.add(rel.fromTable);
+            if (rel.toCardinality === 'many' && rel.toTable) facts.add(rel.toTable);
+        }
+        return facts;
+    }
 }
 
 /**
- * DAX Reference Extractor
- * Regex-based extraction of table, column, and measure references from DAX
+ * DAX Parser
+ * Tokenizes DAX and builds a small AST (variables, function calls, table/column/measure references)
+ * that reference extraction walks with knowledge of row context, variables and locally added columns
  */
-class DAXReferenceExtractor {
+class DAXParser {
     /**
-     * Extract all references from a DAX expression
+     * Split DAX into tokens, dropping whitespace and (unless `options.comments`) comments
+     * @param {string} dax
+     * @param {Object} options - { comments: true } to keep comment tokens
+     * @returns {Array<{type: string, value: string, raw: string, pos: number}>} types: string, number, ident,
+     *   quoted, bracket, op, punct, comment, eof — `value` of string/quoted/bracket tokens is unescaped and
+     *   unquoted, `raw` is the source text
      */
-    static extract(dax) {
-        if (!dax) return { measureRefs: [], columnRefs: [], tableRefs: [] };
+    static tokenize(dax, options = {}) {
+        const tokens = [];
+        const src = dax || '';
+        let i = 0;
+
+        // Read a delimited token where the closing character is escaped by doubling it
+        const delimited = (close) => {
+            let value = '';
+            let j = i + 1;
+            while (j < src.length) {
+                if (src[j] === close) {
+                    if (src[j + 1] === close) { value += close; j += 2; continue; }
+                    return { value, end: j + 1 };
+                }
+                value += src[j++];
+            }
+            return { value, end: src.length };
+        };
 
-        const cleaned = this._cleanDAX(dax);
+        while (i < src.length) {
+            const ch = src[i];
+            const two = src.substr(i, 2);
+
+            if (/\s/.test(ch)) { i++; continue; }
+            const pos = i;
+            if (two === '//' || two === '--' || two === '/*') {
+                let end = two === '/*' ? src.indexOf('*/', i + 2) : src.indexOf('\n', i);
+                end = end < 0 ? src.length : two === '/*' ? end + 2 : end;
+                if (options.comments) tokens.push({ type: 'comment', value: src.slice(i, end).trimEnd(), raw: src.slice(i, end), pos });
+                i = end;
+                continue;
+            }
 
-        return {
-            measureRefs: this._extractMeasureRefs(cleaned),
-            columnRefs: this._extractColumnRefs(cleaned),
-            tableRefs: this._extractTableRefs(cleaned)
-        };
+            if (ch === '"' || ch === "'" || ch === '[') {
+                const { value, end } = delimited(ch === '[' ? ']' : ch);
+                const type = ch === '"' ? 'string' : ch === "'" ? 'quoted' : 'bracket';
+                tokens.push({ type, value: type === 'bracket' ? value.trim() : value, raw: src.slice(i, end), pos });
+                i = end;
+                continue;
+            }
+
+            const num = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(src.slice(i, i + 64));
+            if (num) {
+                tokens.push({ type: 'number', value: num[0], raw: num[0], pos });
+                i += num[0].length;
+                continue;
+            }
+
+            const ident = /^[A-Za-z_À-￿][\w.À-￿]*/.exec(src.slice(i, i + 256));
+            if (ident) {
+                tokens.push({ type: 'ident', value: ident[0], raw: ident[0], pos });
+                i += ident[0].length;
+                continue;
+            }
+
+            const op = ['&&', '||', '<=', '>=', '<>', '=='].includes(two) ? two : null;
+            if (op) {
+                tokens.push({ type: 'op', value: op, raw: op, pos });
+                i += 2;
+                continue;
+            }
+            tokens.push({ type: '(){},'.includes(ch) ? 'punct' : 'op', value: ch, raw: ch, pos });
+            i++;
+        }
+
+        tokens.push({ type: 'eof', value: '', raw: '', pos: src.length });
+        return tokens;
     }
 
     /**
-     * Clean DAX by removing comments and string literals
+     * Parse a DAX expression into an AST. Never throws: unexpected tokens are skipped and listed in `errors`.
+     * Node types: VarBlock {vars: [{name, expression}], body}, FunctionCall {name, args}, ColumnRef {table, column},
+     * Reference {name} (bare [Name]), TableRef {name} ('Quoted Name'), Identifier {name} (table, variable or keyword),
+     * Literal {dataType, value}, BinaryOp {operator, left, right}, UnaryOp {operator, operand},
+     * TableConstructor {rows: [[expr]]}, Tuple {items}
+     * @param {string} dax
+     * @returns {Object} { type: 'Expression', body, errors: [{message, pos}] }
      */
-    static _cleanDAX(dax) {
-        let cleaned = dax.replace(/\/\*[\s\S]*?\*\//g, '');
-        cleaned = cleaned.replace(/\/\/.*/g, '');
-        cleaned = cleaned.replace(/"[^"]*"/g, '""');
-        return cleaned;
+    static parse(dax) {
+        const state = { tokens: DAXParser.tokenize(dax), index: 0, errors: [] };
+        const body = DAXParser._parseExpression(state);
+        while (DAXParser._peek(state).type !== 'eof') {
+            const token = DAXParser._next(state);
+            state.errors.push({ message: `Unexpected '${token.value}'`, pos: token.pos });
+        }
+        return { type: 'Expression', body, errors: state.errors };
+    }
+
+    static _peek(state, offset = 0) {
+        return state.tokens[Math.min(state.index + offset, state.tokens.length - 1)];
+    }
+
+    static _next(state) {
+        const token = DAXParser._peek(state);
+        if (token.type !== 'eof') state.index++;
+        return token;
+    }
+
+    static _isKeyword(token, word) {
+        return token.type === 'ident' && token.value.toUpperCase() === word;
+    }
+
+    static _accept(state, value) {
+        const token = DAXParser._peek(state);
+        if ((token.type === 'punct' || token.type === 'op') && token.value === value) {
+            state.index++;
+            return true;
+        }
+        return false;
+    }
+
+    static _expect(state, value) {
+        if (!DAXParser._accept(state, value)) {
+            const token = DAXParser._peek(state);
+            state.errors.push({ message: `Expected '${value}' but found '${token.value || 'end of expression'}'`, pos: token.pos });
+        }
+    }
+
+    static _parseExpression(state) {
+        if (!DAXParser._isKeyword(DAXParser._peek(state), 'VAR')) return DAXParser._parseBinary(state, 0);
+
+        const vars = [];
+        while (DAXParser._isKeyword(DAXParser._peek(state), 'VAR')) {
+            DAXParser._next(state);
+            const name = DAXParser._next(state);
+            DAXParser._expect(state, '=');
+            vars.push({ name: name.value, expression: DAXParser._parseExpression(state) });
+        }
+        if (DAXParser._isKeyword(DAXParser._peek(state), 'RETURN')) DAXParser._next(state);
+        else DAXParser._expect(state, 'RETURN');
+        return { type: 'VarBlock', vars, body: DAXParser._parseExpression(state) };
     }
 
     /**
-     * Extract measure references [MeasureName]
+     * Precedence climbing over DAX binary operators (loosest first)
      */
-    static _extractMeasureRefs(dax) {
-        const refs = new Set();
-        const pattern = /(?<!'[^']*)\[([^\]]+)\]/g;
-        let match;
+    static _parseBinary(state, level) {
+        const levels = DAXParser.BINARY_PRECEDENCE;
+        if (level >= levels.length) return DAXParser._parseUnary(state);
+
+        let left = DAXParser._parseBinary(state, level + 1);
+        for (;;) {
+            const token = DAXParser._peek(state);
+            const operator = token.type === 'ident' ? token.value.toUpperCase() : token.value;
+            if (!(token.type === 'op' || token.type === 'ident') || !levels[level].includes(operator)) return left;
+            DAXParser._next(state);
+            // ^ is right-associative; everything else associates to the left
+            const right = operator === '^'
+                ? DAXParser._parseBinary(state, level)
+                : DAXParser._parseBinary(state, level + 1);
+            left = { type: 'BinaryOp', operator, left, right };
+        }
+    }
+
+    static _parseUnary(state) {
+        const token = DAXParser._peek(state);
+        if (token.type === 'op' && (token.value === '-' || token.value === '+')) {
+            DAXParser._next(state);
+            return { type: 'UnaryOp', operator: token.value, operand: DAXParser._parseUnary(state) };
+        }
+        if (DAXParser._isKeyword(token, 'NOT') && !(DAXParser._peek(state, 1).value === '(' && DAXParser._peek(state, 1).type === 'punct')) {
+            DAXParser._next(state);
+            // NOT binds looser than comparisons: NOT a = b is NOT (a = b)
+            return { type: 'UnaryOp', operator: 'NOT', operand: DAXParser._parseBinary(state, 2) };
+        }
+        return DAXParser._parsePrimary(state);
+    }
+
+    static _parsePrimary(state) {
+        const token = DAXParser._next(state);
+        const following = DAXParser._peek(state);
+
+        switch (token.type) {
+            case 'number':
+                return { type: 'Literal', dataType: 'number', value: Number(token.value) };
+            case 'string':
+                return { type: 'Literal', dataType: 'string', value: token.value };
+            case 'bracket':
+                return { type: 'Reference', name: token.value };
+            case 'quoted':
+                if (following.type === 'bracket') {
+                    DAXParser._next(state);
+                    return { type: 'ColumnRef', table: token.value, column: following.value };
+                }
+                return { type: 'TableRef', name: token.value };
+            case 'ident':
+                if (following.type === 'punct' && following.value === '(') {
+                    DAXParser._next(state);
+                    return { type: 'FunctionCall', name: token.value.toUpperCase(), args: DAXParser._parseList(state, ')') };
+                }
+                if (following.type === 'bracket') {
+                    DAXParser._next(state);
+                    return { type: 'ColumnRef', table: token.value, column: following.value };
+                }
+                return { type: 'Identifier', name: token.value };
+            case 'punct':
+                if (token.value === '(') {
+                    const items = DAXParser._parseList(state, ')');
+                    return items.length === 1 ? items[0] : { type: 'Tuple', items };
+                }
+                if (token.value === '{') {
+                    const rows = DAXParser._parseList(state, '}').map(item => item.type === 'Tuple' ? item.items : [item]);
+                    return { type: 'TableConstructor', rows };
+                }
+                break;
+        }
+
+        state.errors.push({ message: `Unexpected '${token.value || 'end of expression'}'`, pos: token.pos });
+        return { type: 'Unknown', value: token.value };
+    }
 
-        while ((match = pattern.exec(dax)) !== null) {
-            // Only standalone [Name] without table prefix
-            const beforeBracket = dax.substring(Math.max(0, match.index - 1), match.index);
-            if (beforeBracket !== '.' && !/\w/.test(beforeBracket) && beforeBracket !== "'") {
-                refs.add(match[1].trim());
+    /**
+     * Comma-separated expressions up to a closing ')' or '}'; empty arguments become null
+     */
+    static _parseList(state, close) {
+        const items = [];
+        if (DAXParser._accept(state, close)) return items;
+
+        for (;;) {
+            const token = DAXParser._peek(state);
+            if (token.type === 'eof') {
+                DAXParser._expect(state, close);
+                return items;
             }
+            if (token.type === 'punct' && (token.value === ',' || token.value === close)) items.push(null);
+            else items.push(DAXParser._parseExpression(state));
+
+            if (DAXParser._accept(state, ',')) continue;
+            if (DAXParser._accept(state, close)) return items;
+
+            // Skip the stray token and carry on so one syntax error cannot stall the parser
+            const stray = DAXParser._peek(state);
+            state.errors.push({ message: `Expected '${close}' but found '${stray.value || 'end of expression'}'`, pos: stray.pos });
+            if (stray.type === 'eof') return items;
+            DAXParser._next(state);
         }
+    }
 
-        return Array.from(refs);
+    /**
+     * Build the lookup `references()` uses to tell measures from columns and tables from keywords
+     * @param {Array} tables - Parsed tables from the model
+     * @returns {Object} { measures: Map<lower name, name>, tables: Map<lower name, {name, columns: Map<lower name, name>}> }
+     */
+    static modelContext(tables) {
+        const context = { measures: new Map(), tables: new Map() };
+        for (const table of (tables || [])) {
+            const columns = new Map((table.columns || []).map(c => [c.name.toLowerCase(), c.name]));
+            context.tables.set(table.name.toLowerCase(), { name: table.name, columns });
+            for (const measure of (table.measures || [])) context.measures.set(measure.name.toLowerCase(), measure.name);
+        }
+        return context;
     }
 
     /**
-     * Extract column references Table[Column] or 'Table Name'[Column]
+     * Collect the model objects an AST refers to. Bare [Name] references are qualified in place
+     * (`node.kind` = 'measure' | 'column' | 'local', `node.table` for columns); identifiers get
+     * `node.kind` = 'table' | 'variable' | 'keyword'.
+     * @param {Object} ast - Result of parse()
+     * @param {Object} context - Optional { measures, tables } from modelContext() and `table`, the
+     *   owning table of a calculated column (its row context). Without a model every bare [Name]
+     *   outside a local column is taken to be a measure, as before.
+     * @returns {Object} { measureRefs: [name], columnRefs: [{table, column}], tableRefs: [name] }
      */
-    static _extractColumnRefs(dax) {
-        const refs = [];
-        const seen = new Set();
-        const pattern = /(?:'([^']+)'|(\w+))\[([^\]]+)\]/g;
-        let match;
+    static references(ast, context = {}) {
+        const out = { measures: new Map(), columns: new Map(), tables: new Map(), context };
+        const rows = context.table ? [{ base: context.table, columns: new Set() }] : [];
+        DAXParser._walk(ast?.body ?? ast, { vars: new Map(), rows, group: null }, out);
+        return {
+            measureRefs: [...out.measures.values()],
+            columnRefs: [...out.columns.values()],
+            tableRefs: [...out.tables.values()]
+        };
+    }
 
-        while ((match = pattern.exec(dax)) !== null) {
-            const table = match[1] || match[2];
-            const column = match[3].trim();
-            const key = `${table}|${column}`;
+    static _tableName(name, context) {
+        return context.tables?.get(name.toLowerCase())?.name || null;
+    }
 
-            if (!seen.has(key)) {
-                seen.add(key);
-                refs.push({ table, column });
+    static _walk(node, scope, out) {
+        if (!node) return;
+        const { context } = out;
+
+        switch (node.type) {
+            case 'VarBlock': {
+                let inner = scope;
+                for (const v of node.vars) {
+                    DAXParser._walk(v.expression, inner, out);
+                    const vars = new Map(inner.vars).set(v.name.toLowerCase(), DAXParser._shape(v.expression, inner, context));
+                    inner = { ...inner, vars };
+                }
+                DAXParser._walk(node.body, inner, out);
+                return;
+            }
+            case 'FunctionCall': {
+                const tableArg = DAXParser.ITERATORS[node.name];
+                const rowShape = tableArg !== undefined && node.args[tableArg]
+                    ? DAXParser._shape(node.args[tableArg], scope, context)
+                    : null;
+                node.args.forEach((arg, i) => {
+                    let argScope = scope;
+                    if (rowShape && i > tableArg) argScope = { ...argScope, rows: [...scope.rows, rowShape] };
+                    if (node.name === 'GROUPBY' && i > 0) argScope = { ...argScope, group: DAXParser._shape(node.args[0], scope, context) };
+                    DAXParser._walk(arg, argScope, out);
+                });
+                return;
+            }
+            case 'ColumnRef': {
+                if (scope.vars.has(node.table.toLowerCase())) { node.kind = 'local'; return; }
+                const table = context.tables?.get(node.table.toLowerCase());
+                const column = { table: table?.name || node.table, column: table?.columns.get(node.column.toLowerCase()) || node.column };
+                node.kind = 'column';
+                out.columns.set(`${column.table}|${column.column}`.toLowerCase(), column);
+                return;
+            }
+            case 'Reference':
+                DAXParser._resolveReference(node, scope, out);
+                return;
+            case 'Identifier': {
+                const lower = node.name.toLowerCase();
+                if (scope.vars.has(lower)) { node.kind = 'variable'; return; }
+                const table = context.tables ? DAXParser._tableName(node.name, context) : null;
+                if (table || (!context.tables && !DAXParser.KEYWORDS.has(node.name.toUpperCase()))) {
+                    node.kind = 'table';
+                    out.tables.set((table || node.name).toLowerCase(), table || node.name);
+                } else {
+                    node.kind = 'keyword';
+                }
+                return;
             }
+            case 'TableRef': {
+                const table = DAXParser._tableName(node.name, context) || node.name;
+                node.kind = 'table';
+                out.tables.set(table.toLowerCase(), table);
+                return;
+            }
+            case 'BinaryOp':
+                DAXParser._walk(node.left, scope, out);
+                DAXParser._walk(node.right, scope, out);
+                return;
+            case 'UnaryOp':
+                DAXParser._walk(node.operand, scope, out);
+                return;
+            case 'Tuple':
+                node.items.forEach(item => DAXParser._walk(item, scope, out));
+                return;
+            case 'TableConstructor':
+                node.rows.forEach(row => row.forEach(item => DAXParser._walk(item, scope, out)));
+                return;
         }
+    }
 
-        return refs;
+    /**
+     * Qualify a bare [Name]: a column added by the iterated table expression, then a model measure,
+     * then a column of the table being iterated (innermost row context first)
+     */
+    static _resolveReference(node, scope, out) {
+        const { context } = out;
+        const lower = node.name.toLowerCase();
+        const inner = [...scope.rows].reverse();
+
+        if (inner.some(row => row.columns.has(lower))) {
+            node.kind = 'local';
+            return;
+        }
+
+        const measure = context.measures?.get(lower);
+        if (measure) {
+            node.kind = 'measure';
+            out.measures.set(lower, measure);
+            return;
+        }
+
+        if (context.measures) {
+            for (const row of inner) {
+                if (!row.base) continue;
+                const table = context.tables?.get(row.base.toLowerCase());
+                const column = table ? table.columns.get(lower) : node.name;
+                if (!column) continue;
+                node.kind = 'column';
+                node.table = table?.name || row.base;
+                out.columns.set(`${node.table}|${column}`.toLowerCase(), { table: node.table, column });
+                return;
+            }
+        }
+
+        // Unknown names stay measure references so broken references still surface
+        node.kind = 'measure';
+        out.measures.set(lower, node.name);
+    }
+
+    /**
+     * Describe the table a table expression yields: the model table its rows come from (`base`)
+     * and the lower-cased names of columns it adds that are not model columns
+     * @returns {{base: string|null, columns: Set<string>}}
+     */
+    static _shape(node, scope, context) {
+        const empty = { base: null, columns: new Set() };
+        if (!node) return empty;
+
+        switch (node.type) {
+            case 'Identifier': {
+                const lower = node.name.toLowerCase();
+                if (scope.vars.has(lower)) return scope.vars.get(lower);
+                if (context.tables && !DAXParser._tableName(node.name, context)) return empty;
+                return { base: DAXParser._tableName(node.name, context) || node.name, columns: new Set() };
+            }
+            case 'TableRef':
+                return { base: DAXParser._tableName(node.name, context) || node.name, columns: new Set() };
+            case 'TableConstructor': {
+                const width = Math.max(1, ...node.rows.map(r => r.length));
+                const columns = width === 1 ? ['value'] : Array.from({ length: width }, (_, i) => `value${i + 1}`);
+                return { base: null, columns: new Set(columns) };
+            }
+            case 'VarBlock': {
+                let inner = scope;
+                for (const v of node.vars) {
+                    inner = { ...inner, vars: new Map(inner.vars).set(v.name.toLowerCase(), DAXParser._shape(v.expression, inner, context)) };
+                }
+                return DAXParser._shape(node.body, inner, context);
+            }
+            case 'FunctionCall':
+                break;
+            default:
+                return empty;
+        }
+
+        const args = node.args;
+        const shapeOf = (arg) => DAXParser._shape(arg, scope, context);
+        // "Name", expression pairs (and DATATABLE's "Name", TYPE pairs) add columns
+        const named = (start) => {
+            const names = [];
+            for (let i = start; i < args.length; i++) {
+                const arg = args[i];
+                if (arg?.type === 'Literal' && arg.dataType === 'string' && i < args.length - 1) {
+                    names.push(arg.value.toLowerCase());
+                    i++;
+                } else if (arg?.type === 'ColumnRef' && node.name === 'SELECTCOLUMNS') {
+                    names.push(arg.column.toLowerCase());
+                }
+            }
+            return names;
+        };
+        const merge = (...shapes) => ({
+            base: shapes.find(s => s.base)?.base || null,
+            columns: new Set(shapes.flatMap(s => [...s.columns]))
+        });
+
+        switch (node.name) {
+            case 'ADDCOLUMNS':
+                return merge(shapeOf(args[0]), { base: null, columns: new Set(named(1)) });
+            case 'SUMMARIZE':
+            case 'GROUPBY':
+                return { base: shapeOf(args[0]).base, columns: new Set(named(1)) };
+            case 'SELECTCOLUMNS':
+                return { base: null, columns: new Set(named(1)) };
+            case 'SUMMARIZECOLUMNS':
+            case 'ROW':
+            case 'DATATABLE':
+                return { base: null, columns: new Set(named(0)) };
+            case 'GENERATESERIES':
+                return { base: null, columns: new Set(['value']) };
+            case 'CALENDAR':
+            case 'CALENDARAUTO':
+                return { base: null, columns: new Set(['date']) };
+            case 'CURRENTGROUP':
+                return scope.group || empty;
+            case 'TOPN':
+            case 'SAMPLE':
+                return shapeOf(args[1]);
+            case 'FILTER':
+            case 'CALCULATETABLE':
+            case 'KEEPFILTERS':
+            case 'DISTINCT':
+            case 'VALUES':
+            case 'ALL':
+            case 'ALLSELECTED':
+            case 'ALLNOBLANKROW':
+            case 'RELATEDTABLE':
+            case 'ADDMISSINGITEMS':
+                return shapeOf(args[0]);
+            case 'GENERATE':
+            case 'GENERATEALL':
+            case 'CROSSJOIN':
+            case 'UNION':
+            case 'INTERSECT':
+            case 'EXCEPT':
+            case 'NATURALINNERJOIN':
+            case 'NATURALLEFTOUTERJOIN':
+                return merge(...args.map(shapeOf));
+            default:
+                return empty;
+        }
+    }
+}
+
+// Binary operators from loosest to tightest binding
+DAXParser.BINARY_PRECEDENCE = [
+    ['||'],
+    ['&&'],
+    ['=', '==', '<>', '<', '>', '<=', '>=', 'IN'],
+    ['&'],
+    ['+', '-'],
+    ['*', '/'],
+    ['^']
+];
+
+// Functions that evaluate later arguments in the row context of a table argument (value = its index)
+DAXParser.ITERATORS = {
+    FILTER: 0, ADDCOLUMNS: 0, SELECTCOLUMNS: 0, SUMMARIZE: 0, GENERATE: 0, GENERATEALL: 0,
+    SUMX: 0, AVERAGEX: 0, MINX: 0, MAXX: 0, COUNTX: 0, COUNTAX: 0, PRODUCTX: 0, MEDIANX: 0,
+    CONCATENATEX: 0, RANKX: 0, GEOMEANX: 0, 'PERCENTILEX.INC': 0, 'PERCENTILEX.EXC': 0,
+    'STDEVX.P': 0, 'STDEVX.S': 0, 'VARX.P': 0, 'VARX.S': 0, TOPN: 1
+};
+
+// Bare words that are arguments, not tables (sort orders, units, data types, join and rank options)
+DAXParser.KEYWORDS = new Set([
+    'ASC', 'DESC', 'TRUE', 'FALSE', 'SKIP', 'DENSE', 'ABS', 'REL', 'BOTH', 'NONE', 'ONEWAY',
+    'ONEWAY_LEFTFILTERS', 'ONEWAY_RIGHTFILTERS', 'DAY', 'WEEK', 'MONTH', 'QUARTER', 'YEAR',
+    'HOUR', 'MINUTE', 'SECOND', 'INTEGER', 'DOUBLE', 'STRING', 'BOOLEAN', 'CURRENCY', 'DATETIME',
+    'KEEP', 'FIRST', 'LAST', 'DEFAULT', 'BLANKS', 'STARTMATCH', 'ENDMATCH', 'NOT', 'IN'
+]);
+
+/**
+ * DAX Reference Extractor
+ * Table, column, and measure references of a DAX expression, read from the DAXParser AST
+ */
+class DAXReferenceExtractor {
+    /**
+     * Extract all references from a DAX expression
+     * @param {string} dax
+     * @param {Object} context - Optional model context from buildContext(), plus `table` for a calculated column
+     * @returns {Object} { measureRefs: [name], columnRefs: [{table, column}], tableRefs: [name] }
+     */
+    static extract(dax, context = {}) {
+        if (!dax) return { measureRefs: [], columnRefs: [], tableRefs: [] };
+        return DAXParser.references(DAXParser.parse(dax), context);
+    }
+
+    /**
+     * Clean DAX by removing comments and emptying string literals (quoted names and [refs] are kept)
+     */
+    static _cleanDAX(dax) {
+        return dax.replace(/("(?:[^"]|"")*")|('(?:[^']|'')*'|\[(?:[^\]]|\]\])*\])|\/\*[\s\S]*?\*\/|(?:\/\/|--).*/g,
+            (match, string, name) => string ? '""' : (name || ''));
+    }
+
+    /**
+     * Model context for extract(): which names are measures, tables and columns
+     * @param {Array} tables - Parsed tables from the model
+     * @returns {Object}
+     */
+    static buildContext(tables) {
+        return DAXParser.modelContext(tables);
     }
 
     /**
@@ -879,24 +1735,9 @@ class DAXReferenceExtractor {
         }
         return lookup;
     }
-
-    /**
-     * Extract table references from functions like COUNTROWS(Table), ALL(Table)
-     */
-    static _extractTableRefs(dax) {
-        const refs = new Set();
-        const pattern = /(?:COUNTROWS|RELATEDTABLE|VALUES|ALL|ALLEXCEPT|ALLSELECTED|ALLNOBLANKROW|REMOVEFILTERS|DISTINCT|SUMMARIZE|SUMMARIZECOLUMNS|ADDCOLUMNS|SELECTCOLUMNS|FILTER|CALCULATETABLE|TOPN|GENERATE|GENERATESERIES|NATURALLEFTOUTERJOIN|NATURALINNERJOIN|CROSSJOIN|UNION|INTERSECT|EXCEPT|TREATAS|LOOKUPVALUE|RELATED|RANKX|SAMPLE|GROUPBY|DATATABLE|WINDOW|OFFSET|INDEX)\s*\(\s*(?:'([^']+)'|(\w+))\s*(?:[,)])/gi;
-        let match;
-
-        while ((match = pattern.exec(dax)) !== null) {
-            refs.add(match[1] || match[2]);
-        }
-
-        return Array.from(refs);
-    }
 }
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { TMDLParser, DAXReferenceExtractor };
+    module.exports = { TMDLParser, DAXReferenceExtractor, DAXParser };
 }
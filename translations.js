@@ -0,0 +1,127 @@
+/**
+ * Translations Module
+ * Translation coverage per culture, and a translated copy of the model so the
+ * documentation can be generated in one culture
+ */
+
+class Translations {
+    /**
+     * @param {Object} model - Parsed TMDL model from TMDLParser
+     * @param {string} name - Culture name, e.g. 'de-DE' (case-insensitive)
+     * @returns {Object|null} Culture from model.cultures
+     */
+    static find(model, name) {
+        if (!name) return null;
+        const lower = name.toLowerCase();
+        return (model.cultures || []).find(c => c.name.toLowerCase() === lower) || null;
+    }
+
+    /**
+     * Which objects lack a translation in each culture. Only objects report users see are
+     * checked: visible tables, columns, measures and hierarchies outside auto-date tables.
+     * Each needs a caption, plus a description or display folder when the base culture has one.
+     * @param {Object} model - Parsed TMDL model
+     * @returns {Object} { cultures: [name], rows: [{ type, table, name, label, missing: { [culture]: [property] } }],
+     *   summary: { [culture]: { objects, complete, incomplete, percent } } }
+     */
+    static coverage(model) {
+        const cultures = (model.cultures || []).filter(c => c.name !== model.model?.culture);
+        const summary = {};
+        for (const c of cultures) summary[c.name] = { objects: 0, complete: 0, incomplete: 0, percent: 100 };
+
+        const rows = [];
+        for (const obj of Translations._translatableObjects(model)) {
+            const row = { type: obj.type, table: obj.table, name: obj.name, label: obj.label, missing: {} };
+            for (const c of cultures) {
+                const node = obj.lookup(c.translations) || {};
+                const missing = obj.needs.filter(prop => !node[prop]);
+                row.missing[c.name] = missing;
+                const s = summary[c.name];
+                s.objects++;
+                if (missing.length === 0) s.complete++;
+                else s.incomplete++;
+            }
+            rows.push(row);
+        }
+        for (const s of Object.values(summary)) {
+            s.percent = s.objects === 0 ? 100 : Math.floor((s.complete / s.objects) * 100);
+        }
+
+        return { cultures: cultures.map(c => c.name), rows, summary };
+    }
+
+    /**
+     * Copy of the model with descriptions and display folders replaced by their translation,
+     * and a `caption` on every translated object. Untranslated properties fall back to the base
+     * culture, as they do in Power BI. Object names are left alone — DAX still uses them.
+     * @param {Object} model - Parsed TMDL model (or a perspective-scoped copy)
+     * @param {string} name - Culture name
+     * @returns {Object} Translated model with `_culture` set to the culture name
+     */
+    static applyCulture(model, name) {
+        const culture = Translations.find(model, name);
+        if (!culture) {
+            const available = (model.cultures || []).map(c => c.name);
+            throw new Error(`Culture "${name}" not found. Available: ${available.join(', ') || '(none)'}`);
+        }
+        const translate = (obj, node) => {
+            if (!node) return obj;
+            const out = { ...obj };
+            if (node.caption) out.caption = node.caption;
+            if (node.description) out.description = node.description;
+            if (node.displayFolder) out.displayFolder = node.displayFolder;
+            return out;
+        };
+
+        const tables = model.tables.map(table => {
+            const tNode = culture.translations.tables[table.name];
+            const translated = translate(table, tNode);
+            translated.columns = table.columns.map(c => translate(c, tNode?.columns?.[c.name]));
+            translated.measures = table.measures.map(m => translate(m, tNode?.measures?.[m.name]));
+            translated.hierarchies = table.hierarchies.map(h => {
+                const hNode = tNode?.hierarchies?.[h.name];
+                const out = translate(h, hNode);
+                out.levels = (h.levels || []).map(l => translate(l, hNode?.levels?.[l.name]));
+                return out;
+            });
+            return translated;
+        });
+
+        return { ...model, tables, _culture: culture.name };
+    }
+
+    /**
+     * Visible objects with the translatable properties they need and how to find
+     * their entry in a culture's translations
+     */
+    static _translatableObjects(model) {
+        const objects = [];
+        for (const t of model.tables) {
+            if (t._isAutoDate || t.isHidden) continue;
+            const needs = obj => ['caption', ...(obj.description ? ['description'] : []), ...(obj.displayFolder ? ['displayFolder'] : [])];
+            const tableNode = tr => tr.tables[t.name];
+            objects.push({ type: 'table', table: t.name, name: t.name, label: t.name, needs: needs(t), lookup: tableNode });
+            for (const c of t.columns) {
+                if (c.isHidden) continue;
+                objects.push({ type: 'column', table: t.name, name: c.name, label: `${t.name}[${c.name}]`, needs: needs(c),
+                    lookup: tr => tableNode(tr)?.columns?.[c.name] });
+            }
+            for (const m of t.measures) {
+                if (m.isHidden) continue;
+                objects.push({ type: 'measure', table: t.name, name: m.name, label: `[${m.name}]`, needs: needs(m),
+                    lookup: tr => tableNode(tr)?.measures?.[m.name] });
+            }
+            for (const h of t.hierarchies) {
+                if (h.isHidden) continue;
+                objects.push({ type: 'hierarchy', table: t.name, name: h.name, label: `${t.name} › ${h.name}`, needs: needs(h),
+                    lookup: tr => tableNode(tr)?.hierarchies?.[h.name] });
+            }
+        }
+        return objects;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Translations;
+}
@@ -0,0 +1,299 @@
+/**
+ * Unused Objects Module
+ * Finds tables, columns and measures that nothing in the model or report uses,
+ * including objects only kept alive by other unused objects
+ */
+
+class UnusedObjects {
+    /**
+     * @param {Object} model - Parsed TMDL model from TMDLParser
+     * @param {LineageEngine} lineageEngine - Built lineage graph
+     * @param {Object} fieldUsageMap - VisualParser field usage ("type|table|field" → usages); defaults to the engine's report
+     */
+    constructor(model, lineageEngine, fieldUsageMap) {
+        this.model = model;
+        this.engine = lineageEngine;
+        this.fieldUsageMap = fieldUsageMap || lineageEngine?.visualData?.fieldUsageMap || {};
+        this.result = null;
+    }
+
+    /**
+     * @returns {Object} { tables, columns, measures, summary, reportLoaded }
+     *   Each entry: { type, table, name, label, kind, isHidden, reason: 'unreferenced'|'cascade', usedBy }
+     */
+    analyze() {
+        const { refs, roots } = this._collectReferences();
+
+        // Incoming references per node, to tell "never referenced" from "only referenced by dead objects"
+        const incoming = new Map();
+        for (const [from, targets] of refs) {
+            for (const to of targets) {
+                if (!incoming.has(to)) incoming.set(to, new Set());
+                incoming.get(to).add(from);
+            }
+        }
+
+        // Flood from the roots; a live column or measure also keeps its table alive
+        const alive = new Set();
+        const queue = [...roots];
+        while (queue.length > 0) {
+            const id = queue.pop();
+            if (alive.has(id)) continue;
+            alive.add(id);
+            for (const to of (refs.get(id) || [])) queue.push(to);
+            if (!id.startsWith('table:')) queue.push(`table:${this._tableOf(id)}`);
+        }
+
+        this._roots = roots;
+        this._incoming = incoming;
+
+        const describe = id => this._label(id);
+        const entry = (type, table, item, id, extra) => {
+            const sources = [...(incoming.get(id) || [])];
+            return {
+                type,
+                table: table.name,
+                name: item.name,
+                label: type === 'table' ? table.name : type === 'measure' ? `[${item.name}]` : `${table.name}[${item.name}]`,
+                isHidden: !!item.isHidden,
+                reason: sources.length === 0 ? 'unreferenced' : 'cascade',
+                usedBy: sources.map(describe).filter(Boolean).sort(),
+                ...extra
+            };
+        };
+
+        const tables = [];
+        const columns = [];
+        const measures = [];
+        for (const t of this.model.tables) {
+            if (t._isAutoDate) continue;
+            if (!alive.has(`table:${t.name}`)) {
+                tables.push(entry('table', t, t, `table:${t.name}`, {
+                    kind: t.partitions.some(p => p.sourceType === 'calculated') ? 'calculated' : 'imported',
+                    columnCount: t.columns.length,
+                    measureCount: t.measures.length
+                }));
+                continue; // its columns and measures go with it
+            }
+            // Field parameter and calculation group columns only work as a set
+            if (!t._isFieldParameter && !t._isCalcGroup) {
+                for (const c of t.columns) {
+                    const id = `column:${t.name}.${c.name}`;
+                    if (!alive.has(id)) columns.push(entry('column', t, c, id, { kind: c.expression ? 'calculated' : 'imported' }));
+                }
+            }
+            for (const m of t.measures) {
+                const id = `measure:${t.name}.${m.name}`;
+                if (!alive.has(id)) measures.push(entry('measure', t, m, id, { kind: 'measure' }));
+            }
+        }
+
+        const byLabel = (a, b) => a.label.localeCompare(b.label);
+        tables.sort(byLabel);
+        columns.sort((a, b) => (a.kind === b.kind ? 0 : a.kind === 'imported' ? -1 : 1) || byLabel(a, b));
+        measures.sort(byLabel);
+
+        this.result = {
+            tables,
+            columns,
+            measures,
+            reportLoaded: !!this.engine?.visualData,
+            summary: {
+                tables: tables.length,
+                columns: columns.length,
+                importedColumns: columns.filter(c => c.kind === 'imported').length
+                    + tables.filter(t => t.kind === 'imported').reduce((s, t) => s + t.columnCount, 0),
+                calculatedColumns: columns.filter(c => c.kind === 'calculated').length,
+                measures: measures.length,
+                total: tables.length + columns.length + measures.length
+            }
+        };
+        return this.result;
+    }
+
+    /**
+     * True when nothing references the column at all — not a visual, measure, calc column,
+     * relationship, RLS filter, sort-by or hierarchy level. Objects that are only referenced by
+     * other unused objects do not count.
+     */
+    isColumnUnreferenced(tableName, columnName) {
+        if (!this.result) this.analyze();
+        const id = `column:${tableName}.${columnName}`;
+        return !this._roots.has(id) && !this._incoming.has(id);
+    }
+
+    // ──────────────────────────────────────────────
+    // REFERENCE GRAPH
+    // ──────────────────────────────────────────────
+
+    /**
+     * refs: node id → Set of node ids it uses. roots: ids used by something outside the
+     * model's own objects (visuals, relationships, RLS, hierarchies).
+     */
+    _collectReferences() {
+        const refs = new Map();
+        const roots = new Set();
+        const addRef = (from, to) => {
+            if (!refs.has(from)) refs.set(from, new Set());
+            refs.get(from).add(to);
+        };
+        const engine = this.engine;
+        // Resolves bare [Name] references to a column of the filtered table or to a measure
+        const daxContext = DAXReferenceExtractor.buildContext(this.model.tables);
+
+        // DAX: measures and calculated columns → columns, measures, tables
+        for (const e of (engine?.edges || [])) {
+            if (e.type === 'references_column' || e.type === 'depends_on_measure' || e.type === 'references_table') {
+                if (e.from !== e.to) addRef(e.from, e.to);
+            }
+        }
+
+        // Report visuals
+        for (const [key, usages] of Object.entries(this.fieldUsageMap)) {
+            if (!usages || usages.length === 0) continue;
+            const [type, table, ...rest] = key.split('|');
+            const name = rest.join('|');
+            if (type === 'measure') {
+                const home = engine?.measureLookup?.get(name) || table;
+                roots.add(`measure:${home}.${name}`);
+            } else if (type === 'column') {
+                roots.add(`column:${table}.${name}`);
+            } else if (type === 'hierarchy') {
+                const t = this.model.tables.find(x => x.name === table);
+                const h = t?.hierarchies.find(x => x.name === name);
+                for (const l of (h?.levels || [])) if (l.column) roots.add(`column:${table}.${l.column}`);
+                roots.add(`table:${table}`);
+            }
+        }
+
+        for (const r of this.model.relationships) {
+            roots.add(`column:${r.fromTable}.${r.fromColumn}`);
+            roots.add(`column:${r.toTable}.${r.toColumn}`);
+        }
+
+        for (const role of (this.model.roles || [])) {
+            for (const tp of (role.tablePermissions || [])) {
+                if (!tp.filterExpression) continue;
+                roots.add(`table:${tp.table}`);
+                const daxRefs = DAXReferenceExtractor.extract(tp.filterExpression, { ...daxContext, table: tp.table });
+                for (const c of daxRefs.columnRefs) roots.add(`column:${c.table}.${c.column}`);
+                for (const name of daxRefs.measureRefs) {
+                    const home = engine?.measureLookup?.get(name);
+                    if (home) roots.add(`measure:${home}.${name}`);
+                }
+            }
+        }
+
+        for (const t of this.model.tables) {
+            for (const c of t.columns) {
+                if (c.sortByColumn) addRef(`column:${t.name}.${c.name}`, `column:${t.name}.${c.sortByColumn}`);
+            }
+            for (const h of t.hierarchies) {
+                for (const l of h.levels) if (l.column) roots.add(`column:${t.name}.${l.column}`);
+            }
+
+            // Table-level DAX: field parameter NAMEOF targets, calc group items, calculated table source
+            const tableId = `table:${t.name}`;
+            const daxSources = [
+                ...(t.calculationGroup?.items || []).map(i => i.expression),
+                ...t.partitions.filter(p => p.sourceType === 'calculated').map(p => p.source)
+            ].filter(Boolean);
+            for (const dax of daxSources) {
+                const daxRefs = DAXReferenceExtractor.extract(dax, daxContext);
+                for (const c of daxRefs.columnRefs) addRef(tableId, `column:${c.table}.${c.column}`);
+                for (const name of daxRefs.measureRefs) {
+                    const home = engine?.measureLookup?.get(name);
+                    if (home) addRef(tableId, `measure:${home}.${name}`);
+                }
+                for (const tr of daxRefs.tableRefs) if (tr !== t.name) addRef(tableId, `table:${tr}`);
+            }
+        }
+
+        return { refs, roots };
+    }
+
+    _tableOf(id) {
+        // Table names may contain dots, so match the longest table-name prefix
+        const rest = id.slice(id.indexOf(':') + 1);
+        let best = null;
+        for (const t of this.model.tables) {
+            if (rest.startsWith(`${t.name}.`) && (!best || t.name.length > best.length)) best = t.name;
+        }
+        return best ?? rest.slice(0, rest.indexOf('.'));
+    }
+
+    _label(id) {
+        const type = id.slice(0, id.indexOf(':'));
+        const rest = id.slice(id.indexOf(':') + 1);
+        if (type === 'table') return rest;
+        const table = this._tableOf(id);
+        const name = rest.slice(table.length + 1);
+        if (type === 'measure') return `[${name}]`;
+        if (type === 'column') return `${table}[${name}]`;
+        return null;
+    }
+
+    // ──────────────────────────────────────────────
+    // MARKDOWN
+    // ──────────────────────────────────────────────
+
+    /**
+     * Cleanup list, largest wins first: whole tables, imported columns, calculated columns, measures
+     * @returns {string}
+     */
+    generateMarkdown() {
+        const r = this.result || this.analyze();
+        const modelName = this.model.database?.name || this.model.model?.name || 'Semantic Model';
+        const esc = s => String(s).replace(/\|/g, '\\|');
+        const lines = [];
+
+        lines.push(`# ${modelName} — Unused Objects`);
+        lines.push('');
+        lines.push(`*Generated with [PBIP Documenter](https://jonathanjihwankim.github.io/pbip-documenter/) on ${new Date().toLocaleDateString()}*`);
+        lines.push('');
+        if (!r.reportLoaded) {
+            lines.push('> No report was loaded, so visual usage is unknown — objects used only by visuals are listed as unused.');
+            lines.push('');
+        }
+        lines.push('> Other reports, Excel workbooks and paginated reports connected to this model are not visible here. Check them before deleting.');
+        lines.push('');
+
+        lines.push('## Estimated Cleanup');
+        lines.push('');
+        lines.push('| | Count |');
+        lines.push('|---|---|');
+        lines.push(`| Tables | ${r.summary.tables} |`);
+        lines.push(`| Imported columns (incl. those in unused tables) | ${r.summary.importedColumns} |`);
+        lines.push(`| Calculated columns | ${r.summary.calculatedColumns} |`);
+        lines.push(`| Measures | ${r.summary.measures} |`);
+        lines.push('');
+
+        if (r.summary.total === 0) {
+            lines.push('No unused objects found.');
+            return lines.join('\n');
+        }
+
+        const section = (title, entries, detail) => {
+            if (entries.length === 0) return;
+            lines.push(`## ${title} (${entries.length})`);
+            lines.push('');
+            lines.push('| Object | Details | Only used by |');
+            lines.push('|--------|---------|--------------|');
+            for (const e of entries) {
+                lines.push(`| ${esc(e.label)} | ${detail(e)} | ${e.usedBy.length > 0 ? esc(e.usedBy.join(', ')) : '—'} |`);
+            }
+            lines.push('');
+        };
+        const hidden = e => (e.isHidden ? ', hidden' : '');
+        section('Tables', r.tables, e => `${e.kind}, ${e.columnCount} columns, ${e.measureCount} measures${hidden(e)}`);
+        section('Columns', r.columns, e => `${e.kind}${hidden(e)}`);
+        section('Measures', r.measures, e => `measure${hidden(e)}`);
+
+        return lines.join('\n');
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UnusedObjects;
+}
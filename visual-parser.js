@@ -1,6 +1,6 @@
 /**
  * Visual Parser Module
- * Parses PBIR visual.json files to extract field references
+ * Parses PBIR visual.json files (or a PBIR-Legacy report.json) to extract field references
  * Maps semantic model objects to their consuming visuals
  */
 
@@ -8,14 +8,50 @@ class VisualParser {
     constructor() {
         this.pages = [];
         this.visuals = [];
-        this.fieldUsageMap = new Map(); // "type|table|field" → [{ visualName, pageName, visualType }]
+        this.fieldUsageMap = new Map(); // "type|table|field" → [{ visualName, pageName, visualType, reportName }]
+        this.reportName = null; // Set by parseReports() — tags pages, visuals and usage with their report
+        this.pagePrefix = '';   // Set by parseReports() when several reports share page names
+    }
+
+    /**
+     * Parse several reports built on the same semantic model into one result, so field usage
+     * adds up across them. Every page, visual, bookmark and usage entry gets a `reportName`.
+     * With more than one report, page names become "Report › Page" — reports are often copied
+     * from one another, and visuals on same-named pages must not merge in the lineage graph.
+     * @param {Array} reports - [{ reportName, pages: pagesData, definition }] as for parseReport()
+     * @returns {Object} parseReport() result plus `reports: [reportName]`; report filters and
+     *   sync groups carry their `reportName`
+     */
+    parseReports(reports) {
+        const combined = { reports: [], pages: [], visuals: [], reportFilters: [], bookmarks: [], syncGroups: [], fieldUsageMap: {} };
+        const multiple = reports.length > 1;
+
+        for (const report of reports) {
+            const parser = new VisualParser();
+            parser.reportName = report.reportName;
+            parser.pagePrefix = multiple ? `${report.reportName} › ` : '';
+            const result = parser.parseReport(report.pages || [], report.definition || {});
+
+            combined.reports.push(report.reportName);
+            combined.pages.push(...result.pages);
+            combined.visuals.push(...result.visuals);
+            combined.reportFilters.push(...result.reportFilters.map(f => ({ ...f, reportName: report.reportName })));
+            combined.bookmarks.push(...result.bookmarks);
+            combined.syncGroups.push(...result.syncGroups.map(g => ({ ...g, reportName: report.reportName })));
+            for (const [key, usages] of Object.entries(result.fieldUsageMap)) {
+                combined.fieldUsageMap[key] = (combined.fieldUsageMap[key] || []).concat(usages);
+            }
+        }
+
+        return combined;
     }
 
     /**
      * Parse all report pages and visuals
-     * @param {Array} pagesData - Array of { pageId, pageName, visuals: [{ visualId, visualData }] }
+     * @param {Array} pagesData - Array of { pageId, pageName, filterConfig, visuals: [{ visualId, visualData }] }
+     * @param {Object} definition - Report-level { filterConfig, bookmarks: [bookmark JSON] } (optional)
      */
-    parseReport(pagesData) {
+    parseReport(pagesData, definition = {}) {
         this.pages = [];
         this.visuals = [];
         this.fieldUsageMap = new Map();
@@ -23,21 +59,28 @@ class VisualParser {
         for (const page of pagesData) {
             const pageBinding = page.pageBinding || null;
             const pageInfo = {
-                id: page.pageId,
+                id: this.pagePrefix ? `${this.reportName}/${page.pageId}` : page.pageId,
+                folder: page.pageId,
                 name: page.pageName || page.displayName || page.pageId,
-                displayName: page.displayName || page.pageName || page.pageId,
+                displayName: this.pagePrefix + (page.displayName || page.pageName || page.pageId),
+                reportName: this.reportName,
                 pageWidth: page.pageWidth || null,
                 pageHeight: page.pageHeight || null,
                 isDrillthrough: pageBinding?.type === 'Drillthrough',
                 drillthroughFilters: pageBinding?.type === 'Drillthrough'
                     ? (pageBinding.boundFilter || []) : [],
+                filters: this._extractFilterFields(page.filterConfig?.filters, 'pageFilter'),
                 visuals: []
             };
+            this._registerUsage(pageInfo.filters, {
+                visualName: VisualParser.PAGE_FILTERS, visualType: 'pageFilter', pageName: pageInfo.displayName
+            });
 
             for (const visual of (page.visuals || [])) {
                 const parsed = this.parseVisual(visual.visualData, pageInfo.displayName);
                 parsed.visualId = visual.visualId;
                 parsed.pageId = page.pageId;
+                parsed.reportName = this.reportName;
                 pageInfo.visuals.push(parsed);
                 this.visuals.push(parsed);
             }
@@ -45,13 +88,258 @@ class VisualParser {
             this.pages.push(pageInfo);
         }
 
+        this.reportFilters = this._extractFilterFields(definition.filterConfig?.filters, 'reportFilter');
+        this._registerUsage(this.reportFilters, {
+            visualName: VisualParser.REPORT_FILTERS, visualType: 'reportFilter', pageName: this.pagePrefix + VisualParser.ALL_PAGES
+        });
+
+        this.bookmarks = (definition.bookmarks || [])
+            .map(b => this.parseBookmark(b))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        for (const bookmark of this.bookmarks) {
+            this._registerUsage(bookmark.fields, {
+                visualName: `Bookmark: ${bookmark.name}`, visualType: 'bookmark', pageName: bookmark.pageName || this.pagePrefix + VisualParser.ALL_PAGES
+            });
+        }
+
         return {
             pages: this.pages,
             visuals: this.visuals,
+            reportFilters: this.reportFilters,
+            bookmarks: this.bookmarks,
+            syncGroups: this.getSyncGroups(),
             fieldUsageMap: this.getFieldUsageMap()
         };
     }
 
+    /**
+     * Parse a bookmark's captured state. Call after the pages are parsed, so hidden
+     * visuals and the active page resolve to their display names.
+     * @param {Object} bookmark - Parsed .bookmark.json content
+     * @returns {Object} { id, name, pageName, fields, selections: [{ table, column, values }], hiddenVisuals }
+     *   `selections` are the values picked in In-list filters — for a field parameter, which fields it shows
+     */
+    parseBookmark(bookmark) {
+        const state = bookmark.explorationState || {};
+        const fieldMap = new Map();
+        const selections = [];
+        const hiddenVisuals = [];
+
+        const collect = filters => {
+            for (const filter of (filters?.byExpr || [])) {
+                const field = filter.field || filter.expression;
+                if (field) this._extractFieldFromProjection({ field }, 'bookmark', fieldMap);
+                selections.push(...VisualParser._filterSelections(filter));
+            }
+        };
+
+        // Bookmarks name pages by their page name, which is usually also the folder name
+        const findPage = name => this.pages.find(p => p.name === name || p.folder === name);
+
+        collect(state.filters);
+        for (const [sectionName, section] of Object.entries(state.sections || {})) {
+            collect(section.filters);
+            const sectionPage = findPage(sectionName);
+            for (const [containerName, container] of Object.entries(section.visualContainers || {})) {
+                collect(container.filters);
+                if (container.singleVisual?.display?.mode === 'hidden') {
+                    const visual = sectionPage?.visuals.find(v => v.visualId === containerName);
+                    hiddenVisuals.push(visual ? `${visual.pageName}: ${visual.visualName}` : containerName);
+                }
+            }
+        }
+
+        const page = findPage(state.activeSection);
+        return {
+            id: this.pagePrefix ? `${this.reportName}/${bookmark.name}` : bookmark.name,
+            name: bookmark.displayName || bookmark.name,
+            reportName: this.reportName,
+            pageName: page?.displayName || (state.activeSection ? this.pagePrefix + state.activeSection : null),
+            fields: Array.from(fieldMap.values()),
+            selections,
+            hiddenVisuals
+        };
+    }
+
+    /**
+     * Slicers kept in sync across pages, grouped by sync group name
+     * @returns {Array} [{ name, slicers: [{ pageName, visualName }], fields: [field] }]
+     */
+    getSyncGroups() {
+        const groups = new Map();
+        for (const visual of this.visuals) {
+            if (!visual.syncGroup) continue;
+            if (!groups.has(visual.syncGroup)) groups.set(visual.syncGroup, { name: visual.syncGroup, slicers: [], fields: [] });
+            const group = groups.get(visual.syncGroup);
+            group.slicers.push({ pageName: visual.pageName, visualName: visual.visualName });
+            for (const field of visual.fields) {
+                if (!group.fields.some(f => f.type === field.type && f.table === field.table && f.name === field.name)) {
+                    group.fields.push(field);
+                }
+            }
+        }
+        return Array.from(groups.values());
+    }
+
+    /**
+     * Convert a PBIR-Legacy report.json into the pages array parseReport() expects.
+     * Sections become pages; each visual container's stringified config is turned into
+     * PBIR-shaped visual.json content, with prototypeQuery source aliases resolved to tables.
+     * @param {Object|string} report - report.json content
+     * @param {Function} warn - Called with a message for each visual container or page filter list that cannot be read
+     * @returns {Array} [{ pageId, pageName, displayName, pageWidth, pageHeight, pageBinding, visuals: [{ visualId, visualData }] }]
+     */
+    static fromLegacyReport(report, warn = () => {}) {
+        const data = typeof report === 'string' ? JSON.parse(report) : report;
+
+        return (data.sections || []).map((section, index) => {
+            const pageId = section.name || `section${index}`;
+            const displayName = section.displayName || pageId;
+            const visuals = [];
+
+            (section.visualContainers || []).forEach((container, i) => {
+                try {
+                    const config = VisualParser._parseLegacyJSON(container.config) || {};
+                    // Groups only arrange other containers and reference no fields
+                    if (!config.singleVisual) return;
+                    visuals.push({
+                        visualId: config.name || `${pageId}-${i}`,
+                        visualData: VisualParser._legacyVisualData(container, config)
+                    });
+                } catch (err) {
+                    warn(`Could not parse visual ${i + 1} on page "${displayName}": ${err.message}`);
+                }
+            });
+
+            let filterConfig = null;
+            try {
+                filterConfig = VisualParser._legacyFilterConfig(section.filters);
+            } catch (err) {
+                warn(`Could not parse the filters on page "${displayName}": ${err.message}`);
+            }
+
+            return {
+                pageId,
+                pageName: pageId,
+                displayName,
+                pageWidth: section.width || null,
+                pageHeight: section.height || null,
+                pageBinding: null,
+                filterConfig,
+                visuals
+            };
+        });
+    }
+
+    /**
+     * Report-level filters and bookmarks of a PBIR-Legacy report.json, in the shape parseReport() expects
+     * @param {Object|string} report - report.json content
+     * @returns {Object} { filterConfig, bookmarks }
+     */
+    static fromLegacyReportDefinition(report) {
+        const data = typeof report === 'string' ? JSON.parse(report) : report;
+        const config = VisualParser._parseLegacyJSON(data.config) || {};
+
+        // Bookmark groups hold their bookmarks in children
+        const bookmarks = [];
+        for (const item of (config.bookmarks || [])) {
+            if (item.children) bookmarks.push(...item.children);
+            else bookmarks.push(item);
+        }
+
+        return { filterConfig: VisualParser._legacyFilterConfig(data.filters), bookmarks };
+    }
+
+    /**
+     * Legacy filters name their field in `expression`; PBIR filterConfig uses `field`
+     */
+    static _legacyFilterConfig(filters) {
+        const list = VisualParser._parseLegacyJSON(filters) || [];
+        return { filters: list.map(f => ({ ...f, field: f.field || f.expression })) };
+    }
+
+    /**
+     * Build visual.json-shaped data from a legacy visual container
+     */
+    static _legacyVisualData(container, config) {
+        const single = config.singleVisual;
+        const query = single.prototypeQuery || {};
+
+        // prototypeQuery refers to tables through From aliases ({ Source: 'p' }); PBIR names them directly
+        const aliases = {};
+        for (const from of (query.From || [])) aliases[from.Name] = from.Entity;
+        const resolve = node => VisualParser._resolveLegacyAliases(node, aliases);
+
+        const selects = new Map((query.Select || []).map(s => [s.Name, s]));
+        const queryState = {};
+        for (const [role, items] of Object.entries(single.projections || {})) {
+            queryState[role] = {
+                projections: items.map(item => {
+                    const select = selects.get(item.queryRef);
+                    if (!select) return { queryRef: item.queryRef };
+                    const { Name, NativeReferenceName, ...field } = select;
+                    return { field: resolve(field), queryRef: item.queryRef };
+                })
+            };
+        }
+
+        const sort = (query.OrderBy || []).map(o => ({
+            field: resolve(o.Expression),
+            direction: o.Direction === 2 ? 'Descending' : 'Ascending'
+        }));
+
+        const filters = VisualParser._legacyFilterConfig(container.filters).filters
+            .map(f => ({ ...f, field: resolve(f.field) }));
+
+        const layout = config.layouts?.[0]?.position || container;
+
+        return {
+            name: config.name,
+            position: {
+                x: layout.x,
+                y: layout.y,
+                z: layout.z,
+                width: layout.width,
+                height: layout.height
+            },
+            visual: {
+                visualType: single.visualType,
+                query: {
+                    queryState,
+                    ...(sort.length > 0 ? { sortDefinition: { sort } } : {})
+                },
+                objects: resolve(single.objects),
+                visualContainerObjects: resolve(single.vcObjects),
+                ...(single.syncGroup ? { syncGroup: single.syncGroup } : {})
+            },
+            filterConfig: { filters }
+        };
+    }
+
+    /**
+     * Legacy configs and filters are JSON strings inside the JSON file
+     */
+    static _parseLegacyJSON(value) {
+        if (value == null || value === '') return null;
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+
+    /**
+     * Deep copy with every SourceRef { Source: alias } replaced by { Entity: table }
+     */
+    static _resolveLegacyAliases(node, aliases) {
+        if (Array.isArray(node)) return node.map(n => VisualParser._resolveLegacyAliases(n, aliases));
+        if (!node || typeof node !== 'object') return node;
+
+        const out = {};
+        for (const [key, value] of Object.entries(node)) {
+            out[key] = key === 'SourceRef' && value?.Source && aliases[value.Source]
+                ? { Entity: aliases[value.Source] }
+                : VisualParser._resolveLegacyAliases(value, aliases);
+        }
+        return out;
+    }
+
     /**
      * Parse a single visual.json
      * @param {Object} visualData - Parsed visual.json content
@@ -61,9 +349,26 @@ class VisualParser {
     parseVisual(visualData, pageName) {
         const visualType = visualData.visual?.visualType || visualData.visualType || 'unknown';
         const visualName = this._extractVisualName(visualData) || visualType;
-        const { fields, fpSelections } = this._extractFieldReferences(visualData);
+        const { fields, fpSelections, calculations } = this._extractFieldReferences(visualData);
+
+        this._registerUsage(fields, { visualName, visualType, pageName });
+
+        return {
+            visualType,
+            visualName,
+            pageName,
+            fields,
+            fpSelections,
+            calculations,
+            syncGroup: visualData.visual?.syncGroup?.groupName || null,
+            position: visualData.position || visualData.visual?.position || null
+        };
+    }
 
-        // Register each field in the usage map
+    /**
+     * Register each field in the usage map under one consumer (a visual, a page's filters, a bookmark)
+     */
+    _registerUsage(fields, consumer) {
         for (const field of fields) {
             const key = `${field.type}|${field.table || field.entity}|${field.name || field.column || field.hierarchy}`;
 
@@ -71,22 +376,56 @@ class VisualParser {
                 this.fieldUsageMap.set(key, []);
             }
 
-            this.fieldUsageMap.get(key).push({
-                visualName,
-                visualType,
-                pageName,
-                projectionName: field.projectionName
+            const usage = { ...consumer, projectionName: field.projectionName };
+            if (field.aggregations) usage.aggregations = field.aggregations;
+            if (this.reportName) usage.reportName = this.reportName;
+            this.fieldUsageMap.get(key).push(usage);
+        }
+    }
+
+    /**
+     * Fields named by a page or report filterConfig
+     */
+    _extractFilterFields(filters, role) {
+        const fieldMap = new Map();
+        this._extractFromFilterConfig({ filters }, fieldMap, role);
+        return Array.from(fieldMap.values());
+    }
+
+    /**
+     * Values picked in a filter's In conditions, e.g. the fields a bookmark selects in a field parameter
+     * @returns {Array} [{ table, column, values: [string] }]
+     */
+    static _filterSelections(filter) {
+        const query = filter.filter || {};
+        const aliases = {};
+        for (const from of (query.From || [])) aliases[from.Name] = from.Entity;
+
+        const selections = [];
+        for (const where of (query.Where || [])) {
+            const inCondition = where.Condition?.In;
+            if (!inCondition) continue;
+            (inCondition.Expressions || []).forEach((expr, i) => {
+                const sourceRef = expr.Column?.Expression?.SourceRef;
+                const table = sourceRef?.Entity || aliases[sourceRef?.Source];
+                if (!table || !expr.Column.Property) return;
+                const values = (inCondition.Values || [])
+                    .map(row => VisualParser._literalValue(row[i]))
+                    .filter(v => v !== null);
+                selections.push({ table, column: expr.Column.Property, values });
             });
         }
+        return selections;
+    }
 
-        return {
-            visualType,
-            visualName,
-            pageName,
-            fields,
-            fpSelections,
-            position: visualData.position || visualData.visual?.position || null
-        };
+    /**
+     * Literal { Value: "'text'" | "12L" | "true" } as a plain string
+     */
+    static _literalValue(expr) {
+        const value = expr?.Literal?.Value;
+        if (value == null) return null;
+        if (/^'.*'$/s.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+        return value.replace(/^(-?\d+)L$/, '$1');
     }
 
     /**
@@ -170,18 +509,21 @@ class VisualParser {
 
     /**
      * Extract all field references from visual data.
-     * Returns { fields, fpSelections } where fpSelections maps tableName → { selectedIndex, length }.
+     * Returns { fields, fpSelections, calculations } where fpSelections maps tableName → { selectedIndex, length }
+     * and calculations lists the arithmetic and visual calculation projections.
      */
     _extractFieldReferences(visualData) {
         const fieldMap = new Map();
         const fpSelections = {};
+        const calculations = [];
 
         try {
             // Query state projections
             this._extractFromQueryState(
                 visualData.visual?.query?.queryState || visualData.query?.queryState,
                 fieldMap,
-                fpSelections
+                fpSelections,
+                calculations
             );
 
             // Sort definitions
@@ -197,19 +539,19 @@ class VisualParser {
             console.error('Error extracting field references:', err);
         }
 
-        return { fields: Array.from(fieldMap.values()), fpSelections };
+        return { fields: Array.from(fieldMap.values()), fpSelections, calculations };
     }
 
     /**
      * Extract from query state projections
      */
-    _extractFromQueryState(queryState, fieldMap, fpSelections) {
+    _extractFromQueryState(queryState, fieldMap, fpSelections, calculations = null) {
         if (!queryState) return;
 
         for (const [projectionName, projection] of Object.entries(queryState)) {
             if (projection.projections) {
                 for (const proj of projection.projections) {
-                    this._extractFieldFromProjection(proj, projectionName, fieldMap);
+                    this._extractFieldFromProjection(proj, projectionName, fieldMap, calculations);
                 }
             }
             // fieldParameters: used by pivot tables when a field parameter drives Values
@@ -254,12 +596,12 @@ class VisualParser {
     /**
      * Extract from filter config
      */
-    _extractFromFilterConfig(filterConfig, fieldMap) {
+    _extractFromFilterConfig(filterConfig, fieldMap, role = 'filter') {
         if (!filterConfig?.filters) return;
 
         for (const filter of filterConfig.filters) {
             if (filter.field) {
-                this._extractFieldFromProjection({ field: filter.field }, 'filter', fieldMap);
+                this._extractFieldFromProjection({ field: filter.field }, role, fieldMap);
             }
         }
     }
@@ -316,58 +658,168 @@ class VisualParser {
     }
 
     /**
-     * Extract field from a projection object
+     * Extract field from a projection object. Calculated projections — arithmetic on fields and
+     * visual calculations — are also recorded in `calculations` when given.
+     */
+    _extractFieldFromProjection(proj, projectionName, fieldMap, calculations = null) {
+        const field = proj.field;
+        if (calculations && field?.NativeVisualCalculation) {
+            const calc = field.NativeVisualCalculation;
+            calculations.push({
+                kind: 'visualCalculation',
+                name: calc.Name || proj.nativeQueryRef || proj.queryRef || '',
+                expression: calc.Expression || '',
+                projectionName
+            });
+        } else if (calculations && field?.Arithmetic) {
+            calculations.push({
+                kind: 'arithmetic',
+                name: proj.displayName || proj.nativeQueryRef || proj.queryRef || '',
+                expression: VisualParser.describeExpression(field),
+                projectionName
+            });
+        }
+        this._extractFieldExpression(field, projectionName, fieldMap, {});
+    }
+
+    /**
+     * Register the model fields under a query expression. Implicit measures (an Aggregation of a
+     * column), hierarchy levels and arithmetic wrap the fields they use; `wrap` carries the
+     * aggregation and level down to the field. Visual calculations name other fields on the
+     * same visual rather than model objects, so they add nothing here.
      */
-    _extractFieldFromProjection(proj, projectionName, fieldMap) {
-        if (proj.field?.Column) {
-            const entity = proj.field.Column.Expression?.SourceRef?.Entity;
-            const property = proj.field.Column.Property;
+    _extractFieldExpression(expr, projectionName, fieldMap, wrap) {
+        if (!expr || typeof expr !== 'object') return;
+
+        if (expr.Aggregation) {
+            const aggregation = VisualParser.AGGREGATIONS[expr.Aggregation.Function] || 'AGGREGATE';
+            this._extractFieldExpression(expr.Aggregation.Expression, projectionName, fieldMap, { ...wrap, aggregation });
+        } else if (expr.HierarchyLevel) {
+            this._extractFieldExpression(expr.HierarchyLevel.Expression, projectionName, fieldMap, { ...wrap, level: expr.HierarchyLevel.Level });
+        } else if (expr.Arithmetic) {
+            this._extractFieldExpression(expr.Arithmetic.Left, projectionName, fieldMap, wrap);
+            this._extractFieldExpression(expr.Arithmetic.Right, projectionName, fieldMap, wrap);
+        } else if (expr.Column) {
+            const entity = expr.Column.Expression?.SourceRef?.Entity;
+            const property = expr.Column.Property;
             if (entity && property) {
-                const key = `column|${entity}|${property}`;
-                if (!fieldMap.has(key)) {
-                    fieldMap.set(key, {
-                        type: 'column',
-                        table: entity,
-                        column: property,
-                        name: property,
-                        projectionName
-                    });
-                }
+                this._addField(fieldMap, `column|${entity}|${property}`, {
+                    type: 'column',
+                    table: entity,
+                    column: property,
+                    name: property,
+                    projectionName
+                }, wrap);
             }
-        } else if (proj.field?.Measure) {
-            const entity = proj.field.Measure.Expression?.SourceRef?.Entity;
-            const property = proj.field.Measure.Property;
+        } else if (expr.Measure) {
+            const entity = expr.Measure.Expression?.SourceRef?.Entity;
+            const property = expr.Measure.Property;
             if (entity && property) {
-                const key = `measure|${entity}|${property}`;
-                if (!fieldMap.has(key)) {
-                    fieldMap.set(key, {
-                        type: 'measure',
-                        table: entity,
-                        entity: entity,
-                        name: property,
-                        projectionName
-                    });
-                }
+                this._addField(fieldMap, `measure|${entity}|${property}`, {
+                    type: 'measure',
+                    table: entity,
+                    entity: entity,
+                    name: property,
+                    projectionName
+                }, wrap);
+            }
+        } else if (expr.Hierarchy) {
+            // Auto date/time hierarchies hang off a date column through a variation
+            const variation = expr.Hierarchy.Expression?.PropertyVariationSource;
+            const entity = variation ? variation.Expression?.SourceRef?.Entity : expr.Hierarchy.Expression?.SourceRef?.Entity;
+            if (variation && entity && variation.Property) {
+                this._addField(fieldMap, `column|${entity}|${variation.Property}`, {
+                    type: 'column',
+                    table: entity,
+                    column: variation.Property,
+                    name: variation.Property,
+                    projectionName
+                }, wrap);
+                return;
             }
-        } else if (proj.field?.Hierarchy) {
-            const entity = proj.field.Hierarchy.Expression?.SourceRef?.Entity;
-            const hierarchy = proj.field.Hierarchy.Hierarchy;
+            const hierarchy = expr.Hierarchy.Hierarchy;
             if (entity && hierarchy) {
-                const key = `hierarchy|${entity}|${hierarchy}`;
-                if (!fieldMap.has(key)) {
-                    fieldMap.set(key, {
-                        type: 'hierarchy',
-                        table: entity,
-                        hierarchy: hierarchy,
-                        name: hierarchy,
-                        projectionName
-                    });
-                }
+                this._addField(fieldMap, `hierarchy|${entity}|${hierarchy}`, {
+                    type: 'hierarchy',
+                    table: entity,
+                    hierarchy: hierarchy,
+                    name: hierarchy,
+                    projectionName
+                }, wrap);
             }
         }
     }
+
+    /**
+     * Add a field once per visual, collecting every aggregation and hierarchy level it is used with
+     */
+    _addField(fieldMap, key, field, wrap) {
+        if (!fieldMap.has(key)) fieldMap.set(key, field);
+        const existing = fieldMap.get(key);
+        if (wrap.aggregation) {
+            existing.aggregations = existing.aggregations || [];
+            if (!existing.aggregations.includes(wrap.aggregation)) existing.aggregations.push(wrap.aggregation);
+        }
+        if (wrap.level) {
+            existing.levels = existing.levels || [];
+            if (!existing.levels.includes(wrap.level)) existing.levels.push(wrap.level);
+        }
+    }
+
+    /**
+     * Display text for a parsed field, e.g. "implicit SUM of Sales[Amount]" or "Date[Calendar] › Year, Month"
+     * @param {Object} field - Entry of a visual's `fields`
+     * @returns {string}
+     */
+    static describeField(field) {
+        const table = field.table || field.entity || '';
+        const name = field.name || field.column || field.hierarchy || '';
+        let text = `${table}[${name}]`;
+        if (field.levels?.length) text += ` › ${field.levels.join(', ')}`;
+        if (field.aggregations?.length) text = `implicit ${field.aggregations.join('/')} of ${text}`;
+        return text;
+    }
+
+    /**
+     * Readable text for a query expression, e.g. "implicit SUM of Sales[Amount] / Sales[Units]"
+     * @param {Object} expr - Query expression (Column, Measure, Aggregation, Arithmetic, …)
+     * @returns {string}
+     */
+    static describeExpression(expr) {
+        if (!expr || typeof expr !== 'object') return '';
+        const ref = (node, prop) => `${node.Expression?.SourceRef?.Entity || node.Expression?.SourceRef?.Source || ''}[${prop}]`;
+
+        if (expr.Column) return ref(expr.Column, expr.Column.Property);
+        if (expr.Measure) return ref(expr.Measure, expr.Measure.Property);
+        if (expr.Hierarchy) {
+            const variation = expr.Hierarchy.Expression?.PropertyVariationSource;
+            return variation ? ref(variation, variation.Property) : ref(expr.Hierarchy, expr.Hierarchy.Hierarchy);
+        }
+        if (expr.HierarchyLevel) return `${VisualParser.describeExpression(expr.HierarchyLevel.Expression)} › ${expr.HierarchyLevel.Level}`;
+        if (expr.Aggregation) {
+            const aggregation = VisualParser.AGGREGATIONS[expr.Aggregation.Function] || 'AGGREGATE';
+            return `implicit ${aggregation} of ${VisualParser.describeExpression(expr.Aggregation.Expression)}`;
+        }
+        if (expr.Arithmetic) {
+            const op = VisualParser.ARITHMETIC_OPERATORS[expr.Arithmetic.Operator] || '?';
+            const side = e => e?.Arithmetic ? `(${VisualParser.describeExpression(e)})` : VisualParser.describeExpression(e);
+            return `${side(expr.Arithmetic.Left)} ${op} ${side(expr.Arithmetic.Right)}`;
+        }
+        if (expr.NativeVisualCalculation) return expr.NativeVisualCalculation.Expression || '';
+        if (expr.Literal) return VisualParser._literalValue(expr) ?? '';
+        return '?';
+    }
 }
 
+// Consumer names used in the field usage map for fields that filter rather than display
+VisualParser.PAGE_FILTERS = 'Page filters';
+VisualParser.REPORT_FILTERS = 'Report filters';
+VisualParser.ALL_PAGES = 'All pages';
+
+// Query aggregate functions by their Aggregation.Function code, named as in DAX
+VisualParser.AGGREGATIONS = ['SUM', 'AVERAGE', 'DISTINCTCOUNT', 'MIN', 'MAX', 'COUNT', 'MEDIAN', 'STDEV', 'VAR'];
+VisualParser.ARITHMETIC_OPERATORS = ['+', '-', '*', '/'];
+
 // Export
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = VisualParser;